@@ -0,0 +1,220 @@
+// server/relay.js
+/**
+ * @file A small WebSocket relay for local multiplayer sessions.
+ * Clients join a room by connecting to `ws://host:port/?room=<name>`. The relay does not keep any table state:
+ * it forwards each client's operations to the other clients of the same room and brokers the full-state
+ * handshake for late joiners by asking the longest-connected peer for its table.
+ *
+ * Messages are JSON objects with a `type`:
+ * - Relay to client: `welcome` ({clientId, room, peers}), `peerJoined` / `peerLeft` ({clientId}),
+ *   `stateRequest` ({requesterId}), `state` ({from, state}), `ops` ({from, ops}), `error` ({message}).
+ * - Client to relay: `ops` ({ops}) to broadcast, `state` ({to, state}) to answer a `stateRequest`.
+ *
+ * Run with `npm run relay`. `RELAY_PORT` (default 8787) and `RELAY_HOST` (default all interfaces) configure where it listens.
+ */
+import { randomUUID } from "node:crypto";
+import { pathToFileURL } from "node:url";
+import log from "loglevel";
+import debug from "debug";
+import { WebSocketServer } from "ws";
+
+const dRelay = debug("app:relay");
+
+/** @const {number} Port the relay listens on unless RELAY_PORT is set. */
+export const DEFAULT_RELAY_PORT = 8787;
+/** @const {number} Largest accepted message (full table states can carry image data URLs). */
+const MAX_MESSAGE_BYTES = 32 * 1024 * 1024;
+/** @const {number} Interval of the keep-alive pings; clients that miss one are disconnected. */
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+/**
+ * @typedef {Object} RelayClient
+ * @property {string} id - Assigned by the relay on connection.
+ * @property {string} room - The room the client joined.
+ * @property {import('ws').WebSocket} socket - The client's connection.
+ * @property {boolean} alive - Whether the client answered the last ping.
+ */
+
+/**
+ * Reads the room name from the connection URL, e.g. `/?room=dungeon`.
+ * @param {string} url - The request URL.
+ * @returns {string} The room name ('default' if none is given).
+ */
+const getRoomName = (url) => {
+  const room = new URL(url, "ws://relay").searchParams.get("room");
+  return room && room.trim() ? room.trim().slice(0, 100) : "default";
+};
+
+/**
+ * Starts the relay.
+ * @param {object} [options] - Options passed on to the `ws` WebSocketServer (e.g. `port`, `host`, `server`).
+ * @returns {WebSocketServer} The running server. Close it with `server.close()`.
+ */
+export const startRelay = (options = {}) => {
+  /** @type {Map<string, Map<string, RelayClient>>} Rooms by name; each holds its clients in joining order. */
+  const rooms = new Map();
+  /** @type {Map<string, string>} Outstanding state requests: requester ID to the ID of the peer asked. */
+  const pendingStates = new Map();
+
+  const server = new WebSocketServer({
+    maxPayload: MAX_MESSAGE_BYTES,
+    ...options,
+  });
+
+  /**
+   * Sends a message to a client if its connection is open.
+   * @param {RelayClient} client - The recipient.
+   * @param {object} message - The message.
+   */
+  const send = (client, message) => {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(JSON.stringify(message));
+    }
+  };
+
+  /**
+   * Asks the longest-connected peer of the requester's room for the full table state.
+   * @param {RelayClient} requester - The client waiting for the state.
+   */
+  const requestState = (requester) => {
+    const room = rooms.get(requester.room);
+    const host = room
+      ? Array.from(room.values()).find(
+          (client) =>
+            client.id !== requester.id && !pendingStates.has(client.id),
+        )
+      : null;
+    if (!host) {
+      // Everyone else left (or is still joining themselves): the requester's own table becomes the room's table.
+      dRelay("No peer can provide a state for %s.", requester.id);
+      pendingStates.delete(requester.id);
+      send(requester, { type: "state", from: null, state: null });
+      return;
+    }
+    dRelay("Asking %s for the state of room '%s'.", host.id, requester.room);
+    pendingStates.set(requester.id, host.id);
+    send(host, { type: "stateRequest", requesterId: requester.id });
+  };
+
+  /**
+   * Handles a message from a client.
+   * @param {RelayClient} client - The sender.
+   * @param {string} raw - The message text.
+   */
+  const handleMessage = (client, raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      send(client, { type: "error", message: "Messages must be JSON." });
+      return;
+    }
+    const room = rooms.get(client.room);
+    if (message?.type === "ops" && Array.isArray(message.ops)) {
+      room.forEach((peer) => {
+        // Peers still waiting for their state get the ops too; they replay them once the state arrives.
+        if (peer.id !== client.id) {
+          send(peer, { type: "ops", from: client.id, ops: message.ops });
+        }
+      });
+    } else if (message?.type === "state") {
+      const requester = room.get(message.to);
+      if (!requester || pendingStates.get(requester.id) !== client.id) {
+        dRelay("Ignoring unrequested state from %s.", client.id);
+        return;
+      }
+      pendingStates.delete(requester.id);
+      send(requester, { type: "state", from: client.id, state: message.state });
+    } else {
+      send(client, {
+        type: "error",
+        message: `Unknown message type '${message?.type}'.`,
+      });
+    }
+  };
+
+  /**
+   * Removes a disconnected client and re-asks for the states it was supposed to provide.
+   * @param {RelayClient} client - The client that left.
+   */
+  const handleClose = (client) => {
+    const room = rooms.get(client.room);
+    room.delete(client.id);
+    pendingStates.delete(client.id);
+    log.info(`[relay] ${client.id} left room '${client.room}'.`);
+    if (room.size === 0) {
+      rooms.delete(client.room);
+      return;
+    }
+    room.forEach((peer) =>
+      send(peer, { type: "peerLeft", clientId: client.id }),
+    );
+    Array.from(pendingStates.entries())
+      .filter(([, hostId]) => hostId === client.id)
+      .forEach(([requesterId]) => requestState(room.get(requesterId)));
+  };
+
+  server.on("connection", (socket, request) => {
+    const client = {
+      id: randomUUID(),
+      room: getRoomName(request.url),
+      socket,
+      alive: true,
+    };
+    if (!rooms.has(client.room)) rooms.set(client.room, new Map());
+    const room = rooms.get(client.room);
+    const peers = Array.from(room.keys());
+    room.set(client.id, client);
+    log.info(
+      `[relay] ${client.id} joined room '${client.room}' (${room.size} connected).`,
+    );
+
+    socket.on("message", (data) => handleMessage(client, data.toString()));
+    socket.on("pong", () => {
+      client.alive = true;
+    });
+    socket.on("close", () => handleClose(client));
+    socket.on("error", (error) => {
+      log.warn(`[relay] Connection error for ${client.id}:`, error.message);
+    });
+
+    send(client, {
+      type: "welcome",
+      clientId: client.id,
+      room: client.room,
+      peers,
+    });
+    peers.forEach((peerId) =>
+      send(room.get(peerId), { type: "peerJoined", clientId: client.id }),
+    );
+    if (peers.length > 0) requestState(client);
+  });
+
+  const heartbeat = setInterval(() => {
+    rooms.forEach((room) =>
+      room.forEach((client) => {
+        if (!client.alive) {
+          dRelay("%s missed a heartbeat, disconnecting.", client.id);
+          client.socket.terminate();
+          return;
+        }
+        client.alive = false;
+        client.socket.ping();
+      }),
+    );
+  }, HEARTBEAT_INTERVAL_MS);
+  server.on("close", () => clearInterval(heartbeat));
+
+  return server;
+};
+
+// Start listening when run directly (`node server/relay.js`), not when imported.
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  log.setLevel("info");
+  const port = Number(process.env.RELAY_PORT) || DEFAULT_RELAY_PORT;
+  const host = process.env.RELAY_HOST || undefined;
+  const server = startRelay({ port, host });
+  server.on("listening", () =>
+    log.info(`[relay] Listening on ws://${host || "localhost"}:${port}`),
+  );
+}
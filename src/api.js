@@ -2,12 +2,114 @@
 import log from "loglevel";
 import debug from "debug";
 import * as model from "./model/model.js";
+import {
+  DECK_TYPE,
+  isDeck,
+  isCard,
+  normalizeCardDefinition,
+  shuffleCards,
+  cardObjectProps,
+  cardDefinitionFromObject,
+} from "./model/deck.js";
+import {
+  isGroup,
+  getChildIds,
+  buildParentIndex,
+  resolveWorldObject,
+  toWorldObject,
+  toLocalObject,
+  groupObjectProps,
+  getDescendantIds,
+} from "./model/group.js";
+import { compareByLayerAndZIndex } from "./model/layers.js";
+import {
+  collectObjectsForCopy,
+  prepareObjectsForPaste,
+} from "./model/clipboard.js";
+import {
+  createTemplate,
+  findTemplate,
+  instantiateTemplate,
+} from "./model/templates.js";
+import {
+  isAssetData,
+  computeAssetHash,
+  toAssetUrl,
+  normalizeAssets,
+} from "./model/assets.js";
 
 const dApi = debug("app:api");
 dApi("api.js module loaded");
 
 let showMessageCallback = null;
 
+/**
+ * Retrieves a deck by ID, logging a warning if the object is missing or not a deck.
+ * @param {string} deckId - The deck's ID.
+ * @param {string} caller - Name of the calling API method, for the warning.
+ * @returns {VTTObject | null} A copy of the deck, or null.
+ */
+const getDeckOrWarn = (deckId, caller) => {
+  const deck = model.getObject(deckId);
+  if (!isDeck(deck)) {
+    log.warn(`[VTT_API.${caller}] Object ${deckId} is not a deck.`);
+    dApi("%s failed: %s is not a deck", caller, deckId);
+    return null;
+  }
+  return deck;
+};
+
+/**
+ * Looks up the table's objects and how they are grouped.
+ * @returns {{getObject: function(string): (VTTObject | undefined), parents: Map<string, string>}} Copies of the
+ *          objects by ID, and the group of each grouped object (see model/group.js).
+ */
+const getHierarchy = () => {
+  const objects = new Map(model.getAllObjects().map((obj) => [obj.id, obj]));
+  return {
+    getObject: (id) => objects.get(id),
+    parents: buildParentIndex(objects.values()),
+  };
+};
+
+/**
+ * Checks that the current user may change or delete an object, telling the user if not.
+ * Missing objects pass, so the caller reports them as usual.
+ * @param {string} objectId - The object's ID.
+ * @param {string} caller - Name of the calling API method, for the warning.
+ * @returns {boolean} True if the change may go ahead.
+ */
+const checkEditPermission = (objectId, caller) => {
+  const obj = model.getObject(objectId);
+  if (!obj || model.canEditObject(objectId)) return true;
+  const { role } = model.getCurrentUser();
+  log.warn(`[VTT_API.${caller}] ${role} may not edit object ${objectId}.`);
+  dApi("%s denied: %s may not edit %s", caller, role, objectId);
+  if (typeof showMessageCallback === "function") {
+    showMessageCallback(
+      `You do not have permission to change "${obj.name || objectId}".`,
+      "warning",
+    );
+  }
+  return false;
+};
+
+/**
+ * Checks that the current user may change the table (spectators may not), telling the user if not.
+ * @param {string} caller - Name of the calling API method, for the warning.
+ * @returns {boolean} True if the change may go ahead.
+ */
+const checkTablePermission = (caller) => {
+  if (model.canEditTable()) return true;
+  const { role } = model.getCurrentUser();
+  log.warn(`[VTT_API.${caller}] ${role} may not change the table.`);
+  dApi("%s denied: %s may not change the table", caller, role);
+  if (typeof showMessageCallback === "function") {
+    showMessageCallback("Spectators cannot change the table.", "warning");
+  }
+  return false;
+};
+
 /**
  * Initializes the VTT_API module, primarily by setting up necessary callbacks.
  * @param {object} config - Configuration object for the API.
@@ -45,7 +147,7 @@ export const VTT_API = {
   },
 
   /**
-   * Updates the 'data' field of a specified object.
+   * Updates the 'data' field of a specified object, if the current user may edit it.
    * @param {string} objectId - The ID of the object to update.
    * @param {Object} newData - The new data to merge into the object's existing 'data' property.
    * @param {VTTObject} [contextObject] - The object whose script is currently executing.
@@ -57,6 +159,7 @@ export const VTT_API = {
       newData,
       contextObject,
     );
+    if (!checkEditPermission(objectId, "updateObjectState")) return;
     const obj = model.getObject(objectId); // model.getObject returns a copy
     if (obj) {
       // We are updating only the 'data' field here as per the spec.
@@ -110,6 +213,7 @@ export const VTT_API = {
   createObject: (arg1, arg2) => {
     // arg1 can be shape (string) or full object props
     dApi("createObject called with: %o, %o", arg1, arg2);
+    if (!checkTablePermission("createObject")) return null;
     let shape, initialProps;
     if (
       typeof arg1 === "string" &&
@@ -152,7 +256,8 @@ export const VTT_API = {
    * Updates an existing object with new properties.
    * @param {string} objectId - The ID of the object to update.
    * @param {Partial<VTTObject>} updatedProps - An object containing the properties to update.
-   * @returns {VTTObject | null} A copy of the updated object, or null if the object was not found or update failed.
+   * @returns {VTTObject | null} A copy of the updated object, or null if the object was not found, the current user
+   *          may not edit it (see `canEditObject`), or the update failed.
    */
   updateObject: (objectId, updatedProps) => {
     dApi(
@@ -160,21 +265,57 @@ export const VTT_API = {
       objectId,
       updatedProps,
     );
+    if (!checkEditPermission(objectId, "updateObject")) return null;
     const updatedObj = model.updateObject(objectId, updatedProps);
     dApi("updateObject: model.updateObject returned: %o", updatedObj);
     return updatedObj;
   },
 
   /**
-   * Deletes an object from the canvas.
+   * Deletes an object from the canvas. Deleting a group deletes the objects in it; deleting an object in a group
+   * removes it from the group. Either is one undoable step.
    * @param {string} objectId - The ID of the object to delete.
-   * @returns {boolean} True if deletion was successful, false otherwise.
+   * @returns {boolean} True if deletion was successful, false otherwise (including when the current user may not edit
+   *          the object, its group, or an object in it).
    */
   deleteObject: (objectId) => {
     dApi("deleteObject called for id: %s", objectId);
-    const result = model.deleteObject(objectId);
-    dApi("deleteObject: model.deleteObject returned: %s", result);
-    return result;
+    if (!checkEditPermission(objectId, "deleteObject")) return false;
+    const { getObject, parents } = getHierarchy();
+    const obj = getObject(objectId);
+    const parent = getObject(parents.get(objectId));
+    const descendantIds = obj ? getDescendantIds(obj, getObject, parents) : [];
+    // The group loses a child and the grouped objects go too, so all of them must be editable
+    if (
+      (parent && !checkEditPermission(parent.id, "deleteObject")) ||
+      !descendantIds.every((id) => checkEditPermission(id, "deleteObject"))
+    ) {
+      return false;
+    }
+    if (!parent && descendantIds.length === 0) {
+      const result = model.deleteObject(objectId);
+      dApi("deleteObject: model.deleteObject returned: %s", result);
+      return result;
+    }
+    model.beginHistoryBatch(`Delete ${obj.name || "object"}`);
+    try {
+      if (parent) {
+        model.updateObject(parent.id, {
+          children: getChildIds(parent).filter((id) => id !== objectId),
+        });
+      }
+      descendantIds.forEach((id) => model.deleteObject(id));
+      const result = model.deleteObject(objectId);
+      dApi(
+        "deleteObject: deleted %s with %d grouped objects: %s",
+        objectId,
+        descendantIds.length,
+        result,
+      );
+      return result;
+    } finally {
+      model.endHistoryBatch();
+    }
   },
 
   /**
@@ -193,6 +334,7 @@ export const VTT_API = {
    */
   clearAllObjects: () => {
     dApi("clearAllObjects called");
+    if (!checkTablePermission("clearAllObjects")) return;
     model.clearAllObjects();
     dApi("clearAllObjects: model.clearAllObjects executed");
   },
@@ -205,6 +347,7 @@ export const VTT_API = {
    */
   setTableBackground: (backgroundProps) => {
     dApi("setTableBackground called with: %o", backgroundProps);
+    if (!checkTablePermission("setTableBackground")) return;
     // model.setTableBackground will dispatch a modelChanged event,
     // which is handled by main.js to trigger a redraw event.
     model.setTableBackground(backgroundProps);
@@ -243,6 +386,8 @@ export const VTT_API = {
    */
   setBoardProperties: (properties) => {
     dApi("setBoardProperties called with: %o", properties);
+    if (!checkTablePermission("setBoardProperties"))
+      return model.getBoardProperties();
     // properties is an object e.g., { widthUser: 36, heightUser: 24, unitForDimensions: 'in', scaleRatio: 1, unitForRatio: 'mm' }
     const currentBoardProps = model.updateBoardProperties(properties);
     dApi(
@@ -264,6 +409,179 @@ export const VTT_API = {
     return props;
   },
 
+  /**
+   * Retrieves the current grid settings.
+   * @returns {object} The grid settings (type, cellSize, offsetX, offsetY, color, opacity, snap). Sizes are in the board's unitForDimensions.
+   */
+  getGrid: () => {
+    dApi("getGrid called");
+    const grid = model.getGrid();
+    dApi("getGrid returning: %o", grid);
+    return grid;
+  },
+
+  /**
+   * Updates the grid settings. Only the given settings are changed; invalid values are ignored.
+   * @param {object} gridSettings - E.g., { type: 'square', cellSize: 1, snap: true }. Type is one of 'none', 'square', 'hex-flat', 'hex-pointy'.
+   * @returns {object} The grid settings after the update.
+   */
+  setGrid: (gridSettings) => {
+    dApi("setGrid called with: %o", gridSettings);
+    if (!checkTablePermission("setGrid")) return model.getGrid();
+    const grid = model.setGrid(gridSettings);
+    // model.setGrid dispatches 'gridChanged' if anything changed
+    return grid;
+  },
+
+  /**
+   * Retrieves the fog of war.
+   * @returns {object} The fog state: `enabled` and `regions`, the revealed and covered regions in board coordinates
+   *   (see model/fog.js).
+   */
+  getFog: () => {
+    dApi("getFog called");
+    return model.getFog();
+  },
+
+  /**
+   * Updates the fog of war. Given fields replace the current ones; invalid regions are dropped.
+   * E.g., `setFog({ enabled: true })`, or `setFog({ regions: [] })` to cover the whole table again.
+   * @param {object} fog - The fields to change: `enabled` and/or `regions`.
+   * @returns {object} The fog state after the update.
+   */
+  setFog: (fog) => {
+    dApi("setFog called with: %o", fog);
+    if (!checkTablePermission("setFog")) return model.getFog();
+    // model.setFog dispatches 'fogChanged' if anything changed
+    return model.setFog(fog);
+  },
+
+  /**
+   * Reveals or covers a region of the table, on top of the existing regions.
+   * @param {object} region - E.g., { mode: 'reveal', shape: 'rect', x: 0, y: 0, width: 200, height: 100 }.
+   *   Shapes are 'rect' (x, y, width, height), 'polygon' (points) and 'brush' (points, radius).
+   * @returns {object | null} The fog state after the update, or null if the region is invalid.
+   */
+  addFogRegion: (region) => {
+    dApi("addFogRegion called with: %o", region);
+    if (!checkTablePermission("addFogRegion")) return null;
+    return model.addFogRegion(region);
+  },
+
+  /**
+   * Retrieves the walls that block sight and light.
+   * @returns {Array<object>} The walls: segments `{ id, x1, y1, x2, y2 }` in board coordinates, doors with
+   *          `door: true` and `open` (see model/lighting.js).
+   */
+  getWalls: () => {
+    dApi("getWalls called");
+    return model.getWalls();
+  },
+
+  /**
+   * Replaces all walls. Invalid walls are dropped; walls without an `id` get one.
+   * @param {Array<object>} walls - The walls, e.g. `[{ x1: 0, y1: 0, x2: 100, y2: 0 }]`.
+   * @returns {Array<object>} The walls after the update.
+   */
+  setWalls: (walls) => {
+    dApi("setWalls called with %d walls", walls?.length);
+    if (!checkTablePermission("setWalls")) return model.getWalls();
+    // model.setWalls dispatches 'wallsChanged' if anything changed
+    return model.setWalls(walls);
+  },
+
+  /**
+   * Adds wall segments, as a single undo step.
+   * @param {Array<object>} segments - The segments, e.g. `[{ x1: 0, y1: 0, x2: 100, y2: 0 }]`.
+   * @returns {Array<object>} The added walls, with their IDs.
+   */
+  addWalls: (segments) => {
+    dApi("addWalls called with: %o", segments);
+    if (!checkTablePermission("addWalls")) return [];
+    return model.addWalls(segments);
+  },
+
+  /**
+   * Removes walls, as a single undo step.
+   * @param {string[]} ids - The IDs of the walls to remove.
+   * @returns {Array<object>} The walls after the update.
+   */
+  removeWalls: (ids) => {
+    dApi("removeWalls called with: %o", ids);
+    if (!checkTablePermission("removeWalls")) return model.getWalls();
+    return model.removeWalls(ids);
+  },
+
+  /**
+   * Opens or closes a door (a wall with `door: true`), as a single undo step. Open doors block neither sight nor
+   * light.
+   * @param {string} id - The door's wall ID.
+   * @param {boolean} open - Whether the door should be open.
+   * @returns {boolean} False if there is no door with this ID.
+   */
+  setDoorOpen: (id, open) => {
+    dApi("setDoorOpen called with id: %s, open: %s", id, open);
+    if (!checkTablePermission("setDoorOpen")) return false;
+    return model.setDoorOpen(id, Boolean(open));
+  },
+
+  /**
+   * Retrieves the dynamic lighting settings.
+   * @returns {object} The settings: `enabled` (players only see what their tokens see) and `daylight`
+   *   (tokens see everything in their line of sight, not only lit areas).
+   */
+  getLighting: () => {
+    dApi("getLighting called");
+    return model.getLighting();
+  },
+
+  /**
+   * Updates the dynamic lighting settings. Given fields replace the current ones.
+   * E.g., `setLighting({ enabled: true, daylight: false })`.
+   * @param {object} lighting - The fields to change: `enabled` and/or `daylight`.
+   * @returns {object} The settings after the update.
+   */
+  setLighting: (lighting) => {
+    dApi("setLighting called with: %o", lighting);
+    if (!checkTablePermission("setLighting")) return model.getLighting();
+    // model.setLighting dispatches 'lightingChanged' if anything changed
+    return model.setLighting(lighting);
+  },
+
+  /**
+   * Retrieves the layers objects are grouped in, bottom first.
+   * @returns {Array<object>} The layers: `{ id, name, locked, hidden, gmOnly }` (see model/layers.js). Objects refer
+   *   to their layer by ID in their `layer` property.
+   */
+  getLayers: () => {
+    dApi("getLayers called");
+    return model.getLayers();
+  },
+
+  /**
+   * Replaces all layers. Invalid layers are dropped; an empty list restores the default layers.
+   * @param {Array<object>} layers - The layers, bottom first.
+   * @returns {Array<object>} The layers after the update.
+   */
+  setLayers: (layers) => {
+    dApi("setLayers called with %d layers", layers?.length);
+    if (!checkTablePermission("setLayers")) return model.getLayers();
+    // model.setLayers dispatches 'layersChanged' if anything changed
+    return model.setLayers(layers);
+  },
+
+  /**
+   * Changes one layer, e.g. `updateLayer('map', { locked: true })`.
+   * @param {string} layerId - The ID of the layer.
+   * @param {object} props - The changed properties: `name`, `locked`, `hidden` and/or `gmOnly`.
+   * @returns {Array<object> | null} The layers after the update, or null if the layer does not exist.
+   */
+  updateLayer: (layerId, props) => {
+    dApi("updateLayer called for %s with: %o", layerId, props);
+    if (!checkTablePermission("updateLayer")) return null;
+    return model.updateLayer(layerId, props);
+  },
+
   /**
    * Retrieves the current pan and zoom state of the canvas.
    * @returns {object} An object with panX, panY, and zoom properties.
@@ -298,7 +616,7 @@ export const VTT_API = {
   // setTableBackground already exists and calls model.setTableBackground
 
   /**
-   * Retrieves the ID of the currently selected object.
+   * Retrieves the ID of the primary selected object (the one shown in the inspector).
    * @returns {string | null} The ID of the selected object, or null if no object is selected.
    */
   getSelectedObjectId: () => {
@@ -309,7 +627,7 @@ export const VTT_API = {
   },
 
   /**
-   * Sets the currently selected object.
+   * Sets the currently selected object, replacing any multi-selection.
    * @param {string | null} id - The ID of the object to select, or null to deselect.
    */
   setSelectedObjectId: (id) => {
@@ -318,8 +636,726 @@ export const VTT_API = {
     dApi("setSelectedObjectId: model.setSelectedObjectId executed");
     // No requestRedrawEvent() here; model.setSelectedObjectId dispatches 'modelChanged'
   },
+
+  /**
+   * Retrieves the IDs of all selected objects.
+   * @returns {string[]} The selected object IDs, in selection order.
+   */
+  getSelectedObjectIds: () => {
+    dApi("getSelectedObjectIds called");
+    const ids = model.getSelectedObjectIds();
+    dApi("getSelectedObjectIds returning: %o", ids);
+    return ids;
+  },
+
+  /**
+   * Replaces the current selection with the given objects.
+   * @param {string[]} ids - The IDs of the objects to select. An empty array clears the selection.
+   * @param {string | null} [primaryId] - The object to show in the inspector. Defaults to the last ID in `ids`.
+   */
+  setSelection: (ids, primaryId) => {
+    dApi("setSelection called with ids: %o, primaryId: %s", ids, primaryId);
+    model.setSelection(ids, primaryId);
+    // model.setSelection dispatches 'selectionChanged' if the selection changed
+  },
   // getBoardProperties and setBoardProperties already exist
 
+  /**
+   * Reverts the most recent change to objects, background or board properties.
+   * @returns {string | null} A description of the undone step, or null if there was nothing to undo.
+   */
+  undo: () => {
+    dApi("undo called");
+    if (!checkTablePermission("undo")) return null;
+    const label = model.undo();
+    dApi("undo: model.undo returned: %s", label);
+    return label;
+  },
+
+  /**
+   * Re-applies the most recently undone change.
+   * @returns {string | null} A description of the redone step, or null if there was nothing to redo.
+   */
+  redo: () => {
+    dApi("redo called");
+    if (!checkTablePermission("redo")) return null;
+    const label = model.redo();
+    dApi("redo: model.redo returned: %s", label);
+    return label;
+  },
+
+  /**
+   * Retrieves whether undo/redo are currently available.
+   * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string | null, redoLabel: string | null}}
+   */
+  getHistoryState: () => {
+    dApi("getHistoryState called");
+    return model.getHistoryState();
+  },
+
+  /**
+   * Groups all following changes into a single undoable step until `endHistoryBatch` is called.
+   * Scripts that make several related changes can use this so one undo reverts them together.
+   * @param {string} [label] - Description of the step (e.g., 'Move object').
+   */
+  beginHistoryBatch: (label) => {
+    dApi("beginHistoryBatch called with label: %s", label);
+    model.beginHistoryBatch(label);
+  },
+
+  /**
+   * Closes the step opened by `beginHistoryBatch`.
+   */
+  endHistoryBatch: () => {
+    dApi("endHistoryBatch called");
+    model.endHistoryBatch();
+  },
+
+  /**
+   * Clears the undo/redo history (e.g., after restoring a session on startup).
+   */
+  clearHistory: () => {
+    dApi("clearHistory called");
+    model.clearHistory();
+  },
+
+  // --- Card decks (see model/deck.js) ---
+
+  /**
+   * Creates a deck holding the given cards.
+   * @param {Array<Partial<import('./model/deck.js').CardDefinition>>} cards - The cards, top card first.
+   *        Cards without an `id` get one.
+   * @param {Partial<VTTObject>} [initialProps] - Further properties of the deck object (position, size, appearance...).
+   * @returns {VTTObject | null} A copy of the new deck, or null if a card definition is invalid.
+   */
+  createDeck: (cards = [], initialProps = {}) => {
+    dApi(
+      "createDeck called with %d cards, props: %o",
+      cards.length,
+      initialProps,
+    );
+    if (!checkTablePermission("createDeck")) return null;
+    let definitions;
+    try {
+      definitions = cards.map(normalizeCardDefinition);
+    } catch (error) {
+      log.error("VTT_API.createDeck: Invalid card definition.", error);
+      return null;
+    }
+    return model.createObject("rectangle", {
+      name: "Deck",
+      width: 100,
+      height: 140,
+      ...initialProps,
+      type: DECK_TYPE,
+      cards: definitions,
+    });
+  },
+
+  /**
+   * Puts a deck's cards in random order.
+   * @param {string} deckId - The deck's ID.
+   * @returns {VTTObject | null} A copy of the updated deck, or null if `deckId` is not a deck or the current user may
+   *          not edit it.
+   */
+  shuffleDeck: (deckId) => {
+    dApi("shuffleDeck called for id: %s", deckId);
+    const deck = getDeckOrWarn(deckId, "shuffleDeck");
+    if (!deck || !checkEditPermission(deckId, "shuffleDeck")) return null;
+    model.beginHistoryBatch(`Shuffle ${deck.name || "deck"}`);
+    try {
+      return model.updateObject(deckId, { cards: shuffleCards(deck.cards) });
+    } finally {
+      model.endHistoryBatch();
+    }
+  },
+
+  /**
+   * Draws the top card of a deck onto the table.
+   * @param {string} deckId - The deck's ID.
+   * @param {object} [options] - Placement options.
+   * @param {boolean} [options.faceUp=false] - Whether the card lands face up.
+   * @param {number} [options.x] - X position of the card (defaults to just right of the deck).
+   * @param {number} [options.y] - Y position of the card (defaults to the deck's).
+   * @returns {VTTObject | null} A copy of the new card object, or null if the deck is empty, not a deck, or the
+   *          current user may not edit it.
+   */
+  drawCard: (deckId, options = {}) => {
+    dApi("drawCard called for id: %s, options: %o", deckId, options);
+    const deck = getDeckOrWarn(deckId, "drawCard");
+    if (!deck || !checkEditPermission(deckId, "drawCard")) return null;
+    if (deck.cards.length === 0) {
+      dApi("drawCard: deck %s is empty", deckId);
+      return null;
+    }
+    const [card, ...remaining] = deck.cards;
+    // Drawn cards land above everything else on the table
+    const topZIndex = Math.max(
+      ...model.getAllObjects().map((obj) => obj.zIndex || 0),
+    );
+    model.beginHistoryBatch(`Draw ${card.name || "card"}`);
+    try {
+      model.updateObject(deckId, { cards: remaining });
+      return model.createObject(
+        "rectangle",
+        cardObjectProps(card, deck, { zIndex: topZIndex + 1, ...options }),
+      );
+    } finally {
+      model.endHistoryBatch();
+    }
+  },
+
+  /**
+   * Puts a card object back into a deck and removes it from the table.
+   * @param {string} cardObjectId - The ID of the card object.
+   * @param {string} [deckId] - The deck to return it to. Defaults to the deck it was drawn from.
+   * @param {'top' | 'bottom'} [position='top'] - Where the card goes in the deck.
+   * @returns {VTTObject | null} A copy of the updated deck, or null if the card or deck was not found or the current
+   *          user may not edit one of them.
+   */
+  returnCardToDeck: (cardObjectId, deckId, position = "top") => {
+    dApi(
+      "returnCardToDeck called for card: %s, deck: %s, position: %s",
+      cardObjectId,
+      deckId,
+      position,
+    );
+    const cardObject = model.getObject(cardObjectId);
+    if (!isCard(cardObject)) {
+      log.warn(
+        `[VTT_API.returnCardToDeck] Object ${cardObjectId} is not a card.`,
+      );
+      return null;
+    }
+    if (!checkEditPermission(cardObjectId, "returnCardToDeck")) return null;
+    const deck = getDeckOrWarn(deckId || cardObject.deckId, "returnCardToDeck");
+    if (!deck || !checkEditPermission(deck.id, "returnCardToDeck")) return null;
+    const definition = cardDefinitionFromObject(cardObject);
+    const cards =
+      position === "bottom"
+        ? [...deck.cards, definition]
+        : [definition, ...deck.cards];
+    model.beginHistoryBatch(`Return ${cardObject.name || "card"} to deck`);
+    try {
+      model.deleteObject(cardObjectId);
+      return model.updateObject(deck.id, { cards });
+    } finally {
+      model.endHistoryBatch();
+    }
+  },
+
+  /**
+   * Looks at the top cards of a deck without drawing them.
+   * @param {string} deckId - The deck's ID.
+   * @param {number} [count=1] - Number of cards to look at.
+   * @returns {Array<import('./model/deck.js').CardDefinition> | null} Copies of the cards, top card first,
+   *          or null if `deckId` is not a deck or the current user cannot see it.
+   */
+  peekDeck: (deckId, count = 1) => {
+    dApi("peekDeck called for id: %s, count: %d", deckId, count);
+    const deck = getDeckOrWarn(deckId, "peekDeck");
+    if (!deck) return null;
+    if (!model.canSeeObject(deckId)) {
+      log.warn(`[VTT_API.peekDeck] Deck ${deckId} is hidden from this user.`);
+      return null;
+    }
+    return structuredClone(deck.cards.slice(0, Math.max(0, count)));
+  },
+
+  /**
+   * Turns a card face up or face down.
+   * @param {string} cardObjectId - The ID of the card object.
+   * @param {boolean} [faceUp] - The new side. Omit to flip the card over.
+   * @returns {VTTObject | null} A copy of the updated card, or null if the object is not a card or the current user
+   *          may not edit it.
+   */
+  flipCard: (cardObjectId, faceUp) => {
+    dApi("flipCard called for id: %s, faceUp: %s", cardObjectId, faceUp);
+    const cardObject = model.getObject(cardObjectId);
+    if (!isCard(cardObject)) {
+      log.warn(`[VTT_API.flipCard] Object ${cardObjectId} is not a card.`);
+      return null;
+    }
+    if (!checkEditPermission(cardObjectId, "flipCard")) return null;
+    const nextFaceUp =
+      typeof faceUp === "boolean" ? faceUp : !cardObject.faceUp;
+    return model.updateObject(cardObjectId, { faceUp: nextFaceUp });
+  },
+
+  // --- Groups (see model/group.js) ---
+
+  /**
+   * Puts objects into a new group, which moves, rotates and is picked as a whole.
+   * The group covers the objects and takes the layer and stacking order of the topmost of them.
+   * @param {string[]} objectIds - The objects to group (at least two, none of them already in a group).
+   * @param {Partial<VTTObject>} [initialProps] - Further properties of the group (name, access lists, data...).
+   * @returns {VTTObject | null} A copy of the new group, or null if the objects cannot be grouped (including when the
+   *          current user may not edit one of them).
+   */
+  groupObjects: (objectIds, initialProps = {}) => {
+    dApi("groupObjects called for ids: %o, props: %o", objectIds, initialProps);
+    const { getObject, parents } = getHierarchy();
+    const ids = [...new Set(Array.isArray(objectIds) ? objectIds : [])];
+    const objects = ids.map(getObject);
+    if (objects.length < 2 || objects.some((obj) => !obj)) {
+      log.warn("[VTT_API.groupObjects] At least two existing objects needed.");
+      return null;
+    }
+    if (ids.some((id) => parents.has(id))) {
+      log.warn(
+        "[VTT_API.groupObjects] Objects already in a group cannot be grouped again; group their group instead.",
+      );
+      return null;
+    }
+    if (!ids.every((id) => checkEditPermission(id, "groupObjects"))) {
+      return null;
+    }
+    objects.sort(compareByLayerAndZIndex(model.getLayers()));
+    const { name, ...placement } = groupObjectProps(objects);
+    model.beginHistoryBatch("Group objects");
+    try {
+      const group = model.createObject("rectangle", {
+        name,
+        ...initialProps,
+        ...placement,
+      });
+      objects.forEach((obj) => {
+        const { x, y, rotation } = toLocalObject(obj, group);
+        model.updateObject(obj.id, { x, y, rotation });
+      });
+      return model.getObject(group.id);
+    } finally {
+      model.endHistoryBatch();
+    }
+  },
+
+  /**
+   * Dissolves a group: its objects stay where they are on the table and become separate objects again (or join
+   * the group the dissolved group was in).
+   * @param {string} groupId - The group's ID.
+   * @returns {VTTObject[] | null} Copies of the objects that were in the group, or null if `groupId` is not a group
+   *          or the current user may not edit it.
+   */
+  ungroupObject: (groupId) => {
+    dApi("ungroupObject called for id: %s", groupId);
+    const { getObject, parents } = getHierarchy();
+    const group = getObject(groupId);
+    if (!isGroup(group)) {
+      log.warn(`[VTT_API.ungroupObject] Object ${groupId} is not a group.`);
+      return null;
+    }
+    if (!checkEditPermission(groupId, "ungroupObject")) return null;
+    const worldGroup = resolveWorldObject(group, getObject, parents);
+    const parent = getObject(parents.get(groupId));
+    const worldParent =
+      parent && resolveWorldObject(parent, getObject, parents);
+    const childIds = getChildIds(group).filter(
+      (id) => parents.get(id) === groupId,
+    );
+    model.beginHistoryBatch(`Ungroup ${group.name || "group"}`);
+    try {
+      model.updateObject(groupId, { children: [] });
+      childIds.forEach((childId) => {
+        const worldChild = toWorldObject(getObject(childId), worldGroup);
+        const { x, y, rotation } = worldParent
+          ? toLocalObject(worldChild, worldParent)
+          : worldChild;
+        model.updateObject(childId, {
+          x,
+          y,
+          rotation,
+          ...(group.layer ? { layer: group.layer } : {}),
+        });
+      });
+      if (parent) {
+        model.updateObject(parent.id, {
+          children: getChildIds(parent).flatMap((id) =>
+            id === groupId ? childIds : [id],
+          ),
+        });
+      }
+      model.deleteObject(groupId);
+    } finally {
+      model.endHistoryBatch();
+    }
+    return childIds.map((id) => model.getObject(id));
+  },
+
+  /**
+   * Retrieves a copy of an object with its position and rotation on the table. Objects in a group store them
+   * relative to their group; other objects are returned unchanged.
+   * @param {string} objectId - The ID of the object.
+   * @returns {VTTObject | undefined} The copy, or undefined if not found.
+   */
+  getWorldObject: (objectId) => {
+    dApi("getWorldObject called for id: %s", objectId);
+    const { getObject, parents } = getHierarchy();
+    const obj = getObject(objectId);
+    return obj && { ...resolveWorldObject(obj, getObject, parents) };
+  },
+
+  // --- Copy and paste (see model/clipboard.js) ---
+
+  /**
+   * Copies objects, e.g. to paste them later with `pasteObjects` (possibly in another session).
+   * @param {string[]} objectIds - The objects to copy. Groups are copied with the objects in them.
+   * @returns {VTTObject[]} Copies of the objects, the ones asked for with their position and rotation on the table.
+   */
+  copyObjects: (objectIds) => {
+    dApi("copyObjects called for ids: %o", objectIds);
+    const { getObject, parents } = getHierarchy();
+    const objects = collectObjectsForCopy(
+      Array.isArray(objectIds) ? objectIds : [],
+      getObject,
+      parents,
+    );
+    dApi("copyObjects returning %d objects.", objects.length);
+    return objects;
+  },
+
+  /**
+   * Creates new objects from copied ones (see `copyObjects`), with fresh IDs. One undoable step.
+   * @param {VTTObject[]} objects - The copied objects.
+   * @param {{x: number, y: number}} [position] - Where to center the new objects on the table. Defaults to slightly
+   *        right of and below the originals.
+   * @returns {VTTObject[]} Copies of the new objects, without the objects inside new groups.
+   */
+  pasteObjects: (objects, position) => {
+    dApi(
+      "pasteObjects called with %d objects at %o",
+      objects?.length,
+      position,
+    );
+    if (!checkTablePermission("pasteObjects")) return [];
+    if (!Array.isArray(objects) || objects.length === 0) return [];
+    const prepared = prepareObjectsForPaste(objects, position);
+    model.beginHistoryBatch(
+      objects.length === 1
+        ? `Paste ${objects[0].name || "object"}`
+        : "Paste objects",
+    );
+    try {
+      prepared.objects.forEach((props) =>
+        model.createObject(props.shape, props),
+      );
+    } finally {
+      model.endHistoryBatch();
+    }
+    return prepared.topLevelIds.map((id) => model.getObject(id));
+  },
+
+  /**
+   * Copies objects and pastes them right away, slightly right of and below the originals.
+   * @param {string[]} objectIds - The objects to duplicate. Groups are duplicated with the objects in them.
+   * @returns {VTTObject[]} Copies of the new objects, without the objects inside new groups.
+   */
+  duplicateObjects: (objectIds) => {
+    dApi("duplicateObjects called for ids: %o", objectIds);
+    return VTT_API.pasteObjects(VTT_API.copyObjects(objectIds));
+  },
+
+  // --- Templates (see model/templates.js) ---
+
+  /**
+   * Retrieves the table's object templates (the built-in templates are not included).
+   * @returns {Array<object>} The templates: `{ id, name, objects }`, where `objects` holds the saved object first.
+   */
+  getTemplates: () => {
+    dApi("getTemplates called");
+    return model.getTemplates();
+  },
+
+  /**
+   * Replaces all of the table's object templates. Invalid templates are dropped.
+   * @param {Array<object>} templates - The templates.
+   * @returns {Array<object>} The templates after the update.
+   */
+  setTemplates: (templates) => {
+    dApi("setTemplates called with %d templates", templates?.length);
+    if (!checkTablePermission("setTemplates")) return model.getTemplates();
+    // model.setTemplates dispatches 'templatesChanged' if anything changed
+    return model.setTemplates(templates);
+  },
+
+  /**
+   * Saves an object (with its appearance, size, data, scripts and, for a group, the objects in it) as a template.
+   * A template with the same name (ignoring case) is replaced.
+   * @param {string} objectId - The ID of the object.
+   * @param {string} [name] - The template's name. Defaults to the object's name.
+   * @returns {object | null} A copy of the template, or null if the object was not found or has no name.
+   */
+  saveTemplate: (objectId, name) => {
+    dApi("saveTemplate called for id: %s, name: %s", objectId, name);
+    if (!checkTablePermission("saveTemplate")) return null;
+    const { getObject, parents } = getHierarchy();
+    const obj = getObject(objectId);
+    if (!obj) {
+      log.warn(`[VTT_API.saveTemplate] Object ${objectId} not found.`);
+      return null;
+    }
+    const template = createTemplate(
+      name ?? obj.name,
+      collectObjectsForCopy([objectId], getObject, parents),
+    );
+    if (!template) {
+      log.warn("[VTT_API.saveTemplate] A template needs a name.");
+      return null;
+    }
+    const templates = model.getTemplates();
+    const key = template.name.toLowerCase();
+    const index = templates.findIndex((t) => t.name.toLowerCase() === key);
+    if (index === -1) {
+      templates.push(template);
+    } else {
+      template.id = templates[index].id;
+      templates[index] = template;
+    }
+    model.setTemplates(templates, `Save template ${template.name}`);
+    return structuredClone(template);
+  },
+
+  /**
+   * Adds templates, e.g. from a template pack. Templates with the same ID or name (ignoring case) as an existing one
+   * replace it. One undoable step.
+   * @param {Array<object>} templates - The templates.
+   * @returns {Array<object>} The templates after the update.
+   */
+  importTemplates: (templates) => {
+    dApi("importTemplates called with %d templates", templates?.length);
+    if (!checkTablePermission("importTemplates")) return model.getTemplates();
+    const incoming = Array.isArray(templates) ? templates : [];
+    const replaces = (existing) =>
+      incoming.some(
+        (t) =>
+          t?.id === existing.id ||
+          String(t?.name || "")
+            .trim()
+            .toLowerCase() === existing.name.toLowerCase(),
+      );
+    return model.setTemplates(
+      [...model.getTemplates().filter((t) => !replaces(t)), ...incoming],
+      "Import templates",
+    );
+  },
+
+  /**
+   * Removes a template from the table.
+   * @param {string} templateId - The template's ID.
+   * @returns {boolean} True if the template was removed.
+   */
+  removeTemplate: (templateId) => {
+    dApi("removeTemplate called for id: %s", templateId);
+    if (!checkTablePermission("removeTemplate")) return false;
+    const templates = model.getTemplates();
+    const template = templates.find((t) => t.id === templateId);
+    if (!template) return false;
+    model.setTemplates(
+      templates.filter((t) => t !== template),
+      `Remove template ${template.name}`,
+    );
+    return true;
+  },
+
+  /**
+   * Creates an object from a template (the table's templates, then the built-in ones: "Rectangle", "Circle",
+   * "Card Deck"). One undoable step.
+   * @param {string} nameOrId - The template's name (ignoring case) or ID.
+   * @param {Partial<VTTObject>} [props] - Properties overriding the template's, e.g. `{ x: 100, y: 200 }`.
+   * @returns {VTTObject | null} A copy of the new object, or null if there is no such template.
+   */
+  createFromTemplate: (nameOrId, props = {}) => {
+    dApi("createFromTemplate called for %s with props: %o", nameOrId, props);
+    if (!checkTablePermission("createFromTemplate")) return null;
+    const template = findTemplate(model.getTemplates(), nameOrId);
+    if (!template) {
+      log.warn(`[VTT_API.createFromTemplate] Template ${nameOrId} not found.`);
+      return null;
+    }
+    const objects = instantiateTemplate(template, props);
+    model.beginHistoryBatch(`Create ${template.name}`);
+    try {
+      objects.forEach((obj) => model.createObject(obj.shape, obj));
+    } finally {
+      model.endHistoryBatch();
+    }
+    return model.getObject(objects[0].id);
+  },
+
+  // --- Image assets (see model/assets.js) ---
+
+  /**
+   * Stores an image as an asset. An image that is already stored gives back the same reference.
+   * @param {string} data - The image as a data URL.
+   * @returns {Promise<string>} The asset reference (`asset:<hash>`), to use as an image URL.
+   * @throws {Error} If `data` is not an image data URL.
+   */
+  addImageAsset: async (data) => {
+    dApi("addImageAsset called with data length: %d", data?.length);
+    if (!isAssetData(data)) {
+      throw new Error("An image asset must be an image data URL.");
+    }
+    const hash = await computeAssetHash(data);
+    model.addAsset(hash, data);
+    return toAssetUrl(hash);
+  },
+
+  /**
+   * Adds assets, e.g. those embedded in a session file. Entries that are not image data URLs are ignored.
+   * @param {Object<string, string>} assets - Data URLs by hash.
+   * @returns {number} The number of assets that were not loaded before.
+   */
+  addAssets: (assets) => {
+    const entries = Object.entries(normalizeAssets(assets));
+    dApi("addAssets called with %d assets", entries.length);
+    return entries.filter(([hash, data]) => model.addAsset(hash, data)).length;
+  },
+
+  /**
+   * Retrieves a loaded asset.
+   * @param {string} hash - The asset's hash.
+   * @returns {string | null} The image as a data URL, or null if the asset is not loaded.
+   */
+  getAsset: (hash) => model.getAsset(hash),
+
+  /**
+   * Retrieves the loaded assets among the given ones.
+   * @param {string[]} hashes - The assets' hashes.
+   * @returns {Object<string, string>} Data URLs by hash.
+   */
+  getAssets: (hashes) => model.getAssets(hashes),
+
+  // --- Dice (see model/dice.js for the notation) ---
+
+  /**
+   * Rolls dice and adds the result to the roll log.
+   * @param {string} notation - Dice notation, e.g. '4d6kh3+2', 'd20adv', '3dF', '2d6!'.
+   * @param {string} [label] - What the roll is for (e.g., 'Attack'), shown in the roll log.
+   * @returns {import('./model/DiceRoller.js').RollLogEntry} The roll, with `total`, the individual dice in `terms`
+   *          and a readable breakdown in `text`.
+   * @throws {SyntaxError} If the notation is invalid.
+   * @throws {Error} If the current user is a spectator.
+   */
+  roll: (notation, label) => {
+    dApi("roll called with notation: %s, label: %s", notation, label);
+    if (!model.canEditTable()) {
+      throw new Error("Spectators cannot roll dice.");
+    }
+    const entry = model.roll(notation, label);
+    dApi("roll result: %s", entry.text);
+    return entry;
+  },
+
+  /**
+   * Retrieves the roll log, oldest roll first.
+   * @returns {Array<import('./model/DiceRoller.js').RollLogEntry>}
+   */
+  getRollLog: () => {
+    dApi("getRollLog called");
+    return model.getRollLog();
+  },
+
+  /**
+   * Empties the roll log.
+   */
+  clearRollLog: () => {
+    dApi("clearRollLog called");
+    if (!checkTablePermission("clearRollLog")) return;
+    model.clearRollLog();
+  },
+
+  /**
+   * Restarts the dice generator from a seed, so the following rolls can be reproduced.
+   * @param {number | string} seed - The seed (text is hashed).
+   * @returns {number} The numeric seed in use.
+   */
+  setDiceSeed: (seed) => {
+    dApi("setDiceSeed called with seed: %s", seed);
+    return model.setDiceSeed(seed);
+  },
+
+  /**
+   * Retrieves the dice generator state and roll log (saved with the table).
+   * @returns {import('./model/DiceRoller.js').DiceState}
+   */
+  getDiceState: () => {
+    dApi("getDiceState called");
+    return model.getDiceState();
+  },
+
+  /**
+   * Restores a dice generator state and roll log saved with `getDiceState`.
+   * @param {Partial<import('./model/DiceRoller.js').DiceState>} state - The saved state.
+   */
+  setDiceState: (state) => {
+    dApi("setDiceState called");
+    model.setDiceState(state);
+  },
+
+  // --- Roles and permissions (see model/permissions.js) ---
+
+  /**
+   * Retrieves the participant using this app.
+   * @returns {import('./model/permissions.js').User}
+   */
+  getCurrentUser: () => {
+    dApi("getCurrentUser called");
+    return model.getCurrentUser();
+  },
+
+  /**
+   * Changes the participant's name and/or role. This is local to this app; it is not shared with others.
+   * @param {Partial<import('./model/permissions.js').User>} user - The changed fields.
+   * @returns {import('./model/permissions.js').User} The resulting user.
+   */
+  setCurrentUser: (user) => {
+    dApi("setCurrentUser called with: %o", user);
+    return model.setCurrentUser(user);
+  },
+
+  /**
+   * Tells whether the current user can see an object.
+   * @param {string} objectId - The ID of the object.
+   * @returns {boolean}
+   */
+  canSeeObject: (objectId) => model.canSeeObject(objectId),
+
+  /**
+   * Tells whether the current user can change or delete an object (`updateObject` and `deleteObject` refuse otherwise).
+   * @param {string} objectId - The ID of the object.
+   * @returns {boolean}
+   */
+  canEditObject: (objectId) => model.canEditObject(objectId),
+
+  /**
+   * Tells whether the current user can change the table: create objects, change the board, roll dice... Spectators
+   * cannot; the methods doing so refuse.
+   * @returns {boolean}
+   */
+  canEditTable: () => model.canEditTable(),
+
+  // --- Multiplayer sync (see sync/sessionSync.js) ---
+
+  /**
+   * Runs `apply` as a change made by another participant: it is not recorded in the undo history and
+   * its 'modelChanged' events carry `remote: true`, so it is not sent back to the other participants.
+   * @param {function(): *} apply - Makes the changes (e.g., applies a full table state).
+   * @returns {*} The return value of `apply`.
+   */
+  applyRemoteChanges: (apply) => {
+    dApi("applyRemoteChanges called");
+    return model.applyRemoteChanges(apply);
+  },
+
+  /**
+   * Applies a single operation received from another participant.
+   * @param {import('./model/model.js').RemoteOperation} op - The operation.
+   * @returns {boolean} False if the operation was not recognized.
+   */
+  applyRemoteOperation: (op) => {
+    dApi("applyRemoteOperation called with kind: %s", op?.kind);
+    return model.applyRemoteOperation(op);
+  },
+
   // getSelectedObjects: (contextObject) => { /* ... */ },
   // createObject: (shape, properties, contextObject) => { /* ... */ },
   // deleteObject: (objectId, contextObject) => { /* ... */ },
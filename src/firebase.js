@@ -1,337 +1,519 @@
-// // src/firebase.js
-// // This module handles Firebase integration.
-// // NOTE: CURRENTLY CONFIGURED FOR OFFLINE MODE.
-// // Most functions are stubbed to allow the application to run without a live Firebase backend.
-// // The original Firebase logic is preserved in commented-out blocks within each function
-// // for easy reactivation when online capabilities are required.
+// src/firebase.js
+/**
+ * @file Firebase backend for shared sessions: a sync adapter (see sync/sessionSync.js) that stores the session in
+ * Cloud Firestore and receives other participants' changes through Firestore listeners.
+ *
+ * Layout, per app (`VITE_APP_ID`) and session:
+ * - `apps/{app}/sessions/{session}/objects/{objectId}`: one document per object (the object's state).
+ * - `apps/{app}/sessions/{session}/metadata/table`: background, board properties, grid, fog of war, walls,
+ *   lighting, layers and object templates.
+ * - `apps/{app}/sessions/{session}/rolls/{rollId}`: the roll log, one document per roll.
+ * - `apps/{app}/sessions/{session}/assets/{hash}`: image assets, one document per image (`{data}`). Firestore
+ *   documents hold at most 1 MiB, so larger images cannot be shared through this backend.
+ *
+ * Configuration: `VITE_FIREBASE_CONFIG` holds the Firebase project config as JSON. Setting `VITE_FIREBASE_EMULATOR_HOST`
+ * (e.g. `localhost`) connects to the Firestore and Auth emulators instead (ports as in `firebase.json`); without a
+ * project config, the emulator-only project `demo-tabletoptool` is used, so no Firebase account is needed.
+ */
+import log from "loglevel";
+import debug from "debug";
+import { initializeApp } from "firebase/app";
+import { getAuth, signInAnonymously, connectAuthEmulator } from "firebase/auth";
+import {
+  getFirestore,
+  connectFirestoreEmulator,
+  doc,
+  collection,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  writeBatch,
+} from "firebase/firestore";
 
-// import log from "loglevel";
-// import { initializeApp } from "firebase/app";
-// import { getAuth, signInAnonymously, onAuthStateChanged } from "firebase/auth";
-// import {
-//         getFirestore,
-//         doc,
-//         setDoc,
-//         deleteDoc,
-//         collection,
-//         onSnapshot,
-//         writeBatch,
-//         Timestamp, // If using server timestamps
-// } from "firebase/firestore";
+const dFirebase = debug("app:firebase");
 
-// let app;
-// let auth;
-// let db;
-// let appIdString;
+/** @const {string} Project used with the emulators when no config is given (`demo-` projects never reach production). */
+const DEMO_PROJECT_ID = "demo-tabletoptool";
+/** @const {number} Firestore emulator port (see firebase.json). */
+const FIRESTORE_EMULATOR_PORT = 8080;
+/** @const {number} Auth emulator port (see firebase.json). */
+const AUTH_EMULATOR_PORT = 9099;
+/** @const {number} Most writes Firestore accepts in one batch. */
+const MAX_BATCH_WRITES = 500;
+/** @const {number} Most rolls loaded with a session (as in the local roll log). */
+const MAX_LOADED_ROLLS = 200;
 
-// /**
-//  * Initializes the Firebase application instance, authentication, and Firestore.
-//  * Currently stubbed for OFFLINE MODE. Uncomment Firebase-specific lines to enable.
-//  * @returns {{app: object|null, auth: object|null, db: object|null, appIdString: string}}
-//  *          Firebase services and the app ID string. Returns null for services in offline mode.
-//  */
-// export const initializeAppFirebase = () => {
-//         // const firebaseConfigString = import.meta.env.VITE_FIREBASE_CONFIG;
-//         // if (!firebaseConfigString) {
-//         //     throw new Error("Firebase config not found in environment variables. Make sure VITE_FIREBASE_CONFIG is set in your .env file.");
-//         // }
-//         appIdString = import.meta.env.VITE_APP_ID || "tabletoptool-offline";
-//         // if (!appIdString) {
-//         //     console.warn("VITE_APP_ID is not set. Using default 'tabletoptool-generic'.");
-//         //     appIdString = 'tabletoptool-generic';
-//         // }
+/** @type {{app: object, auth: object, db: object, appIdString: string} | null} */
+let services = null;
 
-//         // try {
-//         //     const firebaseConfig = JSON.parse(firebaseConfigString);
-//         //     app = initializeApp(firebaseConfig, `${appIdString}-app`); // Unique app name
-//         //     auth = getAuth(app);
-//         //     db = getFirestore(app);
-//         //     log.info("Firebase initialized successfully with App ID:", appIdString);
-//         //     return { app, auth, db, appIdString };
-//         // } catch (error) {
-//         //     log.error("Error parsing Firebase config:", error);
-//         //     throw new Error("Could not parse Firebase configuration. Check VITE_FIREBASE_CONFIG format.");
-//         // }
-//         log.warn("Firebase initialization skipped - OFFLINE MODE");
-//         return { app: null, auth: null, db: null, appIdString };
-// };
+/**
+ * Reads the Firebase settings from the environment.
+ * @returns {{config: object, appIdString: string, emulatorHost: string}}
+ * @throws {Error} If Firebase is not configured or `VITE_FIREBASE_CONFIG` is not valid JSON.
+ */
+const getFirebaseSettings = () => {
+  const configString = import.meta.env.VITE_FIREBASE_CONFIG;
+  const emulatorHost = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || "";
+  let config;
+  if (configString) {
+    try {
+      config = JSON.parse(configString);
+    } catch {
+      throw new Error(
+        "Could not parse Firebase configuration. Check VITE_FIREBASE_CONFIG format.",
+      );
+    }
+  } else if (emulatorHost) {
+    config = { projectId: DEMO_PROJECT_ID, apiKey: "demo-api-key" };
+  } else {
+    throw new Error(
+      "Firebase is not configured. Set VITE_FIREBASE_CONFIG or VITE_FIREBASE_EMULATOR_HOST.",
+    );
+  }
+  return {
+    config,
+    appIdString: import.meta.env.VITE_APP_ID || "tabletoptool",
+    emulatorHost,
+  };
+};
 
-// /**
-//  * Signs in the user anonymously using Firebase Authentication.
-//  * Currently stubbed for OFFLINE MODE.
-//  * @async
-//  * @param {object} firebaseAuth - The Firebase Auth instance.
-//  * @returns {Promise<string>} A promise that resolves with the user's UID. Resolves with 'offline-user' in offline mode.
-//  * @throws {Error} If Firebase Auth instance is not provided (in online mode).
-//  */
-// export const signInUserAnonymously = async (firebaseAuth) => {
-//         log.warn("Firebase function signInUserAnonymously called - OFFLINE MODE");
-//         // if (!firebaseAuth) throw new Error("Auth instance not provided to signInUserAnonymously");
-//         // try {
-//         //     const userCredential = await signInAnonymously(firebaseAuth);
-//         //     log.info("User signed in anonymously:", userCredential.user.uid);
-//         //     return userCredential.user.uid;
-//         // } catch (error) {
-//         //     log.error("Error signing in anonymously:", error);
-//         //     throw error;
-//         // }
-//         return Promise.resolve("offline-user");
-// };
+/**
+ * Initializes the Firebase application instance, authentication, and Firestore (once per page),
+ * connecting to the emulators if `VITE_FIREBASE_EMULATOR_HOST` is set.
+ * @returns {{app: object, auth: object, db: object, appIdString: string}} Firebase services and the app ID string.
+ * @throws {Error} If Firebase is not configured.
+ */
+export const initializeAppFirebase = () => {
+  if (services) return services;
+  const { config, appIdString, emulatorHost } = getFirebaseSettings();
+  const app = initializeApp(config, `${appIdString}-app`); // Unique app name
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  if (emulatorHost) {
+    connectFirestoreEmulator(db, emulatorHost, FIRESTORE_EMULATOR_PORT);
+    connectAuthEmulator(auth, `http://${emulatorHost}:${AUTH_EMULATOR_PORT}`, {
+      disableWarnings: true,
+    });
+    log.info(`Firebase connected to the emulators on ${emulatorHost}.`);
+  }
+  services = { app, auth, db, appIdString };
+  log.info("Firebase initialized successfully with App ID:", appIdString);
+  return services;
+};
 
-// /**
-//  * Registers an observer for Firebase Authentication state changes.
-//  * Currently stubbed for OFFLINE MODE.
-//  * @param {object} firebaseAuth - The Firebase Auth instance.
-//  * @param {function(user: object|null): void} callback - Function to call when auth state changes.
-//  * @returns {function(): void} An unsubscribe function. Returns a no-op in offline mode.
-//  */
-// export const onAuthChanges = (firebaseAuth, callback) => {
-//         log.warn("Firebase function onAuthChanges called - OFFLINE MODE");
-//         // if (!firebaseAuth) {
-//         //     log.warn("Auth instance not provided to onAuthChanges, returning no-op unsubscribe.");
-//         //     return () => {}; // Return a no-op unsubscribe function
-//         // }
-//         // return onAuthStateChanged(firebaseAuth, callback);
-//         if (callback) {
-//                 callback({ uid: "offline-user", isAnonymous: true });
-//         }
-//         return () => {};
-// };
+/**
+ * Signs in the user anonymously using Firebase Authentication.
+ * @async
+ * @param {object} firebaseAuth - The Firebase Auth instance.
+ * @returns {Promise<string>} A promise that resolves with the user's UID.
+ */
+export const signInUserAnonymously = async (firebaseAuth) => {
+  if (firebaseAuth.currentUser) return firebaseAuth.currentUser.uid;
+  const userCredential = await signInAnonymously(firebaseAuth);
+  log.info("User signed in anonymously:", userCredential.user.uid);
+  return userCredential.user.uid;
+};
 
-// /**
-//  * Constructs the Firestore path for the 'objects' collection within a specific session.
-//  * Original Firebase logic would use this path.
-//  * @param {string} currentAppIdString - The application ID.
-//  * @param {string} sessionId - The session ID.
-//  * @returns {string} The Firestore collection path.
-//  * @throws {Error} If appIdString or sessionId is missing.
-//  */
-// const getSessionObjectsCollectionPath = (currentAppIdString, sessionId) => {
-//         // Path construction for Firestore.
-//         if (!currentAppIdString || !sessionId)
-//                 throw new Error("App ID and Session ID are required for collection path.");
-//         return `apps/${currentAppIdString}/sessions/${sessionId}/objects`;
-// };
+/**
+ * Constructs the Firestore path for the 'objects' collection within a specific session.
+ * @param {string} currentAppIdString - The application ID.
+ * @param {string} sessionId - The session ID.
+ * @returns {string} The Firestore collection path.
+ * @throws {Error} If appIdString or sessionId is missing.
+ */
+const getSessionObjectsCollectionPath = (currentAppIdString, sessionId) => {
+  if (!currentAppIdString || !sessionId)
+    throw new Error("App ID and Session ID are required for collection path.");
+  return `apps/${currentAppIdString}/sessions/${sessionId}/objects`;
+};
 
-// /**
-//  * Constructs the Firestore path for the 'table' metadata document within a specific session.
-//  * Original Firebase logic would use this path.
-//  * @param {string} currentAppIdString - The application ID.
-//  * @param {string} sessionId - The session ID.
-//  * @returns {string} The Firestore document path.
-//  * @throws {Error} If appIdString or sessionId is missing.
-//  */
-// const getSessionMetadataDocPath = (currentAppIdString, sessionId) => {
-//         if (!currentAppIdString || !sessionId)
-//                 throw new Error("App ID and Session ID are required for doc path.");
-//         return `apps/${currentAppIdString}/sessions/${sessionId}/metadata/table`;
-// };
+/**
+ * Constructs the Firestore path for the 'rolls' collection within a specific session.
+ * @param {string} currentAppIdString - The application ID.
+ * @param {string} sessionId - The session ID.
+ * @returns {string} The Firestore collection path.
+ * @throws {Error} If appIdString or sessionId is missing.
+ */
+const getSessionRollsCollectionPath = (currentAppIdString, sessionId) => {
+  if (!currentAppIdString || !sessionId)
+    throw new Error("App ID and Session ID are required for collection path.");
+  return `apps/${currentAppIdString}/sessions/${sessionId}/rolls`;
+};
 
-// /**
-//  * Saves (or updates) an object's data in Firestore.
-//  * Currently stubbed for OFFLINE MODE.
-//  * @async
-//  * @param {object} firestoreDb - The Firestore instance.
-//  * @param {string} currentAppIdString - The application ID.
-//  * @param {string} sessionId - The session ID.
-//  * @param {object} objectData - The object data to save (must include an 'id' property).
-//  * @returns {Promise<void>}
-//  * @throws {Error} If required parameters are missing (in online mode).
-//  */
-// export const saveObjectToFirestore = async (
-//         firestoreDb,
-//         currentAppIdString,
-//         sessionId,
-//         objectData,
-// ) => {
-//         log.warn("Firebase function saveObjectToFirestore called - OFFLINE MODE");
-//         // if (!firestoreDb || !currentAppIdString || !sessionId || !objectData || !objectData.id) {
-//         //     log.error("Missing parameters for saveObjectToFirestore", { firestoreDb, currentAppIdString, sessionId, objectData });
-//         //     throw new Error("Missing parameters: db, appId, sessionId, or objectData with id must be provided.");
-//         // }
-//         // const objectId = objectData.id;
-//         // const docPath = `${getSessionObjectsCollectionPath(currentAppIdString, sessionId)}/${objectId}`;
-//         // try {
-//         //     await setDoc(doc(firestoreDb, docPath), { ...objectData, lastUpdated: Timestamp.now() });
-//         //     log.info(`Object ${objectId} saved to Firestore in session ${sessionId}`);
-//         // } catch (error) {
-//         //     log.error(`Error saving object ${objectId} to Firestore:`, error);
-//         //     throw error;
-//         // }
-//         return Promise.resolve();
-// };
+/**
+ * Constructs the Firestore path for the 'assets' collection within a specific session.
+ * @param {string} currentAppIdString - The application ID.
+ * @param {string} sessionId - The session ID.
+ * @returns {string} The Firestore collection path.
+ * @throws {Error} If appIdString or sessionId is missing.
+ */
+const getSessionAssetsCollectionPath = (currentAppIdString, sessionId) => {
+  if (!currentAppIdString || !sessionId)
+    throw new Error("App ID and Session ID are required for collection path.");
+  return `apps/${currentAppIdString}/sessions/${sessionId}/assets`;
+};
 
-// /**
-//  * Deletes an object from Firestore.
-//  * Currently stubbed for OFFLINE MODE.
-//  * @async
-//  * @param {object} firestoreDb - The Firestore instance.
-//  * @param {string} currentAppIdString - The application ID.
-//  * @param {string} sessionId - The session ID.
-//  * @param {string} objectId - The ID of the object to delete.
-//  * @returns {Promise<void>}
-//  * @throws {Error} If required parameters are missing (in online mode).
-//  */
-// export const deleteObjectFromFirestore = async (
-//         firestoreDb,
-//         currentAppIdString,
-//         sessionId,
-//         objectId,
-// ) => {
-//         log.warn("Firebase function deleteObjectFromFirestore called - OFFLINE MODE");
-//         // if (!firestoreDb || !currentAppIdString || !sessionId || !objectId) {
-//         //     throw new Error("Missing parameters: db, appId, sessionId, or objectId must be provided.");
-//         // }
-//         // const docPath = `${getSessionObjectsCollectionPath(currentAppIdString, sessionId)}/${objectId}`;
-//         // try {
-//         //     await deleteDoc(doc(firestoreDb, docPath));
-//         //     log.info(`Object ${objectId} deleted from Firestore in session ${sessionId}`);
-//         // } catch (error) {
-//         //     log.error(`Error deleting object ${objectId} from Firestore:`, error);
-//         //     throw error;
-//         // }
-//         return Promise.resolve();
-// };
+/**
+ * Constructs the Firestore path for the 'table' metadata document within a specific session.
+ * @param {string} currentAppIdString - The application ID.
+ * @param {string} sessionId - The session ID.
+ * @returns {string} The Firestore document path.
+ * @throws {Error} If appIdString or sessionId is missing.
+ */
+const getSessionMetadataDocPath = (currentAppIdString, sessionId) => {
+  if (!currentAppIdString || !sessionId)
+    throw new Error("App ID and Session ID are required for doc path.");
+  return `apps/${currentAppIdString}/sessions/${sessionId}/metadata/table`;
+};
 
-// /**
-//  * Loads all objects from Firestore for a given session and listens for real-time updates.
-//  * Currently stubbed for OFFLINE MODE.
-//  * @param {object} firestoreDb - The Firestore instance.
-//  * @param {string} currentAppIdString - The application ID.
-//  * @param {string} sessionId - The session ID.
-//  * @param {function(objects: object[], error?: Error): void} callback - Function to call with the array of objects or on error.
-//  * @returns {function(): void} An unsubscribe function. Returns a no-op in offline mode.
-//  */
-// export const loadObjectsFromFirestore = (
-//         firestoreDb,
-//         currentAppIdString,
-//         sessionId,
-//         callback,
-// ) => {
-//         log.warn("Firebase function loadObjectsFromFirestore called - OFFLINE MODE");
-//         // if (!firestoreDb || !currentAppIdString || !sessionId || !callback) {
-//         //     throw new Error("Missing parameters: db, appId, sessionId, or callback must be provided.");
-//         // }
-//         // const collPath = getSessionObjectsCollectionPath(currentAppIdString, sessionId);
-//         // const q = collection(firestoreDb, collPath);
+/**
+ * Converts a value to data Firestore accepts (it rejects `undefined` fields).
+ * @param {object} value - The value.
+ * @returns {object} A plain JSON copy.
+ */
+const toFirestoreData = (value) => JSON.parse(JSON.stringify(value));
 
-//         // const unsubscribe = onSnapshot(q, (querySnapshot) => {
-//         //     const objects = [];
-//         //     querySnapshot.forEach((doc) => {
-//         //         objects.push({ id: doc.id, ...doc.data() });
-//         //     });
-//         //     callback(objects);
-//         // }, (error) => {
-//         //     log.error(`Error loading objects from Firestore session ${sessionId}:`, error);
-//         //     // Potentially call callback with an error or empty array
-//         //     callback([], error);
-//         // });
+/**
+ * Builds the operations that bring a table in line with the metadata document.
+ * @param {object} metadata - The document's data.
+ * @returns {Array<import('./model/model.js').RemoteOperation>}
+ */
+const operationsFromMetadata = (metadata) => {
+  const ops = [];
+  if (metadata.background) {
+    ops.push({ kind: "setBackground", background: metadata.background });
+  }
+  if (metadata.boardProperties) {
+    ops.push({
+      kind: "setBoardProperties",
+      properties: metadata.boardProperties,
+    });
+  }
+  if (metadata.grid) ops.push({ kind: "setGrid", grid: metadata.grid });
+  if (metadata.fog) ops.push({ kind: "setFog", fog: metadata.fog });
+  if (metadata.walls) ops.push({ kind: "setWalls", walls: metadata.walls });
+  if (metadata.lighting) {
+    ops.push({ kind: "setLighting", lighting: metadata.lighting });
+  }
+  if (metadata.layers) ops.push({ kind: "setLayers", layers: metadata.layers });
+  if (metadata.templates) {
+    ops.push({ kind: "setTemplates", templates: metadata.templates });
+  }
+  return ops;
+};
 
-//         // return unsubscribe; // Return the unsubscribe function
-//         if (callback) {
-//                 callback([]); // Call with empty array for offline mode
-//         }
-//         return () => {}; // Return a no-op unsubscribe function
-// };
+/**
+ * Creates a Firebase adapter. Firebase is initialized when the adapter connects.
+ * @returns {import('./sync/sessionSync.js').SyncAdapter}
+ */
+export const createFirebaseAdapter = () => {
+  let db = null;
+  let objectsPath = null;
+  let rollsPath = null;
+  let assetsPath = null;
+  let metadataRef = null;
+  /** @type {Array<function(): void>} Unsubscribe functions of the Firestore listeners. */
+  let unsubscribers = [];
+  /** @type {Set<string>} Rolls already in the local log (loaded with the session, or made here). */
+  const knownRollIds = new Set();
 
-// /**
-//  * Saves table-level metadata (e.g., background, pan/zoom state) to Firestore.
-//  * Currently stubbed for OFFLINE MODE.
-//  * @async
-//  * @param {object} firestoreDb - The Firestore instance.
-//  * @param {string} currentAppIdString - The application ID.
-//  * @param {string} sessionId - The session ID.
-//  * @param {object} metadata - The metadata object to save.
-//  * @returns {Promise<void>}
-//  * @throws {Error} If required parameters are missing (in online mode).
-//  */
-// export const saveTableMetadata = async (
-//         firestoreDb,
-//         currentAppIdString,
-//         sessionId,
-//         metadata,
-// ) => {
-//         log.warn("Firebase function saveTableMetadata called - OFFLINE MODE");
-//         //  if (!firestoreDb || !currentAppIdString || !sessionId || !metadata) {
-//         //     throw new Error("Missing parameters: db, appId, sessionId, or metadata must be provided.");
-//         // }
-//         // const docPath = getSessionMetadataDocPath(currentAppIdString, sessionId);
-//         // try {
-//         //     await setDoc(doc(firestoreDb, docPath), { ...metadata, lastUpdated: Timestamp.now() });
-//         //     log.info(`Table metadata saved for session ${sessionId}`);
-//         // } catch (error) {
-//         //     log.error(`Error saving table metadata for session ${sessionId}:`, error);
-//         //     throw error;
-//         // }
-//         return Promise.resolve();
-// };
+  /**
+   * Commits operations in batches of at most MAX_BATCH_WRITES writes.
+   * @param {Array<import('./model/model.js').RemoteOperation>} ops - The operations.
+   */
+  const writeOperations = async (ops) => {
+    let batch = writeBatch(db);
+    let writes = 0;
+    const commit = async () => {
+      if (writes > 0) await batch.commit();
+      batch = writeBatch(db);
+      writes = 0;
+    };
+    const write = async (addWrite) => {
+      addWrite(batch);
+      writes++;
+      if (writes >= MAX_BATCH_WRITES) await commit();
+    };
+    for (const op of ops) {
+      switch (op.kind) {
+        case "putObject":
+          await write((b) =>
+            b.set(
+              doc(db, objectsPath, op.object.id),
+              toFirestoreData(op.object),
+            ),
+          );
+          break;
+        case "deleteObject":
+          await write((b) => b.delete(doc(db, objectsPath, op.id)));
+          break;
+        case "clearObjects": {
+          // Earlier writes must land first, or objects they create would survive the clear.
+          await commit();
+          const snapshot = await getDocs(collection(db, objectsPath));
+          for (const objectDoc of snapshot.docs) {
+            await write((b) => b.delete(objectDoc.ref));
+          }
+          break;
+        }
+        case "setBackground":
+          await write((b) =>
+            b.set(
+              metadataRef,
+              { background: toFirestoreData(op.background) },
+              { merge: true },
+            ),
+          );
+          break;
+        case "setBoardProperties":
+          await write((b) =>
+            b.set(
+              metadataRef,
+              { boardProperties: toFirestoreData(op.properties) },
+              { merge: true },
+            ),
+          );
+          break;
+        case "setGrid":
+          await write((b) =>
+            b.set(
+              metadataRef,
+              { grid: toFirestoreData(op.grid) },
+              { merge: true },
+            ),
+          );
+          break;
+        case "setFog":
+          await write((b) =>
+            b.set(
+              metadataRef,
+              { fog: toFirestoreData(op.fog) },
+              { merge: true },
+            ),
+          );
+          break;
+        case "setWalls":
+          await write((b) =>
+            b.set(
+              metadataRef,
+              { walls: toFirestoreData(op.walls) },
+              { merge: true },
+            ),
+          );
+          break;
+        case "setLighting":
+          await write((b) =>
+            b.set(
+              metadataRef,
+              { lighting: toFirestoreData(op.lighting) },
+              { merge: true },
+            ),
+          );
+          break;
+        case "setLayers":
+          await write((b) =>
+            b.set(
+              metadataRef,
+              { layers: toFirestoreData(op.layers) },
+              { merge: true },
+            ),
+          );
+          break;
+        case "setTemplates":
+          await write((b) =>
+            b.set(
+              metadataRef,
+              { templates: toFirestoreData(op.templates) },
+              { merge: true },
+            ),
+          );
+          break;
+        case "putAsset":
+          await write((b) =>
+            b.set(doc(db, assetsPath, op.hash), { data: op.data }),
+          );
+          break;
+        case "addRoll":
+          knownRollIds.add(op.entry.id);
+          await write((b) =>
+            b.set(doc(db, rollsPath, op.entry.id), toFirestoreData(op.entry)),
+          );
+          break;
+        default:
+          log.warn("[firebase.js] Not storing unknown operation:", op);
+      }
+    }
+    await commit();
+  };
 
-// /**
-//  * Loads table-level metadata from Firestore and listens for real-time updates.
-//  * Currently stubbed for OFFLINE MODE.
-//  * @param {object} firestoreDb - The Firestore instance.
-//  * @param {string} currentAppIdString - The application ID.
-//  * @param {string} sessionId - The session ID.
-//  * @param {function(metadata: object|null, error?: Error): void} callback - Function to call with loaded metadata or on error.
-//  * @returns {function(): void} An unsubscribe function. Returns a no-op in offline mode.
-//  */
-// export const loadTableMetadata = (
-//         firestoreDb,
-//         currentAppIdString,
-//         sessionId,
-//         callback,
-// ) => {
-//         log.warn("Firebase function loadTableMetadata called - OFFLINE MODE");
-//         // if (!firestoreDb || !currentAppIdString || !sessionId || !callback) {
-//         //     throw new Error("Missing parameters: db, appId, sessionId, or callback must be provided.");
-//         // }
-//         // const docPath = getSessionMetadataDocPath(currentAppIdString, sessionId);
+  /**
+   * Reads the session's stored table.
+   * @returns {Promise<object | null>} The session state, or null if the session has no table yet.
+   */
+  const loadSessionState = async () => {
+    const metadataSnapshot = await getDoc(metadataRef);
+    if (!metadataSnapshot.exists()) return null;
+    const [objectsSnapshot, rollsSnapshot, assetsSnapshot] = await Promise.all([
+      getDocs(collection(db, objectsPath)),
+      getDocs(collection(db, rollsPath)),
+      getDocs(collection(db, assetsPath)),
+    ]);
+    const rolls = rollsSnapshot.docs
+      .map((rollDoc) => rollDoc.data())
+      .sort((a, b) => String(a.rolledAt).localeCompare(String(b.rolledAt)))
+      .slice(-MAX_LOADED_ROLLS);
+    rolls.forEach((entry) => knownRollIds.add(entry.id));
+    const metadata = metadataSnapshot.data();
+    dFirebase(
+      "Loaded session with %d objects and %d rolls.",
+      objectsSnapshot.size,
+      rolls.length,
+    );
+    return {
+      objects: objectsSnapshot.docs.map((objectDoc) => objectDoc.data()),
+      background: metadata.background,
+      boardProperties: metadata.boardProperties,
+      grid: metadata.grid,
+      fog: metadata.fog,
+      walls: metadata.walls,
+      lighting: metadata.lighting,
+      layers: metadata.layers,
+      templates: metadata.templates,
+      assets: Object.fromEntries(
+        assetsSnapshot.docs.map((assetDoc) => [
+          assetDoc.id,
+          assetDoc.data().data,
+        ]),
+      ),
+      dice: { log: rolls },
+    };
+  };
 
-//         // const unsubscribe = onSnapshot(doc(firestoreDb, docPath), (docSnap) => {
-//         //     if (docSnap.exists()) {
-//         //         callback(docSnap.data());
-//         //     } else {
-//         //         log.info(`No table metadata found for session ${sessionId}. Using defaults.`);
-//         //         callback(null); // Or some default metadata structure
-//         //     }
-//         // }, (error) => {
-//         //     log.error(`Error loading table metadata for session ${sessionId}:`, error);
-//         //     callback(null, error);
-//         // });
+  /**
+   * Listens for changes made by other participants. Changes with pending writes are this participant's own.
+   * @param {import('./sync/sessionSync.js').SyncAdapterHandlers} handlers - The driver's callbacks.
+   */
+  const subscribe = (handlers) => {
+    const handleError = (error) => {
+      log.error("[firebase.js] Firestore listener failed:", error);
+      handlers.onDisconnected?.(`Firebase: ${error.message}`);
+    };
+    unsubscribers.push(
+      onSnapshot(
+        collection(db, objectsPath),
+        (snapshot) => {
+          const ops = [];
+          snapshot.docChanges().forEach((change) => {
+            if (change.doc.metadata.hasPendingWrites) return;
+            if (change.type === "removed") {
+              ops.push({ kind: "deleteObject", id: change.doc.id });
+            } else {
+              ops.push({ kind: "putObject", object: change.doc.data() });
+            }
+          });
+          if (ops.length > 0) handlers.onOperations(ops);
+        },
+        handleError,
+      ),
+      onSnapshot(
+        metadataRef,
+        (snapshot) => {
+          if (snapshot.metadata.hasPendingWrites || !snapshot.exists()) return;
+          const ops = operationsFromMetadata(snapshot.data());
+          if (ops.length > 0) handlers.onOperations(ops);
+        },
+        handleError,
+      ),
+      onSnapshot(
+        collection(db, assetsPath),
+        (snapshot) => {
+          const ops = [];
+          snapshot.docChanges().forEach((change) => {
+            if (change.type !== "added" || change.doc.metadata.hasPendingWrites)
+              return;
+            ops.push({
+              kind: "putAsset",
+              hash: change.doc.id,
+              data: change.doc.data().data,
+            });
+          });
+          if (ops.length > 0) handlers.onOperations(ops);
+        },
+        handleError,
+      ),
+      onSnapshot(
+        collection(db, rollsPath),
+        (snapshot) => {
+          const ops = [];
+          snapshot.docChanges().forEach((change) => {
+            if (change.type !== "added" || knownRollIds.has(change.doc.id))
+              return;
+            knownRollIds.add(change.doc.id);
+            ops.push({ kind: "addRoll", entry: change.doc.data() });
+          });
+          if (ops.length > 0) handlers.onOperations(ops);
+        },
+        handleError,
+      ),
+    );
+  };
 
-//         // return unsubscribe; // Return the unsubscribe function
-//         if (callback) {
-//                 callback(null);
-//         }
-//         return () => {};
-// };
+  return {
+    name: "firebase",
+    label: "Firebase",
 
-// /**
-//  * Creates a Firestore write batch instance.
-//  * Currently stubbed for OFFLINE MODE.
-//  * @param {object} firestoreDb - The Firestore instance.
-//  * @returns {object} A stubbed Firestore WriteBatch object with a commit method.
-//  */
-// export const getFirestoreBatch = (firestoreDb) => {
-//         log.warn("Firebase function getFirestoreBatch called - OFFLINE MODE");
-//         // return writeBatch(firestoreDb);
-//         return {
-//                 commit: () => Promise.resolve(),
-//                 // Add other batch methods like set, update, delete if your app uses them directly on the batch object
-//                 set: () => {}, // Stubbed: no-op
-//                 update: () => {}, // Stubbed: no-op
-//                 delete: () => {}, // Stubbed: no-op
-//         };
-// };
+    connect: async (sessionId, handlers) => {
+      const { auth, db: firestore, appIdString } = initializeAppFirebase();
+      db = firestore;
+      objectsPath = getSessionObjectsCollectionPath(appIdString, sessionId);
+      rollsPath = getSessionRollsCollectionPath(appIdString, sessionId);
+      assetsPath = getSessionAssetsCollectionPath(appIdString, sessionId);
+      metadataRef = doc(db, getSessionMetadataDocPath(appIdString, sessionId));
+      try {
+        await signInUserAnonymously(auth);
+      } catch (error) {
+        // Sessions still work if the security rules allow unauthenticated access.
+        log.warn("[firebase.js] Anonymous sign-in failed:", error.message);
+      }
+      const state = await loadSessionState();
+      subscribe(handlers);
+      return state;
+    },
 
-// // Initialize on load if VITE_FIREBASE_CONFIG is present,
-// // otherwise it will be initialized by main.js calling initializeAppFirebase()
-// // This allows firebase.js to be imported and used by other modules
-// // without immediately throwing if config isn't there yet (e.g. during tests or if main.js controls init timing)
-// // if (import.meta.env.VITE_FIREBASE_CONFIG) {
-// //     try {
-// //         initializeAppFirebase();
-// //     } catch (e) {
-// //         log.warn("Firebase auto-initialization on load failed. Ensure initializeAppFirebase() is called.", e.message);
-// //     }
-// // }
+    publish: (ops) => writeOperations(ops),
+
+    saveState: async (state) => {
+      dFirebase("Storing session state with %d objects.", state.objects.length);
+      await writeOperations([
+        ...state.objects.map((object) => ({ kind: "putObject", object })),
+        ...Object.entries(state.assets || {}).map(([hash, data]) => ({
+          kind: "putAsset",
+          hash,
+          data,
+        })),
+        ...(state.dice?.log || []).map((entry) => ({ kind: "addRoll", entry })),
+      ]);
+      // Written last: its existence marks the session as stored.
+      await writeBatch(db)
+        .set(
+          metadataRef,
+          toFirestoreData({
+            background: state.background,
+            boardProperties: state.boardProperties,
+            grid: state.grid,
+            fog: state.fog,
+            walls: state.walls,
+            lighting: state.lighting,
+            layers: state.layers,
+            templates: state.templates,
+          }),
+        )
+        .commit();
+    },
+
+    disconnect: () => {
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      unsubscribers = [];
+    },
+  };
+};
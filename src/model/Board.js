@@ -1,5 +1,13 @@
 // src/model/Board.js
 import debug from "debug";
+import { DEFAULT_FOG, normalizeFog } from "./fog.js";
+import {
+  DEFAULT_LIGHTING,
+  normalizeLighting,
+  normalizeWalls,
+} from "./lighting.js";
+import { normalizeLayers } from "./layers.js";
+import { normalizeTemplates } from "./templates.js";
 
 const dBoard = debug("app:model:Board");
 
@@ -16,6 +24,40 @@ export const MM_PER_UNIT = {
   mm: 1, // Millimeters to millimeters
 };
 
+/** @const {string[]} Supported grid types. 'hex-flat' hexes have a flat top edge, 'hex-pointy' a pointed top. */
+export const GRID_TYPES = ["none", "square", "hex-flat", "hex-pointy"];
+
+/**
+ * @const {string[]} Rules for measuring distances on a grid.
+ * 'euclidean' measures straight-line distance, 'alternating' counts square-grid diagonals as 1, 2, 1, 2... cells
+ * (the "5-10-5" rule), 'manhattan' counts only orthogonal steps. Hex grids count hex steps for any rule but 'euclidean'.
+ */
+export const MEASUREMENT_RULES = ["euclidean", "alternating", "manhattan"];
+
+/**
+ * @typedef {Object} GridSettings
+ * @property {'none' | 'square' | 'hex-flat' | 'hex-pointy'} type - Grid layout.
+ * @property {number} cellSize - Distance between the centers of adjacent cells, in the board's `unitForDimensions`.
+ * @property {number} offsetX - Horizontal offset of the grid origin from the board's top-left corner, in board units.
+ * @property {number} offsetY - Vertical offset of the grid origin from the board's top-left corner, in board units.
+ * @property {string} color - CSS color of the grid lines.
+ * @property {number} opacity - Opacity of the grid lines, 0 to 1.
+ * @property {boolean} snap - If true, dropped objects snap to the grid.
+ * @property {'euclidean' | 'alternating' | 'manhattan'} measurementRule - How the ruler measures distances on the grid.
+ */
+
+/** @const {GridSettings} Default grid settings (no grid drawn, 1 unit cells). */
+export const DEFAULT_GRID = {
+  type: "none",
+  cellSize: 1,
+  offsetX: 0,
+  offsetY: 0,
+  color: "#000000",
+  opacity: 0.3,
+  snap: false,
+  measurementRule: "euclidean",
+};
+
 class Board {
   /** @type {{panX: number, panY: number, zoom: number}} Current pan and zoom state of the canvas. */
   panZoomState;
@@ -31,6 +73,18 @@ class Board {
    * Map scale interpretation properties.
    */
   mapInterpretationScale;
+  /** @type {GridSettings} Grid overlay and snapping configuration. */
+  grid;
+  /** @type {import('./fog.js').FogState} Fog of war mask. */
+  fog;
+  /** @type {import('./lighting.js').Wall[]} Wall segments blocking sight and light. */
+  walls;
+  /** @type {import('./lighting.js').LightingSettings} Dynamic lighting settings. */
+  lighting;
+  /** @type {import('./layers.js').Layer[]} Object layers, bottom first. */
+  layers;
+  /** @type {import('./templates.js').Template[]} The table's object templates. */
+  templates;
 
   constructor() {
     dBoard("Constructing Board");
@@ -47,6 +101,12 @@ class Board {
       ratio: 1,
       unitForRatio: "mm",
     };
+    this.grid = { ...DEFAULT_GRID };
+    this.fog = normalizeFog(DEFAULT_FOG);
+    this.walls = [];
+    this.lighting = normalizeLighting(DEFAULT_LIGHTING);
+    this.layers = normalizeLayers();
+    this.templates = [];
     dBoard("Board constructed with initial state: %o", this);
   }
 
@@ -158,6 +218,226 @@ class Board {
     return changed;
   }
 
+  /**
+   * Retrieves a copy of the current grid settings.
+   * @returns {GridSettings} The current grid settings.
+   */
+  getGrid() {
+    dBoard("getGrid called, returning: %o", this.grid);
+    return { ...this.grid };
+  }
+
+  /**
+   * Updates the grid settings. Invalid values (unknown type, non-positive cell size,
+   * opacity outside 0..1, non-numeric offsets) are ignored.
+   * @param {Partial<GridSettings>} newGrid - The grid settings to change.
+   * @returns {boolean} True if the grid changed, false otherwise.
+   */
+  setGrid(newGrid) {
+    dBoard("setGrid called with newGrid: %o", newGrid);
+    if (!newGrid || typeof newGrid !== "object") {
+      dBoard("setGrid: newGrid is invalid or not an object.");
+      return false;
+    }
+    const nextGrid = { ...this.grid };
+
+    if (GRID_TYPES.includes(newGrid.type)) {
+      nextGrid.type = newGrid.type;
+    }
+    const cellSize = parseFloat(newGrid.cellSize);
+    if (!isNaN(cellSize) && cellSize > 0) {
+      nextGrid.cellSize = cellSize;
+    }
+    ["offsetX", "offsetY"].forEach((key) => {
+      const value = parseFloat(newGrid[key]);
+      if (!isNaN(value)) nextGrid[key] = value;
+    });
+    if (typeof newGrid.color === "string" && newGrid.color) {
+      nextGrid.color = newGrid.color;
+    }
+    const opacity = parseFloat(newGrid.opacity);
+    if (!isNaN(opacity) && opacity >= 0 && opacity <= 1) {
+      nextGrid.opacity = opacity;
+    }
+    if (typeof newGrid.snap === "boolean") {
+      nextGrid.snap = newGrid.snap;
+    }
+    if (MEASUREMENT_RULES.includes(newGrid.measurementRule)) {
+      nextGrid.measurementRule = newGrid.measurementRule;
+    }
+
+    const changed = Object.keys(nextGrid).some(
+      (key) => nextGrid[key] !== this.grid[key],
+    );
+    if (changed) {
+      this.grid = nextGrid;
+      dBoard("Grid changed. New grid: %o", this.grid);
+    } else {
+      dBoard("Grid did not change.");
+    }
+    return changed;
+  }
+
+  /**
+   * Retrieves a copy of the fog of war.
+   * @returns {import('./fog.js').FogState} The fog state.
+   */
+  getFog() {
+    dBoard("getFog called (%d regions)", this.fog.regions.length);
+    return structuredClone(this.fog);
+  }
+
+  /**
+   * Updates the fog of war. Given fields replace the current ones; invalid regions are dropped.
+   * @param {Partial<import('./fog.js').FogState>} newFog - The fog fields to change.
+   * @returns {boolean} True if the fog changed, false otherwise.
+   */
+  setFog(newFog) {
+    dBoard("setFog called with newFog: %o", newFog);
+    if (!newFog || typeof newFog !== "object") {
+      dBoard("setFog: newFog is invalid or not an object.");
+      return false;
+    }
+    const nextFog = normalizeFog({ ...this.fog, ...newFog });
+    if (JSON.stringify(nextFog) === JSON.stringify(this.fog)) {
+      dBoard("Fog did not change.");
+      return false;
+    }
+    this.fog = nextFog;
+    dBoard(
+      "Fog changed. Enabled: %s, %d regions",
+      this.fog.enabled,
+      this.fog.regions.length,
+    );
+    return true;
+  }
+
+  /**
+   * Retrieves a copy of the walls.
+   * @returns {import('./lighting.js').Wall[]} The walls.
+   */
+  getWalls() {
+    dBoard("getWalls called (%d walls)", this.walls.length);
+    return this.walls.map((wall) => ({ ...wall }));
+  }
+
+  /**
+   * Replaces the walls. Invalid walls are dropped and walls without an ID get one.
+   * @param {import('./lighting.js').Wall[]} newWalls - The new walls.
+   * @returns {boolean} True if the walls changed, false otherwise.
+   */
+  setWalls(newWalls) {
+    dBoard("setWalls called with %d walls", newWalls?.length);
+    if (!Array.isArray(newWalls)) {
+      dBoard("setWalls: newWalls is not an array.");
+      return false;
+    }
+    const nextWalls = normalizeWalls(newWalls);
+    if (JSON.stringify(nextWalls) === JSON.stringify(this.walls)) {
+      dBoard("Walls did not change.");
+      return false;
+    }
+    this.walls = nextWalls;
+    dBoard("Walls changed. %d walls", this.walls.length);
+    return true;
+  }
+
+  /**
+   * Retrieves a copy of the dynamic lighting settings.
+   * @returns {import('./lighting.js').LightingSettings} The lighting settings.
+   */
+  getLighting() {
+    dBoard("getLighting called, returning: %o", this.lighting);
+    return { ...this.lighting };
+  }
+
+  /**
+   * Updates the dynamic lighting settings. Given fields replace the current ones.
+   * @param {Partial<import('./lighting.js').LightingSettings>} newLighting - The settings to change.
+   * @returns {boolean} True if the settings changed, false otherwise.
+   */
+  setLighting(newLighting) {
+    dBoard("setLighting called with newLighting: %o", newLighting);
+    if (!newLighting || typeof newLighting !== "object") {
+      dBoard("setLighting: newLighting is invalid or not an object.");
+      return false;
+    }
+    const nextLighting = normalizeLighting({
+      ...this.lighting,
+      ...newLighting,
+    });
+    if (
+      nextLighting.enabled === this.lighting.enabled &&
+      nextLighting.daylight === this.lighting.daylight
+    ) {
+      dBoard("Lighting did not change.");
+      return false;
+    }
+    this.lighting = nextLighting;
+    dBoard("Lighting changed. New lighting: %o", this.lighting);
+    return true;
+  }
+
+  /**
+   * Retrieves a copy of the layers.
+   * @returns {import('./layers.js').Layer[]} The layers, bottom first.
+   */
+  getLayers() {
+    dBoard("getLayers called (%d layers)", this.layers.length);
+    return this.layers.map((layer) => ({ ...layer }));
+  }
+
+  /**
+   * Replaces the layers. Invalid layers are dropped; an empty list restores the default layers.
+   * @param {import('./layers.js').Layer[]} newLayers - The new layers, bottom first.
+   * @returns {boolean} True if the layers changed, false otherwise.
+   */
+  setLayers(newLayers) {
+    dBoard("setLayers called with %d layers", newLayers?.length);
+    if (!Array.isArray(newLayers)) {
+      dBoard("setLayers: newLayers is not an array.");
+      return false;
+    }
+    const nextLayers = normalizeLayers(newLayers);
+    if (JSON.stringify(nextLayers) === JSON.stringify(this.layers)) {
+      dBoard("Layers did not change.");
+      return false;
+    }
+    this.layers = nextLayers;
+    dBoard("Layers changed. New layers: %o", this.layers);
+    return true;
+  }
+
+  /**
+   * Retrieves a copy of the object templates.
+   * @returns {import('./templates.js').Template[]}
+   */
+  getTemplates() {
+    dBoard("getTemplates called (%d templates)", this.templates.length);
+    return structuredClone(this.templates);
+  }
+
+  /**
+   * Replaces the object templates. Invalid templates and repeated IDs are dropped.
+   * @param {import('./templates.js').Template[]} newTemplates - The new templates.
+   * @returns {boolean} True if the templates changed, false otherwise.
+   */
+  setTemplates(newTemplates) {
+    dBoard("setTemplates called with %d templates", newTemplates?.length);
+    if (!Array.isArray(newTemplates)) {
+      dBoard("setTemplates: newTemplates is not an array.");
+      return false;
+    }
+    const nextTemplates = normalizeTemplates(newTemplates);
+    if (JSON.stringify(nextTemplates) === JSON.stringify(this.templates)) {
+      dBoard("Templates did not change.");
+      return false;
+    }
+    this.templates = nextTemplates;
+    dBoard("Templates changed (%d templates).", this.templates.length);
+    return true;
+  }
+
   /**
    * Retrieves a consolidated object of current board properties.
    * @returns {{widthUser: number, heightUser: number, unitForDimensions: string, widthPx: number, heightPx: number, scaleRatio: number, unitForRatio: string}}
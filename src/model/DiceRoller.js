@@ -0,0 +1,152 @@
+// src/model/DiceRoller.js
+import debug from "debug";
+import VTTObject from "./VTTObject.js";
+import {
+  rollDice,
+  createRandomSource,
+  seedToState,
+  generateSeed,
+} from "./dice.js";
+
+const dDice = debug("app:model:DiceRoller");
+
+/** @const {number} Maximum number of rolls kept in the roll log; older rolls are discarded. */
+export const MAX_ROLL_LOG_ENTRIES = 200;
+
+/**
+ * @typedef {import('./dice.js').RollResult & {
+ *   id: string,
+ *   label: string,
+ *   rolledAt: string,
+ *   randomState: number,
+ * }} RollLogEntry
+ * A roll in the roll log. `randomState` is the generator state the roll was made from, so
+ * `rollDice(entry.notation, createRandomSource(entry.randomState).next)` reproduces it.
+ */
+
+/**
+ * @typedef {Object} DiceState
+ * @property {number} seed - The seed the generator was last seeded with.
+ * @property {number} randomState - The generator state the next roll is made from.
+ * @property {Array<RollLogEntry>} log - The roll log, oldest roll first.
+ */
+
+/**
+ * Rolls dice from a seeded generator and keeps the roll log.
+ * The generator state is part of the saved table, so a loaded session continues the same sequence of rolls.
+ */
+class DiceRoller {
+  /** @type {number} The seed the generator was last seeded with. */
+  seed;
+  /** @type {number} The generator state the next roll is made from. */
+  randomState;
+  /** @type {Array<RollLogEntry>} Rolls made so far, oldest first. */
+  log;
+
+  constructor() {
+    dDice("Constructing DiceRoller");
+    this.setSeed(generateSeed());
+    this.log = [];
+  }
+
+  /**
+   * Rolls dice notation and adds the result to the roll log.
+   * @param {string} notation - The notation, e.g. `4d6kh3+2`.
+   * @param {string} [label=''] - What the roll is for (e.g., 'Attack').
+   * @returns {RollLogEntry} A copy of the log entry.
+   * @throws {SyntaxError} If the notation is invalid. The generator does not advance.
+   */
+  roll(notation, label = "") {
+    const source = createRandomSource(this.randomState);
+    const result = rollDice(notation, source.next);
+    const entry = {
+      id: VTTObject.generateUUID(),
+      label: label ? String(label) : "",
+      rolledAt: new Date().toISOString(),
+      randomState: this.randomState,
+      ...result,
+    };
+    this.randomState = source.getState();
+    this._append(entry);
+    dDice("Rolled %s: %s", notation, entry.text);
+    return structuredClone(entry);
+  }
+
+  /**
+   * Adds a roll made elsewhere (e.g., by another player) to the roll log. The generator is not advanced.
+   * @param {RollLogEntry} entry - The roll.
+   * @returns {RollLogEntry} A copy of the log entry.
+   */
+  addEntry(entry) {
+    const copy = structuredClone(entry);
+    this._append(copy);
+    dDice("Added roll %s: %s", copy.notation, copy.text);
+    return structuredClone(copy);
+  }
+
+  /**
+   * Appends an entry to the roll log, discarding the oldest rolls beyond MAX_ROLL_LOG_ENTRIES.
+   * @param {RollLogEntry} entry - The entry.
+   * @private
+   */
+  _append(entry) {
+    this.log.push(entry);
+    if (this.log.length > MAX_ROLL_LOG_ENTRIES) {
+      this.log.splice(0, this.log.length - MAX_ROLL_LOG_ENTRIES);
+    }
+  }
+
+  /**
+   * Restarts the generator from a seed. The same seed always produces the same sequence of rolls.
+   * @param {number | string} seed - The seed (text is hashed).
+   */
+  setSeed(seed) {
+    this.seed = seedToState(seed);
+    this.randomState = this.seed;
+    dDice("Seeded with %d", this.seed);
+  }
+
+  /**
+   * Retrieves a copy of the roll log, oldest roll first.
+   * @returns {Array<RollLogEntry>}
+   */
+  getLog() {
+    return structuredClone(this.log);
+  }
+
+  /**
+   * Empties the roll log. The generator keeps its state.
+   */
+  clearLog() {
+    this.log = [];
+  }
+
+  /**
+   * Retrieves a copy of the generator state and roll log, for saving.
+   * @returns {DiceState}
+   */
+  getState() {
+    return structuredClone({
+      seed: this.seed,
+      randomState: this.randomState,
+      log: this.log,
+    });
+  }
+
+  /**
+   * Restores a saved generator state and roll log. Missing or invalid fields keep their current value.
+   * @param {Partial<DiceState>} state - The saved state.
+   */
+  setState(state) {
+    dDice("setState called with %o", state);
+    if (Number.isInteger(state?.seed)) this.seed = state.seed | 0;
+    if (Number.isInteger(state?.randomState)) {
+      this.randomState = state.randomState | 0;
+    }
+    if (Array.isArray(state?.log)) {
+      this.log = structuredClone(state.log.slice(-MAX_ROLL_LOG_ENTRIES));
+    }
+  }
+}
+
+export default DiceRoller;
@@ -0,0 +1,193 @@
+// src/model/History.js
+import debug from "debug";
+
+const dHistory = debug("app:model:History");
+
+/** @const {number} Maximum number of undoable steps kept in the history. */
+export const MAX_HISTORY_ENTRIES = 100;
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - Short description of the operation (e.g., 'Move object').
+ * @property {function(): void} undo - Reverts the operation.
+ * @property {function(): void} redo - Re-applies the operation.
+ */
+
+/**
+ * Records reversible model operations and replays them for undo/redo.
+ * Operations recorded while a batch is open are coalesced into a single entry,
+ * and nothing is recorded while an entry is itself being undone or redone.
+ */
+class History {
+  /** @type {HistoryEntry[]} Entries that can be undone, most recent last. */
+  undoStack;
+  /** @type {HistoryEntry[]} Entries that can be redone, most recent last. */
+  redoStack;
+  /** @type {number} Nesting depth of open batches. */
+  batchDepth;
+  /** @type {{label: string, entries: HistoryEntry[]} | null} The batch currently being collected. */
+  pendingBatch;
+  /** @type {boolean} True while an entry is being undone or redone. */
+  isApplying;
+
+  constructor() {
+    dHistory("Constructing History");
+    this.undoStack = [];
+    this.redoStack = [];
+    this.batchDepth = 0;
+    this.pendingBatch = null;
+    this.isApplying = false;
+  }
+
+  /**
+   * Records a reversible operation. Ignored while an undo/redo is being applied.
+   * Recording a new operation discards any redoable entries.
+   * @param {HistoryEntry} entry - The operation to record.
+   * @returns {boolean} True if the entry was recorded (or added to the open batch).
+   */
+  record(entry) {
+    if (this.isApplying) {
+      dHistory("record ignored while applying history: %s", entry.label);
+      return false;
+    }
+    if (this.batchDepth > 0 && this.pendingBatch) {
+      this.pendingBatch.entries.push(entry);
+      dHistory(
+        "Entry '%s' added to batch '%s'",
+        entry.label,
+        this.pendingBatch.label,
+      );
+      return true;
+    }
+    this._push(entry);
+    return true;
+  }
+
+  /**
+   * Opens a batch. Every entry recorded until the matching `endBatch` call
+   * becomes a single undoable step. Batches may be nested; only the outermost label is kept.
+   * @param {string} [label='Multiple changes'] - Description of the coalesced step.
+   */
+  beginBatch(label = "Multiple changes") {
+    if (this.isApplying) return;
+    if (this.batchDepth === 0) {
+      this.pendingBatch = { label, entries: [] };
+      dHistory("Batch '%s' opened", label);
+    }
+    this.batchDepth++;
+  }
+
+  /**
+   * Closes the innermost open batch. When the outermost batch closes, its entries
+   * are pushed as a single history entry (nothing is pushed for an empty batch).
+   * @returns {boolean} True if a coalesced entry was pushed onto the undo stack.
+   */
+  endBatch() {
+    if (this.isApplying || this.batchDepth === 0) return false;
+    this.batchDepth--;
+    if (this.batchDepth > 0) return false;
+
+    const { label, entries } = this.pendingBatch;
+    this.pendingBatch = null;
+    dHistory("Batch '%s' closed with %d entries", label, entries.length);
+    if (entries.length === 0) return false;
+    if (entries.length === 1) {
+      this._push({ ...entries[0], label });
+      return true;
+    }
+    this._push({
+      label,
+      undo: () => {
+        for (let i = entries.length - 1; i >= 0; i--) entries[i].undo();
+      },
+      redo: () => {
+        entries.forEach((entry) => entry.redo());
+      },
+    });
+    return true;
+  }
+
+  /**
+   * Reverts the most recent entry.
+   * @returns {HistoryEntry | null} The entry that was undone, or null if there was nothing to undo.
+   */
+  undo() {
+    if (this.batchDepth > 0 || this.undoStack.length === 0) return null;
+    const entry = this.undoStack.pop();
+    this._apply(entry, "undo");
+    this.redoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Re-applies the most recently undone entry.
+   * @returns {HistoryEntry | null} The entry that was redone, or null if there was nothing to redo.
+   */
+  redo() {
+    if (this.batchDepth > 0 || this.redoStack.length === 0) return null;
+    const entry = this.redoStack.pop();
+    this._apply(entry, "redo");
+    this.undoStack.push(entry);
+    return entry;
+  }
+
+  /** Discards all recorded entries and any open batch. */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.batchDepth = 0;
+    this.pendingBatch = null;
+    dHistory("History cleared");
+  }
+
+  /**
+   * Summarizes what can currently be undone or redone.
+   * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string | null, redoLabel: string | null}}
+   */
+  getState() {
+    const nextUndo = this.undoStack[this.undoStack.length - 1];
+    const nextRedo = this.redoStack[this.redoStack.length - 1];
+    return {
+      canUndo: !!nextUndo,
+      canRedo: !!nextRedo,
+      undoLabel: nextUndo ? nextUndo.label : null,
+      redoLabel: nextRedo ? nextRedo.label : null,
+    };
+  }
+
+  /**
+   * Pushes an entry onto the undo stack, clearing the redo stack and trimming old entries.
+   * @param {HistoryEntry} entry - The entry to push.
+   * @private
+   */
+  _push(entry) {
+    this.undoStack.push(entry);
+    this.redoStack = [];
+    if (this.undoStack.length > MAX_HISTORY_ENTRIES) {
+      this.undoStack.splice(0, this.undoStack.length - MAX_HISTORY_ENTRIES);
+    }
+    dHistory(
+      "Entry '%s' recorded. Undo stack size: %d",
+      entry.label,
+      this.undoStack.length,
+    );
+  }
+
+  /**
+   * Runs one direction of an entry with recording suppressed.
+   * @param {HistoryEntry} entry - The entry to apply.
+   * @param {'undo' | 'redo'} direction - Which side of the entry to run.
+   * @private
+   */
+  _apply(entry, direction) {
+    dHistory("Applying %s of '%s'", direction, entry.label);
+    this.isApplying = true;
+    try {
+      entry[direction]();
+    } finally {
+      this.isApplying = false;
+    }
+  }
+}
+
+export default History;
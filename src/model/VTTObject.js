@@ -1,8 +1,18 @@
 // src/model/VTTObject.js
 import debug from "debug";
+import { DEFAULT_OBJECT_LAYER } from "./layers.js";
 
 const dVTTObject = debug("app:model:VTTObject");
 
+/** Shapes whose outline is a list of points (see `VTTObject.points`). */
+export const PATH_SHAPES = ["polygon", "polyline", "freehand"];
+/** Object type of decks (see deck.js). */
+export const DECK_TYPE = "deck";
+/** Object type of cards drawn from a deck (see deck.js). */
+export const CARD_TYPE = "card";
+/** Object type of groups (see group.js). */
+export const GROUP_TYPE = "group";
+
 /**
  * Generates a basic RFC4122 version 4 compliant UUID.
  * @returns {string} A new UUID string.
@@ -26,13 +36,18 @@ const generateUUID = () => {
  * @property {string} [fontFamily] - Font for the text.
  * @property {number} [fontSize] - Font size for the text.
  * @property {boolean} [showLabel] - Whether to display the object's name as a label.
+ * @property {boolean} [filled] - Path shapes only: whether a closed path is filled with `backgroundColor` (default true).
+ * @property {string} [frontImageUrl] - Cards only: image shown when the card is face up.
+ * @property {string} [backImageUrl] - Cards: image shown when face down. Decks: default back for cards without their own.
  */
 
 /**
  * @typedef {Object} VTTObjectScripts
  * @property {string} [onClick] - JavaScript code string to execute on click.
- * @property {string} [onCollision] - (Future use)
- * @property {string} [onDrop] - (Future use)
+ * @property {string} [onCollision] - JavaScript code string to execute when a drag makes this object start overlapping another
+ *   (runs on both objects; `event.otherObjectId` is the other object, `event.movedObjectId` the dragged one).
+ * @property {string} [onDrop] - JavaScript code string to execute when the object is dropped after a drag
+ *   (`event` holds the new and previous position, the pointer position and `targetObjectId`, the topmost object under the pointer).
  */
 
 class VTTObject {
@@ -78,9 +93,45 @@ class VTTObject {
   rotation;
   /**
    * The specific shape to render.
-   * @type {'rectangle' | 'circle'}
+   * @type {'rectangle' | 'circle' | 'polygon' | 'polyline' | 'freehand'}
    */
   shape;
+  /**
+   * Path shapes only: the vertices, normalized to the object's bounding box (0..1 on each axis).
+   * @type {Array<{x: number, y: number}> | undefined}
+   */
+  points;
+  /**
+   * Path shapes only: whether the last point connects back to the first.
+   * @type {boolean | undefined}
+   */
+  closed;
+  /**
+   * Decks only: the card definitions in the deck, top card first (see deck.js).
+   * @type {Array<{id: string, name?: string, frontImageUrl?: string, backImageUrl?: string, data?: object}> | undefined}
+   */
+  cards;
+  /**
+   * Cards only: whether the card shows its front (`appearance.frontImageUrl`) or its back.
+   * @type {boolean | undefined}
+   */
+  faceUp;
+  /**
+   * Cards only: the `id` of the card definition the card was drawn from.
+   * @type {string | undefined}
+   */
+  cardId;
+  /**
+   * Cards only: the deck the card was drawn from (where it returns by default).
+   * @type {string | undefined}
+   */
+  deckId;
+  /**
+   * Groups only: the IDs of the objects in the group, bottom first. Their positions and rotations are relative to
+   * the group (see group.js).
+   * @type {string[] | undefined}
+   */
+  children;
   /**
    * How the object looks.
    * @type {VTTObjectAppearance}
@@ -106,6 +157,31 @@ class VTTObject {
    * @type {string}
    */
   name;
+  /**
+   * Who sees the object: everyone ('all'), the GM only ('gm'), or the GM and the named players (see permissions.js).
+   * @type {import('./permissions.js').AccessList}
+   */
+  visibleTo;
+  /**
+   * Who may change or delete the object, in the same form as `visibleTo` (the GM always may, spectators never).
+   * @type {import('./permissions.js').AccessList}
+   */
+  editableBy;
+  /**
+   * The ID of the layer the object is on (see layers.js).
+   * @type {string}
+   */
+  layer;
+  /**
+   * The light the object gives: bright and dim radii in map units (see lighting.js). No light if `dim` is 0.
+   * @type {import('./lighting.js').ObjectLight}
+   */
+  light;
+  /**
+   * Whether the object sees for its owners when dynamic lighting is on (players see what their tokens see).
+   * @type {boolean}
+   */
+  hasVision;
 
   /**
    * Creates an instance of VTTObject.
@@ -125,8 +201,13 @@ class VTTObject {
 
     this.shape = initialProps.shape || shapeArgument;
 
+    const isPath = PATH_SHAPES.includes(this.shape);
     const defaults = {
-      type: this.shape === "rectangle" ? "generic-rectangle" : "generic-circle",
+      type: isPath
+        ? `generic-${this.shape}`
+        : this.shape === "rectangle"
+          ? "generic-rectangle"
+          : "generic-circle",
       x: 50,
       y: 50,
       zIndex: 0,
@@ -147,7 +228,25 @@ class VTTObject {
       data: {},
       scripts: {},
       name: `Object ${objectCountForDefaultName + 1}`,
+      visibleTo: "all",
+      editableBy: "all",
+      layer: DEFAULT_OBJECT_LAYER,
+      light: { bright: 0, dim: 0 },
+      hasVision: false,
     };
+    if (isPath) {
+      defaults.points = [];
+      defaults.closed = this.shape === "polygon";
+      defaults.appearance.borderWidth = 3;
+      defaults.appearance.filled = true;
+    }
+    if (initialProps.type === DECK_TYPE) {
+      defaults.cards = [];
+    } else if (initialProps.type === CARD_TYPE) {
+      defaults.faceUp = false;
+    } else if (initialProps.type === GROUP_TYPE) {
+      defaults.children = [];
+    }
 
     // Apply defaults
     Object.assign(this, defaults);
@@ -0,0 +1,204 @@
+// src/model/assets.js
+/**
+ * @file Image assets: images stored once, keyed by the SHA-256 hash of their content, and referenced by objects and
+ * the background through `asset:<hash>` URLs instead of repeating the image data in each of them. Adding an image
+ * that is already stored gives back the same reference. The model keeps the assets used in this session; they are
+ * persisted in IndexedDB (see storage/assetStore.js), sent to the other participants of a shared session, and
+ * embedded once in saved session files and template packs.
+ * Pure helpers.
+ */
+
+/** @const {string} Prefix of image URLs that reference an asset. */
+export const ASSET_URL_PREFIX = "asset:";
+
+/** @const {RegExp} An asset hash: a SHA-256 digest in lowercase hex. */
+const ASSET_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Returns true if the URL references an asset.
+ * @param {*} url - The URL.
+ * @returns {boolean}
+ */
+export const isAssetUrl = (url) =>
+  typeof url === "string" &&
+  url.startsWith(ASSET_URL_PREFIX) &&
+  ASSET_HASH_PATTERN.test(url.slice(ASSET_URL_PREFIX.length));
+
+/**
+ * Builds the URL referencing an asset.
+ * @param {string} hash - The asset's hash.
+ * @returns {string}
+ */
+export const toAssetUrl = (hash) => `${ASSET_URL_PREFIX}${hash}`;
+
+/**
+ * Returns the hash of the asset a URL references.
+ * @param {string} url - The URL.
+ * @returns {string | null} The hash, or null if the URL does not reference an asset.
+ */
+export const getAssetHash = (url) =>
+  isAssetUrl(url) ? url.slice(ASSET_URL_PREFIX.length) : null;
+
+/**
+ * Returns true if a value can be stored as an asset: an image data URL.
+ * @param {*} data - The value.
+ * @returns {boolean}
+ */
+export const isAssetData = (data) =>
+  typeof data === "string" && data.startsWith("data:image/");
+
+/**
+ * Computes the hash an image is stored under.
+ * @param {string} data - The image as a data URL.
+ * @returns {Promise<string>} The SHA-256 digest of the data URL, in lowercase hex.
+ */
+export const computeAssetHash = async (data) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(data),
+  );
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+};
+
+/**
+ * Lists the image URLs of an object: its image, its card faces and, for a deck, the faces of its cards.
+ * @param {object} obj - The object.
+ * @returns {string[]}
+ */
+const getObjectImageUrls = (obj) => {
+  const appearance = obj?.appearance || {};
+  const cards = Array.isArray(obj?.cards) ? obj.cards : [];
+  return [
+    appearance.imageUrl,
+    appearance.frontImageUrl,
+    appearance.backImageUrl,
+    ...cards.flatMap((card) => [card?.frontImageUrl, card?.backImageUrl]),
+  ];
+};
+
+/**
+ * Lists the objects of a table state: its objects and its templates' objects.
+ * @param {{objects?: object[], templates?: Array<{objects: object[]}>}} state - The table state.
+ * @returns {object[]}
+ */
+const getStateObjects = (state) => [
+  ...(Array.isArray(state?.objects) ? state.objects : []),
+  ...(Array.isArray(state?.templates) ? state.templates : []).flatMap(
+    (template) => (Array.isArray(template?.objects) ? template.objects : []),
+  ),
+];
+
+/**
+ * Collects the image URLs a table state uses: its background image and its objects' and templates' images.
+ * @param {{objects?: object[], background?: object, templates?: Array<{objects: object[]}>}} state - The table state.
+ * @returns {string[]} The URLs (asset references, data URLs or links), without repeats.
+ */
+export const collectImageUrls = (state) => {
+  const urls = [
+    state?.background?.type === "image" ? state.background.value : null,
+    ...getStateObjects(state).flatMap(getObjectImageUrls),
+  ];
+  return [...new Set(urls.filter((url) => typeof url === "string" && url))];
+};
+
+/**
+ * Collects the assets a table state references: from its objects, its background and its templates' objects.
+ * @param {{objects?: object[], background?: object, templates?: Array<{objects: object[]}>}} state - The table state.
+ * @returns {string[]} The hashes of the referenced assets, without repeats.
+ */
+export const collectAssetHashes = (state) => [
+  ...new Set(collectImageUrls(state).map(getAssetHash).filter(Boolean)),
+];
+
+/**
+ * Replaces the image URLs of an object (see `getObjectImageUrls`).
+ * @param {*} obj - The object (not changed).
+ * @param {function(string): string} replace - Returns the URL to use instead of a URL.
+ * @returns {*} A copy of the object with the URLs replaced (other values are returned as they are).
+ */
+const replaceObjectImageUrls = (obj, replace) => {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return obj;
+  const replaceIn = (holder, keys) => {
+    if (!holder || typeof holder !== "object") return holder;
+    const copy = { ...holder };
+    keys.forEach((key) => {
+      if (typeof copy[key] === "string" && copy[key]) {
+        copy[key] = replace(copy[key]);
+      }
+    });
+    return copy;
+  };
+  return {
+    ...obj,
+    ...(obj.appearance
+      ? {
+          appearance: replaceIn(obj.appearance, [
+            "imageUrl",
+            "frontImageUrl",
+            "backImageUrl",
+          ]),
+        }
+      : {}),
+    ...(Array.isArray(obj.cards)
+      ? {
+          cards: obj.cards.map((card) =>
+            replaceIn(card, ["frontImageUrl", "backImageUrl"]),
+          ),
+        }
+      : {}),
+  };
+};
+
+/**
+ * Replaces the image URLs a table state uses (the ones `collectImageUrls` lists), e.g. to point them at assets.
+ * @param {object} state - The table state (not changed).
+ * @param {function(string): string} replace - Returns the URL to use instead of a URL.
+ * @returns {object} A copy of the state with the URLs replaced.
+ */
+export const replaceImageUrls = (state, replace) => {
+  const copy = { ...state };
+  if (Array.isArray(state.objects)) {
+    copy.objects = state.objects.map((obj) =>
+      replaceObjectImageUrls(obj, replace),
+    );
+  }
+  if (Array.isArray(state.templates)) {
+    copy.templates = state.templates.map((template) =>
+      template && Array.isArray(template.objects)
+        ? {
+            ...template,
+            objects: template.objects.map((obj) =>
+              replaceObjectImageUrls(obj, replace),
+            ),
+          }
+        : template,
+    );
+  }
+  if (
+    state.background?.type === "image" &&
+    typeof state.background.value === "string" &&
+    state.background.value
+  ) {
+    copy.background = {
+      ...state.background,
+      value: replace(state.background.value),
+    };
+  }
+  return copy;
+};
+
+/**
+ * Validates embedded assets (e.g. from a session file), dropping entries that are not image data URLs.
+ * @param {*} assets - The assets, data URLs by hash.
+ * @returns {Object<string, string>}
+ */
+export const normalizeAssets = (assets) =>
+  assets && typeof assets === "object" && !Array.isArray(assets)
+    ? Object.fromEntries(
+        Object.entries(assets).filter(
+          ([hash, data]) => ASSET_HASH_PATTERN.test(hash) && isAssetData(data),
+        ),
+      )
+    : {};
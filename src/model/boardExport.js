@@ -0,0 +1,295 @@
+// src/model/boardExport.js
+/**
+ * @file Exporting the board: the layout of a printout at true scale over several pages, and an SVG serializer of
+ * the board's background, grid, shapes, images and labels. Board coordinates are millimeters (see `MM_PER_UNIT` in
+ * Board.js), so a board exported 1:1 matches the size set in the board settings.
+ * Pure helpers.
+ */
+import { getHexCentersInRect, getHexCorners } from "./grid.js";
+import { isPathShape, isClosedPath, getLocalPathPoints } from "./shapes.js";
+import { getDisplayImageUrl, getDisplayImageRegion } from "./deck.js";
+import { isGroup } from "./group.js";
+
+/**
+ * @typedef {Object} PaperSize
+ * @property {string} name - Name shown to the user.
+ * @property {number} width - Width in millimeters (portrait).
+ * @property {number} height - Height in millimeters (portrait).
+ */
+
+/** @const {Object<string, PaperSize>} Paper sizes for printable exports. */
+export const PAPER_SIZES = {
+  letter: { name: "Letter", width: 215.9, height: 279.4 },
+  legal: { name: "Legal", width: 215.9, height: 355.6 },
+  tabloid: { name: "Tabloid", width: 279.4, height: 431.8 },
+  a4: { name: "A4", width: 210, height: 297 },
+  a3: { name: "A3", width: 297, height: 420 },
+};
+
+/** @const {number} Blank border of printed pages in millimeters, which most printers cannot print on. */
+export const PRINT_MARGIN_MM = 10;
+
+/** @const {number} Width of the grid lines in SVG exports, in millimeters. */
+const SVG_GRID_LINE_WIDTH_MM = 0.3;
+
+/** @const {number} Opacity of objects the GM sees ghosted (as drawn on the table). */
+const SVG_GHOSTED_OPACITY = 0.45;
+
+/** @const {number} Font size of object names in SVG exports, in millimeters. */
+const SVG_NAME_FONT_SIZE_MM = 3;
+
+/**
+ * @typedef {Object} PrintTile
+ * @property {number} column - Column of the page, from 0.
+ * @property {number} row - Row of the page, from 0.
+ * @property {number} x - Left edge of the part of the board on the page, in millimeters.
+ * @property {number} y - Top edge of the part of the board on the page, in millimeters.
+ * @property {number} width - Width of the part of the board on the page, in millimeters.
+ * @property {number} height - Height of the part of the board on the page, in millimeters.
+ */
+
+/**
+ * Splits the board into pages for printing it at true scale. The orientation needing fewer pages is used (portrait
+ * on a tie). Each page shows its part of the board from its top-left printable corner.
+ * @param {number} boardWidth - The board's width in millimeters.
+ * @param {number} boardHeight - The board's height in millimeters.
+ * @param {PaperSize} paper - The paper size.
+ * @param {number} [margin] - The page margin in millimeters.
+ * @returns {{pageWidth: number, pageHeight: number, columns: number, rows: number, tiles: PrintTile[]}} The page
+ *          size in millimeters (oriented), the number of page columns and rows, and the pages row by row.
+ * @throws {Error} If the board has no area or the margins leave no room on the page.
+ */
+export const planPrintTiles = (
+  boardWidth,
+  boardHeight,
+  paper,
+  margin = PRINT_MARGIN_MM,
+) => {
+  if (!(boardWidth > 0 && boardHeight > 0)) {
+    throw new Error("The board has no size to print.");
+  }
+  const layouts = [
+    { pageWidth: paper.width, pageHeight: paper.height },
+    { pageWidth: paper.height, pageHeight: paper.width },
+  ].map(({ pageWidth, pageHeight }) => {
+    const printableWidth = pageWidth - 2 * margin;
+    const printableHeight = pageHeight - 2 * margin;
+    if (!(printableWidth > 0 && printableHeight > 0)) {
+      throw new Error("The page margins leave no room to print on.");
+    }
+    return {
+      pageWidth,
+      pageHeight,
+      printableWidth,
+      printableHeight,
+      // A hair of tolerance, so a board exactly the printable size fits one page
+      columns: Math.ceil(boardWidth / printableWidth - 1e-9),
+      rows: Math.ceil(boardHeight / printableHeight - 1e-9),
+    };
+  });
+  const [layout] = layouts.sort(
+    (a, b) => a.columns * a.rows - b.columns * b.rows,
+  );
+  const tiles = [];
+  for (let row = 0; row < layout.rows; row++) {
+    for (let column = 0; column < layout.columns; column++) {
+      const x = column * layout.printableWidth;
+      const y = row * layout.printableHeight;
+      tiles.push({
+        column,
+        row,
+        x,
+        y,
+        width: Math.min(layout.printableWidth, boardWidth - x),
+        height: Math.min(layout.printableHeight, boardHeight - y),
+      });
+    }
+  }
+  return {
+    pageWidth: layout.pageWidth,
+    pageHeight: layout.pageHeight,
+    columns: layout.columns,
+    rows: layout.rows,
+    tiles,
+  };
+};
+
+/**
+ * Escapes a text for XML content and attribute values.
+ * @param {*} text - The text.
+ * @returns {string}
+ */
+const escapeXml = (text) =>
+  String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[char],
+  );
+
+/**
+ * Formats a number for SVG.
+ * @param {number} value - The number.
+ * @returns {string}
+ */
+const num = (value) => String(Math.round(value * 1000) / 1000);
+
+/**
+ * Serializes the grid lines covering the board.
+ * @param {object} grid - The grid settings (type, color, opacity).
+ * @param {import('./grid.js').PixelGrid} pixelGrid - The grid in board coordinates.
+ * @param {number} width - The board's width.
+ * @param {number} height - The board's height.
+ * @returns {string} A path element, or an empty string without a grid.
+ */
+const serializeGrid = (grid, pixelGrid, width, height) => {
+  if (!grid || grid.type === "none" || !(pixelGrid?.cellSize > 0)) return "";
+  const commands = [];
+  if (grid.type === "square") {
+    const { cellSize, offsetX, offsetY } = pixelGrid;
+    const firstX = offsetX - Math.floor(offsetX / cellSize) * cellSize;
+    const firstY = offsetY - Math.floor(offsetY / cellSize) * cellSize;
+    for (let x = firstX; x <= width; x += cellSize) {
+      commands.push(`M${num(x)} 0V${num(height)}`);
+    }
+    for (let y = firstY; y <= height; y += cellSize) {
+      commands.push(`M0 ${num(y)}H${num(width)}`);
+    }
+  } else {
+    getHexCentersInRect(
+      { left: 0, top: 0, right: width, bottom: height },
+      pixelGrid,
+    ).forEach((center) => {
+      const corners = getHexCorners(center.x, center.y, pixelGrid);
+      commands.push(
+        `M${corners.map((corner) => `${num(corner.x)} ${num(corner.y)}`).join("L")}Z`,
+      );
+    });
+  }
+  return `<path d="${commands.join("")}" fill="none" stroke="${escapeXml(grid.color)}" stroke-opacity="${num(grid.opacity)}" stroke-width="${SVG_GRID_LINE_WIDTH_MM}" clip-path="url(#board-clip)"/>`;
+};
+
+/**
+ * Serializes an object as it is drawn on the table: its shape, image, label and name.
+ * @param {object} obj - The object, in board coordinates.
+ * @param {boolean} ghosted - Whether the object is drawn semi-transparent.
+ * @param {function(string): string | null} getImageHref - Returns the reference to write for an image URL, or null
+ *        to leave the image out.
+ * @returns {string} A group element, or an empty string for groups (their children are drawn instead).
+ */
+const serializeObject = (obj, ghosted, getImageHref) => {
+  if (isGroup(obj)) return "";
+  const { x, y, width, height, rotation = 0, shape, id, name } = obj;
+  const {
+    backgroundColor,
+    borderColor,
+    borderWidth = 0,
+    text,
+    textColor = "#000000",
+    fontSize = 14,
+    fontFamily = "Arial",
+    showLabel = false,
+  } = obj.appearance || {};
+  const fill = escapeXml(backgroundColor || "#DDDDDD");
+  const stroke =
+    borderColor && borderWidth > 0
+      ? ` stroke="${escapeXml(borderColor)}" stroke-width="${num(borderWidth)}"`
+      : "";
+  const parts = [];
+  let clipId = null;
+
+  if (isPathShape(shape)) {
+    const points = getLocalPathPoints(obj);
+    const closed = isClosedPath(obj);
+    const d = `M${points.map((point) => `${num(point.x)} ${num(point.y)}`).join("L")}${closed ? "Z" : ""}`;
+    const pathFill =
+      closed && obj.appearance?.filled !== false
+        ? `fill="${fill}"`
+        : 'fill="none"';
+    parts.push(
+      `<path d="${d}" ${pathFill}${stroke} stroke-linecap="round" stroke-linejoin="round"/>`,
+    );
+    if (closed) {
+      // Images on closed paths are clipped to the outline
+      clipId = `clip-${escapeXml(id)}`;
+      parts.push(`<clipPath id="${clipId}"><path d="${d}"/></clipPath>`);
+    }
+  } else if (shape === "circle") {
+    parts.push(
+      `<ellipse cx="${num(width / 2)}" cy="${num(height / 2)}" rx="${num(width / 2)}" ry="${num(height / 2)}" fill="${fill}"${stroke}/>`,
+    );
+  } else {
+    parts.push(
+      `<rect width="${num(width)}" height="${num(height)}" fill="${fill}"${stroke}/>`,
+    );
+  }
+
+  const imageUrl = getDisplayImageUrl(obj);
+  const href = imageUrl ? getImageHref(imageUrl) : null;
+  const region = getDisplayImageRegion(obj);
+  const clip = clipId ? ` clip-path="url(#${clipId})"` : "";
+  if (href && region) {
+    // One cell of a sprite sheet: the image stretched over a unit square, of which the view box shows the region
+    parts.push(
+      `<svg width="${num(width)}" height="${num(height)}" viewBox="${[region.x, region.y, region.width, region.height].join(" ")}" preserveAspectRatio="none"${clip}><image href="${escapeXml(href)}" width="1" height="1" preserveAspectRatio="none"/></svg>`,
+    );
+  } else if (href) {
+    parts.push(
+      `<image href="${escapeXml(href)}" width="${num(width)}" height="${num(height)}" preserveAspectRatio="none"${clip}/>`,
+    );
+  }
+  if (showLabel === true && typeof text === "string" && text.trim() !== "") {
+    parts.push(
+      `<text x="${num(width / 2)}" y="${num(height / 2)}" fill="${escapeXml(textColor)}" font-family="${escapeXml(fontFamily)}" font-size="${num(fontSize)}" text-anchor="middle" dominant-baseline="central">${escapeXml(text)}</text>`,
+    );
+  }
+  if (typeof name === "string" && name.trim() !== "") {
+    parts.push(
+      `<text x="${num(width / 2)}" y="-1" fill="#000000" font-family="Arial" font-size="${SVG_NAME_FONT_SIZE_MM}" text-anchor="middle">${escapeXml(name)}</text>`,
+    );
+  }
+
+  const transform = `translate(${num(x + width / 2)} ${num(y + height / 2)}) rotate(${num(rotation)}) translate(${num(-width / 2)} ${num(-height / 2)})`;
+  return `<g transform="${transform}"${ghosted ? ` opacity="${SVG_GHOSTED_OPACITY}"` : ""}>${parts.join("")}</g>`;
+};
+
+/**
+ * Serializes the board as an SVG document whose size is the board's real size (in millimeters), so it prints at
+ * true scale. The fog of war and the lighting are not included.
+ * @param {{boardProperties: {widthPx: number, heightPx: number}, background: {type: string, value: string},
+ *         grid: object, pixelGrid: import('./grid.js').PixelGrid, objects: object[], ghostedObjectIds?: Set<string>}}
+ *        drawing - What the board shows (see `getBoardDrawing()` in canvasView.js), objects in drawing order.
+ * @param {function(string): string | null} getImageHref - Returns the reference to write for an image URL (e.g. a
+ *        data URL for an asset reference), or null to leave the image out.
+ * @returns {string}
+ */
+export const buildBoardSvg = (drawing, getImageHref) => {
+  const { widthPx: width, heightPx: height } = drawing.boardProperties;
+  const ghosted = drawing.ghostedObjectIds || new Set();
+  const { type, value } = drawing.background || {};
+  const backgroundHref = type === "image" && value ? getImageHref(value) : null;
+  const background = [
+    `<rect width="${num(width)}" height="${num(height)}" fill="${type === "color" && value ? escapeXml(value) : "#888888"}"/>`,
+    backgroundHref
+      ? `<image href="${escapeXml(backgroundHref)}" width="${num(width)}" height="${num(height)}" preserveAspectRatio="none"/>`
+      : "",
+  ].join("");
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}mm" height="${num(height)}mm" viewBox="0 0 ${num(width)} ${num(height)}">`,
+    `<defs><clipPath id="board-clip"><rect width="${num(width)}" height="${num(height)}"/></clipPath></defs>`,
+    background,
+    serializeGrid(drawing.grid, drawing.pixelGrid, width, height),
+    ...drawing.objects.map((obj) =>
+      serializeObject(obj, ghosted.has(obj.id), getImageHref),
+    ),
+    "</svg>\n",
+  ]
+    .filter(Boolean)
+    .join("\n");
+};
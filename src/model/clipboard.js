@@ -0,0 +1,154 @@
+// src/model/clipboard.js
+/**
+ * @file Pure helpers for copying and pasting objects.
+ * Copied objects travel as JSON text (see `serializeObjects`), so they can be pasted through the system clipboard,
+ * including into another tab's session. Pasting creates new objects: every copy gets a fresh ID, and the references
+ * between copied objects (a group's `children`, a card's `deckId`) are carried over to the new IDs.
+ */
+import VTTObject from "./VTTObject.js";
+import {
+  buildParentIndex,
+  getChildIds,
+  getDescendantIds,
+  getRotatedBounds,
+  isGroup,
+  resolveWorldObject,
+} from "./group.js";
+
+/** @const {string} Marks clipboard text as copied objects. */
+export const CLIPBOARD_FORMAT = "tabletoptool/objects";
+
+/** @const {number} Version of the clipboard payload. */
+export const CLIPBOARD_VERSION = 1;
+
+/** @const {number} How far (in world pixels, right and down) pasted objects land from their originals by default. */
+export const PASTE_OFFSET = 20;
+
+/**
+ * Collects objects for copying: each object with table coordinates, followed by the objects in it if it is a group
+ * (which keep their coordinates relative to it). Objects inside another copied object are only copied once.
+ * @param {string[]} objectIds - The objects to copy.
+ * @param {function(string): (object | undefined)} getObject - Looks up an object by ID.
+ * @param {Map<string, string>} parents - The parent index (see `buildParentIndex`).
+ * @returns {object[]} Copies of the objects.
+ */
+export const collectObjectsForCopy = (objectIds, getObject, parents) => {
+  const copied = new Set();
+  const collected = [];
+  const add = (obj) => {
+    copied.add(obj.id);
+    collected.push(structuredClone(obj));
+  };
+  objectIds.forEach((id) => {
+    const obj = getObject(id);
+    if (!obj || copied.has(id)) return;
+    add(resolveWorldObject(obj, getObject, parents));
+    getDescendantIds(obj, getObject, parents).forEach((descendantId) => {
+      if (!copied.has(descendantId)) add(getObject(descendantId));
+    });
+  });
+  return collected;
+};
+
+/**
+ * Turns copied objects into clipboard text.
+ * @param {object[]} objects - The objects (see `collectObjectsForCopy`).
+ * @returns {string}
+ */
+export const serializeObjects = (objects) =>
+  JSON.stringify({
+    format: CLIPBOARD_FORMAT,
+    version: CLIPBOARD_VERSION,
+    objects,
+  });
+
+/**
+ * Reads copied objects back from clipboard text.
+ * @param {string} text - The clipboard text.
+ * @returns {object[] | null} The objects (entries that are not objects with a shape are dropped), or null if the
+ *          text does not hold copied objects.
+ */
+export const parseObjects = (text) => {
+  if (typeof text !== "string" || !text.trim().startsWith("{")) return null;
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (
+    payload?.format !== CLIPBOARD_FORMAT ||
+    !(payload.version <= CLIPBOARD_VERSION) ||
+    !Array.isArray(payload.objects)
+  ) {
+    return null;
+  }
+  return payload.objects.filter(
+    (obj) =>
+      obj &&
+      typeof obj === "object" &&
+      !Array.isArray(obj) &&
+      typeof obj.shape === "string",
+  );
+};
+
+/**
+ * Gives copied objects fresh IDs and points the references between them (a group's `children`, a card's `deckId`)
+ * to the new IDs. Children that are not among the objects are dropped from their groups.
+ * @param {object[]} objects - The copied objects.
+ * @returns {{objects: object[], topLevelIds: string[]}} The renamed copies, in the copied order, and the new IDs of
+ *          the outermost ones (those not in a copied group).
+ */
+export const assignFreshIds = (objects) => {
+  const newIds = new Map(
+    objects.map((obj) => [obj.id, VTTObject.generateUUID()]),
+  );
+  const parents = buildParentIndex(objects);
+  const renamed = objects.map((obj) => {
+    const copy = { ...structuredClone(obj), id: newIds.get(obj.id) };
+    if (isGroup(obj)) {
+      copy.children = getChildIds(obj)
+        .filter((childId) => parents.get(childId) === obj.id)
+        .map((childId) => newIds.get(childId));
+    }
+    if (newIds.has(obj.deckId)) copy.deckId = newIds.get(obj.deckId);
+    return copy;
+  });
+  return {
+    objects: renamed,
+    topLevelIds: objects
+      .filter((obj) => !parents.has(obj.id))
+      .map((obj) => newIds.get(obj.id)),
+  };
+};
+
+/**
+ * Prepares copied objects to be created again (see `assignFreshIds`) and moves the outermost ones together.
+ * @param {object[]} objects - The copied objects.
+ * @param {{x: number, y: number} | null} [position] - Where to center the pasted objects on the table. Defaults to
+ *        `PASTE_OFFSET` right of and below the originals.
+ * @returns {{objects: object[], topLevelIds: string[]}} Properties for `createObject`, in the copied order, and the
+ *          new IDs of the outermost objects.
+ */
+export const prepareObjectsForPaste = (objects, position = null) => {
+  const prepared = assignFreshIds(objects);
+  const topLevelIds = new Set(prepared.topLevelIds);
+  const topLevel = prepared.objects.filter((obj) => topLevelIds.has(obj.id));
+
+  let dx = PASTE_OFFSET;
+  let dy = PASTE_OFFSET;
+  if (position && topLevel.length > 0) {
+    const bounds = topLevel.map(getRotatedBounds);
+    const minX = Math.min(...bounds.map((b) => b.minX));
+    const minY = Math.min(...bounds.map((b) => b.minY));
+    const maxX = Math.max(...bounds.map((b) => b.maxX));
+    const maxY = Math.max(...bounds.map((b) => b.maxY));
+    dx = position.x - (minX + maxX) / 2;
+    dy = position.y - (minY + maxY) / 2;
+  }
+  topLevel.forEach((obj) => {
+    obj.x = (Number(obj.x) || 0) + dx;
+    obj.y = (Number(obj.y) || 0) + dy;
+  });
+  return prepared;
+};
@@ -0,0 +1,156 @@
+// src/model/collision.js
+/**
+ * @file Pure geometry helpers for object overlap tests.
+ * Object outlines follow the same rules as picking in `CanvasViewModel.getObjectAtPosition`:
+ * rectangles rotate around their center, circles use `width` as their diameter.
+ * Path shapes (polygon, polyline, freehand) are approximated by the convex hull of their vertices.
+ */
+import { isPathShape, getWorldPathPoints, getConvexHull } from "./shapes.js";
+
+/** Overlaps shallower than this (e.g., objects snapped edge to edge) do not count. */
+const OVERLAP_EPSILON = 1e-6;
+
+/**
+ * @typedef {{kind: 'polygon', points: Array<{x: number, y: number}>} | {kind: 'circle', x: number, y: number, radius: number}} Outline
+ */
+
+/**
+ * Returns the outline of an object in world space.
+ * @param {{shape: string, x: number, y: number, width: number, height: number, rotation?: number}} obj - The object.
+ * @returns {Outline | null} The outline, or null if the object has no valid size.
+ */
+export const getObjectOutline = (obj) => {
+  const x = parseFloat(obj.x);
+  const y = parseFloat(obj.y);
+  const width = parseFloat(obj.width);
+  const height = parseFloat(obj.height);
+  if ([x, y, width, height].some(isNaN) || width <= 0 || height <= 0) {
+    return null;
+  }
+  if (obj.shape === "circle") {
+    const radius = width / 2;
+    return { kind: "circle", x: x + radius, y: y + radius, radius };
+  }
+  if (isPathShape(obj.shape)) {
+    const hull = getConvexHull(
+      getWorldPathPoints({ ...obj, x, y, width, height }),
+    );
+    // A straight line has a two-point hull, which the separating axis test handles as a segment
+    return hull.length >= 2 ? { kind: "polygon", points: hull } : null;
+  }
+  const rotation = parseFloat(obj.rotation) || 0;
+  const centerX = x + width / 2;
+  const centerY = y + height / 2;
+  const rad = (rotation * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const points = [
+    [-width / 2, -height / 2],
+    [width / 2, -height / 2],
+    [width / 2, height / 2],
+    [-width / 2, height / 2],
+  ].map(([localX, localY]) => ({
+    x: centerX + localX * cos - localY * sin,
+    y: centerY + localX * sin + localY * cos,
+  }));
+  return { kind: "polygon", points };
+};
+
+/**
+ * Projects points onto an axis.
+ * @param {Array<{x: number, y: number}>} points - The points.
+ * @param {{x: number, y: number}} axis - The (unit) axis.
+ * @returns {{min: number, max: number}} The projected interval.
+ */
+const project = (points, axis) => {
+  let min = Infinity;
+  let max = -Infinity;
+  points.forEach((p) => {
+    const value = p.x * axis.x + p.y * axis.y;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  return { min, max };
+};
+
+/**
+ * Returns the unit normals of a polygon's edges (the separating axis candidates).
+ * @param {Array<{x: number, y: number}>} points - The polygon's corners, in order.
+ * @returns {Array<{x: number, y: number}>} The axes.
+ */
+const getEdgeNormals = (points) =>
+  points
+    .map((p, i) => {
+      const next = points[(i + 1) % points.length];
+      const length = Math.hypot(next.x - p.x, next.y - p.y);
+      return length > 0
+        ? { x: -(next.y - p.y) / length, y: (next.x - p.x) / length }
+        : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Tests two convex polygons for overlap with the separating axis theorem.
+ * @param {Array<{x: number, y: number}>} a - Corners of the first polygon.
+ * @param {Array<{x: number, y: number}>} b - Corners of the second polygon.
+ * @returns {boolean}
+ */
+const polygonsOverlap = (a, b) =>
+  [...getEdgeNormals(a), ...getEdgeNormals(b)].every((axis) => {
+    const pa = project(a, axis);
+    const pb = project(b, axis);
+    return (
+      Math.min(pa.max, pb.max) - Math.max(pa.min, pb.min) > OVERLAP_EPSILON
+    );
+  });
+
+/**
+ * Tests a circle and a convex polygon for overlap. Besides the polygon's edge normals, the axis from the
+ * circle's center to the nearest corner separates them when the circle sits diagonally off a corner.
+ * @param {{x: number, y: number, radius: number}} circle - The circle.
+ * @param {Array<{x: number, y: number}>} points - Corners of the polygon.
+ * @returns {boolean}
+ */
+const circlePolygonOverlap = (circle, points) => {
+  const nearest = points.reduce((best, p) =>
+    Math.hypot(p.x - circle.x, p.y - circle.y) <
+    Math.hypot(best.x - circle.x, best.y - circle.y)
+      ? p
+      : best,
+  );
+  const distance = Math.hypot(nearest.x - circle.x, nearest.y - circle.y);
+  const axes = getEdgeNormals(points);
+  if (distance > 0) {
+    axes.push({
+      x: (nearest.x - circle.x) / distance,
+      y: (nearest.y - circle.y) / distance,
+    });
+  }
+  return axes.every((axis) => {
+    const polygon = project(points, axis);
+    const center = circle.x * axis.x + circle.y * axis.y;
+    return (
+      Math.min(polygon.max, center + circle.radius) -
+        Math.max(polygon.min, center - circle.radius) >
+      OVERLAP_EPSILON
+    );
+  });
+};
+
+/**
+ * Tests whether two outlines overlap. Outlines that only touch do not overlap.
+ * @param {Outline} a - The first outline.
+ * @param {Outline} b - The second outline.
+ * @returns {boolean}
+ */
+export const outlinesOverlap = (a, b) => {
+  if (!a || !b) return false;
+  if (a.kind === "circle" && b.kind === "circle") {
+    return (
+      a.radius + b.radius - Math.hypot(a.x - b.x, a.y - b.y) > OVERLAP_EPSILON
+    );
+  }
+  if (a.kind === "circle") return circlePolygonOverlap(a, b.points);
+  if (b.kind === "circle") return circlePolygonOverlap(b, a.points);
+  return polygonsOverlap(a.points, b.points);
+};
@@ -0,0 +1,219 @@
+// src/model/deck.js
+/**
+ * @file Pure helpers for card decks.
+ * A deck is an object of type 'deck' whose `cards` array holds card definitions, top card first.
+ * Drawing a card removes its definition from the deck and creates an object of type 'card'; returning the card
+ * deletes that object and puts the definition back. Cards have a `faceUp` flag that selects which image is drawn.
+ * A card's image can be one cell of a sprite sheet (several cards in one image): its region gives the part shown.
+ */
+import VTTObject, { DECK_TYPE, CARD_TYPE } from "./VTTObject.js";
+
+export { DECK_TYPE, CARD_TYPE };
+
+/** Gap between a deck and the default position of a card drawn from it. */
+const DRAWN_CARD_OFFSET = 10;
+
+/**
+ * @typedef {Object} CardDefinition
+ * @property {string} id - Identifies the card within its game (kept when the card is drawn and returned).
+ * @property {string} [name] - The card's name.
+ * @property {string} [frontImageUrl] - Image shown when the card is face up.
+ * @property {string} [backImageUrl] - Image shown when the card is face down (defaults to the deck's `appearance.backImageUrl`).
+ * @property {ImageRegion} [frontImageRegion] - The part of `frontImageUrl` shown (the whole image if missing).
+ * @property {ImageRegion} [backImageRegion] - The part of `backImageUrl` shown (the whole image if missing).
+ * @property {Object<string, any>} [data] - Custom data, copied to the card object's `data`.
+ */
+
+/**
+ * @typedef {Object} ImageRegion
+ * @property {number} x - Left edge, as a fraction of the image's width (0 to 1).
+ * @property {number} y - Top edge, as a fraction of the image's height (0 to 1).
+ * @property {number} width - Width, as a fraction of the image's width.
+ * @property {number} height - Height, as a fraction of the image's height.
+ */
+
+/**
+ * Returns true if the object is a deck.
+ * @param {{type?: string} | null | undefined} obj - The object.
+ * @returns {boolean}
+ */
+export const isDeck = (obj) => obj?.type === DECK_TYPE;
+
+/**
+ * Returns true if the object is a card.
+ * @param {{type?: string} | null | undefined} obj - The object.
+ * @returns {boolean}
+ */
+export const isCard = (obj) => obj?.type === CARD_TYPE;
+
+/**
+ * Validates an image region.
+ * @param {*} region - The region.
+ * @returns {ImageRegion | null} A copy of the region, or null if it is missing or not a part of the image.
+ */
+export const normalizeImageRegion = (region) => {
+  if (!region || typeof region !== "object") return null;
+  const [x, y, width, height] = ["x", "y", "width", "height"].map((key) =>
+    Number(region[key]),
+  );
+  if (![x, y, width, height].every(Number.isFinite)) return null;
+  if (x < 0 || y < 0 || width <= 0 || height <= 0) return null;
+  if (x + width > 1 + 1e-9 || y + height > 1 + 1e-9) return null;
+  return { x, y, width, height };
+};
+
+/**
+ * Returns the image regions of a card definition or a card object's appearance, leaving out invalid ones.
+ * @param {{frontImageRegion?: *, backImageRegion?: *}} holder - The definition or appearance.
+ * @returns {{frontImageRegion?: ImageRegion, backImageRegion?: ImageRegion}}
+ */
+const pickImageRegions = (holder) => {
+  const regions = {};
+  ["frontImageRegion", "backImageRegion"].forEach((key) => {
+    const region = normalizeImageRegion(holder?.[key]);
+    if (region) regions[key] = region;
+  });
+  return regions;
+};
+
+/**
+ * Validates a card definition and fills in missing fields.
+ * @param {Partial<CardDefinition>} card - The card definition.
+ * @returns {CardDefinition} A new, complete definition.
+ * @throws {TypeError} If the definition is not an object.
+ */
+export const normalizeCardDefinition = (card) => {
+  if (!card || typeof card !== "object" || Array.isArray(card)) {
+    throw new TypeError("A card definition must be an object.");
+  }
+  return {
+    id: card.id ? String(card.id) : VTTObject.generateUUID(),
+    name: card.name ? String(card.name) : "",
+    frontImageUrl: card.frontImageUrl || "",
+    backImageUrl: card.backImageUrl || "",
+    ...pickImageRegions(card),
+    data:
+      card.data && typeof card.data === "object"
+        ? structuredClone(card.data)
+        : {},
+  };
+};
+
+/**
+ * Returns the cards in random order (Fisher-Yates).
+ * @param {Array<CardDefinition>} cards - The cards.
+ * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1).
+ * @returns {Array<CardDefinition>} A new, shuffled array.
+ */
+export const shuffleCards = (cards, random = Math.random) => {
+  const shuffled = cards.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Builds the properties of the object created when a card is drawn.
+ * @param {CardDefinition} card - The drawn card.
+ * @param {object} deck - The deck it is drawn from.
+ * @param {object} [options] - Placement options.
+ * @param {boolean} [options.faceUp=false] - Whether the card lands face up.
+ * @param {number} [options.x] - X position (defaults to just right of the deck).
+ * @param {number} [options.y] - Y position (defaults to the deck's).
+ * @param {number} [options.zIndex] - Stacking order (defaults to one above the deck).
+ * @returns {object} Properties for `createObject('rectangle', props)`.
+ */
+export const cardObjectProps = (card, deck, options = {}) => ({
+  type: CARD_TYPE,
+  name: card.name || "Card",
+  x: options.x ?? deck.x + deck.width + DRAWN_CARD_OFFSET,
+  y: options.y ?? deck.y,
+  width: deck.width,
+  height: deck.height,
+  rotation: deck.rotation || 0,
+  zIndex: options.zIndex ?? (deck.zIndex || 0) + 1,
+  faceUp: options.faceUp === true,
+  cardId: card.id,
+  deckId: deck.id,
+  ...(deck.layer ? { layer: deck.layer } : {}),
+  appearance: {
+    backgroundColor: deck.appearance?.backgroundColor || "#FFFFFF",
+    borderColor: deck.appearance?.borderColor || "#333333",
+    borderWidth: deck.appearance?.borderWidth ?? 1,
+    frontImageUrl: card.frontImageUrl || "",
+    backImageUrl: card.backImageUrl || deck.appearance?.backImageUrl || "",
+    ...pickImageRegions({
+      frontImageRegion: card.frontImageRegion,
+      // A card without a back of its own shows the deck's whole back image
+      backImageRegion: card.backImageUrl ? card.backImageRegion : null,
+    }),
+  },
+  data: structuredClone(card.data || {}),
+});
+
+/**
+ * Rebuilds the definition of a card object, e.g. to put it back into a deck.
+ * @param {object} cardObject - The card object.
+ * @returns {CardDefinition}
+ */
+export const cardDefinitionFromObject = (cardObject) =>
+  normalizeCardDefinition({
+    id: cardObject.cardId || cardObject.id,
+    name: cardObject.name,
+    frontImageUrl: cardObject.appearance?.frontImageUrl,
+    backImageUrl: cardObject.appearance?.backImageUrl,
+    ...pickImageRegions(cardObject.appearance),
+    data: cardObject.data,
+  });
+
+/**
+ * Returns the image an object is drawn with. Cards show their front or back depending on `faceUp`;
+ * decks show the back of their top card. Other objects (and cards or decks without these images) use `appearance.imageUrl`.
+ * @param {object} obj - The object.
+ * @returns {string} The image URL, or an empty string if the object has no image.
+ */
+export const getDisplayImageUrl = (obj) => {
+  const appearance = obj.appearance || {};
+  if (isCard(obj)) {
+    const faceImage = obj.faceUp
+      ? appearance.frontImageUrl
+      : appearance.backImageUrl;
+    return faceImage || appearance.imageUrl || "";
+  }
+  if (isDeck(obj)) {
+    const topCard = Array.isArray(obj.cards) ? obj.cards[0] : null;
+    if (!topCard) return appearance.imageUrl || "";
+    return (
+      topCard.backImageUrl ||
+      appearance.backImageUrl ||
+      appearance.imageUrl ||
+      ""
+    );
+  }
+  return appearance.imageUrl || "";
+};
+
+/**
+ * Returns the part of its image (see `getDisplayImageUrl()`) an object is drawn with, for cards showing one cell of
+ * a sprite sheet.
+ * @param {object} obj - The object.
+ * @returns {ImageRegion | null} The region, or null to draw the whole image.
+ */
+export const getDisplayImageRegion = (obj) => {
+  const appearance = obj.appearance || {};
+  if (isCard(obj)) {
+    const [url, region] = obj.faceUp
+      ? [appearance.frontImageUrl, appearance.frontImageRegion]
+      : [appearance.backImageUrl, appearance.backImageRegion];
+    return url ? normalizeImageRegion(region) : null;
+  }
+  if (isDeck(obj)) {
+    const topCard = Array.isArray(obj.cards) ? obj.cards[0] : null;
+    return topCard?.backImageUrl
+      ? normalizeImageRegion(topCard.backImageRegion)
+      : null;
+  }
+  return null;
+};
@@ -0,0 +1,315 @@
+// src/model/dice.js
+/**
+ * @file Dice notation parser and seeded random numbers.
+ * Supported notation (case-insensitive, whitespace ignored), combined with `+` and `-`:
+ * - `NdX`: N dice with X sides (N defaults to 1). `d%` is a d100, `dF` a fudge die (-1, 0 or +1).
+ * - `khN` / `kN`, `klN`: keep the N highest / lowest dice. `dhN`, `dlN` / `dN`: drop the N highest / lowest.
+ * - `!`: exploding dice; every die showing its maximum adds another die.
+ * - `adv`, `dis`: advantage / disadvantage, e.g. `d20adv` rolls 2d20 and keeps the highest.
+ * - Whole numbers as modifiers, e.g. `4d6kh3+2`.
+ * Rolls only depend on the random source, so a roll made with `createRandomSource(state)` can be repeated exactly.
+ */
+
+/** Most dice a single group may roll (before explosions). */
+const MAX_DICE_PER_GROUP = 100;
+/** Most sides a die may have. */
+const MAX_SIDES = 1000;
+/** Most extra dice a single die may add by exploding. */
+const MAX_EXPLOSIONS_PER_DIE = 20;
+
+const DICE_TERM_PATTERN =
+  /^(\d*)d(\d+|%|f)((?:!|k[hl]?\d+|d[hl]?\d+|adv|dis)*)$/;
+const MODIFIER_PATTERN = /!|k[hl]?\d+|d[hl]?\d+|adv|dis/g;
+
+/**
+ * @typedef {Object} DieResult
+ * @property {number} value - The face rolled.
+ * @property {boolean} kept - False if the die was removed by a keep/drop modifier.
+ * @property {boolean} exploded - True if the die showed its maximum and added another die.
+ */
+
+/**
+ * @typedef {Object} RollTerm
+ * @property {'dice' | 'constant'} type - A group of dice or a fixed number.
+ * @property {1 | -1} sign - Whether the term is added or subtracted.
+ * @property {string} notation - The term as written (normalized), without its sign.
+ * @property {number} value - The term's contribution to the total, before its sign (sum of the kept dice, or the number).
+ * @property {Array<DieResult>} [dice] - Dice terms only: every die rolled, in rolling order.
+ */
+
+/**
+ * @typedef {Object} RollResult
+ * @property {string} notation - The normalized notation.
+ * @property {number} total - The result.
+ * @property {Array<RollTerm>} terms - The individual terms.
+ * @property {string} text - A readable breakdown, e.g. `4d6kh3 [6, 5, 3, (1)] + 2 = 16`.
+ */
+
+/**
+ * Creates a seeded random number generator (mulberry32).
+ * @param {number} state - The generator state (a 32-bit integer, e.g. a seed).
+ * @returns {{next: function(): number, getState: function(): number}} `next` returns numbers in [0, 1);
+ *          `getState` returns the state to continue the sequence from later.
+ */
+export const createRandomSource = (state) => {
+  let current = state | 0;
+  return {
+    next: () => {
+      current = (current + 0x6d2b79f5) | 0;
+      let t = Math.imul(current ^ (current >>> 15), current | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    getState: () => current,
+  };
+};
+
+/**
+ * Converts a seed given as a number or text into a generator state.
+ * @param {number | string} seed - The seed. Text is hashed (FNV-1a), so any phrase works.
+ * @returns {number} A 32-bit integer state.
+ */
+export const seedToState = (seed) => {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed | 0;
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193);
+  }
+  return hash | 0;
+};
+
+/**
+ * Generates a fresh, unpredictable seed.
+ * @returns {number} A 32-bit integer.
+ */
+export const generateSeed = () => {
+  if (globalThis.crypto?.getRandomValues) {
+    return globalThis.crypto.getRandomValues(new Int32Array(1))[0];
+  }
+  return (Math.random() * 4294967296) | 0;
+};
+
+/**
+ * Parses the modifiers following a dice group.
+ * @param {string} text - The modifiers, e.g. `!kh3`.
+ * @param {string} term - The whole term, for error messages.
+ * @returns {{explode: boolean, keep: {mode: 'kh' | 'kl' | 'dh' | 'dl', count: number} | null, advantage: 'adv' | 'dis' | null}}
+ * @throws {SyntaxError} If modifiers are repeated or conflict.
+ */
+const parseModifiers = (text, term) => {
+  const modifiers = { explode: false, keep: null, advantage: null };
+  (text.match(MODIFIER_PATTERN) || []).forEach((modifier) => {
+    if (modifier === "!") {
+      if (modifiers.explode) {
+        throw new SyntaxError(`'${term}': '!' is given more than once.`);
+      }
+      modifiers.explode = true;
+    } else if (modifier === "adv" || modifier === "dis") {
+      if (modifiers.advantage || modifiers.keep) {
+        throw new SyntaxError(
+          `'${term}': only one keep, drop, adv or dis modifier is allowed.`,
+        );
+      }
+      modifiers.advantage = modifier;
+    } else {
+      if (modifiers.keep || modifiers.advantage) {
+        throw new SyntaxError(
+          `'${term}': only one keep, drop, adv or dis modifier is allowed.`,
+        );
+      }
+      const [, action, which, count] = /^([kd])([hl]?)(\d+)$/.exec(modifier);
+      // 'k3' keeps the highest, 'd1' drops the lowest, as in most dice roller notations
+      const side = which || (action === "k" ? "h" : "l");
+      modifiers.keep = { mode: `${action}${side}`, count: Number(count) };
+    }
+  });
+  return modifiers;
+};
+
+/**
+ * Parses a single term (without its sign).
+ * @param {string} term - The term, e.g. `4d6kh3` or `2`.
+ * @returns {object} The parsed term.
+ * @throws {SyntaxError} If the term is not valid notation.
+ */
+const parseTerm = (term) => {
+  if (/^\d+$/.test(term)) {
+    return { type: "constant", value: Number(term) };
+  }
+  const match = DICE_TERM_PATTERN.exec(term);
+  if (!match) {
+    throw new SyntaxError(`'${term}' is not valid dice notation.`);
+  }
+  const [, countText, sidesText, modifierText] = match;
+  const fudge = sidesText === "f";
+  const sides = fudge ? 3 : sidesText === "%" ? 100 : Number(sidesText);
+  let count = countText === "" ? 1 : Number(countText);
+  const modifiers = parseModifiers(modifierText, term);
+
+  if (modifiers.advantage) {
+    if (count !== 1) {
+      throw new SyntaxError(
+        `'${term}': adv and dis apply to a single die (e.g. d20adv).`,
+      );
+    }
+    count = 2;
+    modifiers.keep = {
+      mode: modifiers.advantage === "adv" ? "kh" : "kl",
+      count: 1,
+    };
+  }
+  if (count < 1 || count > MAX_DICE_PER_GROUP) {
+    throw new SyntaxError(
+      `'${term}': a group must roll between 1 and ${MAX_DICE_PER_GROUP} dice.`,
+    );
+  }
+  if (sides < 1 || sides > MAX_SIDES) {
+    throw new SyntaxError(
+      `'${term}': dice must have between 1 and ${MAX_SIDES} sides.`,
+    );
+  }
+  if (modifiers.explode && (fudge || sides < 2)) {
+    throw new SyntaxError(`'${term}': these dice cannot explode.`);
+  }
+  return { type: "dice", count, sides, fudge, ...modifiers };
+};
+
+/**
+ * Parses dice notation.
+ * @param {string} notation - The notation, e.g. `4d6kh3+2`.
+ * @returns {{notation: string, terms: Array<object>}} The normalized notation and its parsed terms.
+ * @throws {SyntaxError} If the notation is empty or invalid.
+ */
+export const parseDiceNotation = (notation) => {
+  const normalized = String(notation ?? "")
+    .replace(/\s+/g, "")
+    .toLowerCase();
+  if (!normalized) {
+    throw new SyntaxError("Dice notation is empty.");
+  }
+  if (!/^[+-]?[^+-]+(?:[+-][^+-]+)*$/.test(normalized)) {
+    throw new SyntaxError(`'${notation}' is not valid dice notation.`);
+  }
+  const terms = Array.from(normalized.matchAll(/([+-]?)([^+-]+)/g)).map(
+    ([, sign, term]) => ({
+      sign: sign === "-" ? -1 : 1,
+      notation: term,
+      ...parseTerm(term),
+    }),
+  );
+  return { notation: normalized, terms };
+};
+
+/**
+ * Rolls a single die.
+ * @param {object} term - The parsed dice term.
+ * @param {function(): number} random - Source of random numbers in [0, 1).
+ * @returns {number} The face rolled.
+ */
+const rollDie = (term, random) =>
+  term.fudge
+    ? Math.floor(random() * 3) - 1
+    : Math.floor(random() * term.sides) + 1;
+
+/**
+ * Rolls the dice of a parsed dice term and applies its modifiers.
+ * @param {object} term - The parsed dice term.
+ * @param {function(): number} random - Source of random numbers in [0, 1).
+ * @returns {Array<DieResult>} The dice rolled.
+ */
+const rollTerm = (term, random) => {
+  const dice = [];
+  for (let i = 0; i < term.count; i++) {
+    let value = rollDie(term, random);
+    let explosions = 0;
+    while (
+      term.explode &&
+      value === term.sides &&
+      explosions < MAX_EXPLOSIONS_PER_DIE
+    ) {
+      dice.push({ value, kept: true, exploded: true });
+      value = rollDie(term, random);
+      explosions++;
+    }
+    dice.push({ value, kept: true, exploded: false });
+  }
+  if (term.keep) {
+    const { mode, count } = term.keep;
+    // Indices ordered from the highest to the lowest die (earlier dice first on ties)
+    const byValue = dice
+      .map((die, index) => index)
+      .sort((a, b) => dice[b].value - dice[a].value || a - b);
+    const n = Math.min(count, dice.length);
+    let removed;
+    if (mode === "kh") removed = byValue.slice(n);
+    else if (mode === "kl") removed = byValue.slice(0, dice.length - n);
+    else if (mode === "dh") removed = byValue.slice(0, n);
+    else removed = byValue.slice(dice.length - n);
+    removed.forEach((index) => {
+      dice[index].kept = false;
+    });
+  }
+  return dice;
+};
+
+/**
+ * Formats a die for the roll breakdown: dropped dice in parentheses, exploding dice with `!`.
+ * @param {DieResult} die - The die.
+ * @param {boolean} fudge - Whether it is a fudge die (shown as +, - or 0).
+ * @returns {string}
+ */
+const formatDie = (die, fudge) => {
+  const face = fudge
+    ? ["-", "0", "+"][die.value + 1]
+    : `${die.value}${die.exploded ? "!" : ""}`;
+  return die.kept ? face : `(${face})`;
+};
+
+/**
+ * Rolls dice notation.
+ * @param {string} notation - The notation, e.g. `4d6kh3+2`.
+ * @param {function(): number} [random=Math.random] - Source of random numbers in [0, 1),
+ *        e.g. `createRandomSource(state).next` for a reproducible roll.
+ * @returns {RollResult}
+ * @throws {SyntaxError} If the notation is invalid.
+ */
+export const rollDice = (notation, random = Math.random) => {
+  const parsed = parseDiceNotation(notation);
+  const terms = parsed.terms.map((term) => {
+    if (term.type === "constant") {
+      return {
+        type: "constant",
+        sign: term.sign,
+        notation: term.notation,
+        value: term.value,
+      };
+    }
+    const dice = rollTerm(term, random);
+    return {
+      type: "dice",
+      sign: term.sign,
+      notation: term.notation,
+      value: dice
+        .filter((die) => die.kept)
+        .reduce((sum, die) => sum + die.value, 0),
+      dice,
+    };
+  });
+  const total = terms.reduce((sum, term) => sum + term.sign * term.value, 0);
+  const breakdown = terms
+    .map((term, index) => {
+      const part =
+        term.type === "dice"
+          ? `${term.notation} [${term.dice.map((die) => formatDie(die, parsed.terms[index].fudge)).join(", ")}]`
+          : term.notation;
+      if (index === 0) return term.sign < 0 ? `-${part}` : part;
+      return `${term.sign < 0 ? "-" : "+"} ${part}`;
+    })
+    .join(" ");
+  return {
+    notation: parsed.notation,
+    total,
+    terms,
+    text: `${breakdown} = ${total}`,
+  };
+};
@@ -0,0 +1,153 @@
+// src/model/fog.js
+/**
+ * @file The fog of war: a mask over the table that conceals the areas players have not explored.
+ * The mask is resolution-independent: a list of regions in board (world pixel) coordinates, each revealing or
+ * covering its area. With the fog enabled, everything starts covered and the regions apply in order, so a later
+ * region wins where regions overlap. Pure helpers; the fog itself is stored by the Board.
+ */
+import { distanceToSegment, isPointInPolygon } from "./shapes.js";
+
+/** @const {string[]} What a region does: 'reveal' clears the fog in its area, 'cover' restores it. */
+export const FOG_MODES = ["reveal", "cover"];
+
+/** @const {string[]} Region shapes: rectangles, polygons, and brush strokes (a line of points with a radius). */
+export const FOG_SHAPES = ["rect", "polygon", "brush"];
+
+/**
+ * @typedef {Object} FogRegion
+ * @property {'reveal' | 'cover'} mode - Whether the region reveals or covers its area.
+ * @property {'rect' | 'polygon' | 'brush'} shape - The region's shape.
+ * @property {number} [x] - rect: left edge.
+ * @property {number} [y] - rect: top edge.
+ * @property {number} [width] - rect: width.
+ * @property {number} [height] - rect: height.
+ * @property {Array<{x: number, y: number}>} [points] - polygon: the vertices; brush: the stroke's points.
+ * @property {number} [radius] - brush: half the stroke's width.
+ */
+
+/**
+ * @typedef {Object} FogState
+ * @property {boolean} enabled - Whether the fog is shown.
+ * @property {FogRegion[]} regions - The revealed and covered regions, oldest first.
+ */
+
+/** @const {FogState} Default fog: disabled, with nothing revealed. */
+export const DEFAULT_FOG = { enabled: false, regions: [] };
+
+/**
+ * Copies a list of points, dropping the invalid ones.
+ * @param {*} points - The points.
+ * @returns {Array<{x: number, y: number}>}
+ */
+const normalizePoints = (points) =>
+  Array.isArray(points)
+    ? points
+        .map((point) => ({ x: Number(point?.x), y: Number(point?.y) }))
+        .filter(({ x, y }) => Number.isFinite(x) && Number.isFinite(y))
+    : [];
+
+/**
+ * Validates a region and brings it to its canonical form (rectangles get a non-negative size).
+ * @param {*} region - The region.
+ * @returns {FogRegion | null} The region, or null if it is invalid (unknown mode or shape, too few points,
+ *   non-positive size or radius).
+ */
+export const normalizeFogRegion = (region) => {
+  if (
+    !region ||
+    !FOG_MODES.includes(region.mode) ||
+    !FOG_SHAPES.includes(region.shape)
+  ) {
+    return null;
+  }
+  const { mode, shape } = region;
+  if (shape === "rect") {
+    const [x, y, width, height] = ["x", "y", "width", "height"].map((key) =>
+      Number(region[key]),
+    );
+    if (![x, y, width, height].every(Number.isFinite)) return null;
+    if (width === 0 || height === 0) return null;
+    return {
+      mode,
+      shape,
+      x: Math.min(x, x + width),
+      y: Math.min(y, y + height),
+      width: Math.abs(width),
+      height: Math.abs(height),
+    };
+  }
+  const points = normalizePoints(region.points);
+  if (shape === "polygon") {
+    return points.length >= 3 ? { mode, shape, points } : null;
+  }
+  const radius = Number(region.radius);
+  if (points.length === 0 || !Number.isFinite(radius) || radius <= 0) {
+    return null;
+  }
+  return { mode, shape, points, radius };
+};
+
+/**
+ * Brings a fog state to its canonical form, dropping invalid regions.
+ * @param {*} fog - The fog state (missing fields take their defaults).
+ * @returns {FogState} A new fog state.
+ */
+export const normalizeFog = (fog) => ({
+  enabled: typeof fog?.enabled === "boolean" ? fog.enabled : false,
+  regions: Array.isArray(fog?.regions)
+    ? fog.regions.map(normalizeFogRegion).filter(Boolean)
+    : [],
+});
+
+/**
+ * Tells whether a region contains a point.
+ * @param {FogRegion} region - The region.
+ * @param {number} x - The point's X in world space.
+ * @param {number} y - The point's Y in world space.
+ * @returns {boolean}
+ */
+export const regionContainsPoint = (region, x, y) => {
+  switch (region.shape) {
+    case "rect":
+      return (
+        x >= region.x &&
+        x <= region.x + region.width &&
+        y >= region.y &&
+        y <= region.y + region.height
+      );
+    case "polygon":
+      return isPointInPolygon({ x, y }, region.points);
+    case "brush": {
+      const { points, radius } = region;
+      if (points.length === 1) {
+        return Math.hypot(x - points[0].x, y - points[0].y) <= radius;
+      }
+      for (let i = 1; i < points.length; i++) {
+        if (distanceToSegment({ x, y }, points[i - 1], points[i]) <= radius) {
+          return true;
+        }
+      }
+      return false;
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Tells whether a point is concealed by the fog: the newest region containing the point decides, and points
+ * outside every region are covered.
+ * @param {FogState} fog - The fog state.
+ * @param {number} x - The point's X in world space.
+ * @param {number} y - The point's Y in world space.
+ * @returns {boolean} False whenever the fog is disabled.
+ */
+export const isPointFogged = (fog, x, y) => {
+  if (!fog?.enabled) return false;
+  for (let i = fog.regions.length - 1; i >= 0; i--) {
+    if (regionContainsPoint(fog.regions[i], x, y)) {
+      return fog.regions[i].mode === "cover";
+    }
+  }
+  return true;
+};
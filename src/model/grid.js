@@ -0,0 +1,318 @@
+// src/model/grid.js
+/**
+ * @file Pure geometry helpers for the board grid (square and hex).
+ * The Board stores the grid in user-facing board units; these helpers work on a
+ * "pixel grid" whose sizes have already been converted to world pixels (1px = 1mm).
+ */
+import { MM_PER_UNIT } from "./Board.js";
+
+/**
+ * @typedef {Object} PixelGrid
+ * @property {'none' | 'square' | 'hex-flat' | 'hex-pointy'} type - Grid layout.
+ * @property {number} cellSize - Distance between adjacent cell centers in world pixels.
+ * @property {number} offsetX - Grid origin X in world pixels.
+ * @property {number} offsetY - Grid origin Y in world pixels.
+ */
+
+/**
+ * Converts grid settings expressed in board units into world pixels.
+ * @param {import('./Board.js').GridSettings} grid - The grid settings.
+ * @param {string} unitForDimensions - The board's unit for dimensions (a key of MM_PER_UNIT).
+ * @returns {PixelGrid} The grid in world pixels.
+ */
+export const toPixelGrid = (grid, unitForDimensions) => {
+  const unitMultiplier = MM_PER_UNIT[unitForDimensions] || MM_PER_UNIT["in"];
+  return {
+    type: grid.type,
+    cellSize: grid.cellSize * unitMultiplier,
+    offsetX: grid.offsetX * unitMultiplier,
+    offsetY: grid.offsetY * unitMultiplier,
+  };
+};
+
+/**
+ * Converts a length in world pixels to the board's unit for dimensions.
+ * @param {number} pixels - The length in world pixels.
+ * @param {string} unitForDimensions - The board's unit for dimensions (a key of MM_PER_UNIT).
+ * @returns {number} The length in board units.
+ */
+export const pixelsToBoardUnits = (pixels, unitForDimensions) =>
+  pixels / (MM_PER_UNIT[unitForDimensions] || MM_PER_UNIT["in"]);
+
+/**
+ * Returns the circumradius (center to corner) of a hex whose neighbouring centers are `cellSize` apart.
+ * @param {number} cellSize - Distance between adjacent hex centers (flat-to-flat width).
+ * @returns {number} The hex radius.
+ */
+export const getHexRadius = (cellSize) => cellSize / Math.sqrt(3);
+
+/**
+ * Rounds fractional axial hex coordinates to the nearest hex.
+ * @param {number} q - Fractional axial q.
+ * @param {number} r - Fractional axial r.
+ * @returns {{q: number, r: number}} The rounded axial coordinates.
+ */
+const roundAxial = (q, r) => {
+  const s = -q - r;
+  let roundedQ = Math.round(q);
+  let roundedR = Math.round(r);
+  const roundedS = Math.round(s);
+  const diffQ = Math.abs(roundedQ - q);
+  const diffR = Math.abs(roundedR - r);
+  const diffS = Math.abs(roundedS - s);
+  if (diffQ > diffR && diffQ > diffS) {
+    roundedQ = -roundedR - roundedS;
+  } else if (diffR > diffS) {
+    roundedR = -roundedQ - roundedS;
+  }
+  return { q: roundedQ, r: roundedR };
+};
+
+/**
+ * Converts a world point to (rounded) axial hex coordinates.
+ * @param {number} x - World X.
+ * @param {number} y - World Y.
+ * @param {PixelGrid} grid - A hex grid.
+ * @returns {{q: number, r: number}} The axial coordinates of the hex containing the point.
+ */
+export const worldToHex = (x, y, grid) => {
+  const radius = getHexRadius(grid.cellSize);
+  const localX = x - grid.offsetX;
+  const localY = y - grid.offsetY;
+  if (grid.type === "hex-flat") {
+    const q = ((2 / 3) * localX) / radius;
+    const r = ((-1 / 3) * localX + (Math.sqrt(3) / 3) * localY) / radius;
+    return roundAxial(q, r);
+  }
+  const q = ((Math.sqrt(3) / 3) * localX - (1 / 3) * localY) / radius;
+  const r = ((2 / 3) * localY) / radius;
+  return roundAxial(q, r);
+};
+
+/**
+ * Converts axial hex coordinates to the world position of the hex center.
+ * @param {number} q - Axial q.
+ * @param {number} r - Axial r.
+ * @param {PixelGrid} grid - A hex grid.
+ * @returns {{x: number, y: number}} The hex center in world space.
+ */
+export const hexToWorld = (q, r, grid) => {
+  const radius = getHexRadius(grid.cellSize);
+  if (grid.type === "hex-flat") {
+    return {
+      x: grid.offsetX + radius * 1.5 * q,
+      y: grid.offsetY + radius * Math.sqrt(3) * (r + q / 2),
+    };
+  }
+  return {
+    x: grid.offsetX + radius * Math.sqrt(3) * (q + r / 2),
+    y: grid.offsetY + radius * 1.5 * r,
+  };
+};
+
+/**
+ * Returns the six corners of a hex, in drawing order.
+ * @param {number} centerX - Hex center X.
+ * @param {number} centerY - Hex center Y.
+ * @param {PixelGrid} grid - A hex grid.
+ * @returns {Array<{x: number, y: number}>} The corner points.
+ */
+export const getHexCorners = (centerX, centerY, grid) => {
+  const radius = getHexRadius(grid.cellSize);
+  const startAngle = grid.type === "hex-flat" ? 0 : 30;
+  const corners = [];
+  for (let i = 0; i < 6; i++) {
+    const angle = ((startAngle + 60 * i) * Math.PI) / 180;
+    corners.push({
+      x: centerX + radius * Math.cos(angle),
+      y: centerY + radius * Math.sin(angle),
+    });
+  }
+  return corners;
+};
+
+/**
+ * Lists the centers of all hexes that overlap a world-space rectangle.
+ * @param {{left: number, top: number, right: number, bottom: number}} rect - The area to cover.
+ * @param {PixelGrid} grid - A hex grid.
+ * @returns {Array<{x: number, y: number}>} The hex centers.
+ */
+export const getHexCentersInRect = (rect, grid) => {
+  const radius = getHexRadius(grid.cellSize);
+  const corners = [
+    worldToHex(rect.left, rect.top, grid),
+    worldToHex(rect.right, rect.top, grid),
+    worldToHex(rect.left, rect.bottom, grid),
+    worldToHex(rect.right, rect.bottom, grid),
+  ];
+  // Axial bounds of the rectangle's corners, widened by one hex to cover the edges
+  const minQ = Math.min(...corners.map((c) => c.q)) - 1;
+  const maxQ = Math.max(...corners.map((c) => c.q)) + 1;
+  const minR = Math.min(...corners.map((c) => c.r)) - 1;
+  const maxR = Math.max(...corners.map((c) => c.r)) + 1;
+  const centers = [];
+  for (let q = minQ; q <= maxQ; q++) {
+    for (let r = minR; r <= maxR; r++) {
+      const center = hexToWorld(q, r, grid);
+      if (
+        center.x >= rect.left - radius &&
+        center.x <= rect.right + radius &&
+        center.y >= rect.top - radius &&
+        center.y <= rect.bottom + radius
+      ) {
+        centers.push(center);
+      }
+    }
+  }
+  return centers;
+};
+
+/**
+ * Snaps one axis of a square grid. Objects spanning an odd number of cells are centered in a cell,
+ * objects spanning an even number are centered on a grid line, so their edges line up with the grid.
+ * @param {number} center - Object center on this axis.
+ * @param {number} size - Object size on this axis.
+ * @param {number} cellSize - Cell size.
+ * @param {number} offset - Grid offset on this axis.
+ * @returns {number} The snapped center.
+ */
+const snapSquareAxis = (center, size, cellSize, offset) => {
+  const cellsSpanned = Math.max(1, Math.round(size / cellSize));
+  const local = (center - offset) / cellSize;
+  const snapped =
+    cellsSpanned % 2 === 1 ? Math.floor(local) + 0.5 : Math.round(local);
+  return offset + snapped * cellSize;
+};
+
+/**
+ * Rounds away floating point noise (e.g., 25.399999999999995) from computed positions.
+ * @param {number} value - The value to tidy.
+ * @returns {number} The value rounded to 6 decimal places.
+ */
+const tidy = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Computes the snapped top-left position of an object.
+ * Square grids align the object with the cells; hex grids center it on the nearest hex.
+ * @param {{x: number, y: number, width: number, height: number}} obj - The object's position and size in world pixels.
+ * @param {PixelGrid} grid - The grid to snap to.
+ * @returns {{x: number, y: number}} The snapped top-left position, or the original one if the grid is disabled.
+ */
+export const snapObjectPosition = (obj, grid) => {
+  const { x, y, width, height } = obj;
+  if (!grid || grid.type === "none" || !(grid.cellSize > 0)) {
+    return { x, y };
+  }
+  const centerX = x + width / 2;
+  const centerY = y + height / 2;
+  if (grid.type === "square") {
+    return {
+      x: tidy(
+        snapSquareAxis(centerX, width, grid.cellSize, grid.offsetX) - width / 2,
+      ),
+      y: tidy(
+        snapSquareAxis(centerY, height, grid.cellSize, grid.offsetY) -
+          height / 2,
+      ),
+    };
+  }
+  const { q, r } = worldToHex(centerX, centerY, grid);
+  const hexCenter = hexToWorld(q, r, grid);
+  return {
+    x: tidy(hexCenter.x - width / 2),
+    y: tidy(hexCenter.y - height / 2),
+  };
+};
+
+/**
+ * Returns the center of the grid cell containing a point.
+ * @param {number} x - World X.
+ * @param {number} y - World Y.
+ * @param {PixelGrid} grid - The grid.
+ * @returns {{x: number, y: number}} The cell center, or the point itself if the grid is disabled.
+ */
+export const getCellCenter = (x, y, grid) => {
+  if (!grid || grid.type === "none" || !(grid.cellSize > 0)) return { x, y };
+  if (grid.type === "square") {
+    return {
+      x: tidy(
+        grid.offsetX +
+          (Math.floor((x - grid.offsetX) / grid.cellSize) + 0.5) *
+            grid.cellSize,
+      ),
+      y: tidy(
+        grid.offsetY +
+          (Math.floor((y - grid.offsetY) / grid.cellSize) + 0.5) *
+            grid.cellSize,
+      ),
+    };
+  }
+  const { q, r } = worldToHex(x, y, grid);
+  return hexToWorld(q, r, grid);
+};
+
+/**
+ * Measures a path of waypoints.
+ * The straight-line length is always returned. When the grid is enabled and the rule is not
+ * 'euclidean', the number of cells moved is counted as well:
+ * - square grid, 'manhattan': orthogonal steps only;
+ * - square grid, 'alternating': every second diagonal counts double (5-10-5), across the whole path;
+ * - hex grid: hex steps.
+ * @param {Array<{x: number, y: number}>} points - The waypoints, in world pixels.
+ * @param {PixelGrid} grid - The grid.
+ * @param {'euclidean' | 'alternating' | 'manhattan'} rule - The measurement rule.
+ * @returns {{pixels: number, cells: number | null}} The path length in pixels and in cells (null when not counted in cells).
+ */
+export const measurePath = (points, grid, rule) => {
+  let pixels = 0;
+  for (let i = 1; i < points.length; i++) {
+    pixels += Math.hypot(
+      points[i].x - points[i - 1].x,
+      points[i].y - points[i - 1].y,
+    );
+  }
+  if (
+    !grid ||
+    grid.type === "none" ||
+    !(grid.cellSize > 0) ||
+    rule === "euclidean"
+  ) {
+    return { pixels, cells: null };
+  }
+
+  let cells = 0;
+  let diagonalsSoFar = 0;
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    if (grid.type === "square") {
+      const dx = Math.abs(
+        Math.floor((to.x - grid.offsetX) / grid.cellSize) -
+          Math.floor((from.x - grid.offsetX) / grid.cellSize),
+      );
+      const dy = Math.abs(
+        Math.floor((to.y - grid.offsetY) / grid.cellSize) -
+          Math.floor((from.y - grid.offsetY) / grid.cellSize),
+      );
+      if (rule === "manhattan") {
+        cells += dx + dy;
+      } else {
+        const diagonals = Math.min(dx, dy);
+        const straights = Math.max(dx, dy) - diagonals;
+        // Every second diagonal of the whole path costs an extra cell
+        const extra =
+          Math.floor((diagonalsSoFar + diagonals) / 2) -
+          Math.floor(diagonalsSoFar / 2);
+        diagonalsSoFar += diagonals;
+        cells += straights + diagonals + extra;
+      }
+    } else {
+      const a = worldToHex(from.x, from.y, grid);
+      const b = worldToHex(to.x, to.y, grid);
+      const dq = a.q - b.q;
+      const dr = a.r - b.r;
+      cells += (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+    }
+  }
+  return { pixels, cells };
+};
@@ -0,0 +1,208 @@
+// src/model/group.js
+/**
+ * @file Pure helpers for object groups.
+ * A group is an object of type 'group' whose `children` array holds the IDs of the objects it contains (which can be
+ * groups themselves). Children stay in the table's object list, but their `x` and `y` are relative to the group's
+ * top-left corner and their `rotation` to the group's: moving or rotating the group moves and rotates all of them.
+ * Children are drawn with their group (on its layer, in its place in the drawing order) and are picked as their
+ * group. Groups have no look of their own.
+ */
+import { GROUP_TYPE } from "./VTTObject.js";
+
+export { GROUP_TYPE };
+
+/**
+ * Returns true if the object is a group.
+ * @param {{type?: string} | null | undefined} obj - The object.
+ * @returns {boolean}
+ */
+export const isGroup = (obj) => obj?.type === GROUP_TYPE;
+
+/**
+ * Returns the IDs of a group's children.
+ * @param {object | null | undefined} obj - The object.
+ * @returns {string[]} The IDs (empty if the object is not a group).
+ */
+export const getChildIds = (obj) =>
+  isGroup(obj) && Array.isArray(obj.children) ? obj.children : [];
+
+/**
+ * Maps each grouped object to its group. An object listed by several groups belongs to the first; children that do
+ * not exist and links that would make a group contain itself are ignored, so the hierarchy is always a forest.
+ * @param {Iterable<object>} objects - All objects.
+ * @returns {Map<string, string>} Group IDs by child ID.
+ */
+export const buildParentIndex = (objects) => {
+  const list = Array.from(objects);
+  const ids = new Set(list.map((obj) => obj.id));
+  const parents = new Map();
+  const isSelfOrAncestor = (candidateId, objectId) => {
+    for (let id = objectId; id; id = parents.get(id)) {
+      if (id === candidateId) return true;
+    }
+    return false;
+  };
+  list.forEach((obj) => {
+    getChildIds(obj).forEach((childId) => {
+      if (!ids.has(childId) || parents.has(childId)) return;
+      if (isSelfOrAncestor(childId, obj.id)) return;
+      parents.set(childId, obj.id);
+    });
+  });
+  return parents;
+};
+
+/**
+ * Returns copies of objects whose groups only list the children that belong to them (see `buildParentIndex`),
+ * e.g. to load a saved table.
+ * @param {object[]} objects - All objects.
+ * @returns {object[]}
+ */
+export const normalizeGroupHierarchy = (objects) => {
+  const parents = buildParentIndex(objects);
+  return objects.map((obj) =>
+    isGroup(obj)
+      ? {
+          ...obj,
+          children: getChildIds(obj).filter(
+            (childId) => parents.get(childId) === obj.id,
+          ),
+        }
+      : obj,
+  );
+};
+
+/**
+ * Rotates a point around the origin.
+ * @param {number} x - X.
+ * @param {number} y - Y.
+ * @param {number} degrees - The angle.
+ * @returns {{x: number, y: number}}
+ */
+const rotate = (x, y, degrees) => {
+  const rad = (degrees * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  return { x: x * cos - y * sin, y: x * sin + y * cos };
+};
+
+/**
+ * Places a child on the table: applies its group's position and rotation (the group's rotation turns the child
+ * around the group's center).
+ * @param {object} child - The child, with coordinates relative to the group.
+ * @param {{x: number, y: number, width: number, height: number, rotation?: number}} group - The group, on the table.
+ * @returns {object} A copy of the child with table coordinates and rotation.
+ */
+export const toWorldObject = (child, group) => {
+  const offset = rotate(
+    child.x + child.width / 2 - group.width / 2,
+    child.y + child.height / 2 - group.height / 2,
+    group.rotation || 0,
+  );
+  return {
+    ...child,
+    x: group.x + group.width / 2 + offset.x - child.width / 2,
+    y: group.y + group.height / 2 + offset.y - child.height / 2,
+    rotation: (child.rotation || 0) + (group.rotation || 0),
+  };
+};
+
+/**
+ * Reverses `toWorldObject`: expresses an object on the table relative to a group.
+ * @param {object} obj - The object, with table coordinates.
+ * @param {{x: number, y: number, width: number, height: number, rotation?: number}} group - The group, on the table.
+ * @returns {object} A copy of the object with coordinates and rotation relative to the group.
+ */
+export const toLocalObject = (obj, group) => {
+  const offset = rotate(
+    obj.x + obj.width / 2 - (group.x + group.width / 2),
+    obj.y + obj.height / 2 - (group.y + group.height / 2),
+    -(group.rotation || 0),
+  );
+  return {
+    ...obj,
+    x: group.width / 2 + offset.x - obj.width / 2,
+    y: group.height / 2 + offset.y - obj.height / 2,
+    rotation: (obj.rotation || 0) - (group.rotation || 0),
+  };
+};
+
+/**
+ * Places an object on the table, through all the groups it is in.
+ * @param {object} obj - The object.
+ * @param {function(string): (object | undefined)} getObject - Looks up an object by ID.
+ * @param {Map<string, string>} parents - The parent index (see `buildParentIndex`).
+ * @returns {object} The object itself if it is not grouped, otherwise a copy with table coordinates and rotation.
+ */
+export const resolveWorldObject = (obj, getObject, parents) => {
+  const parent = getObject(parents.get(obj.id));
+  return parent
+    ? toWorldObject(obj, resolveWorldObject(parent, getObject, parents))
+    : obj;
+};
+
+/**
+ * Returns the axis-aligned rectangle around an object, taking its rotation into account.
+ * @param {{x: number, y: number, width: number, height: number, rotation?: number}} obj - The object.
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export const getRotatedBounds = (obj) => {
+  const centerX = obj.x + obj.width / 2;
+  const centerY = obj.y + obj.height / 2;
+  const corners = [
+    [-1, -1],
+    [1, -1],
+    [1, 1],
+    [-1, 1],
+  ].map(([sx, sy]) =>
+    rotate((sx * obj.width) / 2, (sy * obj.height) / 2, obj.rotation || 0),
+  );
+  const xs = corners.map((corner) => centerX + corner.x);
+  const ys = corners.map((corner) => centerY + corner.y);
+  return {
+    minX: Math.min(...xs),
+    minY: Math.min(...ys),
+    maxX: Math.max(...xs),
+    maxY: Math.max(...ys),
+  };
+};
+
+/**
+ * Builds the properties of a group around objects on the table: the group covers all of them and is not rotated,
+ * sits where the topmost of them is in the drawing order, and lists them bottom first.
+ * @param {object[]} objects - The objects, with table coordinates, in drawing order (bottom first).
+ * @returns {object} Properties for `createObject('rectangle', props)`.
+ */
+export const groupObjectProps = (objects) => {
+  const bounds = objects.map(getRotatedBounds);
+  const minX = Math.min(...bounds.map((b) => b.minX));
+  const minY = Math.min(...bounds.map((b) => b.minY));
+  const topmost = objects[objects.length - 1];
+  return {
+    type: GROUP_TYPE,
+    name: "Group",
+    x: minX,
+    y: minY,
+    width: Math.max(1, Math.max(...bounds.map((b) => b.maxX)) - minX),
+    height: Math.max(1, Math.max(...bounds.map((b) => b.maxY)) - minY),
+    rotation: 0,
+    zIndex: topmost.zIndex || 0,
+    ...(topmost.layer ? { layer: topmost.layer } : {}),
+    children: objects.map((obj) => obj.id),
+  };
+};
+
+/**
+ * Returns the IDs of all objects in a group, including those in nested groups, deepest first.
+ * @param {object} obj - The group.
+ * @param {function(string): (object | undefined)} getObject - Looks up an object by ID.
+ * @param {Map<string, string>} parents - The parent index (see `buildParentIndex`).
+ * @returns {string[]} The IDs (empty if the object is not a group).
+ */
+export const getDescendantIds = (obj, getObject, parents) =>
+  getChildIds(obj)
+    .filter((childId) => parents.get(childId) === obj.id)
+    .flatMap((childId) => [
+      ...getDescendantIds(getObject(childId), getObject, parents),
+      childId,
+    ]);
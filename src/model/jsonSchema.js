@@ -0,0 +1,216 @@
+// src/model/jsonSchema.js
+/**
+ * @file A small JSON Schema validator for the keywords the app's schemas use (see saveFormat.js): `type`, `enum`,
+ * `const`, `minimum`, `maximum`, `minLength`, `pattern`, `required`, `properties`, `additionalProperties`,
+ * `propertyNames`, `items`, `anyOf` and local `$ref`s (`#/$defs/...`). Other keywords are ignored.
+ * Pure helpers.
+ */
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path - Where the problem is, e.g. `objects[2].width` (empty for the value itself).
+ * @property {string} message - What is wrong, e.g. `must be a number, not a string`.
+ */
+
+/**
+ * Describes the JSON type of a value, as in schema `type`s.
+ * @param {*} value - The value.
+ * @returns {string}
+ */
+const describeType = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+/**
+ * Tests a value against one schema type. Whole numbers are numbers too.
+ * @param {*} value - The value.
+ * @param {string} type - The type.
+ * @returns {boolean}
+ */
+const hasType = (value, type) => {
+  const actual = describeType(value);
+  if (type === "number") {
+    return (actual === "number" || actual === "integer") && isFinite(value);
+  }
+  return actual === type;
+};
+
+/** @const {Object<string, string>} Type names in error messages. */
+const TYPE_NAMES = {
+  object: "an object",
+  array: "an array",
+  string: "a string",
+  number: "a number",
+  integer: "a whole number",
+  boolean: "true or false",
+  null: "null",
+};
+
+/**
+ * Appends a property name or array index to a path.
+ * @param {string} path - The path so far.
+ * @param {string | number} key - The property name or index.
+ * @returns {string}
+ */
+const joinPath = (path, key) =>
+  typeof key === "number"
+    ? `${path}[${key}]`
+    : /^[A-Za-z_$][\w$]*$/.test(key)
+      ? path
+        ? `${path}.${key}`
+        : key
+      : `${path}[${JSON.stringify(key)}]`;
+
+/**
+ * Looks up a local reference (`#/$defs/name`) in the root schema.
+ * @param {object} root - The root schema.
+ * @param {string} ref - The reference.
+ * @returns {object}
+ * @throws {Error} If the reference cannot be resolved (a mistake in the schema, not in the value).
+ */
+const resolveRef = (root, ref) => {
+  const schema = ref
+    .replace(/^#\/?/, "")
+    .split("/")
+    .filter(Boolean)
+    .reduce((node, key) => node?.[key], root);
+  if (!schema) throw new Error(`Unresolvable schema reference: ${ref}`);
+  return schema;
+};
+
+/**
+ * Validates a value against a schema, collecting every problem.
+ * @param {*} value - The value.
+ * @param {object} schema - The schema.
+ * @param {object} root - The root schema, for `$ref`s.
+ * @param {string} path - Where the value is.
+ * @param {SchemaError[]} errors - Collects the problems.
+ */
+const check = (value, schema, root, path, errors) => {
+  if (schema.$ref) {
+    check(value, resolveRef(root, schema.$ref), root, path, errors);
+    return;
+  }
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => hasType(value, type))) {
+      const actual =
+        typeof value === "number"
+          ? String(value)
+          : TYPE_NAMES[describeType(value)] || typeof value;
+      fail(
+        `must be ${types.map((type) => TYPE_NAMES[type] || type).join(" or ")}, not ${actual}`,
+      );
+      return; // The other keywords would only repeat the problem
+    }
+  }
+  if (Object.hasOwn(schema, "const") && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      `must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}, not ${JSON.stringify(value)}`,
+    );
+  }
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some((option) => {
+      const optionErrors = [];
+      check(value, option, root, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) fail(schema.description || "has an unsupported form");
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}, not ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}, not ${value}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? "must not be empty" : "is too short");
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema.description || `must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) =>
+      check(item, schema.items, root, joinPath(path, index), errors),
+    );
+  }
+
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    (schema.required || []).forEach((key) => {
+      if (!Object.hasOwn(value, key)) {
+        errors.push({ path: joinPath(path, key), message: "is missing" });
+      }
+    });
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertyPath = joinPath(path, key);
+      if (schema.propertyNames) {
+        const nameErrors = [];
+        check(key, schema.propertyNames, root, propertyPath, nameErrors);
+        if (nameErrors.length > 0) {
+          errors.push({
+            path: propertyPath,
+            message: schema.propertyNames.description || "is not a valid key",
+          });
+          return;
+        }
+      }
+      if (schema.properties && Object.hasOwn(schema.properties, key)) {
+        check(
+          propertyValue,
+          schema.properties[key],
+          root,
+          propertyPath,
+          errors,
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: "is not allowed" });
+      } else if (
+        schema.additionalProperties &&
+        typeof schema.additionalProperties === "object"
+      ) {
+        check(
+          propertyValue,
+          schema.additionalProperties,
+          root,
+          propertyPath,
+          errors,
+        );
+      }
+    });
+  }
+};
+
+/**
+ * Validates a value against a JSON Schema.
+ * @param {*} value - The value.
+ * @param {object} schema - The schema (its `$defs` resolve `$ref`s).
+ * @returns {SchemaError[]} The problems found (empty if the value is valid).
+ */
+export const validateSchema = (value, schema) => {
+  const errors = [];
+  check(value, schema, schema, "", errors);
+  return errors;
+};
+
+/**
+ * Turns a problem into a message, e.g. `objects[2].width must be a number, not a string`.
+ * @param {SchemaError} error - The problem.
+ * @returns {string}
+ */
+export const formatSchemaError = ({ path, message }) =>
+  path ? `${path} ${message}` : `The file ${message}`;
@@ -0,0 +1,102 @@
+// src/model/layers.js
+/**
+ * @file Named layers that group the table's objects: e.g. the map at the bottom, then objects, tokens and the GM's
+ * notes on top. Layers are drawn in order (an object's `zIndex` only orders it within its layer). A locked layer's
+ * objects cannot be picked on the canvas, so a map tile is not dragged by accident; a hidden layer is not drawn;
+ * a GM-only layer is seen by the GM only. Pure helpers; the layers are stored by the Board.
+ */
+
+/**
+ * @typedef {Object} Layer
+ * @property {string} id - Unique identifier, referenced by the objects' `layer` property.
+ * @property {string} name - Name shown in the layer panel.
+ * @property {boolean} locked - If true, the layer's objects cannot be picked (selected or dragged) on the canvas.
+ * @property {boolean} hidden - If true, the layer's objects are not drawn.
+ * @property {boolean} gmOnly - If true, only the GM sees the layer's objects.
+ */
+
+/** @const {string} Layer of objects without a (known) layer. */
+export const DEFAULT_OBJECT_LAYER = "objects";
+
+/** @const {Layer[]} Default layers, bottom first. */
+export const DEFAULT_LAYERS = [
+  { id: "map", name: "Map", locked: false, hidden: false, gmOnly: false },
+  {
+    id: DEFAULT_OBJECT_LAYER,
+    name: "Objects",
+    locked: false,
+    hidden: false,
+    gmOnly: false,
+  },
+  { id: "tokens", name: "Tokens", locked: false, hidden: false, gmOnly: false },
+  { id: "gm", name: "GM Notes", locked: false, hidden: false, gmOnly: true },
+];
+
+/**
+ * Validates a layer and brings it to its canonical form.
+ * @param {*} layer - The layer.
+ * @returns {Layer | null} The layer, or null if it has no ID.
+ */
+export const normalizeLayer = (layer) => {
+  const id = typeof layer?.id === "string" ? layer.id.trim() : "";
+  if (!id) return null;
+  return {
+    id,
+    name: String(layer.name || "").trim() || id,
+    locked: Boolean(layer.locked),
+    hidden: Boolean(layer.hidden),
+    gmOnly: Boolean(layer.gmOnly),
+  };
+};
+
+/**
+ * Normalizes a list of layers, dropping invalid layers and repeated IDs.
+ * @param {*} layers - The layers, bottom first.
+ * @returns {Layer[]} The layers, or copies of the default layers if none is valid.
+ */
+export const normalizeLayers = (layers) => {
+  const seen = new Set();
+  const normalized = (Array.isArray(layers) ? layers : [])
+    .map(normalizeLayer)
+    .filter((layer) => {
+      if (!layer || seen.has(layer.id)) return false;
+      seen.add(layer.id);
+      return true;
+    });
+  return normalized.length > 0
+    ? normalized
+    : DEFAULT_LAYERS.map((layer) => ({ ...layer }));
+};
+
+/**
+ * Returns the layer an object is on. Objects without a known layer belong to the default object layer, or to the
+ * bottom layer if there is no such layer.
+ * @param {{layer?: string}} obj - The object.
+ * @param {Layer[]} layers - The layers, bottom first.
+ * @returns {Layer | null} The layer (null only if there are no layers).
+ */
+export const getObjectLayer = (obj, layers) =>
+  layers.find((layer) => layer.id === obj?.layer) ||
+  layers.find((layer) => layer.id === DEFAULT_OBJECT_LAYER) ||
+  layers[0] ||
+  null;
+
+/**
+ * Tells whether a user sees a layer's objects: hidden layers are seen by nobody, GM-only layers by the GM only.
+ * @param {Layer | null} layer - The layer.
+ * @param {import('./permissions.js').User} user - The user.
+ * @returns {boolean}
+ */
+export const canSeeLayer = (layer, user) =>
+  !layer || (!layer.hidden && (!layer.gmOnly || user.role === "gm"));
+
+/**
+ * Compares two objects by drawing order: by layer (bottom first), then by `zIndex` within a layer.
+ * @param {Layer[]} layers - The layers, bottom first.
+ * @returns {function(object, object): number} The comparator, for `Array.prototype.sort`.
+ */
+export const compareByLayerAndZIndex = (layers) => {
+  const layerIndex = (obj) => layers.indexOf(getObjectLayer(obj, layers));
+  return (a, b) =>
+    layerIndex(a) - layerIndex(b) || (a.zIndex || 0) - (b.zIndex || 0);
+};
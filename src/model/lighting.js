@@ -0,0 +1,227 @@
+// src/model/lighting.js
+/**
+ * @file Walls, light sources and line of sight.
+ * Walls are segments in board (world pixel) coordinates that block sight and light; doors are walls that can be opened
+ * (an open door blocks nothing). Objects can carry a light
+ * (bright and dim radii in map units, converted through the board's scale) and can have vision (their owners see
+ * what they see). With dynamic lighting enabled, players only see the parts of the table that one of their tokens
+ * has a line of sight to and that are lit (or everything in line of sight in daylight).
+ * Pure helpers: the walls and the lighting settings are stored by the Board, lights and vision by the objects.
+ */
+import { MM_PER_UNIT } from "./Board.js";
+
+/**
+ * @typedef {Object} Wall
+ * @property {string} id - Unique identifier.
+ * @property {number} x1 - Start X in board coordinates.
+ * @property {number} y1 - Start Y in board coordinates.
+ * @property {number} x2 - End X in board coordinates.
+ * @property {number} y2 - End Y in board coordinates.
+ * @property {boolean} [door] - If true, the wall is a door.
+ * @property {boolean} [open] - Whether the door is open (doors only).
+ */
+
+/**
+ * @typedef {Object} LightingSettings
+ * @property {boolean} enabled - Whether players' views are limited to what their tokens see.
+ * @property {boolean} daylight - If true, tokens see everything in their line of sight; otherwise only lit areas.
+ */
+
+/**
+ * @typedef {Object} ObjectLight
+ * @property {number} bright - Radius of bright light, in map units (0 for none).
+ * @property {number} dim - Radius up to which the light gives dim light, in map units (at least `bright`).
+ */
+
+/** @const {LightingSettings} Default lighting: disabled, darkness outside lights. */
+export const DEFAULT_LIGHTING = { enabled: false, daylight: false };
+
+/** @const {number} Angle offset of the extra rays cast past each wall end, in radians. */
+const RAY_EPSILON = 1e-4;
+
+/**
+ * Generates a wall ID.
+ * @returns {string}
+ */
+const generateWallId = () =>
+  `wall-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Validates a wall and brings it to its canonical form. Walls without an `id` get a new one; only doors keep `door`
+ * and `open`.
+ * @param {*} wall - The wall.
+ * @returns {Wall | null} The wall, or null if a coordinate is not a number or both ends are the same point.
+ */
+export const normalizeWall = (wall) => {
+  if (!wall || typeof wall !== "object") return null;
+  const [x1, y1, x2, y2] = ["x1", "y1", "x2", "y2"].map((key) =>
+    Number(wall[key]),
+  );
+  if (![x1, y1, x2, y2].every(Number.isFinite)) return null;
+  if (x1 === x2 && y1 === y2) return null;
+  const id =
+    typeof wall.id === "string" && wall.id ? wall.id : generateWallId();
+  if (wall.door !== true) return { id, x1, y1, x2, y2 };
+  return { id, x1, y1, x2, y2, door: true, open: wall.open === true };
+};
+
+/**
+ * Normalizes a list of walls, dropping invalid walls and repeated IDs.
+ * @param {*} walls - The walls.
+ * @returns {Wall[]}
+ */
+export const normalizeWalls = (walls) => {
+  if (!Array.isArray(walls)) return [];
+  const seen = new Set();
+  return walls.map(normalizeWall).filter((wall) => {
+    if (!wall || seen.has(wall.id)) return false;
+    seen.add(wall.id);
+    return true;
+  });
+};
+
+/**
+ * Returns the walls that block sight and light: all but open doors.
+ * @param {Wall[]} walls - The walls.
+ * @returns {Wall[]}
+ */
+export const getBlockingWalls = (walls) =>
+  walls.filter((wall) => !(wall.door && wall.open));
+
+/**
+ * Brings lighting settings to their canonical form.
+ * @param {*} lighting - The settings (missing fields take their defaults).
+ * @returns {LightingSettings}
+ */
+export const normalizeLighting = (lighting) => ({
+  enabled:
+    typeof lighting?.enabled === "boolean"
+      ? lighting.enabled
+      : DEFAULT_LIGHTING.enabled,
+  daylight:
+    typeof lighting?.daylight === "boolean"
+      ? lighting.daylight
+      : DEFAULT_LIGHTING.daylight,
+});
+
+/**
+ * Brings an object's light to its canonical form: non-negative radii, with the dim radius at least the bright one.
+ * @param {*} light - The light.
+ * @returns {ObjectLight}
+ */
+export const normalizeLight = (light) => {
+  const radius = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+  };
+  const bright = radius(light?.bright);
+  return { bright, dim: Math.max(bright, radius(light?.dim)) };
+};
+
+/**
+ * Converts a distance in map units (what the ruler shows: board units times the board's scale ratio) to world pixels.
+ * @param {number} distance - The distance in map units.
+ * @param {{unitForDimensions: string, scaleRatio: number}} boardProperties - The board properties.
+ * @returns {number} The distance in world pixels.
+ */
+export const mapUnitsToPixels = (distance, boardProperties) => {
+  const { unitForDimensions, scaleRatio } = boardProperties || {};
+  const boardUnits = scaleRatio > 0 ? distance / scaleRatio : distance;
+  return boardUnits * (MM_PER_UNIT[unitForDimensions] || MM_PER_UNIT.in);
+};
+
+/**
+ * Returns the center of an object, where its vision and light originate.
+ * @param {{x: number, y: number, width: number, height: number}} obj - The object.
+ * @returns {{x: number, y: number}}
+ */
+export const getObjectCenter = (obj) => ({
+  x: obj.x + obj.width / 2,
+  y: obj.y + obj.height / 2,
+});
+
+/**
+ * Returns the radii of an object's light in world pixels.
+ * @param {{light?: ObjectLight}} obj - The object.
+ * @param {{unitForDimensions: string, scaleRatio: number}} boardProperties - The board properties.
+ * @returns {{bright: number, dim: number} | null} The radii, or null if the object gives no light.
+ */
+export const getLightRadii = (obj, boardProperties) => {
+  const { bright, dim } = normalizeLight(obj?.light);
+  if (dim <= 0) return null;
+  return {
+    bright: mapUnitsToPixels(bright, boardProperties),
+    dim: mapUnitsToPixels(dim, boardProperties),
+  };
+};
+
+/**
+ * Returns the four sides of a rectangle as walls, e.g. to close the area a visibility polygon is computed in.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The rectangle.
+ * @returns {Wall[]}
+ */
+export const getBoundsWalls = ({ minX, minY, maxX, maxY }) => [
+  { id: "bounds-top", x1: minX, y1: minY, x2: maxX, y2: minY },
+  { id: "bounds-right", x1: maxX, y1: minY, x2: maxX, y2: maxY },
+  { id: "bounds-bottom", x1: maxX, y1: maxY, x2: minX, y2: maxY },
+  { id: "bounds-left", x1: minX, y1: maxY, x2: minX, y2: minY },
+];
+
+/**
+ * Finds where a ray first crosses a wall.
+ * @param {{x: number, y: number}} origin - The ray's origin.
+ * @param {number} dx - The ray's direction, X.
+ * @param {number} dy - The ray's direction, Y.
+ * @param {Wall} wall - The wall.
+ * @returns {number | null} The distance along the ray (in units of the direction's length), or null if it misses.
+ */
+const castRay = (origin, dx, dy, wall) => {
+  const sx = wall.x2 - wall.x1;
+  const sy = wall.y2 - wall.y1;
+  const denominator = dx * sy - dy * sx;
+  if (Math.abs(denominator) < 1e-12) return null;
+  const ox = wall.x1 - origin.x;
+  const oy = wall.y1 - origin.y;
+  const t = (ox * sy - oy * sx) / denominator;
+  const u = (ox * dy - oy * dx) / denominator;
+  return t >= 0 && u >= 0 && u <= 1 ? t : null;
+};
+
+/**
+ * Computes the area visible from a point: a polygon whose edges stop at the nearest wall in every direction.
+ * Rays are cast towards every wall end (and slightly past it on both sides), so the polygon follows the walls'
+ * corners exactly. The area is closed by `bounds`, which should contain the origin.
+ * @param {{x: number, y: number}} origin - The point seen from.
+ * @param {Wall[]} walls - The walls.
+ * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - The rectangle the area is limited to.
+ * @returns {Array<{x: number, y: number}>} The polygon's vertices, ordered by angle.
+ */
+export const computeVisibilityPolygon = (origin, walls, bounds) => {
+  const allWalls = [...walls, ...getBoundsWalls(bounds)];
+  const angles = [];
+  allWalls.forEach((wall) => {
+    [
+      [wall.x1, wall.y1],
+      [wall.x2, wall.y2],
+    ].forEach(([x, y]) => {
+      const angle = Math.atan2(y - origin.y, x - origin.x);
+      angles.push(angle - RAY_EPSILON, angle, angle + RAY_EPSILON);
+    });
+  });
+  angles.sort((a, b) => a - b);
+
+  const polygon = [];
+  angles.forEach((angle) => {
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    let nearest = Infinity;
+    allWalls.forEach((wall) => {
+      const t = castRay(origin, dx, dy, wall);
+      if (t !== null && t < nearest) nearest = t;
+    });
+    if (nearest !== Infinity) {
+      polygon.push({ x: origin.x + dx * nearest, y: origin.y + dy * nearest });
+    }
+  });
+  return polygon;
+};
@@ -3,16 +3,38 @@ import log from "loglevel";
 import debug from "debug";
 import VTTObject from "./VTTObject.js"; // Import VTTObject class
 import Board from "./Board.js"; // Import Board class
+import History from "./History.js";
+import DiceRoller from "./DiceRoller.js";
+import { normalizeFogRegion } from "./fog.js";
+import { normalizeWall } from "./lighting.js";
+import { canSeeLayer, getObjectLayer } from "./layers.js";
+import { isGroup, buildParentIndex } from "./group.js";
+import { isAssetData } from "./assets.js";
+import {
+  normalizeUser,
+  canSeeObject as userCanSeeObject,
+  canEditObject as userCanEditObject,
+  canEditTable as userCanEditTable,
+} from "./permissions.js";
 
 const dModel = debug("app:model");
 dModel("model.js module loaded - Refactored");
 
+/**
+ * @type {number} Nesting depth of `applyRemoteChanges`. While positive, changes are not recorded in the undo
+ * history and their events are marked with `remote: true`.
+ */
+let remoteChangeDepth = 0;
+
 /**
  * Dispatches a 'modelChanged' custom event with the given detail.
  * This is the primary mechanism for the model to notify other parts of the application (ViewModels, Views via main.js) about data changes.
- * @param {object} detail - The event detail object, typically including a 'type' (e.g., 'objectAdded', 'panZoomChanged') and 'payload'.
+ * Changes applied through `applyRemoteChanges` carry `remote: true` in the detail, so the sync layer does not send them back.
+ * @param {object} eventDetail - The event detail object, typically including a 'type' (e.g., 'objectAdded', 'panZoomChanged') and 'payload'.
  */
-const dispatchModelChangeEvent = (detail) => {
+const dispatchModelChangeEvent = (eventDetail) => {
+  const detail =
+    remoteChangeDepth > 0 ? { ...eventDetail, remote: true } : eventDetail;
   if (typeof document !== "undefined" && document.dispatchEvent) {
     dModel(
       "Dispatching modelChanged event: Type - %s, Payload: %o",
@@ -41,6 +63,106 @@ export const currentObjects = new Map();
 // Instantiate the Board class to manage board-specific state
 const board = new Board();
 
+// Undo/redo history of model mutations
+const history = new History();
+
+// Seeded dice roller and roll log
+const diceRoller = new DiceRoller();
+
+/** @type {Map<string, string>} Image assets used in this session: data URLs by content hash (see assets.js). */
+const assets = new Map();
+
+/** @type {import('./permissions.js').User} The participant using this app (not shared with others or saved). */
+let currentUser = normalizeUser();
+
+/**
+ * Creates a deep, plain-data copy of a model value so history entries are not affected by later mutations.
+ * @param {*} value - The value to copy.
+ * @returns {*} The copied value.
+ */
+const cloneState = (value) =>
+  value === undefined ? undefined : structuredClone(value);
+
+/**
+ * Dispatches a 'historyChanged' event describing the current undo/redo availability.
+ */
+const dispatchHistoryChanged = () => {
+  dispatchModelChangeEvent({
+    type: "historyChanged",
+    payload: history.getState(),
+  });
+};
+
+/**
+ * Records a reversible operation in the history and notifies listeners if it was recorded.
+ * @param {string} label - Short description of the operation.
+ * @param {function(): void} undo - Reverts the operation.
+ * @param {function(): void} redo - Re-applies the operation.
+ */
+const recordHistory = (label, undo, redo) => {
+  if (remoteChangeDepth > 0) {
+    dModel("Not recording '%s': remote change.", label);
+    return;
+  }
+  if (history.record({ label, undo, redo })) {
+    dispatchHistoryChanged();
+  }
+};
+
+/**
+ * Builds an update payload that turns `current` back into `snapshot`.
+ * Nested keys (appearance, data, scripts) missing from the snapshot are explicitly set to undefined,
+ * because VTTObject.update and the ViewModels merge nested objects rather than replacing them.
+ * @param {object} current - The object's current state.
+ * @param {object} snapshot - The state to restore.
+ * @returns {object} The update payload.
+ */
+const buildRestorePayload = (current, snapshot) => {
+  const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  const payload = {};
+  const keys = new Set([...Object.keys(current), ...Object.keys(snapshot)]);
+  keys.delete("id");
+  keys.forEach((key) => {
+    const currentValue = current[key];
+    const snapshotValue = snapshot[key];
+    if (isPlainObject(currentValue) && isPlainObject(snapshotValue)) {
+      const nested = { ...snapshotValue };
+      Object.keys(currentValue).forEach((nestedKey) => {
+        if (!Object.hasOwn(snapshotValue, nestedKey)) {
+          nested[nestedKey] = undefined;
+        }
+      });
+      payload[key] = nested;
+    } else {
+      payload[key] = cloneState(snapshotValue);
+    }
+  });
+  return payload;
+};
+
+/**
+ * Brings an object to the given snapshot state, creating, updating or deleting it as needed.
+ * Used by history entries; the resulting model changes dispatch the usual events.
+ * @param {string} objectId - The ID of the object.
+ * @param {object | null} snapshot - The state to restore, or null if the object should not exist.
+ */
+const applyObjectSnapshot = (objectId, snapshot) => {
+  dModel("applyObjectSnapshot for %s: %o", objectId, snapshot);
+  if (!snapshot) {
+    if (currentObjects.has(objectId)) deleteObject(objectId);
+    return;
+  }
+  if (!currentObjects.has(objectId)) {
+    createObject(snapshot.shape, cloneState(snapshot));
+    return;
+  }
+  updateObject(
+    objectId,
+    buildRestorePayload(currentObjects.get(objectId), snapshot),
+  );
+};
+
 /**
  * Creates a new VTTObject with the given shape and properties, adds it to the model,
  * and dispatches a 'modelChanged' event of type 'objectAdded'.
@@ -74,6 +196,15 @@ export const createObject = (shapeArgument, initialProps = {}) => {
     type: "objectAdded",
     payload: { ...newVTTObject }, // Dispatch a copy of the object's state
   });
+  // Objects taken into a group are no longer selectable on their own
+  if (isGroup(newVTTObject)) pruneSelection();
+
+  const createdSnapshot = cloneState({ ...newVTTObject });
+  recordHistory(
+    `Create ${createdSnapshot.name || "object"}`,
+    () => applyObjectSnapshot(createdSnapshot.id, null),
+    () => applyObjectSnapshot(createdSnapshot.id, createdSnapshot),
+  );
   dModel("createObject returning copy of new VTTObject: %o", newVTTObject);
   return { ...newVTTObject }; // Return a copy of the object's state
 };
@@ -101,11 +232,18 @@ export const updateObject = (objectId, updatedProps) => {
   const existingObject = currentObjects.get(objectId);
   dModel("Existing VTTObject instance for %s: %o", objectId, existingObject);
 
+  const beforeSnapshot = cloneState({ ...existingObject });
   // The VTTObject's update method handles the changes and internal comparison
   const changed = existingObject.update(updatedProps);
 
   if (changed) {
     dModel("VTTObject %s updated. New state: %o", objectId, existingObject);
+    const afterSnapshot = cloneState({ ...existingObject });
+    recordHistory(
+      `Update ${afterSnapshot.name || "object"}`,
+      () => applyObjectSnapshot(objectId, beforeSnapshot),
+      () => applyObjectSnapshot(objectId, afterSnapshot),
+    );
     log.info(
       `Object [${objectId}] updated. Name: '${existingObject.name || "N/A"}'`,
       existingObject,
@@ -114,6 +252,13 @@ export const updateObject = (objectId, updatedProps) => {
       type: "objectUpdated",
       payload: { ...existingObject }, // Dispatch a copy of the object's state
     });
+    if (
+      Object.hasOwn(updatedProps, "visibleTo") ||
+      Object.hasOwn(updatedProps, "layer") ||
+      Object.hasOwn(updatedProps, "children")
+    ) {
+      pruneSelection();
+    }
   } else {
     dModel(
       "Object update for %s resulted in no changes. Not dispatching event.",
@@ -137,6 +282,7 @@ export const updateObject = (objectId, updatedProps) => {
 export const deleteObject = (objectId) => {
   dModel("deleteObject called for id: %s", objectId);
   if (currentObjects.has(objectId)) {
+    const deletedSnapshot = cloneState({ ...currentObjects.get(objectId) });
     const deleted = currentObjects.delete(objectId);
     if (deleted) {
       dModel("Object %s deleted from currentObjects map.", objectId);
@@ -144,6 +290,12 @@ export const deleteObject = (objectId) => {
         type: "objectDeleted",
         payload: { id: objectId },
       });
+      pruneSelection();
+      recordHistory(
+        `Delete ${deletedSnapshot.name || "object"}`,
+        () => applyObjectSnapshot(objectId, deletedSnapshot),
+        () => applyObjectSnapshot(objectId, null),
+      );
     } else {
       dModel(
         "Object %s was in map, but delete operation returned false.",
@@ -192,17 +344,33 @@ export const getAllObjects = () => {
  */
 export const clearAllObjects = () => {
   dModel("clearAllObjects called");
+  const clearedSnapshots = Array.from(currentObjects.values()).map((obj) =>
+    cloneState({ ...obj }),
+  );
   currentObjects.clear();
   dModel("currentObjects map cleared.");
   dispatchModelChangeEvent({ type: "allObjectsCleared", payload: null });
+  pruneSelection();
+  if (clearedSnapshots.length > 0) {
+    recordHistory(
+      "Clear all objects",
+      () =>
+        clearedSnapshots.forEach((snapshot) =>
+          applyObjectSnapshot(snapshot.id, snapshot),
+        ),
+      () => clearAllObjects(),
+    );
+  }
 };
 
 // --- Board State Management ---
 // Board state is now managed by the Board class instance.
 // MM_PER_UNIT is now in Board.js
 
-/** @type {string | null} ID of the currently selected object, or null if no object is selected. */
+/** @type {string | null} ID of the primary selected object (the one shown in the inspector), or null if nothing is selected. */
 let selectedObjectId = null; // Remains in model.js for now
+/** @type {string[]} IDs of all selected objects, in selection order. Always contains `selectedObjectId` when it is set. */
+let selectedObjectIds = [];
 
 // Getters - Delegate to Board instance
 /**
@@ -230,6 +398,15 @@ export const getSelectedObjectId = () => {
   return selectedObjectId;
 };
 
+/**
+ * Retrieves the IDs of all currently selected objects.
+ * @returns {string[]} A copy of the selected object IDs, in selection order.
+ */
+export const getSelectedObjectIds = () => {
+  dModel("getSelectedObjectIds called, returning: %o", selectedObjectIds);
+  return [...selectedObjectIds];
+};
+
 /**
  * Retrieves a consolidated object of current board properties from the Board.
  * @returns {{widthUser: number, heightUser: number, unitForDimensions: string, widthPx: number, heightPx: number, scaleRatio: number, unitForRatio: string}}
@@ -266,8 +443,15 @@ export const setPanZoomState = (newState) => {
  * @param {{type: 'color' | 'image', value: string}} newBackground - The new background configuration object.
  */
 export const setTableBackground = (newBackground) => {
+  const previousBackground = board.getTableBackground();
   const changed = board.setTableBackground(newBackground);
   if (changed) {
+    const nextBackground = board.getTableBackground();
+    recordHistory(
+      "Change background",
+      () => setTableBackground(previousBackground),
+      () => setTableBackground(nextBackground),
+    );
     dModel(
       "Table background changed via Board, dispatching event. New background: %o",
       board.getTableBackground(), // Get the latest state from board
@@ -282,21 +466,92 @@ export const setTableBackground = (newBackground) => {
 };
 
 /**
- * Sets the ID of the currently selected object.
+ * Replaces the current selection.
+ * Unknown and duplicate IDs are dropped. The primary object is `primaryId` if it is part of
+ * the new selection, otherwise the last ID in `ids`.
+ * Dispatches a 'modelChanged' event of type 'selectionChanged' with payload `{primaryId, ids}` if the selection changes.
+ * @param {string[]} ids - The IDs of the objects to select. An empty array clears the selection.
+ * @param {string | null} [primaryId=null] - The ID of the object that should become the primary selection.
+ */
+export const setSelection = (ids, primaryId = null) => {
+  dModel("setSelection called with ids: %o, primaryId: %s", ids, primaryId);
+  const parents = buildParentIndex(currentObjects.values());
+  const nextIds = [
+    ...new Set(
+      (Array.isArray(ids) ? ids : []).filter((id) => isSelectable(id, parents)),
+    ),
+  ];
+  const nextPrimaryId = nextIds.includes(primaryId)
+    ? primaryId
+    : nextIds.length > 0
+      ? nextIds[nextIds.length - 1]
+      : null;
+
+  const unchanged =
+    nextPrimaryId === selectedObjectId &&
+    nextIds.length === selectedObjectIds.length &&
+    nextIds.every((id, index) => selectedObjectIds[index] === id);
+  if (unchanged) {
+    dModel("Selection did not change (%o).", nextIds);
+    return;
+  }
+  dModel(
+    "Selection changed from %o (primary %s) to %o (primary %s)",
+    selectedObjectIds,
+    selectedObjectId,
+    nextIds,
+    nextPrimaryId,
+  );
+  selectedObjectIds = nextIds;
+  selectedObjectId = nextPrimaryId;
+  dispatchModelChangeEvent({
+    type: "selectionChanged",
+    payload: { primaryId: selectedObjectId, ids: [...selectedObjectIds] },
+  });
+};
+
+/**
+ * Selects a single object, replacing any existing selection.
  * Dispatches a 'modelChanged' event of type 'selectionChanged' if the selection changes.
  * @param {string | null} id - The ID of the object to select, or null to deselect.
  */
 export const setSelectedObjectId = (id) => {
   dModel("setSelectedObjectId called with id: %s", id);
-  if (selectedObjectId !== id) {
-    dModel("Selected object ID changed from %s to %s", selectedObjectId, id);
-    selectedObjectId = id;
-    dispatchModelChangeEvent({
-      type: "selectionChanged",
-      payload: selectedObjectId,
-    });
-  } else {
-    dModel("Selected object ID did not change (%s).", id);
+  setSelection(id ? [id] : [], id);
+};
+
+/**
+ * Tells whether the current user sees an object: its access list admits the user and its layer is shown to them.
+ * @param {VTTObject} obj - The object.
+ * @returns {boolean}
+ */
+const isVisibleToCurrentUser = (obj) =>
+  userCanSeeObject(obj, currentUser) &&
+  canSeeLayer(getObjectLayer(obj, board.getLayers()), currentUser);
+
+/**
+ * Tells whether an object can be selected: it exists, the current user can see it and it is not in a group (groups
+ * are selected as a whole).
+ * @param {string} id - The ID of the object.
+ * @param {Map<string, string>} parents - The parent index of the current objects (see `buildParentIndex`).
+ * @returns {boolean}
+ */
+const isSelectable = (id, parents) =>
+  currentObjects.has(id) &&
+  isVisibleToCurrentUser(currentObjects.get(id)) &&
+  !parents.has(id);
+
+/**
+ * Removes IDs that no longer refer to existing, visible objects from the selection.
+ * Called after objects are deleted or hidden so the selection never points at objects the user cannot see.
+ */
+const pruneSelection = () => {
+  const parents = buildParentIndex(currentObjects.values());
+  const remainingIds = selectedObjectIds.filter((id) =>
+    isSelectable(id, parents),
+  );
+  if (remainingIds.length !== selectedObjectIds.length) {
+    setSelection(remainingIds, selectedObjectId);
   }
 };
 
@@ -307,9 +562,15 @@ export const setSelectedObjectId = (id) => {
  * @returns {object} The consolidated current board properties after the update.
  */
 export const updateBoardProperties = (newProps) => {
+  const previousProperties = board.getBoardProperties();
   const { changed, newProperties } = board.updateBoardProperties(newProps);
   if (changed) {
     dModel("Board properties changed via Board, dispatching event.");
+    recordHistory(
+      "Change board properties",
+      () => updateBoardProperties(previousProperties),
+      () => updateBoardProperties(newProperties),
+    );
     dispatchModelChangeEvent({
       type: "boardPropertiesChanged",
       payload: newProperties,
@@ -322,5 +583,644 @@ export const updateBoardProperties = (newProps) => {
   return newProperties;
 };
 
+/**
+ * Retrieves a copy of the current grid settings from the Board.
+ * @returns {import('./Board.js').GridSettings} The current grid settings.
+ */
+export const getGrid = () => {
+  return board.getGrid();
+};
+
+/**
+ * Updates the grid settings via the Board instance.
+ * Dispatches a 'modelChanged' event of type 'gridChanged' if any setting changes.
+ * @param {Partial<import('./Board.js').GridSettings>} newGrid - The grid settings to change.
+ * @returns {import('./Board.js').GridSettings} The grid settings after the update.
+ */
+export const setGrid = (newGrid) => {
+  const previousGrid = board.getGrid();
+  const changed = board.setGrid(newGrid);
+  if (changed) {
+    const nextGrid = board.getGrid();
+    dModel("Grid changed via Board, dispatching event. New grid: %o", nextGrid);
+    recordHistory(
+      "Change grid",
+      () => setGrid(previousGrid),
+      () => setGrid(nextGrid),
+    );
+    dispatchModelChangeEvent({ type: "gridChanged", payload: nextGrid });
+  } else {
+    dModel("Grid did not change via Board.");
+  }
+  return board.getGrid();
+};
+
+// --- Fog of War ---
+
+/**
+ * Retrieves a copy of the fog of war from the Board.
+ * @returns {import('./fog.js').FogState} The fog state.
+ */
+export const getFog = () => {
+  return board.getFog();
+};
+
+/**
+ * Updates the fog of war via the Board instance (given fields replace the current ones).
+ * Dispatches a 'modelChanged' event of type 'fogChanged' if the fog changes.
+ * @param {Partial<import('./fog.js').FogState>} newFog - The fog fields to change.
+ * @param {string} [historyLabel='Change fog of war'] - Label of the undo step.
+ * @returns {import('./fog.js').FogState} The fog state after the update.
+ */
+export const setFog = (newFog, historyLabel = "Change fog of war") => {
+  const previousFog = board.getFog();
+  const changed = board.setFog(newFog);
+  if (changed) {
+    const nextFog = board.getFog();
+    dModel(
+      "Fog changed via Board, dispatching event. Enabled: %s, %d regions",
+      nextFog.enabled,
+      nextFog.regions.length,
+    );
+    recordHistory(
+      historyLabel,
+      () => setFog(previousFog),
+      () => setFog(nextFog),
+    );
+    dispatchModelChangeEvent({ type: "fogChanged", payload: nextFog });
+  } else {
+    dModel("Fog did not change via Board.");
+  }
+  return board.getFog();
+};
+
+/**
+ * Adds a region on top of the fog's existing regions.
+ * @param {import('./fog.js').FogRegion} region - The region.
+ * @returns {import('./fog.js').FogState | null} The fog state after the update, or null if the region is invalid.
+ */
+export const addFogRegion = (region) => {
+  const normalized = normalizeFogRegion(region);
+  if (!normalized) {
+    log.warn("addFogRegion: invalid fog region.", region);
+    return null;
+  }
+  return setFog(
+    { regions: [...board.getFog().regions, normalized] },
+    normalized.mode === "reveal" ? "Reveal fog" : "Cover with fog",
+  );
+};
+
+// --- Walls and Lighting ---
+
+/**
+ * Retrieves a copy of the walls from the Board.
+ * @returns {import('./lighting.js').Wall[]} The walls.
+ */
+export const getWalls = () => {
+  return board.getWalls();
+};
+
+/**
+ * Replaces the walls via the Board instance.
+ * Dispatches a 'modelChanged' event of type 'wallsChanged' if the walls change.
+ * @param {import('./lighting.js').Wall[]} walls - The new walls.
+ * @param {string} [historyLabel='Change walls'] - Label of the undo step.
+ * @returns {import('./lighting.js').Wall[]} The walls after the update.
+ */
+export const setWalls = (walls, historyLabel = "Change walls") => {
+  const previousWalls = board.getWalls();
+  const changed = board.setWalls(walls);
+  if (changed) {
+    const nextWalls = board.getWalls();
+    dModel(
+      "Walls changed via Board, dispatching event. %d walls",
+      nextWalls.length,
+    );
+    recordHistory(
+      historyLabel,
+      () => setWalls(previousWalls),
+      () => setWalls(nextWalls),
+    );
+    dispatchModelChangeEvent({ type: "wallsChanged", payload: nextWalls });
+  } else {
+    dModel("Walls did not change via Board.");
+  }
+  return board.getWalls();
+};
+
+/**
+ * Adds wall segments (one undo step).
+ * @param {Array<Partial<import('./lighting.js').Wall>>} segments - The segments; IDs are generated when missing.
+ * @returns {import('./lighting.js').Wall[]} The added walls (invalid segments are skipped).
+ */
+export const addWalls = (segments) => {
+  const added = (Array.isArray(segments) ? segments : [])
+    .map(normalizeWall)
+    .filter(Boolean);
+  if (added.length === 0) {
+    log.warn("addWalls: no valid wall segments.", segments);
+    return [];
+  }
+  setWalls(
+    [...board.getWalls(), ...added],
+    added.length === 1 ? "Add wall" : "Add walls",
+  );
+  return added;
+};
+
+/**
+ * Removes walls (one undo step).
+ * @param {string[]} ids - The IDs of the walls to remove.
+ * @returns {import('./lighting.js').Wall[]} The walls after the update.
+ */
+export const removeWalls = (ids) => {
+  const removed = new Set(ids);
+  return setWalls(
+    board.getWalls().filter((wall) => !removed.has(wall.id)),
+    removed.size === 1 ? "Remove wall" : "Remove walls",
+  );
+};
+
+/**
+ * Opens or closes a door (one undo step).
+ * @param {string} id - The door's wall ID.
+ * @param {boolean} open - Whether the door should be open.
+ * @returns {boolean} False if there is no door with this ID.
+ */
+export const setDoorOpen = (id, open) => {
+  const walls = board.getWalls();
+  if (!walls.some((wall) => wall.id === id && wall.door)) {
+    log.warn(`setDoorOpen: no door with ID '${id}'.`);
+    return false;
+  }
+  setWalls(
+    walls.map((wall) => (wall.id === id ? { ...wall, open } : wall)),
+    open ? "Open door" : "Close door",
+  );
+  return true;
+};
+
+/**
+ * Retrieves a copy of the dynamic lighting settings from the Board.
+ * @returns {import('./lighting.js').LightingSettings} The lighting settings.
+ */
+export const getLighting = () => {
+  return board.getLighting();
+};
+
+/**
+ * Updates the dynamic lighting settings via the Board instance (given fields replace the current ones).
+ * Dispatches a 'modelChanged' event of type 'lightingChanged' if the settings change.
+ * @param {Partial<import('./lighting.js').LightingSettings>} lighting - The settings to change.
+ * @returns {import('./lighting.js').LightingSettings} The settings after the update.
+ */
+export const setLighting = (lighting) => {
+  const previousLighting = board.getLighting();
+  const changed = board.setLighting(lighting);
+  if (changed) {
+    const nextLighting = board.getLighting();
+    dModel("Lighting changed via Board, dispatching event: %o", nextLighting);
+    recordHistory(
+      "Change lighting",
+      () => setLighting(previousLighting),
+      () => setLighting(nextLighting),
+    );
+    dispatchModelChangeEvent({
+      type: "lightingChanged",
+      payload: nextLighting,
+    });
+  } else {
+    dModel("Lighting did not change via Board.");
+  }
+  return board.getLighting();
+};
+
+// --- Layers ---
+
+/**
+ * Retrieves a copy of the layers from the Board.
+ * @returns {import('./layers.js').Layer[]} The layers, bottom first.
+ */
+export const getLayers = () => {
+  return board.getLayers();
+};
+
+/**
+ * Replaces the layers via the Board instance. The selection drops objects on layers the user no longer sees.
+ * Dispatches a 'modelChanged' event of type 'layersChanged' if the layers change.
+ * @param {import('./layers.js').Layer[]} layers - The new layers, bottom first.
+ * @param {string} [historyLabel='Change layers'] - Label of the undo step.
+ * @returns {import('./layers.js').Layer[]} The layers after the update.
+ */
+export const setLayers = (layers, historyLabel = "Change layers") => {
+  const previousLayers = board.getLayers();
+  const changed = board.setLayers(layers);
+  if (changed) {
+    const nextLayers = board.getLayers();
+    dModel("Layers changed via Board, dispatching event: %o", nextLayers);
+    recordHistory(
+      historyLabel,
+      () => setLayers(previousLayers),
+      () => setLayers(nextLayers),
+    );
+    dispatchModelChangeEvent({ type: "layersChanged", payload: nextLayers });
+    pruneSelection();
+  } else {
+    dModel("Layers did not change via Board.");
+  }
+  return board.getLayers();
+};
+
+/**
+ * Changes one layer's name or toggles (`locked`, `hidden`, `gmOnly`).
+ * @param {string} layerId - The ID of the layer.
+ * @param {Partial<import('./layers.js').Layer>} props - The changed properties (the ID cannot change).
+ * @returns {import('./layers.js').Layer[] | null} The layers after the update, or null if the layer does not exist.
+ */
+export const updateLayer = (layerId, props) => {
+  const layers = board.getLayers();
+  if (!layers.some((layer) => layer.id === layerId)) {
+    log.warn(`updateLayer: layer '${layerId}' not found.`);
+    return null;
+  }
+  const label = Object.hasOwn(props, "locked")
+    ? `${props.locked ? "Lock" : "Unlock"} layer`
+    : Object.hasOwn(props, "hidden")
+      ? `${props.hidden ? "Hide" : "Show"} layer`
+      : "Change layer";
+  return setLayers(
+    layers.map((layer) =>
+      layer.id === layerId ? { ...layer, ...props, id: layerId } : layer,
+    ),
+    label,
+  );
+};
+
+// --- Templates ---
+
+/**
+ * Retrieves a copy of the object templates from the Board.
+ * @returns {import('./templates.js').Template[]}
+ */
+export const getTemplates = () => {
+  return board.getTemplates();
+};
+
+/**
+ * Replaces the object templates via the Board instance.
+ * Dispatches a 'modelChanged' event of type 'templatesChanged' if the templates change.
+ * @param {import('./templates.js').Template[]} templates - The new templates.
+ * @param {string} [historyLabel='Change templates'] - Label of the undo step.
+ * @returns {import('./templates.js').Template[]} The templates after the update.
+ */
+export const setTemplates = (templates, historyLabel = "Change templates") => {
+  const previousTemplates = board.getTemplates();
+  const changed = board.setTemplates(templates);
+  if (changed) {
+    const nextTemplates = board.getTemplates();
+    dModel("Templates changed via Board (%d templates).", nextTemplates.length);
+    recordHistory(
+      historyLabel,
+      () => setTemplates(previousTemplates),
+      () => setTemplates(nextTemplates),
+    );
+    dispatchModelChangeEvent({
+      type: "templatesChanged",
+      payload: nextTemplates,
+    });
+  } else {
+    dModel("Templates did not change via Board.");
+  }
+  return board.getTemplates();
+};
+
+// --- Assets ---
+// Assets are never removed and are not recorded in the undo history: an undone change can still reference its images.
+
+/**
+ * Retrieves an image asset.
+ * @param {string} hash - The asset's hash.
+ * @returns {string | null} The image as a data URL, or null if the asset is not loaded.
+ */
+export const getAsset = (hash) => {
+  return assets.get(hash) ?? null;
+};
+
+/**
+ * Retrieves the loaded assets among the given ones.
+ * @param {string[]} hashes - The assets' hashes.
+ * @returns {Object<string, string>} Data URLs by hash (assets that are not loaded are left out).
+ */
+export const getAssets = (hashes) => {
+  return Object.fromEntries(
+    hashes
+      .filter((hash) => assets.has(hash))
+      .map((hash) => [hash, assets.get(hash)]),
+  );
+};
+
+/**
+ * Adds an image asset. Dispatches a 'modelChanged' event of type 'assetAdded' with `{hash, data}` if the asset is new.
+ * @param {string} hash - The hash of the image (see `computeAssetHash`).
+ * @param {string} data - The image as a data URL.
+ * @returns {boolean} True if the asset was added, false if it was already loaded or is not an image.
+ */
+export const addAsset = (hash, data) => {
+  if (assets.has(hash)) return false;
+  if (!isAssetData(data)) {
+    log.warn(`addAsset: asset '${hash}' is not an image data URL.`);
+    return false;
+  }
+  dModel("Asset %s added (%d characters).", hash, data.length);
+  assets.set(hash, data);
+  dispatchModelChangeEvent({ type: "assetAdded", payload: { hash, data } });
+  return true;
+};
+
+// --- Dice ---
+// Rolls are not recorded in the undo history: undoing a change never re-rolls or un-rolls dice.
+
+/**
+ * Rolls dice notation and adds the result to the roll log.
+ * Dispatches a 'modelChanged' event of type 'rollAdded' with the log entry.
+ * @param {string} notation - The notation, e.g. `4d6kh3+2`.
+ * @param {string} [label] - What the roll is for.
+ * @returns {import('./DiceRoller.js').RollLogEntry} A copy of the log entry.
+ * @throws {SyntaxError} If the notation is invalid.
+ */
+export const roll = (notation, label) => {
+  dModel("roll called with notation: %s, label: %s", notation, label);
+  const entry = diceRoller.roll(notation, label);
+  dispatchModelChangeEvent({ type: "rollAdded", payload: entry });
+  return entry;
+};
+
+/**
+ * Retrieves a copy of the roll log, oldest roll first.
+ * @returns {Array<import('./DiceRoller.js').RollLogEntry>}
+ */
+export const getRollLog = () => {
+  return diceRoller.getLog();
+};
+
+/**
+ * Empties the roll log. Dispatches a 'modelChanged' event of type 'rollLogChanged'.
+ */
+export const clearRollLog = () => {
+  dModel("clearRollLog called");
+  diceRoller.clearLog();
+  dispatchModelChangeEvent({ type: "rollLogChanged", payload: [] });
+};
+
+/**
+ * Restarts the dice generator from a seed. Dispatches a 'modelChanged' event of type 'diceSeedChanged'.
+ * @param {number | string} seed - The seed (text is hashed).
+ * @returns {number} The numeric seed in use.
+ */
+export const setDiceSeed = (seed) => {
+  dModel("setDiceSeed called with seed: %s", seed);
+  diceRoller.setSeed(seed);
+  dispatchModelChangeEvent({
+    type: "diceSeedChanged",
+    payload: { seed: diceRoller.seed },
+  });
+  return diceRoller.seed;
+};
+
+/**
+ * Retrieves a copy of the dice generator state and roll log, for saving.
+ * @returns {import('./DiceRoller.js').DiceState}
+ */
+export const getDiceState = () => {
+  return diceRoller.getState();
+};
+
+/**
+ * Restores a saved dice generator state and roll log.
+ * Dispatches a 'modelChanged' event of type 'rollLogChanged' with the restored log.
+ * @param {Partial<import('./DiceRoller.js').DiceState>} state - The saved state.
+ */
+export const setDiceState = (state) => {
+  dModel("setDiceState called");
+  diceRoller.setState(state);
+  dispatchModelChangeEvent({
+    type: "rollLogChanged",
+    payload: diceRoller.getLog(),
+  });
+};
+
+// --- Remote Changes (multiplayer sync) ---
+
+/**
+ * @typedef {Object} RemoteOperation
+ * A change made by another participant, as sent by the sync layer (see sync/operations.js).
+ * @property {'putObject' | 'deleteObject' | 'clearObjects' | 'setBackground' | 'setBoardProperties' | 'setGrid' | 'setFog' | 'setWalls' | 'setLighting' | 'setLayers' | 'setTemplates' | 'putAsset' | 'addRoll'} kind
+ * @property {object} [object] - putObject: the object's complete state (it is created if it does not exist).
+ * @property {string} [id] - deleteObject: the ID of the object.
+ * @property {object} [background] - setBackground: the background.
+ * @property {object} [properties] - setBoardProperties: the board properties.
+ * @property {object} [grid] - setGrid: the grid settings.
+ * @property {import('./fog.js').FogState} [fog] - setFog: the fog of war.
+ * @property {import('./lighting.js').Wall[]} [walls] - setWalls: the walls.
+ * @property {import('./lighting.js').LightingSettings} [lighting] - setLighting: the lighting settings.
+ * @property {import('./layers.js').Layer[]} [layers] - setLayers: the layers.
+ * @property {import('./templates.js').Template[]} [templates] - setTemplates: the object templates.
+ * @property {string} [hash] - putAsset: the asset's hash.
+ * @property {string} [data] - putAsset: the image as a data URL.
+ * @property {import('./DiceRoller.js').RollLogEntry} [entry] - addRoll: the roll.
+ */
+
+/**
+ * Runs `apply` as a remote change: changes it makes are not recorded in the undo history, and the
+ * 'modelChanged' events they dispatch carry `remote: true`.
+ * @param {function(): *} apply - Makes the changes.
+ * @returns {*} The return value of `apply`.
+ */
+export const applyRemoteChanges = (apply) => {
+  remoteChangeDepth++;
+  try {
+    return apply();
+  } finally {
+    remoteChangeDepth--;
+  }
+};
+
+/**
+ * Applies a change made by another participant (see `applyRemoteChanges`).
+ * @param {RemoteOperation} op - The operation.
+ * @returns {boolean} False if the operation was not recognized.
+ */
+export const applyRemoteOperation = (op) => {
+  dModel("applyRemoteOperation: %o", op);
+  return applyRemoteChanges(() => {
+    switch (op?.kind) {
+      case "putObject":
+        applyObjectSnapshot(op.object.id, op.object);
+        return true;
+      case "deleteObject":
+        applyObjectSnapshot(op.id, null);
+        return true;
+      case "clearObjects":
+        clearAllObjects();
+        return true;
+      case "setBackground":
+        setTableBackground(op.background);
+        return true;
+      case "setBoardProperties":
+        updateBoardProperties(op.properties);
+        return true;
+      case "setGrid":
+        setGrid(op.grid);
+        return true;
+      case "setFog":
+        setFog(op.fog);
+        return true;
+      case "setWalls":
+        setWalls(op.walls);
+        return true;
+      case "setLighting":
+        setLighting(op.lighting);
+        return true;
+      case "setLayers":
+        setLayers(op.layers);
+        return true;
+      case "setTemplates":
+        setTemplates(op.templates);
+        return true;
+      case "putAsset":
+        addAsset(op.hash, op.data);
+        return true;
+      case "addRoll":
+        dispatchModelChangeEvent({
+          type: "rollAdded",
+          payload: diceRoller.addEntry(op.entry),
+        });
+        return true;
+      default:
+        log.warn("Unknown remote operation:", op);
+        return false;
+    }
+  });
+};
+
+// --- Local User and Permissions ---
+
+/**
+ * Retrieves the participant using this app.
+ * @returns {import('./permissions.js').User} A copy of the user.
+ */
+export const getCurrentUser = () => ({ ...currentUser });
+
+/**
+ * Changes the participant's name and/or role. The selection drops objects the user can no longer see.
+ * Dispatches a 'modelChanged' event of type 'userChanged' if the user changes. Not recorded in the undo history.
+ * @param {Partial<import('./permissions.js').User>} user - The changed fields.
+ * @returns {import('./permissions.js').User} A copy of the resulting user.
+ */
+export const setCurrentUser = (user) => {
+  const nextUser = normalizeUser({ ...currentUser, ...user });
+  if (
+    nextUser.name !== currentUser.name ||
+    nextUser.role !== currentUser.role
+  ) {
+    dModel("Current user changed from %o to %o", currentUser, nextUser);
+    currentUser = nextUser;
+    dispatchModelChangeEvent({ type: "userChanged", payload: { ...nextUser } });
+    pruneSelection();
+  }
+  return { ...currentUser };
+};
+
+/**
+ * Tells whether the current user can see an object.
+ * @param {string} objectId - The ID of the object.
+ * @returns {boolean} False if the object does not exist.
+ */
+export const canSeeObject = (objectId) =>
+  currentObjects.has(objectId) &&
+  isVisibleToCurrentUser(currentObjects.get(objectId));
+
+/**
+ * Tells whether the current user can change or delete an object.
+ * @param {string} objectId - The ID of the object.
+ * @returns {boolean} False if the object does not exist.
+ */
+export const canEditObject = (objectId) =>
+  currentObjects.has(objectId) &&
+  userCanEditObject(currentObjects.get(objectId), currentUser);
+
+/**
+ * Tells whether the current user can change the table (see `permissions.canEditTable`). Changes applied through
+ * `applyRemoteChanges` are always allowed: they were made by another participant.
+ * @returns {boolean}
+ */
+export const canEditTable = () =>
+  remoteChangeDepth > 0 || userCanEditTable(currentUser);
+
+// --- Undo/Redo History ---
+
+/**
+ * Reverts the most recent recorded model operation (or batch of operations).
+ * Dispatches the model events of the reverted changes followed by a 'historyChanged' event.
+ * @returns {string | null} The label of the undone step, or null if there was nothing to undo.
+ */
+export const undo = () => {
+  const entry = history.undo();
+  dModel("undo called. Undone entry: %s", entry ? entry.label : null);
+  if (!entry) return null;
+  dispatchHistoryChanged();
+  return entry.label;
+};
+
+/**
+ * Re-applies the most recently undone model operation (or batch of operations).
+ * Dispatches the model events of the re-applied changes followed by a 'historyChanged' event.
+ * @returns {string | null} The label of the redone step, or null if there was nothing to redo.
+ */
+export const redo = () => {
+  const entry = history.redo();
+  dModel("redo called. Redone entry: %s", entry ? entry.label : null);
+  if (!entry) return null;
+  dispatchHistoryChanged();
+  return entry.label;
+};
+
+/**
+ * Retrieves the current undo/redo availability.
+ * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string | null, redoLabel: string | null}}
+ */
+export const getHistoryState = () => {
+  return history.getState();
+};
+
+/**
+ * Starts coalescing subsequent model operations into a single undoable step,
+ * e.g. for the duration of a drag. Must be paired with `endHistoryBatch`.
+ * @param {string} [label] - Description of the coalesced step.
+ */
+export const beginHistoryBatch = (label) => {
+  dModel("beginHistoryBatch called with label: %s", label);
+  history.beginBatch(label);
+};
+
+/**
+ * Ends the batch opened by `beginHistoryBatch`. Dispatches 'historyChanged' if a step was recorded.
+ */
+export const endHistoryBatch = () => {
+  dModel("endHistoryBatch called");
+  if (history.endBatch()) {
+    dispatchHistoryChanged();
+  }
+};
+
+/**
+ * Discards all undo/redo history.
+ */
+export const clearHistory = () => {
+  history.clear();
+  dispatchHistoryChanged();
+};
+
 // The objectsAreEqual function is no longer needed here as VTTObject.objectsAreEqual will be used.
 // Ensure it is removed from this file if it existed.
@@ -0,0 +1,159 @@
+// src/model/pdf.js
+/**
+ * @file A small PDF writer for printable exports: pages with JPEG images, lines and short texts in Helvetica.
+ * Coordinates are in PDF points (1/72 inch) from the bottom-left corner of the page, as in PDF itself.
+ * Pure helpers.
+ */
+
+/** @const {number} PDF points per millimeter. */
+export const POINTS_PER_MM = 72 / 25.4;
+
+/**
+ * @typedef {Object} PdfImage
+ * @property {Uint8Array} data - The image as a JPEG file.
+ * @property {number} pixelWidth - The image's width in pixels.
+ * @property {number} pixelHeight - The image's height in pixels.
+ * @property {number} x - Left edge on the page.
+ * @property {number} y - Bottom edge on the page.
+ * @property {number} width - Width on the page.
+ * @property {number} height - Height on the page.
+ */
+
+/**
+ * @typedef {Object} PdfPage
+ * @property {number} width - The page's width in points.
+ * @property {number} height - The page's height in points.
+ * @property {PdfImage[]} [images] - Images, drawn first.
+ * @property {Array<{x1: number, y1: number, x2: number, y2: number, width?: number, gray?: number}>} [lines] -
+ *           Lines, drawn over the images (`gray` from 0, black, to 1, white).
+ * @property {Array<{x: number, y: number, size: number, text: string}>} [texts] - Texts (their baseline starts at
+ *           `x`, `y`), drawn last. Characters outside Latin-1 are replaced by `?`.
+ */
+
+/**
+ * Formats a number for a PDF content stream.
+ * @param {number} value - The number.
+ * @returns {string}
+ */
+const num = (value) => String(Math.round(value * 1000) / 1000);
+
+/**
+ * Escapes a text for a PDF string literal.
+ * @param {string} text - The text.
+ * @returns {string}
+ */
+const escapeText = (text) =>
+  String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+
+/**
+ * Builds the content stream of a page.
+ * @param {PdfPage} page - The page.
+ * @returns {string}
+ */
+const buildContent = (page) => {
+  const operations = [];
+  (page.images || []).forEach((image, index) => {
+    operations.push(
+      `q ${num(image.width)} 0 0 ${num(image.height)} ${num(image.x)} ${num(image.y)} cm /Im${index} Do Q`,
+    );
+  });
+  (page.lines || []).forEach(({ x1, y1, x2, y2, width = 0.5, gray = 0 }) => {
+    operations.push(
+      `${num(gray)} G ${num(width)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`,
+    );
+  });
+  (page.texts || []).forEach(({ x, y, size, text }) => {
+    operations.push(
+      `BT /F1 ${num(size)} Tf ${num(x)} ${num(y)} Td (${escapeText(text)}) Tj ET`,
+    );
+  });
+  return operations.join("\n");
+};
+
+/**
+ * Writes a PDF document.
+ * @param {PdfPage[]} pages - The pages, in order.
+ * @param {{title?: string}} [info] - Document information.
+ * @returns {Uint8Array} The PDF file.
+ */
+export const createPdf = (pages, { title = "" } = {}) => {
+  const latin1 = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (part) => {
+    const bytes = typeof part === "string" ? latin1(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const objects = []; // Object bodies by number - 1, as strings or [header, stream bytes]
+  const reserve = () => {
+    objects.push(null);
+    return objects.length;
+  };
+
+  const catalogRef = reserve();
+  const pagesRef = reserve();
+  const fontRef = reserve();
+  const infoRef = reserve();
+  const pageRefs = pages.map((page) => {
+    const pageRef = reserve();
+    const contentRef = reserve();
+    const imageRefs = (page.images || []).map((image) => {
+      const imageRef = reserve();
+      objects[imageRef - 1] = [
+        `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>`,
+        image.data,
+      ];
+      return imageRef;
+    });
+    const content = latin1(buildContent(page));
+    objects[contentRef - 1] = [`<< /Length ${content.length} >>`, content];
+    const xObjects = imageRefs
+      .map((ref, index) => `/Im${index} ${ref} 0 R`)
+      .join(" ");
+    objects[pageRef - 1] =
+      `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+      `/Resources << /Font << /F1 ${fontRef} 0 R >> /XObject << ${xObjects} >> >> /Contents ${contentRef} 0 R >>`;
+    return pageRef;
+  });
+  objects[catalogRef - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+  objects[pagesRef - 1] =
+    `<< /Type /Pages /Kids [${pageRefs.map((ref) => `${ref} 0 R`).join(" ")}] /Count ${pageRefs.length} >>`;
+  objects[fontRef - 1] =
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>";
+  objects[infoRef - 1] =
+    `<< /Title (${escapeText(title)}) /Producer (TableTopTool) >>`;
+
+  write("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n");
+  objects.forEach((body, index) => {
+    offsets.push(length);
+    write(`${index + 1} 0 obj\n`);
+    if (Array.isArray(body)) {
+      write(`${body[0]}\nstream\n`);
+      write(body[1]);
+      write("\nendstream");
+    } else {
+      write(body);
+    }
+    write("\nendobj\n");
+  });
+  const xrefOffset = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((offset) =>
+    write(`${String(offset).padStart(10, "0")} 00000 n \n`),
+  );
+  write(
+    `trailer\n<< /Size ${objects.length + 1} /Root ${catalogRef} 0 R /Info ${infoRef} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`,
+  );
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+};
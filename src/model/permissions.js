@@ -0,0 +1,126 @@
+// src/model/permissions.js
+/**
+ * @file Roles and per-object access rules.
+ * Each participant has a role: the GM sees and edits everything, players see and edit the objects open to them,
+ * and spectators only watch. Objects restrict access with two access lists (see `AccessList`):
+ * `visibleTo` (who sees the object) and `editableBy` (who may change or delete it). Both default to everyone.
+ * Players are identified by their display name (compared case-insensitively).
+ *
+ * Access is enforced by each participant's own app: hidden objects are still part of the shared table state.
+ */
+
+/** @typedef {'gm' | 'player' | 'spectator'} Role */
+
+/**
+ * @typedef {'all' | 'gm' | string[]} AccessList
+ * Who an object is open to: everyone, the GM only, or the GM and the named players.
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} name - Display name; also identifies the player in access lists.
+ * @property {Role} role - The participant's role.
+ */
+
+/** @const {Role[]} Roles, most privileged first. */
+export const ROLES = ["gm", "player", "spectator"];
+
+/** @const {Object<Role, string>} Role names shown to the user. */
+export const ROLE_LABELS = {
+  gm: "GM",
+  player: "Player",
+  spectator: "Spectator",
+};
+
+/** @const {AccessList} Access list of objects open to everyone. */
+export const ACCESS_ALL = "all";
+/** @const {AccessList} Access list of objects open to the GM only. */
+export const ACCESS_GM = "gm";
+
+/**
+ * Brings an access list to its canonical form: 'all', 'gm', or a list of distinct, trimmed player names.
+ * A comma-separated string of names is accepted as well. An empty list of names means the GM only.
+ * @param {*} value - The access list (missing or unrecognized values mean everyone).
+ * @returns {AccessList}
+ */
+export const normalizeAccessList = (value) => {
+  if (value === ACCESS_GM) return ACCESS_GM;
+  let names = null;
+  if (Array.isArray(value)) names = value;
+  else if (typeof value === "string" && value !== ACCESS_ALL) {
+    names = value.split(",");
+  }
+  if (!names) return ACCESS_ALL;
+  const unique = [];
+  names.forEach((name) => {
+    const trimmed = String(name).trim();
+    if (
+      trimmed &&
+      !unique.some((other) => other.toLowerCase() === trimmed.toLowerCase())
+    ) {
+      unique.push(trimmed);
+    }
+  });
+  return unique.length > 0 ? unique : ACCESS_GM;
+};
+
+/**
+ * Brings a user to its canonical form.
+ * @param {Partial<User>} [user] - The user.
+ * @returns {User} The user, with the role defaulting to 'gm' and the name to 'GM'.
+ */
+export const normalizeUser = (user = {}) => ({
+  name: String(user.name || "").trim() || "GM",
+  role: ROLES.includes(user.role) ? user.role : "gm",
+});
+
+/**
+ * Tells whether an access list admits a user. The GM is always admitted.
+ * @param {AccessList | undefined} accessList - The access list.
+ * @param {User} user - The user.
+ * @returns {boolean}
+ */
+const admits = (accessList, user) => {
+  if (user.role === "gm") return true;
+  const normalized = normalizeAccessList(accessList);
+  if (normalized === ACCESS_ALL) return true;
+  if (normalized === ACCESS_GM || user.role !== "player") return false;
+  const name = user.name.toLowerCase();
+  return normalized.some((entry) => entry.toLowerCase() === name);
+};
+
+/**
+ * Tells whether a user may see an object.
+ * @param {{visibleTo?: AccessList}} obj - The object.
+ * @param {User} user - The user.
+ * @returns {boolean}
+ */
+export const canSeeObject = (obj, user) => admits(obj?.visibleTo, user);
+
+/**
+ * Tells whether a user may change or delete an object: spectators never may, and players only if they can
+ * see the object and are admitted by its `editableBy` list.
+ * @param {{visibleTo?: AccessList, editableBy?: AccessList}} obj - The object.
+ * @param {User} user - The user.
+ * @returns {boolean}
+ */
+export const canEditObject = (obj, user) =>
+  user.role !== "spectator" &&
+  canSeeObject(obj, user) &&
+  admits(obj?.editableBy, user);
+
+/**
+ * Tells whether a user may change the table at all (create objects, change the board, roll dice...): everyone but
+ * spectators. Changes to existing objects are also subject to `canEditObject`.
+ * @param {User} user - The user.
+ * @returns {boolean}
+ */
+export const canEditTable = (user) => user.role !== "spectator";
+
+/**
+ * Tells whether an object is hidden from some participants (the GM sees such objects ghosted).
+ * @param {{visibleTo?: AccessList}} obj - The object.
+ * @returns {boolean}
+ */
+export const isRestrictedObject = (obj) =>
+  normalizeAccessList(obj?.visibleTo) !== ACCESS_ALL;
@@ -0,0 +1,424 @@
+// src/model/saveFormat.js
+/**
+ * @file The format of `.ttt.json` session files: a JSON Schema for the current format version, and the migrations
+ * that bring files saved in older versions up to date. Files carry their version in `formatVersion`; files saved
+ * before it existed (which only had `appVersion: "TableTopTool-MVP-Offline-v1"`) are version 1. A file is read by
+ * migrating it to the current version, then validating it against the schema. Autosave snapshots (see
+ * storage/autosave.js) are read the same way.
+ * Pure helpers.
+ */
+import { validateSchema, formatSchemaError } from "./jsonSchema.js";
+import { DEFAULT_OBJECT_LAYER } from "./layers.js";
+import { normalizeAccessList } from "./permissions.js";
+import { GROUP_TYPE } from "./VTTObject.js";
+
+/** @const {string} Marks a file as a session file. */
+export const SESSION_FILE_FORMAT = "tabletoptool/session";
+
+/** @const {number} Version of the session file format written by this app. */
+export const SESSION_FORMAT_VERSION = 2;
+
+/** @const {string} Written to every session file since the first version (kept for older readers). */
+export const APP_VERSION = "TableTopTool-MVP-Offline-v1";
+
+/** @const {object} Schema of a point, e.g. a path vertex or a fog polygon corner. */
+const POINT_SCHEMA = {
+  type: "object",
+  required: ["x", "y"],
+  properties: { x: { type: "number" }, y: { type: "number" } },
+};
+
+/** @const {object} JSON Schema of session files in the current format version. */
+export const SESSION_FILE_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  $id: `urn:tabletoptool:session:${SESSION_FORMAT_VERSION}`,
+  title: "TableTopTool session file",
+  type: "object",
+  required: ["formatVersion", "objects"],
+  properties: {
+    format: { const: SESSION_FILE_FORMAT },
+    formatVersion: { type: "integer", const: SESSION_FORMAT_VERSION },
+    appVersion: { type: "string" },
+    sessionId: { type: "string" },
+    savedAt: { type: "string" },
+    objects: { type: "array", items: { $ref: "#/$defs/object" } },
+    background: {
+      type: "object",
+      required: ["type", "value"],
+      properties: {
+        type: { enum: ["color", "image"] },
+        value: { type: "string" },
+      },
+    },
+    viewState: {
+      type: "object",
+      properties: {
+        panX: { type: "number" },
+        panY: { type: "number" },
+        zoom: { type: "number", minimum: 0 },
+      },
+    },
+    boardProperties: {
+      type: "object",
+      properties: {
+        widthUser: { type: "number", minimum: 0 },
+        heightUser: { type: "number", minimum: 0 },
+        unitForDimensions: { type: "string" },
+        widthPx: { type: "number", minimum: 0 },
+        heightPx: { type: "number", minimum: 0 },
+        scaleRatio: { type: "number" },
+        unitForRatio: { type: "string" },
+      },
+    },
+    grid: {
+      type: "object",
+      properties: {
+        type: { enum: ["none", "square", "hex-flat", "hex-pointy"] },
+        cellSize: { type: "number", minimum: 0 },
+        offsetX: { type: "number" },
+        offsetY: { type: "number" },
+        color: { type: "string" },
+        opacity: { type: "number", minimum: 0, maximum: 1 },
+        snap: { type: "boolean" },
+        measurementRule: { enum: ["euclidean", "alternating", "manhattan"] },
+      },
+    },
+    fog: {
+      type: "object",
+      required: ["enabled", "regions"],
+      properties: {
+        enabled: { type: "boolean" },
+        regions: { type: "array", items: { $ref: "#/$defs/fogRegion" } },
+      },
+    },
+    walls: { type: "array", items: { $ref: "#/$defs/wall" } },
+    lighting: {
+      type: "object",
+      properties: {
+        enabled: { type: "boolean" },
+        daylight: { type: "boolean" },
+      },
+    },
+    layers: { type: "array", items: { $ref: "#/$defs/layer" } },
+    templates: { type: "array", items: { $ref: "#/$defs/template" } },
+    assets: {
+      type: "object",
+      propertyNames: {
+        pattern: "^[0-9a-f]{64}$",
+        description: "is not an asset hash (64 hexadecimal digits)",
+      },
+      additionalProperties: {
+        type: "string",
+        pattern: "^data:image/",
+        description: "must be an image data URL",
+      },
+    },
+    dice: {
+      type: "object",
+      properties: {
+        seed: { type: "number" },
+        randomState: { type: "number" },
+        log: { type: "array", items: { type: "object" } },
+      },
+    },
+  },
+  $defs: {
+    point: POINT_SCHEMA,
+    accessList: {
+      anyOf: [
+        { enum: ["all", "gm"] },
+        { type: "array", items: { type: "string" } },
+      ],
+      description: 'must be "all", "gm" or a list of player names',
+    },
+    object: {
+      type: "object",
+      required: ["id", "shape"],
+      properties: {
+        id: { type: "string", minLength: 1 },
+        shape: {
+          enum: ["rectangle", "circle", "polygon", "polyline", "freehand"],
+        },
+        type: { type: "string" },
+        name: { type: "string" },
+        x: { type: "number" },
+        y: { type: "number" },
+        width: { type: "number", minimum: 0 },
+        height: { type: "number", minimum: 0 },
+        rotation: { type: "number" },
+        zIndex: { type: "number" },
+        points: { type: "array", items: { $ref: "#/$defs/point" } },
+        closed: { type: "boolean" },
+        appearance: {
+          type: "object",
+          properties: {
+            imageUrl: { type: "string" },
+            backgroundColor: { type: "string" },
+            borderColor: { type: "string" },
+            borderWidth: { type: "number", minimum: 0 },
+            textColor: { type: "string" },
+            text: { type: "string" },
+            fontFamily: { type: "string" },
+            fontSize: { type: "number", minimum: 0 },
+            showLabel: { type: "boolean" },
+            filled: { type: "boolean" },
+            frontImageUrl: { type: "string" },
+            backImageUrl: { type: "string" },
+            frontImageRegion: { $ref: "#/$defs/imageRegion" },
+            backImageRegion: { $ref: "#/$defs/imageRegion" },
+          },
+        },
+        isMovable: { type: "boolean" },
+        data: { type: "object" },
+        scripts: { type: "object", additionalProperties: { type: "string" } },
+        cards: { type: "array", items: { $ref: "#/$defs/card" } },
+        faceUp: { type: "boolean" },
+        cardId: { type: "string" },
+        deckId: { type: "string" },
+        children: { type: "array", items: { type: "string" } },
+        visibleTo: { $ref: "#/$defs/accessList" },
+        editableBy: { $ref: "#/$defs/accessList" },
+        layer: { type: "string" },
+        light: {
+          type: "object",
+          properties: {
+            bright: { type: "number", minimum: 0 },
+            dim: { type: "number", minimum: 0 },
+          },
+        },
+        hasVision: { type: "boolean" },
+      },
+    },
+    card: {
+      type: "object",
+      required: ["id"],
+      properties: {
+        id: { type: "string", minLength: 1 },
+        name: { type: "string" },
+        frontImageUrl: { type: "string" },
+        backImageUrl: { type: "string" },
+        frontImageRegion: { $ref: "#/$defs/imageRegion" },
+        backImageRegion: { $ref: "#/$defs/imageRegion" },
+        data: { type: "object" },
+      },
+    },
+    imageRegion: {
+      type: "object",
+      required: ["x", "y", "width", "height"],
+      properties: {
+        x: { type: "number", minimum: 0, maximum: 1 },
+        y: { type: "number", minimum: 0, maximum: 1 },
+        width: { type: "number", minimum: 0, maximum: 1 },
+        height: { type: "number", minimum: 0, maximum: 1 },
+      },
+    },
+    fogRegion: {
+      type: "object",
+      required: ["mode", "shape"],
+      properties: {
+        mode: { enum: ["reveal", "cover"] },
+        shape: { enum: ["rect", "polygon", "brush"] },
+        x: { type: "number" },
+        y: { type: "number" },
+        width: { type: "number" },
+        height: { type: "number" },
+        points: { type: "array", items: { $ref: "#/$defs/point" } },
+        radius: { type: "number", minimum: 0 },
+      },
+    },
+    wall: {
+      type: "object",
+      required: ["x1", "y1", "x2", "y2"],
+      properties: {
+        id: { type: "string" },
+        x1: { type: "number" },
+        y1: { type: "number" },
+        x2: { type: "number" },
+        y2: { type: "number" },
+        door: { type: "boolean" },
+        open: { type: "boolean" },
+      },
+    },
+    layer: {
+      type: "object",
+      required: ["id"],
+      properties: {
+        id: { type: "string", minLength: 1 },
+        name: { type: "string" },
+        locked: { type: "boolean" },
+        hidden: { type: "boolean" },
+        gmOnly: { type: "boolean" },
+      },
+    },
+    template: {
+      type: "object",
+      required: ["name", "objects"],
+      properties: {
+        id: { type: "string" },
+        name: { type: "string", minLength: 1 },
+        objects: { type: "array", items: { $ref: "#/$defs/object" } },
+      },
+    },
+  },
+};
+
+/**
+ * Brings a version 1 object to the version 2 shape. Version 1 objects had no layer, access lists or groups; they
+ * get the values the app always gave objects without them: the default layer, open to everyone, and groups (from
+ * files edited by hand) with a list of children. Values that are there but not in their canonical form (e.g. an
+ * access list written as "Alice, Bob") are brought to it.
+ * @param {*} obj - The object (anything else is left for validation to report).
+ * @returns {*}
+ */
+const migrateObjectFromV1 = (obj) => {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return obj;
+  const migrated = {
+    ...obj,
+    layer:
+      typeof obj.layer === "string" && obj.layer.trim()
+        ? obj.layer.trim()
+        : DEFAULT_OBJECT_LAYER,
+    visibleTo: normalizeAccessList(obj.visibleTo),
+    editableBy: normalizeAccessList(obj.editableBy),
+  };
+  if (obj.type === GROUP_TYPE || Object.hasOwn(obj, "children")) {
+    migrated.children = Array.isArray(obj.children)
+      ? obj.children.filter((id) => typeof id === "string" && id)
+      : [];
+  }
+  return migrated;
+};
+
+/**
+ * Applies an object migration to a list of objects, if it is one.
+ * @param {*} objects - The list.
+ * @param {function(*): *} migrate - The migration of one object.
+ * @returns {*}
+ */
+const migrateObjects = (objects, migrate) =>
+  Array.isArray(objects) ? objects.map(migrate) : objects;
+
+/**
+ * Migrations, by the version they migrate from. Each takes a state of that version (a copy it may change) and
+ * returns the state in the next version. Migrations must cope with any content: the result is validated afterwards.
+ * @type {Object<number, function(object): object>}
+ */
+const MIGRATIONS = {
+  // Version 1 files list only the parts of the table the app had when they were saved. The parts added later are
+  // written out with the values such files always meant: no fog, walls, templates or assets, lighting off and the
+  // default layers (an empty list). Their objects, and the objects of templates, get the version 2 object shape.
+  1: (state) => ({
+    ...state,
+    format: SESSION_FILE_FORMAT,
+    objects: migrateObjects(state.objects, migrateObjectFromV1),
+    fog: state.fog ?? { enabled: false, regions: [] },
+    walls: state.walls ?? [],
+    lighting: state.lighting ?? { enabled: false, daylight: false },
+    layers: state.layers ?? [],
+    templates: Array.isArray(state.templates)
+      ? state.templates.map((template) =>
+          template && typeof template === "object"
+            ? {
+                ...template,
+                objects: migrateObjects(template.objects, migrateObjectFromV1),
+              }
+            : template,
+        )
+      : (state.templates ?? []),
+    assets: state.assets ?? {},
+  }),
+};
+
+/**
+ * Reads the format version of a parsed session file.
+ * @param {object} state - The parsed file.
+ * @returns {number} The version (1 for files without `formatVersion`).
+ * @throws {Error} If `formatVersion` is not a whole number from 1 to `SESSION_FORMAT_VERSION`.
+ */
+export const getFormatVersion = (state) => {
+  if (!Object.hasOwn(state, "formatVersion")) return 1;
+  const version = state.formatVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(
+      `formatVersion must be a whole number from 1, not ${JSON.stringify(version)}.`,
+    );
+  }
+  if (version > SESSION_FORMAT_VERSION) {
+    throw new Error(
+      `The file was saved in format version ${version} by a newer TableTopTool; this one reads up to version ${SESSION_FORMAT_VERSION}.`,
+    );
+  }
+  return version;
+};
+
+/**
+ * Brings a parsed session file to the current format version.
+ * @param {object} state - The parsed file (not changed).
+ * @returns {object} A migrated copy, with `formatVersion` set to `SESSION_FORMAT_VERSION`.
+ * @throws {Error} If the file's version cannot be read (see `getFormatVersion`).
+ */
+export const migrateSessionState = (state) => {
+  let version = getFormatVersion(state);
+  let migrated = structuredClone(state);
+  while (version < SESSION_FORMAT_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version += 1;
+    migrated.formatVersion = version;
+  }
+  return migrated;
+};
+
+/**
+ * Checks a session state in the current format version against `SESSION_FILE_SCHEMA`.
+ * @param {object} state - The state.
+ * @returns {string[]} One message per problem, naming the field (empty if the state is valid).
+ */
+export const validateSessionState = (state) =>
+  validateSchema(state, SESSION_FILE_SCHEMA).map(formatSchemaError);
+
+/**
+ * Reads a parsed session state, e.g. a session file or an autosave snapshot: migrates it to the current format
+ * version and validates it.
+ * @param {*} parsed - The state.
+ * @returns {{state: object | null, fromVersion: number | null, errors: string[]}} The migrated state (null if the
+ *          state cannot be used), the version it was saved in, and the problems that prevent loading it.
+ */
+export const readSessionState = (parsed) => {
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return {
+      state: null,
+      fromVersion: null,
+      errors: ["The file does not hold a table."],
+    };
+  }
+  let fromVersion;
+  let state;
+  try {
+    fromVersion = getFormatVersion(parsed);
+    state = migrateSessionState(parsed);
+  } catch (error) {
+    return { state: null, fromVersion: null, errors: [error.message] };
+  }
+  const errors = validateSessionState(state);
+  return { state: errors.length > 0 ? null : state, fromVersion, errors };
+};
+
+/**
+ * Reads a session file: parses it, migrates it to the current format version and validates it.
+ * @param {string} text - The file's text.
+ * @returns {{state: object | null, fromVersion: number | null, errors: string[]}} The migrated state (null if the
+ *          file cannot be used), the version the file was saved in, and the problems that prevent loading it.
+ */
+export const readSessionFile = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    return {
+      state: null,
+      fromVersion: null,
+      errors: [`The file is not valid JSON (${error.message}).`],
+    };
+  }
+  return readSessionState(parsed);
+};
@@ -0,0 +1,223 @@
+// src/model/sessionArchive.js
+/**
+ * @file Session archives (`.ttt`): a zip holding a whole scenario, to hand it to another table. The archive contains
+ * `manifest.json`, the session file `session.ttt.json` (with its objects, their scripts, and the templates) and
+ * every image the table uses as a file under `images/`, named by the image's asset hash. In the session file the
+ * images are referenced as assets (`asset:<hash>`); images given as links are downloaded and packed too, when the
+ * server allows it. Unpacking keeps the image files as bytes (`Blob`s) and points the references at them as assets;
+ * the asset store (see storage/assetStore.js) then keeps the bytes and displays them through local `blob:` URLs.
+ * Pure helpers.
+ */
+import { createZip, readZip } from "./zip.js";
+import {
+  collectImageUrls,
+  replaceImageUrls,
+  getAssetHash,
+  toAssetUrl,
+  isAssetData,
+  computeAssetHash,
+  normalizeAssets,
+} from "./assets.js";
+
+/** @const {string} Marks a zip as a session archive (in its manifest). */
+export const ARCHIVE_FORMAT = "tabletoptool/archive";
+
+/** @const {number} Version of the archive layout. */
+export const ARCHIVE_VERSION = 1;
+
+/** @const {string} File extension of session archives. */
+export const ARCHIVE_EXTENSION = ".ttt";
+
+/** @const {string} Name of the manifest in the archive. */
+const MANIFEST_FILE = "manifest.json";
+
+/** @const {string} Name of the session file in the archive. */
+const SESSION_FILE = "session.ttt.json";
+
+/** @const {string} Folder of the image files in the archive. */
+const IMAGE_FOLDER = "images/";
+
+/** @const {Object<string, string>} File extensions of image types. */
+const IMAGE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/svg+xml": "svg",
+  "image/bmp": "bmp",
+  "image/avif": "avif",
+};
+
+/**
+ * Splits a data URL into its type and content.
+ * @param {string} dataUrl - The data URL.
+ * @returns {{type: string, bytes: Uint8Array}}
+ * @throws {Error} If the text is not a data URL.
+ */
+export const dataUrlToBytes = (dataUrl) => {
+  const match = /^data:([^,;]*)((?:;[^,;]*)*),/.exec(dataUrl);
+  if (!match) throw new Error("Not a data URL.");
+  const content = dataUrl.slice(match[0].length);
+  if (match[2].split(";").includes("base64")) {
+    const binary = atob(content);
+    return {
+      type: match[1],
+      bytes: Uint8Array.from(binary, (char) => char.charCodeAt(0)),
+    };
+  }
+  return {
+    type: match[1],
+    bytes: new TextEncoder().encode(decodeURIComponent(content)),
+  };
+};
+
+/**
+ * Builds a base64 data URL.
+ * @param {Uint8Array} bytes - The content.
+ * @param {string} type - The MIME type.
+ * @returns {string}
+ */
+export const bytesToDataUrl = (bytes, type) => {
+  let binary = "";
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+  }
+  return `data:${type};base64,${btoa(binary)}`;
+};
+
+/**
+ * Guesses an image's type from its file name.
+ * @param {string} name - The file name.
+ * @returns {string | null} The MIME type, or null if the extension is not an image type's.
+ */
+const getImageTypeForFile = (name) => {
+  const extension = name.split(".").pop().toLowerCase();
+  const entry = Object.entries(IMAGE_EXTENSIONS).find(
+    ([, ext]) => ext === extension || (ext === "jpg" && extension === "jpeg"),
+  );
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Packs a session into an archive.
+ * @param {object} snapshot - The session file's state (see `createSessionSnapshot()`), with the assets it uses.
+ * @param {function(string): Promise<string | null>} fetchImage - Downloads an image given as a link, resolving with
+ *        it as a data URL, or null if it cannot be downloaded.
+ * @returns {Promise<{bytes: Uint8Array, imageCount: number, unpacked: string[]}>} The archive, the number of images
+ *          in it, and the image URLs that could not be packed (references to them are kept as they are).
+ */
+export const packSessionArchive = async (snapshot, fetchImage) => {
+  const assets = snapshot.assets || {};
+  const images = new Map(); // File name -> {type, bytes}
+  const references = new Map(); // URL in the table -> asset reference
+  const unpacked = [];
+
+  for (const url of collectImageUrls(snapshot)) {
+    const hash = getAssetHash(url);
+    let data = null;
+    if (hash) {
+      data = assets[hash] ?? null;
+    } else if (isAssetData(url)) {
+      data = url;
+    } else {
+      data = await fetchImage(url).catch(() => null);
+    }
+    if (!isAssetData(data)) {
+      unpacked.push(url);
+      continue;
+    }
+    const { type, bytes } = dataUrlToBytes(data);
+    const dataHash = hash || (await computeAssetHash(data));
+    const name = `${IMAGE_FOLDER}${dataHash}.${IMAGE_EXTENSIONS[type] || "img"}`;
+    images.set(name, { type, bytes });
+    references.set(url, toAssetUrl(dataHash));
+  }
+
+  const state = replaceImageUrls(snapshot, (url) => references.get(url) ?? url);
+  delete state.assets; // The images are files of their own
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    savedAt: snapshot.savedAt ?? new Date().toISOString(),
+    session: SESSION_FILE,
+    images: Object.fromEntries(
+      [...images].map(([name, { type }]) => [name, type]),
+    ),
+  };
+  const bytes = await createZip([
+    { name: MANIFEST_FILE, data: JSON.stringify(manifest, null, 2) },
+    { name: SESSION_FILE, data: JSON.stringify(state, null, 2) },
+    ...[...images].map(([name, image]) => ({ name, data: image.bytes })),
+  ]);
+  return { bytes, imageCount: images.size, unpacked };
+};
+
+/**
+ * Unpacks a session archive into the text of a session file and the archive's images, which the session file
+ * references as assets (`asset:<hash>`).
+ * @param {ArrayBuffer | Uint8Array} data - The archive.
+ * @returns {Promise<{text: string, images: Object<string, Blob>, imageCount: number}>} The session file's text (to
+ *          be read like any session file, see `readSessionFile()`), the images by asset hash, and their number.
+ * @throws {Error} If the file is not a session archive or is damaged.
+ */
+export const unpackSessionArchive = async (data) => {
+  const files = await readZip(data);
+  const decoder = new TextDecoder();
+  let manifest;
+  try {
+    manifest = JSON.parse(decoder.decode(files.get(MANIFEST_FILE)));
+  } catch {
+    manifest = null;
+  }
+  if (manifest?.format !== ARCHIVE_FORMAT) {
+    throw new Error("The file is not a TableTopTool session archive.");
+  }
+  if (!(manifest.version <= ARCHIVE_VERSION)) {
+    throw new Error(
+      `The archive was made in version ${manifest.version} by a newer TableTopTool; this one reads up to version ${ARCHIVE_VERSION}.`,
+    );
+  }
+  const sessionName =
+    typeof manifest.session === "string" ? manifest.session : SESSION_FILE;
+  if (!files.has(sessionName)) {
+    throw new Error(`The archive has no session file (${sessionName}).`);
+  }
+  const text = decoder.decode(files.get(sessionName));
+  let state;
+  try {
+    state = JSON.parse(text);
+  } catch {
+    return { text, images: {}, imageCount: 0 }; // Reading the session file reports the problem
+  }
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    return { text, images: {}, imageCount: 0 };
+  }
+
+  const types =
+    manifest.images && typeof manifest.images === "object"
+      ? manifest.images
+      : {};
+  const images = {};
+  const references = new Map(); // Reference in the archive -> asset reference
+  for (const [name, bytes] of files) {
+    if (!name.startsWith(IMAGE_FOLDER)) continue;
+    const type =
+      typeof types[name] === "string" ? types[name] : getImageTypeForFile(name);
+    // Hashed as a data URL, so the asset matches the same image added any other way
+    const imageData = bytesToDataUrl(bytes, type || "");
+    if (!isAssetData(imageData)) continue;
+    const hash = await computeAssetHash(imageData);
+    images[hash] = new Blob([bytes], { type });
+    const packedHash = name.slice(IMAGE_FOLDER.length).split(".")[0];
+    references.set(toAssetUrl(packedHash), toAssetUrl(hash));
+  }
+
+  const unpacked = replaceImageUrls(state, (url) => references.get(url) ?? url);
+  unpacked.assets = normalizeAssets(state.assets);
+  return {
+    text: JSON.stringify(unpacked),
+    images,
+    imageCount: Object.keys(images).length,
+  };
+};
@@ -0,0 +1,231 @@
+// src/model/shapes.js
+/**
+ * @file Pure geometry helpers for path shapes ('polygon', 'polyline', 'freehand').
+ * A path object stores its vertices in `points`, normalized to its bounding box (0..1 on each axis),
+ * so moving, resizing and rotating work through `x`, `y`, `width`, `height` and `rotation` like any other object.
+ */
+import { PATH_SHAPES } from "./VTTObject.js";
+
+/** Outline used when a path object has fewer than two points (e.g., after switching a rectangle's shape). */
+const FALLBACK_POINTS = [
+  { x: 0, y: 0 },
+  { x: 1, y: 0 },
+  { x: 1, y: 1 },
+  { x: 0, y: 1 },
+];
+
+/** Minimum width/height of a path object, so straight horizontal or vertical lines stay pickable. */
+const MIN_PATH_SIZE = 1;
+
+/**
+ * Returns true if the shape stores a point list.
+ * @param {string} shape - The object's shape.
+ * @returns {boolean}
+ */
+export const isPathShape = (shape) => PATH_SHAPES.includes(shape);
+
+/**
+ * Returns true if a path object is drawn (and picked) as a closed outline.
+ * @param {{shape: string, closed?: boolean}} obj - The object.
+ * @returns {boolean}
+ */
+export const isClosedPath = (obj) =>
+  typeof obj.closed === "boolean" ? obj.closed : obj.shape === "polygon";
+
+/**
+ * Returns a path object's vertices in its local, unrotated frame (origin at its top-left corner).
+ * @param {{points?: Array<{x: number, y: number}>, width: number, height: number}} obj - The object.
+ * @returns {Array<{x: number, y: number}>} The vertices, scaled to the object's size.
+ */
+export const getLocalPathPoints = (obj) => {
+  const points =
+    Array.isArray(obj.points) && obj.points.length >= 2
+      ? obj.points
+      : FALLBACK_POINTS;
+  return points.map((p) => ({ x: p.x * obj.width, y: p.y * obj.height }));
+};
+
+/**
+ * Returns a path object's vertices in world space, with its rotation applied.
+ * @param {{x: number, y: number, width: number, height: number, rotation?: number, points?: Array<{x: number, y: number}>}} obj - The object.
+ * @returns {Array<{x: number, y: number}>} The vertices in world space.
+ */
+export const getWorldPathPoints = (obj) => {
+  const rad = ((parseFloat(obj.rotation) || 0) * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const centerX = obj.x + obj.width / 2;
+  const centerY = obj.y + obj.height / 2;
+  return getLocalPathPoints(obj).map((p) => {
+    const localX = p.x - obj.width / 2;
+    const localY = p.y - obj.height / 2;
+    return {
+      x: centerX + localX * cos - localY * sin,
+      y: centerY + localX * sin + localY * cos,
+    };
+  });
+};
+
+/**
+ * Converts drawn world-space vertices into the position, size and normalized points of a path object.
+ * @param {Array<{x: number, y: number}>} worldPoints - The vertices, in world space.
+ * @returns {{x: number, y: number, width: number, height: number, points: Array<{x: number, y: number}>}}
+ */
+export const pathPropsFromPoints = (worldPoints) => {
+  const xs = worldPoints.map((p) => p.x);
+  const ys = worldPoints.map((p) => p.y);
+  let minX = Math.min(...xs);
+  let minY = Math.min(...ys);
+  let width = Math.max(...xs) - minX;
+  let height = Math.max(...ys) - minY;
+  // A degenerate axis (straight line) gets a minimal size centered on the line
+  if (width < MIN_PATH_SIZE) {
+    minX -= (MIN_PATH_SIZE - width) / 2;
+    width = MIN_PATH_SIZE;
+  }
+  if (height < MIN_PATH_SIZE) {
+    minY -= (MIN_PATH_SIZE - height) / 2;
+    height = MIN_PATH_SIZE;
+  }
+  const round = (value) => Math.round(value * 1e4) / 1e4;
+  return {
+    x: minX,
+    y: minY,
+    width,
+    height,
+    points: worldPoints.map((p) => ({
+      x: round((p.x - minX) / width),
+      y: round((p.y - minY) / height),
+    })),
+  };
+};
+
+/**
+ * Returns the distance from a point to a line segment.
+ * @param {{x: number, y: number}} p - The point.
+ * @param {{x: number, y: number}} a - Segment start.
+ * @param {{x: number, y: number}} b - Segment end.
+ * @returns {number}
+ */
+export const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq),
+        );
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * Tests whether a point lies inside a polygon (even-odd rule, so concave polygons work).
+ * @param {{x: number, y: number}} p - The point.
+ * @param {Array<{x: number, y: number}>} points - The polygon's vertices.
+ * @returns {boolean}
+ */
+export const isPointInPolygon = (p, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if (
+      a.y > p.y !== b.y > p.y &&
+      p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Tests whether a world point hits a path object: inside a filled closed path, or within
+ * `tolerance` of its stroke (at least half the stroke width).
+ * @param {object} obj - The path object.
+ * @param {number} worldX - The point's X in world space.
+ * @param {number} worldY - The point's Y in world space.
+ * @param {number} tolerance - Extra pick distance around the stroke, in world pixels.
+ * @returns {boolean}
+ */
+export const hitTestPath = (obj, worldX, worldY, tolerance) => {
+  const points = getWorldPathPoints(obj);
+  const closed = isClosedPath(obj);
+  const p = { x: worldX, y: worldY };
+  if (
+    closed &&
+    obj.appearance?.filled !== false &&
+    isPointInPolygon(p, points)
+  ) {
+    return true;
+  }
+  const reach = Math.max(tolerance, (obj.appearance?.borderWidth || 0) / 2);
+  const segmentCount = closed ? points.length : points.length - 1;
+  for (let i = 0; i < segmentCount; i++) {
+    if (
+      distanceToSegment(p, points[i], points[(i + 1) % points.length]) <= reach
+    ) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Reduces the number of points of a drawn stroke (Ramer-Douglas-Peucker).
+ * @param {Array<{x: number, y: number}>} points - The stroke's points.
+ * @param {number} tolerance - Maximum deviation of the simplified stroke, in the points' units.
+ * @returns {Array<{x: number, y: number}>} The simplified points (first and last are always kept).
+ */
+export const simplifyPath = (points, tolerance) => {
+  if (points.length <= 2) return points.slice();
+  const first = points[0];
+  const last = points[points.length - 1];
+  let maxDistance = -1;
+  let index = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = distanceToSegment(points[i], first, last);
+    if (distance > maxDistance) {
+      maxDistance = distance;
+      index = i;
+    }
+  }
+  if (maxDistance <= tolerance) return [first, last];
+  return [
+    ...simplifyPath(points.slice(0, index + 1), tolerance).slice(0, -1),
+    ...simplifyPath(points.slice(index), tolerance),
+  ];
+};
+
+/**
+ * Returns the convex hull of a set of points (monotone chain), in counter-clockwise order.
+ * Used as the outline of path objects in overlap tests.
+ * @param {Array<{x: number, y: number}>} points - The points.
+ * @returns {Array<{x: number, y: number}>} The hull's vertices.
+ */
+export const getConvexHull = (points) => {
+  const sorted = points
+    .slice()
+    .sort((a, b) => (a.x === b.x ? a.y - b.y : a.x - b.x));
+  if (sorted.length <= 2) return sorted;
+  const cross = (o, a, b) =>
+    (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const buildChain = (list) => {
+    const chain = [];
+    list.forEach((p) => {
+      while (
+        chain.length >= 2 &&
+        cross(chain[chain.length - 2], chain[chain.length - 1], p) <= 0
+      ) {
+        chain.pop();
+      }
+      chain.push(p);
+    });
+    chain.pop();
+    return chain;
+  };
+  return [...buildChain(sorted), ...buildChain(sorted.slice().reverse())];
+};
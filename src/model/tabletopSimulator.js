@@ -0,0 +1,318 @@
+// src/model/tabletopSimulator.js
+/**
+ * @file Reading Tabletop Simulator saves: JSON whose `ObjectStates` lists the objects on the table. Custom tokens,
+ * tiles, figurines and boards become image objects, decks and cards (with their sprite sheets) become decks and
+ * cards showing their cell of the sheet, and dice become dice that roll when clicked. Other object types (bags, 3D
+ * models, built-in pieces...) are not imported; they are counted so the user can be told.
+ * Positions are projected onto the board from above: Tabletop Simulator units are taken as inches, the table's
+ * center goes to the board's center, and X/Z become board X/Y. Objects facing the first seat (a Y rotation of 180
+ * degrees) are upright. Sizes at scale 1 are approximations of the game's.
+ * Pure helpers.
+ */
+import { MM_PER_UNIT } from "./Board.js";
+import { DECK_TYPE, CARD_TYPE, normalizeCardDefinition } from "./deck.js";
+
+/** @const {number} Board pixels (millimeters) per Tabletop Simulator unit. */
+const PX_PER_TTS_UNIT = MM_PER_UNIT.in;
+
+/** @const {Object<string, {width: number, height: number}>} Sizes at scale 1, in Tabletop Simulator units. */
+const BASE_SIZES = {
+  token: { width: 2, height: 2 },
+  tile: { width: 2, height: 2 },
+  figurine: { width: 1, height: 1 },
+  board: { width: 20, height: 20 },
+  card: { width: 2.25, height: 3.15 },
+  die: { width: 1, height: 1 },
+};
+
+/** @const {Object<string, number>} Faces of the built-in dice, by object type. */
+const DIE_FACES = {
+  Die_4: 4,
+  Die_6: 6,
+  Die_6_Rounded: 6,
+  Die_8: 8,
+  Die_10: 10,
+  Die_12: 12,
+  Die_20: 20,
+};
+
+/** @const {number[]} Faces of custom dice, by `CustomDice.Type`. */
+const CUSTOM_DIE_FACES = [4, 6, 8, 10, 12, 20];
+
+/** @const {Object<string, string>} Kind of image object, by object type. */
+const IMAGE_OBJECT_KINDS = {
+  Custom_Token: "token",
+  Custom_Tile: "tile",
+  Figurine_Custom: "figurine",
+  Custom_Board: "board",
+};
+
+/** @const {Object<string, string>} Layer of each kind of object (others go to the default layer). */
+const KIND_LAYERS = { board: "map", token: "tokens", figurine: "tokens" };
+
+/** @const {Object<string, string>} Name of objects without a nickname, by kind. */
+const DEFAULT_NAMES = {
+  token: "Token",
+  tile: "Tile",
+  figurine: "Figurine",
+  board: "Board",
+};
+
+/**
+ * @typedef {Object} TabletopSimulatorImport
+ * @property {Array<object>} objects - Properties of the objects to create (`shape` included), bottom first.
+ * @property {Array<{type: string, count: number}>} unsupported - The object types that were not imported, with how
+ *           many objects of each type the save has, most frequent first.
+ */
+
+/**
+ * Tells whether parsed JSON is a Tabletop Simulator save.
+ * @param {*} data - The parsed file.
+ * @returns {boolean}
+ */
+export const isTabletopSimulatorSave = (data) =>
+  Boolean(data) &&
+  typeof data === "object" &&
+  !Array.isArray(data) &&
+  Array.isArray(data.ObjectStates);
+
+/**
+ * Reads a number of the save.
+ * @param {*} value - The value.
+ * @param {number} fallback - The number used if the value is not one.
+ * @returns {number}
+ */
+const readNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Converts a color of the save (`{ r, g, b }`, 0 to 1) to a CSS color.
+ * @param {*} color - The color.
+ * @param {string} fallback - The color used if `color` is not one.
+ * @returns {string} The color as `#RRGGBB`.
+ */
+const readColor = (color, fallback) => {
+  const channels = ["r", "g", "b"].map((key) => Number(color?.[key]));
+  if (!channels.every(Number.isFinite)) return fallback;
+  return `#${channels
+    .map((channel) =>
+      Math.round(Math.min(1, Math.max(0, channel)) * 255)
+        .toString(16)
+        .padStart(2, "0"),
+    )
+    .join("")
+    .toUpperCase()}`;
+};
+
+/**
+ * Reads an image URL of the save. Steam Cloud links from older saves use plain HTTP, which browsers block on secure
+ * pages; they are switched to HTTPS, which Steam Cloud also serves.
+ * @param {*} url - The URL.
+ * @returns {string} The URL, or an empty string if there is none.
+ */
+const readImageUrl = (url) =>
+  typeof url === "string"
+    ? url
+        .trim()
+        .replace(/^http:\/\/([^/]*steamusercontent\.com\/)/i, "https://$1")
+    : "";
+
+/**
+ * Returns the sprite sheet cell of a card: the region of the sheet holding it.
+ * @param {number} index - The card's index in the sheet, row by row.
+ * @param {{NumWidth?: number, NumHeight?: number}} sheet - The sheet's layout (cards per row and per column).
+ * @returns {import('./deck.js').ImageRegion | null} The region, or null if the sheet holds a single card.
+ */
+const getSheetRegion = (index, sheet) => {
+  const columns = Math.max(1, Math.floor(readNumber(sheet.NumWidth, 1)));
+  const rows = Math.max(1, Math.floor(readNumber(sheet.NumHeight, 1)));
+  if (columns * rows === 1) return null;
+  const cell = Math.min(index, columns * rows - 1);
+  return {
+    x: (cell % columns) / columns,
+    y: Math.floor(cell / columns) / rows,
+    width: 1 / columns,
+    height: 1 / rows,
+  };
+};
+
+/**
+ * Builds the definition of a card from its ID: `CustomDeck` key times 100 plus its index in the sprite sheet.
+ * @param {*} cardId - The card's `CardID`.
+ * @param {*} customDecks - The `CustomDeck` entries of the card or deck.
+ * @param {*} cardState - The card's own state, if the save has it (for its nickname and description).
+ * @returns {import('./deck.js').CardDefinition}
+ */
+const readCard = (cardId, customDecks, cardState) => {
+  const id = Math.floor(readNumber(cardId, 0));
+  const sheet = customDecks?.[Math.floor(id / 100)] || {};
+  const region = getSheetRegion(id % 100, sheet);
+  return normalizeCardDefinition({
+    id: cardState?.GUID || String(id),
+    name: cardState?.Nickname || "",
+    frontImageUrl: readImageUrl(sheet.FaceURL),
+    backImageUrl: readImageUrl(sheet.BackURL),
+    frontImageRegion: region,
+    // Cards share the back image unless the sheet has a back per card
+    backImageRegion: sheet.UniqueBack ? region : null,
+    data: {
+      ttsCardId: id,
+      ...(cardState?.Description ? { description: cardState.Description } : {}),
+    },
+  });
+};
+
+/**
+ * Converts a Tabletop Simulator save into objects on the board.
+ * @param {*} data - The parsed save.
+ * @param {{widthPx: number, heightPx: number}} boardProperties - The board, whose center the table's center goes to.
+ * @returns {TabletopSimulatorImport}
+ * @throws {Error} If the file is not a Tabletop Simulator save.
+ */
+export const convertTabletopSimulatorSave = (data, boardProperties) => {
+  if (!isTabletopSimulatorSave(data)) {
+    throw new Error(
+      "The file is not a Tabletop Simulator save (it has no ObjectStates).",
+    );
+  }
+  const centerX = (boardProperties.widthPx || 0) / 2;
+  const centerY = (boardProperties.heightPx || 0) / 2;
+  const converted = [];
+  const unsupported = new Map();
+
+  data.ObjectStates.forEach((state) => {
+    if (!state || typeof state !== "object") return;
+    const type = String(state.Name || "Unknown");
+    const transform = state.Transform || {};
+    const scaleX = Math.abs(readNumber(transform.scaleX, 1)) || 1;
+    const scaleZ = Math.abs(readNumber(transform.scaleZ, 1)) || 1;
+    const place = (kind) => {
+      const width = BASE_SIZES[kind].width * scaleX * PX_PER_TTS_UNIT;
+      const height = BASE_SIZES[kind].height * scaleZ * PX_PER_TTS_UNIT;
+      return {
+        x:
+          centerX + readNumber(transform.posX, 0) * PX_PER_TTS_UNIT - width / 2,
+        y:
+          centerY -
+          readNumber(transform.posZ, 0) * PX_PER_TTS_UNIT -
+          height / 2,
+        width,
+        height,
+        rotation: ((readNumber(transform.rotY, 180) % 360) + 540) % 360,
+        ...(KIND_LAYERS[kind] ? { layer: KIND_LAYERS[kind] } : {}),
+        ...(state.Locked === true ? { isMovable: false } : {}),
+        data: {
+          ...(state.GUID ? { ttsGuid: String(state.GUID) } : {}),
+          ...(state.Description ? { description: state.Description } : {}),
+        },
+      };
+    };
+    const faceUp = Math.abs((readNumber(transform.rotZ, 0) % 360) - 180) > 90;
+    let props = null;
+
+    if (IMAGE_OBJECT_KINDS[type]) {
+      const kind = IMAGE_OBJECT_KINDS[type];
+      props = {
+        shape:
+          type === "Custom_Tile" && state.CustomImage?.CustomTile?.Type === 2
+            ? "circle"
+            : "rectangle",
+        name: state.Nickname || DEFAULT_NAMES[kind],
+        ...place(kind),
+        appearance: {
+          backgroundColor: readColor(state.ColorDiffuse, "#FFFFFF"),
+          borderWidth: 0,
+          imageUrl: readImageUrl(state.CustomImage?.ImageURL),
+        },
+      };
+    } else if (type === "Deck" || type === "DeckCustom") {
+      const contained = Array.isArray(state.ContainedObjects)
+        ? state.ContainedObjects
+        : [];
+      const cardIds = Array.isArray(state.DeckIDs)
+        ? state.DeckIDs
+        : contained.map((card) => card?.CardID);
+      props = {
+        shape: "rectangle",
+        type: DECK_TYPE,
+        name: state.Nickname || "Deck",
+        ...place("card"),
+        cards: cardIds.map((cardId, index) =>
+          readCard(
+            cardId,
+            contained[index]?.CustomDeck || state.CustomDeck,
+            contained[index],
+          ),
+        ),
+      };
+    } else if (type === "Card" || type === "CardCustom") {
+      const card = readCard(state.CardID, state.CustomDeck, state);
+      props = {
+        shape: "rectangle",
+        type: CARD_TYPE,
+        name: card.name || "Card",
+        ...place("card"),
+        faceUp,
+        cardId: card.id,
+        appearance: {
+          backgroundColor: "#FFFFFF",
+          frontImageUrl: card.frontImageUrl,
+          backImageUrl: card.backImageUrl,
+          ...(card.frontImageRegion
+            ? { frontImageRegion: card.frontImageRegion }
+            : {}),
+          ...(card.backImageRegion
+            ? { backImageRegion: card.backImageRegion }
+            : {}),
+        },
+      };
+      props.data = { ...props.data, ...card.data };
+    } else if (DIE_FACES[type] || type === "Custom_Dice") {
+      const faces =
+        DIE_FACES[type] ||
+        CUSTOM_DIE_FACES[state.CustomImage?.CustomDice?.Type] ||
+        6;
+      const name = state.Nickname || `d${faces}`;
+      props = {
+        shape: faces === 6 ? "rectangle" : "circle",
+        name,
+        ...place("die"),
+        appearance: {
+          backgroundColor: readColor(state.ColorDiffuse, "#FFFFFF"),
+          text: `d${faces}`,
+          showLabel: true,
+          imageUrl: readImageUrl(state.CustomImage?.ImageURL),
+        },
+        // Clicking the die rolls it and shows the result
+        scripts: {
+          onClick: `const result = await VTT.roll("1d${faces}", object.name);\nawait VTT.updateObject(object.id, { appearance: { text: String(result.total) } });`,
+        },
+      };
+    }
+
+    if (props) {
+      converted.push({ props, height: readNumber(transform.posY, 0) });
+    } else {
+      unsupported.set(type, (unsupported.get(type) || 0) + 1);
+    }
+  });
+
+  // Boards at the bottom, then by height above the table
+  const objects = converted
+    .map((entry, index) => ({ ...entry, index }))
+    .sort(
+      (a, b) =>
+        (b.props.layer === "map") - (a.props.layer === "map") ||
+        a.height - b.height ||
+        a.index - b.index,
+    )
+    .map(({ props }, zIndex) => ({ ...props, zIndex }));
+  return {
+    objects,
+    unsupported: [...unsupported]
+      .map(([type, count]) => ({ type, count }))
+      .sort((a, b) => b.count - a.count || a.type.localeCompare(b.type)),
+  };
+};
@@ -0,0 +1,227 @@
+// src/model/templates.js
+/**
+ * @file Object templates (blueprints): saved objects that can be created again, e.g. a goblin token with its
+ * appearance, size, data and scripts. A template holds a copy of the object it was saved from (and of the objects in
+ * it, if it is a group); creating an object from it gives the copies fresh IDs. The table's templates are stored by
+ * the Board and travel between tables as JSON template packs. The built-in templates (plain shapes and an empty
+ * card deck) are always available and are not stored.
+ * Pure helpers.
+ */
+import VTTObject from "./VTTObject.js";
+import { assignFreshIds } from "./clipboard.js";
+import { normalizeAssets } from "./assets.js";
+
+/**
+ * @typedef {Object} Template
+ * @property {string} id - Unique identifier.
+ * @property {string} name - Name shown in the template library and used by `VTT_API.createFromTemplate`.
+ * @property {object[]} objects - The saved object first, followed by the objects in it if it is a group.
+ */
+
+/** @const {string} Marks a file as a template pack. */
+export const TEMPLATE_PACK_FORMAT = "tabletoptool/template-pack";
+
+/** @const {number} Version of the template pack format. */
+export const TEMPLATE_PACK_VERSION = 1;
+
+/** @const {Template[]} Templates that are always available. */
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: "builtin-rectangle",
+    name: "Rectangle",
+    objects: [
+      {
+        shape: "rectangle",
+        width: 100,
+        height: 100,
+        appearance: { backgroundColor: "#CCCCCC" },
+      },
+    ],
+  },
+  {
+    id: "builtin-circle",
+    name: "Circle",
+    objects: [
+      {
+        shape: "circle",
+        width: 50,
+        height: 50,
+        appearance: { backgroundColor: "#CCCCCC" },
+      },
+    ],
+  },
+  {
+    id: "builtin-deck",
+    name: "Card Deck",
+    objects: [
+      {
+        shape: "rectangle",
+        type: "deck",
+        name: "Deck",
+        width: 100,
+        height: 140,
+        cards: [],
+      },
+    ],
+  },
+];
+
+/**
+ * Returns true if the template is one of the built-in templates.
+ * @param {{id: string} | null | undefined} template - The template.
+ * @returns {boolean}
+ */
+export const isBuiltInTemplate = (template) =>
+  BUILT_IN_TEMPLATES.some((builtIn) => builtIn.id === template?.id);
+
+/**
+ * Validates a template and brings it to its canonical form. Templates without an `id` get a new one.
+ * @param {*} template - The template.
+ * @returns {Template | null} A copy of the template, or null if it has no name or no saved object.
+ */
+export const normalizeTemplate = (template) => {
+  if (!template || typeof template !== "object") return null;
+  const name = String(template.name || "").trim();
+  const objects = Array.isArray(template.objects)
+    ? template.objects.filter(
+        (obj) =>
+          obj &&
+          typeof obj === "object" &&
+          !Array.isArray(obj) &&
+          typeof obj.shape === "string",
+      )
+    : [];
+  if (!name || objects.length === 0) return null;
+  const id =
+    typeof template.id === "string" && template.id
+      ? template.id
+      : VTTObject.generateUUID();
+  return { id, name, objects: structuredClone(objects) };
+};
+
+/**
+ * Normalizes a list of templates, dropping invalid templates, repeated IDs and built-in templates.
+ * @param {*} templates - The templates.
+ * @returns {Template[]}
+ */
+export const normalizeTemplates = (templates) => {
+  if (!Array.isArray(templates)) return [];
+  const seen = new Set();
+  return templates.map(normalizeTemplate).filter((template) => {
+    if (!template || seen.has(template.id) || isBuiltInTemplate(template)) {
+      return false;
+    }
+    seen.add(template.id);
+    return true;
+  });
+};
+
+/**
+ * Builds a template from copied objects (see `collectObjectsForCopy` in clipboard.js).
+ * @param {string} name - The template's name.
+ * @param {object[]} objects - The object to save first, followed by the objects in it.
+ * @returns {Template | null} The template, or null if the name is empty or there is no object.
+ */
+export const createTemplate = (name, objects) =>
+  normalizeTemplate({ id: VTTObject.generateUUID(), name, objects });
+
+/**
+ * Finds a template by ID, or else by name (ignoring case). The table's templates come before the built-in ones.
+ * @param {Template[]} templates - The table's templates.
+ * @param {string} idOrName - The template's ID or name.
+ * @returns {Template | null}
+ */
+export const findTemplate = (templates, idOrName) => {
+  const all = [...templates, ...BUILT_IN_TEMPLATES];
+  const key = String(idOrName ?? "")
+    .trim()
+    .toLowerCase();
+  return (
+    all.find((template) => template.id === idOrName) ||
+    all.find((template) => template.name.toLowerCase() === key) ||
+    null
+  );
+};
+
+/**
+ * Filters templates by a search text matched against their names and their objects' names (ignoring case).
+ * @param {Template[]} templates - The templates.
+ * @param {string} query - The search text (empty matches everything).
+ * @returns {Template[]} The matching templates, sorted by name.
+ */
+export const searchTemplates = (templates, query) => {
+  const terms = String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  return templates
+    .filter((template) => {
+      const text = [template.name, template.objects[0]?.name || ""]
+        .join(" ")
+        .toLowerCase();
+      return terms.every((term) => text.includes(term));
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Builds the objects to create from a template: copies with fresh IDs, the saved object first with `props` applied.
+ * @param {Template} template - The template.
+ * @param {Partial<VTTObject>} [props] - Properties overriding the saved object's (e.g. `x`, `y`, `name`). `id` and
+ *        `children` are ignored.
+ * @returns {object[]} Properties for `createObject`; the first is the new object.
+ */
+export const instantiateTemplate = (template, props = {}) => {
+  const overrides = Object.fromEntries(
+    Object.entries(props || {}).filter(
+      ([key]) => key !== "id" && key !== "children",
+    ),
+  );
+  const [root, ...rest] = assignFreshIds(template.objects).objects;
+  return [{ ...root, ...structuredClone(overrides) }, ...rest];
+};
+
+/**
+ * Turns templates into the text of a template pack file.
+ * @param {Template[]} templates - The templates.
+ * @param {Object<string, string>} [assets] - The image assets the templates reference (data URLs by hash), embedded
+ *        so the pack can be used on another device.
+ * @returns {string}
+ */
+export const serializeTemplatePack = (templates, assets = {}) =>
+  JSON.stringify(
+    {
+      format: TEMPLATE_PACK_FORMAT,
+      version: TEMPLATE_PACK_VERSION,
+      templates,
+      assets,
+    },
+    null,
+    2,
+  );
+
+/**
+ * Reads the templates of a template pack file.
+ * @param {string} text - The file's text.
+ * @returns {{templates: Template[], assets: Object<string, string>}} The valid templates in the pack and the image
+ *          assets embedded in it.
+ * @throws {Error} If the text is not a template pack.
+ */
+export const parseTemplatePack = (text) => {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (pack?.format !== TEMPLATE_PACK_FORMAT || !Array.isArray(pack.templates)) {
+    throw new Error("The file is not a template pack.");
+  }
+  if (!(pack.version <= TEMPLATE_PACK_VERSION)) {
+    throw new Error(`Unsupported template pack version: ${pack.version}.`);
+  }
+  return {
+    templates: normalizeTemplates(pack.templates),
+    assets: normalizeAssets(pack.assets),
+  };
+};
@@ -0,0 +1,271 @@
+// src/model/universalVtt.js
+/**
+ * @file Reading Universal VTT maps (`.dd2vtt`, `.uvtt`, `.df2vtt`), as exported by Dungeondraft, DungeonFog and
+ * similar map makers: JSON with the map image (base64), its size in grid cells, and walls, doors ("portals") and
+ * lights in grid coordinates. The map is converted for the current board: one grid cell of the file becomes one
+ * cell of the board's grid, in the board's units. The board covers the map image: its size in cells is the image's
+ * size in pixels divided by `pixels_per_grid` (usually the same as `map_size`).
+ * Pure helpers.
+ */
+import { MM_PER_UNIT } from "./Board.js";
+import { normalizeWall } from "./lighting.js";
+
+/** @const {string[]} File extensions of Universal VTT maps. */
+export const UNIVERSAL_VTT_EXTENSIONS = [".dd2vtt", ".uvtt", ".df2vtt"];
+
+/** @const {string} Layer of the objects that carry the map's lights (only the GM sees them). */
+const LIGHT_LAYER = "gm";
+
+/** @const {string} Color of light objects whose light has no valid color. */
+const DEFAULT_LIGHT_COLOR = "#FFE8A0";
+
+/** @const {Array<[string, string]>} Start of base64 image data, by image type. */
+const BASE64_SIGNATURES = [
+  ["iVBORw0KGgo", "image/png"],
+  ["/9j/", "image/jpeg"],
+  ["UklGR", "image/webp"],
+  ["R0lGOD", "image/gif"],
+];
+
+/** @const {number} Characters of base64 image data read to find the image's size (JPEG headers can be long). */
+const IMAGE_HEADER_LENGTH = 65536;
+
+/**
+ * @typedef {Object} UniversalVttMap
+ * @property {string | null} image - The map image as a data URL, or null if the file has none.
+ * @property {number} columns - Width of the map image in grid cells.
+ * @property {number} rows - Height of the map image in grid cells.
+ * @property {{widthUser: number, heightUser: number}} boardProperties - The board size that fits the map.
+ * @property {{type: 'square', cellSize: number, offsetX: number, offsetY: number}} grid - The grid matching the map.
+ * @property {import('./lighting.js').Wall[]} walls - The walls, doors included, in board coordinates.
+ * @property {Array<object>} lights - Properties of one object per light (small circles on the GM layer).
+ */
+
+/**
+ * Tells whether a file name has a Universal VTT extension.
+ * @param {string} name - The file name.
+ * @returns {boolean}
+ */
+export const isUniversalVttFilename = (name) =>
+  UNIVERSAL_VTT_EXTENSIONS.some((extension) =>
+    String(name).toLowerCase().endsWith(extension),
+  );
+
+/**
+ * Reads a point of the file.
+ * @param {*} point - The point, `{ x, y }` in grid cells.
+ * @returns {{x: number, y: number} | null} The point, or null if a coordinate is not a number.
+ */
+const readPoint = (point) => {
+  const x = Number(point?.x);
+  const y = Number(point?.y);
+  return Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+};
+
+/**
+ * Converts a color of the file (hex, `AARRGGBB` or `RRGGBB`) to a CSS color.
+ * @param {*} color - The color.
+ * @returns {string | null} The color as `#RRGGBB`, or null if it is not a hex color.
+ */
+const readColor = (color) => {
+  const hex = String(color ?? "").replace(/^#/, "");
+  if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null;
+  return `#${hex.slice(-6).toUpperCase()}`;
+};
+
+/**
+ * Turns the file's image into a data URL.
+ * @param {*} image - The image: base64 data (or already a data URL).
+ * @returns {string | null}
+ */
+const readImage = (image) => {
+  if (typeof image !== "string" || image.length === 0) return null;
+  if (image.startsWith("data:")) return image;
+  const base64 = image.replace(/\s/g, "");
+  const signature = BASE64_SIGNATURES.find(([start]) =>
+    base64.startsWith(start),
+  );
+  return `data:${signature ? signature[1] : "image/png"};base64,${base64}`;
+};
+
+/**
+ * Reads the size of an image from the start of its data (PNG, GIF, WebP or JPEG), without decoding it.
+ * @param {string | null} dataUrl - The image as a base64 data URL.
+ * @returns {{width: number, height: number} | null} The size in pixels, or null if it cannot be read.
+ */
+export const readImageSize = (dataUrl) => {
+  const base64 = typeof dataUrl === "string" ? dataUrl.split(",")[1] : null;
+  if (!base64) return null;
+  let bytes;
+  try {
+    const header = atob(
+      base64.slice(0, IMAGE_HEADER_LENGTH - (IMAGE_HEADER_LENGTH % 4)),
+    );
+    bytes = Uint8Array.from(header, (char) => char.charCodeAt(0));
+  } catch {
+    return null;
+  }
+  const u16be = (i) => (bytes[i] << 8) | bytes[i + 1];
+  const u16le = (i) => bytes[i] | (bytes[i + 1] << 8);
+  const u24le = (i) => u16le(i) | (bytes[i + 2] << 16);
+  const u32be = (i) =>
+    ((bytes[i] << 24) >>> 0) + (bytes[i + 1] << 16) + u16be(i + 2);
+  const ascii = (i, length) =>
+    String.fromCharCode(...bytes.subarray(i, i + length));
+  let size = null;
+  if (bytes.length >= 24 && ascii(1, 3) === "PNG") {
+    size = { width: u32be(16), height: u32be(20) };
+  } else if (bytes.length >= 10 && ascii(0, 3) === "GIF") {
+    size = { width: u16le(6), height: u16le(8) };
+  } else if (
+    bytes.length >= 30 &&
+    ascii(0, 4) === "RIFF" &&
+    ascii(8, 4) === "WEBP"
+  ) {
+    const chunk = ascii(12, 4);
+    if (chunk === "VP8X") {
+      size = { width: u24le(24) + 1, height: u24le(27) + 1 };
+    } else if (chunk === "VP8L") {
+      const bits =
+        bytes[21] | (bytes[22] << 8) | (bytes[23] << 16) | (bytes[24] << 24);
+      size = {
+        width: (bits & 0x3fff) + 1,
+        height: ((bits >> 14) & 0x3fff) + 1,
+      };
+    } else if (chunk === "VP8 ") {
+      size = { width: u16le(26) & 0x3fff, height: u16le(28) & 0x3fff };
+    }
+  } else if (bytes.length >= 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+    // Walk the JPEG segments up to a start-of-frame marker, which holds the size
+    let i = 2;
+    while (i + 9 < bytes.length && bytes[i] === 0xff) {
+      const marker = bytes[i + 1];
+      if (
+        marker >= 0xc0 &&
+        marker <= 0xcf &&
+        ![0xc4, 0xc8, 0xcc].includes(marker)
+      ) {
+        size = { width: u16be(i + 7), height: u16be(i + 5) };
+        break;
+      }
+      i += 2 + u16be(i + 2);
+    }
+  }
+  return size && size.width > 0 && size.height > 0 ? size : null;
+};
+
+/**
+ * Converts a Universal VTT map for the current board.
+ * The board is sized to the map image: its size in pixels (read from the image data) divided by `pixels_per_grid`,
+ * in cells. `map_size` is used if the image's size cannot be read; the two agree for maps exported as a whole.
+ * Walls come from `line_of_sight` and `objects_line_of_sight` (polylines), doors from `portals` (their `bounds`,
+ * open only if `closed` is false), and lights from `lights`: their `range` (in cells) becomes the dim radius, half
+ * of it the bright radius.
+ * @param {*} data - The parsed file.
+ * @param {{cellSize: number, unitForDimensions: string, scaleRatio: number}} board - The board's grid cell size (in
+ *        board units), unit for dimensions and map scale.
+ * @returns {UniversalVttMap}
+ * @throws {Error} If the file is not a Universal VTT map.
+ */
+export const convertUniversalVtt = (data, board) => {
+  const resolution = data?.resolution;
+  const mapColumns = Number(resolution?.map_size?.x);
+  const mapRows = Number(resolution?.map_size?.y);
+  const pixelsPerGrid = Number(resolution?.pixels_per_grid);
+  if (!(mapColumns > 0) || !(mapRows > 0) || !(pixelsPerGrid > 0)) {
+    throw new Error(
+      "The file is not a Universal VTT map (it has no map size or grid size).",
+    );
+  }
+  const image = readImage(data.image);
+  // The image is stretched over the board, so the board covers as many cells as the image holds
+  const imageSize = readImageSize(image);
+  const columns = imageSize ? imageSize.width / pixelsPerGrid : mapColumns;
+  const rows = imageSize ? imageSize.height / pixelsPerGrid : mapRows;
+  const cellSize = board.cellSize > 0 ? board.cellSize : 1;
+  const cellPx =
+    cellSize * (MM_PER_UNIT[board.unitForDimensions] || MM_PER_UNIT.in);
+  const mapUnitsPerCell =
+    cellSize * (board.scaleRatio > 0 ? board.scaleRatio : 1);
+  const origin = readPoint(resolution.map_origin) || { x: 0, y: 0 };
+  const toBoard = (point) => ({
+    x: (point.x - origin.x) * cellPx,
+    y: (point.y - origin.y) * cellPx,
+  });
+
+  const walls = [];
+  [data.line_of_sight, data.objects_line_of_sight].forEach((polylines) => {
+    (Array.isArray(polylines) ? polylines : []).forEach((polyline) => {
+      const points = (Array.isArray(polyline) ? polyline : []).map(readPoint);
+      for (let i = 1; i < points.length; i++) {
+        if (!points[i - 1] || !points[i]) continue;
+        const start = toBoard(points[i - 1]);
+        const end = toBoard(points[i]);
+        const wall = normalizeWall({
+          x1: start.x,
+          y1: start.y,
+          x2: end.x,
+          y2: end.y,
+        });
+        if (wall) walls.push(wall);
+      }
+    });
+  });
+  (Array.isArray(data.portals) ? data.portals : []).forEach((portal) => {
+    const [start, end] = (Array.isArray(portal?.bounds) ? portal.bounds : [])
+      .slice(0, 2)
+      .map(readPoint);
+    if (!start || !end) return;
+    const from = toBoard(start);
+    const to = toBoard(end);
+    const door = normalizeWall({
+      x1: from.x,
+      y1: from.y,
+      x2: to.x,
+      y2: to.y,
+      door: true,
+      open: portal.closed === false,
+    });
+    if (door) walls.push(door);
+  });
+
+  const lightSize = cellPx / 2;
+  const lights = [];
+  (Array.isArray(data.lights) ? data.lights : []).forEach((light) => {
+    const position = readPoint(light?.position);
+    const range = Number(light?.range);
+    if (!position || !(range > 0)) return;
+    const center = toBoard(position);
+    lights.push({
+      shape: "circle",
+      name: `Light ${lights.length + 1}`,
+      x: center.x - lightSize / 2,
+      y: center.y - lightSize / 2,
+      width: lightSize,
+      height: lightSize,
+      layer: LIGHT_LAYER,
+      appearance: {
+        backgroundColor: readColor(light.color) || DEFAULT_LIGHT_COLOR,
+        borderColor: "#333333",
+        borderWidth: 1,
+      },
+      light: {
+        bright: (range * mapUnitsPerCell) / 2,
+        dim: range * mapUnitsPerCell,
+      },
+    });
+  });
+
+  return {
+    image,
+    columns,
+    rows,
+    boardProperties: {
+      widthUser: columns * cellSize,
+      heightUser: rows * cellSize,
+    },
+    grid: { type: "square", cellSize, offsetX: 0, offsetY: 0 },
+    walls,
+    lights,
+  };
+};
@@ -0,0 +1,273 @@
+// src/model/zip.js
+/**
+ * @file Reading and writing zip archives, enough for the app's own files (see sessionArchive.js) and archives made by
+ * common zip tools: entries stored or compressed with deflate, UTF-8 names, no encryption, no Zip64 (so archives up
+ * to 4 GB). Compression uses the browser's `CompressionStream`; where it is missing, entries are stored.
+ * Pure helpers.
+ */
+
+/** @const {number} Signature of a local file header. */
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+/** @const {number} Signature of a central directory header. */
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+/** @const {number} Signature of the end of central directory record. */
+const END_SIGNATURE = 0x06054b50;
+/** @const {number} Compression method: stored. */
+const METHOD_STORED = 0;
+/** @const {number} Compression method: deflate. */
+const METHOD_DEFLATE = 8;
+/** @const {number} General purpose flag: the entry's name is UTF-8. */
+const FLAG_UTF8 = 0x0800;
+/** @const {number} General purpose flag: the entry is encrypted. */
+const FLAG_ENCRYPTED = 0x0001;
+/** @const {number} Version needed to extract the entries written (2.0: deflate and folders). */
+const ZIP_VERSION = 20;
+
+/** @type {Uint32Array | null} CRC-32 lookup table, built on first use. */
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum zip archives store for each entry.
+ * @param {Uint8Array} bytes - The entry's content.
+ * @returns {number} The checksum, as an unsigned 32-bit number.
+ */
+export const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Passes bytes through a compression or decompression stream.
+ * @param {Uint8Array} bytes - The input.
+ * @param {TransformStream} stream - E.g. `new CompressionStream("deflate-raw")`.
+ * @returns {Promise<Uint8Array>} The output.
+ */
+const transform = async (bytes, stream) =>
+  new Uint8Array(
+    await new Response(
+      new Blob([bytes]).stream().pipeThrough(stream),
+    ).arrayBuffer(),
+  );
+
+/**
+ * Converts a date to the MS-DOS time and date zip headers store (local time, two-second precision, from 1980).
+ * @param {Date} date - The date.
+ * @returns {{time: number, date: number}}
+ */
+const toDosDateTime = (date) => {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+};
+
+/**
+ * Returns true if the bytes start like a zip archive (with a local file header).
+ * @param {ArrayBuffer | Uint8Array} data - The bytes.
+ * @returns {boolean}
+ */
+export const isZipArchive = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  return (
+    bytes.length >= 4 &&
+    new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) ===
+      LOCAL_HEADER_SIGNATURE
+  );
+};
+
+/**
+ * Builds a zip archive. Entries are compressed with deflate where that makes them smaller (images usually are
+ * compressed already and stay stored).
+ * @param {Array<{name: string, data: Uint8Array | string}>} files - The entries, in order. Names use `/` between
+ *        folders; strings are written as UTF-8.
+ * @param {Date} [modified] - The modification time written for every entry.
+ * @returns {Promise<Uint8Array>} The archive.
+ */
+export const createZip = async (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const canCompress = typeof CompressionStream === "function";
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data =
+      typeof file.data === "string" ? encoder.encode(file.data) : file.data;
+    let method = METHOD_STORED;
+    let stored = data;
+    if (canCompress && data.length > 0) {
+      const deflated = await transform(
+        data,
+        new CompressionStream("deflate-raw"),
+      );
+      if (deflated.length < data.length) {
+        method = METHOD_DEFLATE;
+        stored = deflated;
+      }
+    }
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, stored);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + stored.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0),
+  );
+  let position = 0;
+  parts.forEach((part) => {
+    archive.set(part, position);
+    position += part.length;
+  });
+  return archive;
+};
+
+/**
+ * Finds the end of central directory record, which sits at the end of the archive before an optional comment.
+ * @param {DataView} view - The archive.
+ * @returns {number} The record's offset.
+ * @throws {Error} If there is no record.
+ */
+const findEndRecord = (view) => {
+  const last = view.byteLength - 22;
+  const first = Math.max(0, last - 0xffff);
+  for (let position = last; position >= first; position--) {
+    if (view.getUint32(position, true) === END_SIGNATURE) return position;
+  }
+  throw new Error("The file is not a zip archive.");
+};
+
+/**
+ * Reads the entries of a zip archive. Folders are skipped.
+ * @param {ArrayBuffer | Uint8Array} data - The archive.
+ * @returns {Promise<Map<string, Uint8Array>>} The entries' contents by name.
+ * @throws {Error} If the archive is damaged or uses features that are not supported (encryption, Zip64, compression
+ *         methods other than deflate).
+ */
+export const readZip = async (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 22) throw new Error("The file is not a zip archive.");
+  const end = findEndRecord(view);
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  if (count === 0xffff || position === 0xffffffff) {
+    throw new Error("Zip64 archives are not supported.");
+  }
+  const decoder = new TextDecoder();
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (
+      position + 46 > bytes.length ||
+      view.getUint32(position, true) !== CENTRAL_HEADER_SIGNATURE
+    ) {
+      throw new Error("The zip archive is damaged.");
+    }
+    const flags = view.getUint16(position + 8, true);
+    const method = view.getUint16(position + 10, true);
+    const crc = view.getUint32(position + 16, true);
+    const storedSize = view.getUint32(position + 20, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(
+      bytes.subarray(position + 46, position + 46 + nameLength),
+    );
+    position += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith("/")) continue;
+
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`${name} is encrypted, which is not supported.`);
+    }
+    if (
+      localOffset + 30 > bytes.length ||
+      view.getUint32(localOffset, true) !== LOCAL_HEADER_SIGNATURE
+    ) {
+      throw new Error("The zip archive is damaged.");
+    }
+    const start =
+      localOffset +
+      30 +
+      view.getUint16(localOffset + 26, true) +
+      view.getUint16(localOffset + 28, true);
+    if (start + storedSize > bytes.length) {
+      throw new Error("The zip archive is damaged.");
+    }
+    const stored = bytes.subarray(start, start + storedSize);
+    let content;
+    if (method === METHOD_STORED) {
+      content = stored.slice();
+    } else if (method === METHOD_DEFLATE) {
+      if (typeof DecompressionStream !== "function") {
+        throw new Error("This browser cannot read compressed zip archives.");
+      }
+      content = await transform(stored, new DecompressionStream("deflate-raw"));
+    } else {
+      throw new Error(
+        `${name} uses compression method ${method}, which is not supported.`,
+      );
+    }
+    if (content.length !== size || crc32(content) !== crc) {
+      throw new Error(`${name} is damaged (checksum mismatch).`);
+    }
+    files.set(name, content);
+  }
+  return files;
+};
@@ -0,0 +1,228 @@
+// src/scripting/scriptRunner.js
+/**
+ * @file Runs object scripts in a sandboxed Web Worker (see scriptWorker.js).
+ * Each invocation gets a fresh worker and a time budget; a script that exceeds it (e.g., `while (true) {}`)
+ * is terminated. API calls made by the script arrive as messages and are executed here against VTT_API,
+ * limited to ALLOWED_API_METHODS. Errors are reported to the message area.
+ */
+import log from "loglevel";
+import debug from "debug";
+
+const dScript = debug("app:scripting");
+dScript("scriptRunner.js module loaded");
+
+/** @const {number} Default time budget of a script invocation, including time spent waiting on API calls. */
+export const SCRIPT_TIME_BUDGET_MS = 1000;
+
+/** VTT_API methods a script may call through the worker. Sent to the worker, which builds the `VTT` proxy from it. */
+const ALLOWED_API_METHODS = [
+  "updateObjectState",
+  "updateObject",
+  "createObject",
+  "deleteObject",
+  "setTableBackground",
+  "setSelection",
+  "showMessage",
+  "log",
+  "createDeck",
+  "shuffleDeck",
+  "drawCard",
+  "returnCardToDeck",
+  "flipCard",
+  "groupObjects",
+  "ungroupObject",
+  "duplicateObjects",
+  "createFromTemplate",
+  "roll",
+];
+
+/** Methods that take the calling object as a trailing context argument. */
+const CONTEXT_API_METHODS = ["updateObjectState", "log"];
+
+/**
+ * @typedef {Object} ScriptResult
+ * @property {boolean} ok - True if the script finished without error.
+ * @property {{name: string, message: string, line: number | null, column: number | null}} [error] - The error, if any.
+ */
+
+/**
+ * Lists the objects a script may read: those the current user can see.
+ * @param {object} vttApi - The VTT_API instance.
+ * @returns {Array<object>} Copies of the objects.
+ */
+const getVisibleObjects = (vttApi) =>
+  vttApi.getAllObjects().filter((obj) => vttApi.canSeeObject(obj.id));
+
+/**
+ * Captures the table state the script can read synchronously.
+ * @param {object} vttApi - The VTT_API instance.
+ * @returns {{objects: Array<object>, board: object}}
+ */
+const createSnapshot = (vttApi) => ({
+  objects: getVisibleObjects(vttApi),
+  board: {
+    background: vttApi.getTableBackground(),
+    boardProperties: vttApi.getBoardProperties(),
+    grid: vttApi.getGrid(),
+    selectedObjectIds: vttApi.getSelectedObjectIds(),
+  },
+});
+
+/**
+ * Formats a script error for the message area.
+ * @param {string} scriptName - The script's name (e.g., 'onClick').
+ * @param {object} object - The object the script belongs to.
+ * @param {{name: string, message: string, line: number | null}} error - The error.
+ * @returns {string} The message.
+ */
+const formatScriptError = (scriptName, object, error) => {
+  const location = error.line ? ` (line ${error.line})` : "";
+  return `Script Error in ${scriptName} for object ${object.name || object.id}${location}: ${error.name}: ${error.message}`;
+};
+
+/**
+ * Runs one of an object's scripts in a sandboxed worker.
+ * Scripts receive `VTT` (reads from a snapshot, writes return promises), `object` (a copy of the owner) and `event`.
+ * @param {object} options - Invocation options.
+ * @param {string} options.scriptName - The script to run (a key of `object.scripts`, e.g. 'onClick').
+ * @param {object} options.object - A copy of the object that owns the script.
+ * @param {object} [options.event] - Details of the triggering event, passed to the script as `event`.
+ * @param {object} options.vttApi - The VTT_API instance used to execute the script's calls.
+ * @param {number} [options.timeBudgetMs=SCRIPT_TIME_BUDGET_MS] - Time after which the script is terminated.
+ * @returns {Promise<ScriptResult>} Resolves when the script has finished, failed or been terminated. Never rejects.
+ */
+export const runObjectScript = ({
+  scriptName,
+  object,
+  event = {},
+  vttApi,
+  timeBudgetMs = SCRIPT_TIME_BUDGET_MS,
+}) =>
+  new Promise((resolve) => {
+    const source = object?.scripts?.[scriptName];
+    if (!source) {
+      resolve({ ok: true });
+      return;
+    }
+    dScript("Running %s for object %s", scriptName, object.id);
+
+    let worker;
+    try {
+      // A classic worker: scripts do not get a module worker's module loading.
+      worker = new Worker(new URL("./scriptWorker.js", import.meta.url));
+    } catch (error) {
+      log.error("[scriptRunner.js] Could not start script worker:", error);
+      vttApi.showMessage(
+        "Scripts cannot run: Web Workers unavailable.",
+        "error",
+      );
+      resolve({
+        ok: false,
+        error: { name: error.name, message: error.message, line: null },
+      });
+      return;
+    }
+
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      if (!result.ok) {
+        log.error(
+          `[scriptRunner.js] ${scriptName} failed for ${object.id}:`,
+          result.error,
+        );
+        vttApi.showMessage(
+          formatScriptError(scriptName, object, result.error),
+          "error",
+        );
+      }
+      dScript("%s for object %s finished: %o", scriptName, object.id, result);
+      resolve(result);
+    };
+
+    const timer = setTimeout(() => {
+      finish({
+        ok: false,
+        error: {
+          name: "TimeoutError",
+          message: `Script exceeded its ${timeBudgetMs} ms time budget and was stopped.`,
+          line: null,
+          column: null,
+        },
+      });
+    }, timeBudgetMs);
+
+    /**
+     * Executes an API call forwarded by the worker and sends back the result with a refreshed object list.
+     * @param {{callId: number, method: string, args: Array<any>}} call - The forwarded call.
+     */
+    const handleCall = ({ callId, method, args }) => {
+      const reply = { type: "callResult", callId };
+      if (!ALLOWED_API_METHODS.includes(method)) {
+        reply.error = {
+          name: "TypeError",
+          message: `VTT.${method} is not available to scripts.`,
+        };
+        worker.postMessage(reply);
+        return;
+      }
+      dScript("Script call: %s(%o)", method, args);
+      try {
+        const callArgs = CONTEXT_API_METHODS.includes(method)
+          ? [...args, object]
+          : args;
+        reply.result = vttApi[method](...callArgs);
+        reply.objects = getVisibleObjects(vttApi);
+      } catch (error) {
+        reply.error = { name: error.name, message: error.message };
+      }
+      try {
+        worker.postMessage(reply);
+      } catch (error) {
+        // The result could not be cloned (e.g., it contains a function); report the call as failed.
+        worker.postMessage({
+          type: "callResult",
+          callId,
+          error: { name: error.name, message: error.message },
+        });
+      }
+    };
+
+    worker.onmessage = (e) => {
+      const message = e.data || {};
+      if (settled) return;
+      if (message.type === "call") {
+        handleCall(message);
+      } else if (message.type === "done") {
+        finish({ ok: true });
+      } else if (message.type === "error") {
+        finish({ ok: false, error: message.error });
+      }
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      finish({
+        ok: false,
+        error: {
+          name: "Error",
+          message: e.message || "Script worker failed.",
+          line: null,
+          column: null,
+        },
+      });
+    };
+
+    worker.postMessage({
+      type: "run",
+      source,
+      object,
+      event,
+      snapshot: createSnapshot(vttApi),
+      methods: ALLOWED_API_METHODS,
+    });
+  });
+
+dScript("scriptRunner.js setup complete.");
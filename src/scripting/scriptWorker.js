@@ -0,0 +1,201 @@
+// src/scripting/scriptWorker.js
+/**
+ * @file Web Worker that runs a single object script, isolated from the page.
+ * The script gets a `VTT` proxy whose read methods answer from a snapshot of the table taken when the
+ * script started, and whose write methods are forwarded to the main thread as messages (they return promises).
+ * The worker is a classic worker with no DOM access; the globals in `BLOCKED_GLOBALS` (network, storage and
+ * nested workers) are removed before the script runs.
+ * A new worker is created for each invocation and terminated afterwards (see scriptRunner.js).
+ *
+ * Protocol (main -> worker):
+ * - `{type: 'run', source, object, event, snapshot, methods}` starts the script; `methods` lists the API methods
+ *   forwarded to the main thread (ALLOWED_API_METHODS in scriptRunner.js).
+ * - `{type: 'callResult', callId, result, error, objects}` answers a forwarded API call.
+ *
+ * Protocol (worker -> main):
+ * - `{type: 'call', callId, method, args}` forwards an API call.
+ * - `{type: 'done'}` when the script (including any awaited promise) has finished.
+ * - `{type: 'error', error: {name, message, line, column}}` when it threw or rejected.
+ */
+
+/** Globals that would let a script reach the network or persistent storage, directly or from a nested worker. */
+const BLOCKED_GLOBALS = [
+  "fetch",
+  "XMLHttpRequest",
+  "WebSocket",
+  "EventSource",
+  "importScripts",
+  "indexedDB",
+  "caches",
+  "BroadcastChannel",
+  "WebTransport",
+  "Worker",
+  "SharedWorker",
+];
+
+/** Number of lines the Function constructor adds before the script body in stack traces. */
+const FUNCTION_HEADER_LINES = 2;
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+const post = self.postMessage.bind(self);
+
+/** @type {Map<string, object>} Snapshot of all objects, keyed by ID. Refreshed after each write. */
+let objects = new Map();
+/** @type {{background: object, boardProperties: object, grid: object, selectedObjectIds: Array<string>}} */
+let board = {};
+let nextCallId = 1;
+/** @type {Map<number, {resolve: function, reject: function}>} Forwarded calls awaiting an answer. */
+const pendingCalls = new Map();
+
+/**
+ * Returns a structured-clone copy so scripts cannot mutate the snapshot.
+ * @param {any} value - The value to copy.
+ * @returns {any} The copy.
+ */
+const copy = (value) =>
+  value === undefined ? undefined : structuredClone(value);
+
+/**
+ * Forwards an API call to the main thread.
+ * @param {string} method - Name of the VTT_API method.
+ * @param {Array<any>} args - Its arguments (must be structured-cloneable).
+ * @returns {Promise<any>} Resolves with the method's return value.
+ */
+const forward = (method, args) =>
+  new Promise((resolve, reject) => {
+    const callId = nextCallId++;
+    pendingCalls.set(callId, { resolve, reject });
+    post({ type: "call", callId, method, args });
+  });
+
+/**
+ * Builds the `VTT` object handed to the script.
+ * @param {string[]} methods - The API methods forwarded to the main thread.
+ * @returns {object} The API proxy.
+ */
+const createApiProxy = (methods) => {
+  const api = {
+    getObject: (objectId) => copy(objects.get(objectId)),
+    getAllObjects: () => copy(Array.from(objects.values())),
+    getTableBackground: () => copy(board.background),
+    getBoardProperties: () => copy(board.boardProperties),
+    getGrid: () => copy(board.grid),
+    getSelectedObjectIds: () => copy(board.selectedObjectIds || []),
+    peekDeck: (deckId, count = 1) => {
+      const deck = objects.get(deckId);
+      return Array.isArray(deck?.cards)
+        ? copy(deck.cards.slice(0, Math.max(0, count)))
+        : null;
+    },
+  };
+  methods.forEach((method) => {
+    api[method] = (...args) => forward(method, args);
+  });
+  return Object.freeze(api);
+};
+
+/**
+ * Extracts the script-relative line and column of an error from its stack, where the engine provides them.
+ * @param {Error} error - The error.
+ * @returns {{line: number | null, column: number | null}}
+ */
+const getErrorLocation = (error) => {
+  const match = /<anonymous>:(\d+):(\d+)/.exec(error?.stack || "");
+  if (!match) return { line: null, column: null };
+  const line = Number(match[1]) - FUNCTION_HEADER_LINES;
+  return line > 0
+    ? { line, column: Number(match[2]) }
+    : { line: null, column: null };
+};
+
+/**
+ * Converts anything thrown by a script into a plain, cloneable error description.
+ * @param {any} error - The thrown value.
+ * @returns {{name: string, message: string, line: number | null, column: number | null}}
+ */
+const serializeError = (error) => ({
+  name: error?.name || "Error",
+  message: error?.message || String(error),
+  ...getErrorLocation(error),
+});
+
+/**
+ * Removes the blocked globals from the worker's global scope.
+ * @returns {string[]} The blocked globals that are still reachable (none, unless the engine refused to remove one).
+ */
+const lockDownGlobals = () => {
+  BLOCKED_GLOBALS.forEach((name) => {
+    try {
+      Object.defineProperty(self, name, {
+        value: undefined,
+        writable: false,
+        configurable: false,
+      });
+    } catch {
+      // Some globals are not configurable in every engine; they are reported below.
+    }
+  });
+  return BLOCKED_GLOBALS.filter((name) => self[name] !== undefined);
+};
+
+/**
+ * Compiles and runs the script, then reports the outcome.
+ * @param {{source: string, object: object, event: object, snapshot: object, methods: string[]}} message - The 'run'
+ *        message.
+ */
+const runScript = async ({ source, object, event, snapshot, methods }) => {
+  objects = new Map(snapshot.objects.map((obj) => [obj.id, obj]));
+  board = snapshot.board || {};
+  const reachable = lockDownGlobals();
+  if (reachable.length > 0) {
+    // Never run a script that could still reach the network or storage
+    post({
+      type: "error",
+      error: {
+        name: "SecurityError",
+        message: `Scripts cannot run safely in this browser (${reachable.join(", ")} could not be removed).`,
+        line: null,
+        column: null,
+      },
+    });
+    return;
+  }
+  try {
+    const script = new AsyncFunction("VTT", "object", "event", source);
+    await script(createApiProxy(methods), copy(object), copy(event));
+    // Let forwarded calls the script did not await settle before reporting completion.
+    while (pendingCalls.size > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    post({ type: "done" });
+  } catch (error) {
+    post({ type: "error", error: serializeError(error) });
+  }
+};
+
+// A forwarded call the script did not await can still fail; report it like a thrown error.
+self.addEventListener("unhandledrejection", (e) => {
+  e.preventDefault();
+  post({ type: "error", error: serializeError(e.reason) });
+});
+
+self.onmessage = (e) => {
+  const message = e.data || {};
+  if (message.type === "run") {
+    runScript(message);
+  } else if (message.type === "callResult") {
+    const pending = pendingCalls.get(message.callId);
+    if (!pending) return;
+    pendingCalls.delete(message.callId);
+    if (Array.isArray(message.objects)) {
+      objects = new Map(message.objects.map((obj) => [obj.id, obj]));
+    }
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.name = message.error.name;
+      pending.reject(error);
+    } else {
+      pending.resolve(message.result);
+    }
+  }
+};
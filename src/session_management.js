@@ -2,6 +2,22 @@
 import log from "loglevel";
 import debug from "debug";
 import { VTT_API } from "./api.js";
+import { normalizeGroupHierarchy } from "./model/group.js";
+import { collectAssetHashes } from "./model/assets.js";
+import { loadAssets, addAssetBlobs } from "./storage/assetStore.js";
+import { convertUniversalVtt } from "./model/universalVtt.js";
+import { convertTabletopSimulatorSave } from "./model/tabletopSimulator.js";
+import {
+  packSessionArchive,
+  unpackSessionArchive,
+  ARCHIVE_EXTENSION,
+} from "./model/sessionArchive.js";
+import {
+  SESSION_FILE_FORMAT,
+  SESSION_FORMAT_VERSION,
+  APP_VERSION,
+  readSessionFile,
+} from "./model/saveFormat.js";
 
 const dSession = debug("app:session");
 dSession("session_management.js module loaded");
@@ -23,14 +39,24 @@ let inMemoryStates = [];
 /** @const {number} Maximum number of states to keep in memory. */
 const MAX_IN_MEMORY_STATES = 5;
 
+/** @const {number} Most problems listed when a file cannot be loaded. */
+const MAX_LISTED_LOAD_ERRORS = 5;
+
 // --- Helper Functions ---
 /**
  * Triggers a file download in the browser.
  * @param {string} filename - The desired name for the downloaded file.
- * @param {string} data - The string content to be downloaded (e.g., JSON string).
+ * @param {string | Uint8Array} data - The content to be downloaded (e.g., JSON string).
+ * @param {string} [type] - The content's MIME type.
+ * @param {string} [message] - The message shown once the download has started.
  */
-const triggerDownload = (filename, data) => {
-  const blob = new Blob([data], { type: "application/json" });
+export const triggerDownload = (
+  filename,
+  data,
+  type = "application/json",
+  message = "Table state saved!",
+) => {
+  const blob = new Blob([data], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -45,120 +71,448 @@ const triggerDownload = (filename, data) => {
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
   dSession("Download triggered and resources cleaned up for: %s", filename);
-  VTT_API.showMessage("Table state saved!", "success");
+  VTT_API.showMessage(message, "success");
+};
+
+// --- Table State ---
+/**
+ * Captures the current table state (objects, background, view, board properties, grid, fog of war, walls, lighting,
+ * layers, object templates, dice generator and roll log).
+ * This is the common shape written to files, memory states and autosave snapshots. Image assets are only referenced
+ * (they are kept in IndexedDB); session files embed them (see `createSessionSnapshot`).
+ * @returns {{objects: Array<object>, background: object, viewState: object, boardProperties: object, grid: object, fog: object, walls: Array<object>, lighting: object, layers: Array<object>, templates: Array<object>, dice: object}}
+ */
+export const getTableState = () => ({
+  objects: VTT_API.getAllObjects(),
+  background: VTT_API.getTableBackground(),
+  viewState: VTT_API.getPanZoomState(),
+  boardProperties: VTT_API.getBoardProperties(),
+  grid: VTT_API.getGrid(),
+  fog: VTT_API.getFog(),
+  walls: VTT_API.getWalls(),
+  lighting: VTT_API.getLighting(),
+  layers: VTT_API.getLayers(),
+  templates: VTT_API.getTemplates(),
+  dice: VTT_API.getDiceState(),
+});
+
+/**
+ * Replaces the current table with a previously captured table state, as a single undoable step.
+ * @param {object} state - A state object with an `objects` array and optionally 'background', 'viewState', 'boardProperties', 'grid', 'fog', 'walls', 'lighting', 'layers',
+ *        'templates', 'dice'.
+ *        A state without 'fog' (e.g., saved before the fog of war existed) turns the fog off; one without 'walls' or
+ *        'lighting' has no walls and dynamic lighting off, one without 'layers' gets the default layers and one without
+ *        'templates' has no templates.
+ *        Image assets in 'assets' (data URLs by hash, as embedded in session files) are added before the objects.
+ *        The dice state (generator and roll log) is not part of the undoable step.
+ * @param {string} historyLabel - Label of the undo step (e.g., 'Load session').
+ * @throws {Error} If `state.objects` is not an array, or the current user may not change the table (a spectator;
+ *         see `VTT_API.canEditTable`).
+ */
+export const applyTableState = (state, historyLabel) => {
+  dSession("applyTableState called with label: %s", historyLabel);
+  if (!state || !Array.isArray(state.objects)) {
+    dSession("applyTableState error: objects is not an array.");
+    throw new Error("Invalid state: objects is not an array.");
+  }
+  if (!VTT_API.canEditTable()) {
+    dSession("applyTableState refused: the user may not change the table.");
+    throw new Error("Spectators cannot replace the table.");
+  }
+  if (state.assets) {
+    dSession("Adding %d embedded assets.", VTT_API.addAssets(state.assets));
+  }
+  VTT_API.beginHistoryBatch(historyLabel);
+  try {
+    dSession("Clearing all existing objects.");
+    VTT_API.clearAllObjects();
+    dSession("Loading %d objects.", state.objects.length);
+    // Groups keep their children by ID; listed children that are missing or already in another group are dropped
+    normalizeGroupHierarchy(state.objects).forEach((obj) => {
+      VTT_API.createObject(obj); // Assumes obj includes 'id'. Relies on modelChanged for image loading.
+    });
+
+    if (state.background) {
+      dSession("Setting table background: %o", state.background);
+      VTT_API.setTableBackground(state.background);
+    }
+    if (state.viewState) {
+      dSession("Setting pan/zoom state: %o", state.viewState);
+      VTT_API.setPanZoomState(state.viewState);
+    }
+    if (state.boardProperties) {
+      dSession("Setting board properties: %o", state.boardProperties);
+      VTT_API.setBoardProperties(state.boardProperties);
+    }
+    if (state.grid) {
+      dSession("Setting grid: %o", state.grid);
+      VTT_API.setGrid(state.grid);
+    }
+    dSession("Setting fog of war: %o", state.fog);
+    VTT_API.setFog(state.fog || { enabled: false, regions: [] });
+    dSession(
+      "Setting %d walls and lighting: %o",
+      state.walls?.length || 0,
+      state.lighting,
+    );
+    VTT_API.setWalls(Array.isArray(state.walls) ? state.walls : []);
+    VTT_API.setLighting(state.lighting || { enabled: false, daylight: false });
+    dSession("Setting layers: %o", state.layers);
+    VTT_API.setLayers(Array.isArray(state.layers) ? state.layers : []);
+    dSession("Setting %d templates.", state.templates?.length || 0);
+    VTT_API.setTemplates(Array.isArray(state.templates) ? state.templates : []);
+    if (state.dice) {
+      dSession("Restoring dice state with %d rolls.", state.dice.log?.length);
+      VTT_API.setDiceState(state.dice);
+    }
+  } finally {
+    VTT_API.endHistoryBatch();
+  }
 };
 
 // --- File-Based Save/Load ---
 /**
- * Handles saving the current table state (objects, background, view, board properties) to a JSON file.
+ * Builds the session state written to `.ttt.json` files: the table state plus the session ID, save time, app version
+ * and the loaded image assets it references (each embedded once, as `assets`: data URLs by hash).
+ * The same state is sent to participants joining a multiplayer room.
+ * @returns {object} The session state.
+ */
+export const createSessionSnapshot = () => {
+  const tableState = getTableState();
+  return {
+    format: SESSION_FILE_FORMAT,
+    formatVersion: SESSION_FORMAT_VERSION,
+    sessionId: currentSessionId, // Uses currentSessionId from this module
+    savedAt: new Date().toISOString(),
+    ...tableState,
+    assets: VTT_API.getAssets(collectAssetHashes(tableState)),
+    appVersion: APP_VERSION,
+  };
+};
+
+/**
+ * Reads the image assets the table references from IndexedDB, so a saved file is self-contained. Images that are
+ * not available are reported to the user.
+ * @returns {Promise<void>}
+ */
+const loadReferencedAssets = async () => {
+  const missing = await loadAssets(collectAssetHashes(getTableState()));
+  if (missing.length > 0) {
+    log.warn("[session_management.js] Images missing from save:", missing);
+    VTT_API.showMessage(
+      `${missing.length} image${missing.length === 1 ? " is" : "s are"} not available and will not be saved.`,
+      "warning",
+    );
+  }
+};
+
+/**
+ * Downloads an image given as a link, for packing it into an archive.
+ * @param {string} url - The image's URL.
+ * @returns {Promise<string | null>} The image as a data URL, or null if it cannot be downloaded (e.g. the server does
+ *          not allow it) or is not an image.
+ */
+const fetchImageAsDataUrl = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const blob = await response.blob();
+    if (!blob.type.startsWith("image/")) return null;
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    dSession("Could not download image %s: %o", url, error);
+    return null;
+  }
+};
+
+/**
+ * Handles saving the current table state (objects, background, view, board properties, grid) to a JSON file.
+ * The referenced image assets are read from IndexedDB first, so the file is self-contained.
  * The file is then triggered for download by the user.
+ * @returns {Promise<void>}
  */
-export const handleSaveTableState = () => {
+export const handleSaveTableState = async () => {
   dSession(
     "handleSaveTableState called. Current session ID: %s",
     currentSessionId,
   );
-  const state = {
-    sessionId: currentSessionId, // Uses currentSessionId from this module
-    savedAt: new Date().toISOString(),
-    objects: VTT_API.getAllObjects(),
-    background: VTT_API.getTableBackground(),
-    viewState: VTT_API.getPanZoomState(),
-    boardProperties: VTT_API.getBoardProperties(),
-    appVersion: "TableTopTool-MVP-Offline-v1",
-  };
+  await loadReferencedAssets();
+  const state = createSessionSnapshot();
   dSession("Current table state for saving: %o", state);
   const filename = `session_${currentSessionId}_${new Date().toISOString().slice(0, 10)}.ttt.json`;
   triggerDownload(filename, JSON.stringify(state, null, 2));
   dSession("Table state save process completed for filename: %s", filename);
 };
 
+/**
+ * Handles saving the current table as a session archive (see model/sessionArchive.js): a zip with the session file
+ * and every image the table uses, including images given as links where they can be downloaded.
+ * @returns {Promise<void>}
+ */
+export const handleSaveArchive = async () => {
+  dSession(
+    "handleSaveArchive called. Current session ID: %s",
+    currentSessionId,
+  );
+  await loadReferencedAssets();
+  let archive;
+  try {
+    archive = await packSessionArchive(
+      createSessionSnapshot(),
+      fetchImageAsDataUrl,
+    );
+  } catch (error) {
+    log.error("Error packing session archive:", error);
+    VTT_API.showMessage(
+      `Save Error: Could not build the archive: ${error.message}`,
+      "error",
+    );
+    return;
+  }
+  if (archive.unpacked.length > 0) {
+    log.warn("[session_management.js] Images not packed:", archive.unpacked);
+    VTT_API.showMessage(
+      `${archive.unpacked.length} image${archive.unpacked.length === 1 ? "" : "s"} could not be packed; the archive links to ${archive.unpacked.length === 1 ? "it" : "them"} instead.`,
+      "warning",
+    );
+  }
+  const filename = `session_${currentSessionId}_${new Date().toISOString().slice(0, 10)}${ARCHIVE_EXTENSION}`;
+  triggerDownload(filename, archive.bytes, "application/zip");
+  dSession("Archive saved as %s with %d images", filename, archive.imageCount);
+};
+
+/**
+ * Lists the problems that prevent loading a table in the message area, field by field.
+ * @param {string[]} errors - The problems (see `readSessionState()` in model/saveFormat.js).
+ * @param {string} title - What could not be done, e.g. "Load Error: Could not load file".
+ */
+export const showLoadErrors = (errors, title) => {
+  const listed = errors.slice(0, MAX_LISTED_LOAD_ERRORS);
+  const more = errors.length - listed.length;
+  VTT_API.showMessage(
+    [
+      errors.length === 1
+        ? `${title}:`
+        : `${title} (${errors.length} problems):`,
+      ...listed.map((error) => `- ${error}`),
+      ...(more > 0 ? [`- ...and ${more} more`] : []),
+    ].join("\n"),
+    "error",
+    8000,
+  );
+};
+
 /**
  * Handles loading a table state from a JSON file content.
- * It clears existing objects and applies the loaded state.
+ * The file is migrated to the current format version and validated (see model/saveFormat.js); if it has problems,
+ * they are listed in the message area, field by field, and the table is left as it is.
+ * Otherwise it clears existing objects and applies the loaded state.
  * @param {string} fileContent - The JSON string content from the loaded file.
+ * @returns {boolean} True if the file was loaded.
  */
 export const handleLoadTableState = (fileContent) => {
   dSession(
     "handleLoadTableState called with fileContent length: %d",
     fileContent.length,
   );
+  const {
+    state: loadedState,
+    fromVersion,
+    errors,
+  } = readSessionFile(fileContent);
+  if (errors.length > 0) {
+    log.warn("Session file rejected:", errors);
+    dSession("Load error: %d problems: %o", errors.length, errors);
+    showLoadErrors(errors, "Load Error: Could not load file");
+    return false;
+  }
+  dSession("Read state of format version %d: %o", fromVersion, loadedState);
+
   try {
-    const loadedState = JSON.parse(fileContent);
-    dSession("Parsed loaded state: %o", loadedState);
-    if (!loadedState || typeof loadedState !== "object") {
-      dSession("Load error: Invalid file format or missing critical data.");
-      throw new Error("Invalid file format or missing critical data.");
-    }
-    const {
-      objects: loadedObjectsArray,
-      background: loadedBackground,
-      viewState: loadedViewState,
-      sessionId: loadedSessionId,
-      boardProperties: loadedBoardProperties, // Ensure this is destructured
-    } = loadedState;
-
-    if (!Array.isArray(loadedObjectsArray)) {
-      dSession("Load error: Invalid file format - objects is not an array.");
-      throw new Error("Invalid file format: objects is not an array.");
-    }
+    // Loading replaces the whole table; make it a single undoable step.
+    applyTableState(loadedState, "Load session");
+  } catch (error) {
+    log.error("Error loading table state:", error);
+    dSession("Error loading table state: %o", error);
+    VTT_API.showMessage(
+      `Load Error: Could not load file: ${error.message}`,
+      "error",
+    );
+    return false;
+  }
 
-    dSession("Clearing all existing objects.");
-    VTT_API.clearAllObjects();
-    dSession("Loading %d objects from file.", loadedObjectsArray.length);
-    loadedObjectsArray.forEach((obj) => {
-      VTT_API.createObject(obj); // Assumes obj includes 'id'. Relies on modelChanged for image loading.
+  if (loadedState.sessionId) {
+    dSession(
+      "Updating currentSessionId from %s to %s",
+      currentSessionId,
+      loadedState.sessionId,
+    );
+    currentSessionId = loadedState.sessionId; // Update module's currentSessionId
+  }
+
+  VTT_API.showMessage(
+    fromVersion < SESSION_FORMAT_VERSION
+      ? `Session '${currentSessionId}' loaded successfully (converted from an older file format).`
+      : `Session '${currentSessionId}' loaded successfully.`,
+    "success",
+  );
+  dSession("Table state loaded successfully. Session ID: %s", currentSessionId);
+  return true;
+};
+
+/**
+ * Handles loading a session archive (see model/sessionArchive.js). Its images become image assets, kept as bytes and
+ * displayed through local `blob:` URLs (see `addAssetBlobs`), and the session file in it is then loaded like any
+ * session file (see `handleLoadTableState`).
+ * @param {ArrayBuffer | Uint8Array} data - The archive's content.
+ * @returns {Promise<boolean>} True if the archive was loaded.
+ */
+export const handleLoadArchive = async (data) => {
+  dSession("handleLoadArchive called with %d bytes", data.byteLength);
+  if (!VTT_API.canEditTable()) {
+    VTT_API.showMessage(
+      "Load Error: Spectators cannot replace the table.",
+      "error",
+    );
+    return false;
+  }
+  let unpacked;
+  try {
+    unpacked = await unpackSessionArchive(data);
+  } catch (error) {
+    log.error("Error unpacking session archive:", error);
+    VTT_API.showMessage(
+      `Load Error: Could not load file: ${error.message}`,
+      "error",
+    );
+    return false;
+  }
+  dSession("Archive unpacked with %d images", unpacked.imageCount);
+  await addAssetBlobs(unpacked.images);
+  return handleLoadTableState(unpacked.text);
+};
+
+/**
+ * Handles importing a Universal VTT map (see model/universalVtt.js) into the current table, as a single undoable
+ * step: the map image becomes the background, the board and its square grid are sized to the map (keeping the grid's
+ * cell size), the walls and doors replace the table's walls, and each light is added as an object on the GM layer.
+ * The table's other objects are kept.
+ * @param {string} fileContent - The JSON string content of the map file.
+ * @returns {Promise<boolean>} True if the map was imported.
+ */
+export const handleImportUniversalVtt = async (fileContent) => {
+  dSession(
+    "handleImportUniversalVtt called with fileContent length: %d",
+    fileContent.length,
+  );
+  if (!VTT_API.canEditTable()) {
+    VTT_API.showMessage(
+      "Import Error: Spectators cannot change the table.",
+      "error",
+    );
+    return false;
+  }
+  let map;
+  let background = null;
+  try {
+    map = convertUniversalVtt(JSON.parse(fileContent), {
+      ...VTT_API.getBoardProperties(),
+      cellSize: VTT_API.getGrid().cellSize,
     });
+    if (map.image) background = await VTT_API.addImageAsset(map.image);
+  } catch (error) {
+    log.error("Error reading Universal VTT map:", error);
+    VTT_API.showMessage(
+      `Import Error: Could not import the map: ${error.message}`,
+      "error",
+    );
+    return false;
+  }
+  dSession("Importing Universal VTT map: %o", map);
 
-    if (loadedBackground) {
-      dSession(
-        "Setting table background from loaded state: %o",
-        loadedBackground,
-      );
-      VTT_API.setTableBackground(loadedBackground);
-    }
-    if (loadedViewState) {
-      dSession("Setting pan/zoom state from loaded state: %o", loadedViewState);
-      VTT_API.setPanZoomState(loadedViewState);
-    }
-    if (loadedBoardProperties) {
-      dSession(
-        "Setting board properties from loaded state: %o",
-        loadedBoardProperties,
-      );
-      VTT_API.setBoardProperties(loadedBoardProperties);
+  VTT_API.beginHistoryBatch("Import map");
+  try {
+    if (background) {
+      VTT_API.setTableBackground({ type: "image", value: background });
     }
+    VTT_API.setBoardProperties(map.boardProperties);
+    VTT_API.setGrid(map.grid);
+    VTT_API.setWalls(map.walls);
+    map.lights.forEach((light) => VTT_API.createObject(light));
+  } finally {
+    VTT_API.endHistoryBatch();
+  }
 
-    if (loadedSessionId) {
-      dSession(
-        "Updating currentSessionId from %s to %s",
-        currentSessionId,
-        loadedSessionId,
-      );
-      currentSessionId = loadedSessionId; // Update module's currentSessionId
-    }
+  const doorCount = map.walls.filter((wall) => wall.door).length;
+  VTT_API.showMessage(
+    `Map imported: ${map.columns} x ${map.rows} cells, ${map.walls.length - doorCount} walls, ${doorCount} doors and ${map.lights.length} lights.`,
+    "success",
+  );
+  return true;
+};
 
+/**
+ * Handles importing a Tabletop Simulator save (see model/tabletopSimulator.js) into the current table, as a single
+ * undoable step. Objects of types that cannot be imported are left out rather than failing the import; the summary
+ * lists them.
+ * @param {object} saveData - The parsed save.
+ * @returns {{imported: number, unsupported: Array<{type: string, count: number}>} | null} What was imported and the
+ *          object types that were not, or null if the file could not be imported.
+ */
+export const handleImportTabletopSimulator = (saveData) => {
+  dSession("handleImportTabletopSimulator called: %s", saveData?.SaveName);
+  if (!VTT_API.canEditTable()) {
     VTT_API.showMessage(
-      `Session '${currentSessionId}' loaded successfully.`,
-      "success",
+      "Import Error: Spectators cannot change the table.",
+      "error",
     );
-    dSession(
-      "Table state loaded successfully. Session ID: %s",
-      currentSessionId,
+    return null;
+  }
+  let converted;
+  try {
+    converted = convertTabletopSimulatorSave(
+      saveData,
+      VTT_API.getBoardProperties(),
     );
   } catch (error) {
-    log.error("Error loading table state:", error);
-    dSession("Error loading table state: %o", error);
+    log.error("Error reading Tabletop Simulator save:", error);
     VTT_API.showMessage(
-      `Load Error: Could not load file: ${error.message}`,
+      `Import Error: Could not import the save: ${error.message}`,
       "error",
     );
+    return null;
   }
+  dSession(
+    "Importing %d objects, unsupported: %o",
+    converted.objects.length,
+    converted.unsupported,
+  );
+
+  let imported = 0;
+  VTT_API.beginHistoryBatch("Import Tabletop Simulator save");
+  try {
+    converted.objects.forEach((obj) => {
+      if (VTT_API.createObject(obj)) imported++;
+    });
+  } finally {
+    VTT_API.endHistoryBatch();
+  }
+
+  VTT_API.showMessage(
+    `Imported ${imported} object${imported === 1 ? "" : "s"} from the Tabletop Simulator save.`,
+    imported > 0 ? "success" : "warning",
+  );
+  return { imported, unsupported: converted.unsupported };
 };
 
 // --- In-Memory Save/Load ---
 /**
- * Saves the current board state (objects, background, view, board properties) to an in-memory array.
+ * Saves the current board state (objects, background, view, board properties, grid) to an in-memory array.
  * Keeps a maximum of MAX_IN_MEMORY_STATES recent states.
  */
 export const handleSaveMemoryState = () => {
@@ -166,10 +520,7 @@ export const handleSaveMemoryState = () => {
   const state = {
     timestamp: new Date().toISOString(),
     name: `State saved at ${new Date().toLocaleTimeString()}`,
-    objects: VTT_API.getAllObjects(),
-    background: VTT_API.getTableBackground(),
-    viewState: VTT_API.getPanZoomState(),
-    boardProperties: VTT_API.getBoardProperties(),
+    ...getTableState(),
   };
 
   dSession("Current board state for in-memory save: %o", state);
@@ -194,45 +545,24 @@ export const handleSaveMemoryState = () => {
 /**
  * Applies a given memory state object to the current board.
  * Clears existing objects and sets the board according to the state object.
- * @param {object} stateObject - The memory state object to apply. Must include 'objects', and optionally 'background', 'viewState', 'boardProperties'.
+ * @param {object} stateObject - The memory state object to apply. Must include 'objects', and optionally 'background', 'viewState', 'boardProperties', 'grid'.
  * @returns {boolean} True if the state was applied, false if stateObject was invalid.
  */
 export const applyMemoryState = (stateObject) => {
   dSession("applyMemoryState called with stateObject: %o", stateObject);
-  if (!stateObject || typeof stateObject.objects === "undefined") {
+  if (!stateObject || !Array.isArray(stateObject.objects)) {
     // Added more robust check
     dSession("applyMemoryState error: Invalid memory state object provided.");
     VTT_API.showMessage("Invalid memory state object provided.", "error");
     return false;
   }
 
-  dSession("Clearing all existing objects before applying memory state.");
-  VTT_API.clearAllObjects();
-  dSession("Loading %d objects from memory state.", stateObject.objects.length);
-  stateObject.objects.forEach((obj) => {
-    VTT_API.createObject(obj); // Relies on modelChanged for image loading.
-  });
-
-  if (stateObject.background) {
-    dSession(
-      "Setting table background from memory state: %o",
-      stateObject.background,
-    );
-    VTT_API.setTableBackground(stateObject.background);
-  }
-  if (stateObject.viewState) {
-    dSession(
-      "Setting pan/zoom state from memory state: %o",
-      stateObject.viewState,
-    );
-    VTT_API.setPanZoomState(stateObject.viewState);
-  }
-  if (stateObject.boardProperties) {
-    dSession(
-      "Setting board properties from memory state: %o",
-      stateObject.boardProperties,
-    );
-    VTT_API.setBoardProperties(stateObject.boardProperties);
+  try {
+    applyTableState(stateObject, "Load memory state");
+  } catch (error) {
+    log.error("Error applying memory state:", error);
+    VTT_API.showMessage(`Load Error: ${error.message}`, "error");
+    return false;
   }
   VTT_API.showMessage(
     `Board state loaded: ${stateObject.name || "Unnamed State"}`,
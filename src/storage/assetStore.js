@@ -0,0 +1,225 @@
+// src/storage/assetStore.js
+/**
+ * @file Keeps image assets (see model/assets.js) in the app's IndexedDB database (see database.js), so images added
+ * in an earlier session, or received from other participants, still load offline. Assets are stored as their bytes
+ * (a `Blob`), and displayed through local `blob:` URLs made from those bytes. Assets added to the model are written as they arrive; assets
+ * referenced by a table but not loaded in the model are read back on demand.
+ */
+import log from "loglevel";
+import debug from "debug";
+import { VTT_API } from "../api.js";
+import { isDatabaseAvailable, withStore, ASSET_STORE } from "./database.js";
+import { getAssetHash } from "../model/assets.js";
+import { dataUrlToBytes, bytesToDataUrl } from "../model/sessionArchive.js";
+
+const dAssets = debug("app:storage:assets");
+dAssets("assetStore.js module loaded");
+
+/**
+ * @typedef {Object} AssetRecord
+ * @property {string} hash - The asset's hash (the key).
+ * @property {Blob} [blob] - The image.
+ * @property {string} [data] - The image as a data URL (records written before assets were stored as bytes).
+ * @property {string} storedAt - ISO timestamp of when the asset was first stored.
+ */
+
+/** @type {Set<string>} Assets known to be stored, so they are not written again. */
+const storedHashes = new Set();
+/** @type {Map<string, Promise<string | null>>} Assets being read, so concurrent requests share one read. */
+const pendingLoads = new Map();
+/** @type {Map<string, string>} Local `blob:` URLs of the assets displayed so far, by hash. Kept for the page's life. */
+const objectUrls = new Map();
+let isPersisting = false;
+/** @type {boolean} Whether a storage failure has been reported to the user (reported once per session). */
+let failureReported = false;
+
+/**
+ * Returns true if IndexedDB is available in this environment.
+ * @returns {boolean}
+ */
+export const isAssetStoreAvailable = isDatabaseAvailable;
+
+/**
+ * Turns an image into a `Blob`.
+ * @param {string | Blob} data - The image, as a data URL or a `Blob`.
+ * @returns {Blob}
+ */
+const toBlob = (data) => {
+  if (data instanceof Blob) return data;
+  const { type, bytes } = dataUrlToBytes(data);
+  return new Blob([bytes], { type });
+};
+
+/**
+ * Reads an image `Blob` as a data URL.
+ * @param {Blob} blob - The image.
+ * @returns {Promise<string>}
+ */
+const blobToDataUrl = async (blob) =>
+  bytesToDataUrl(new Uint8Array(await blob.arrayBuffer()), blob.type);
+
+/**
+ * Writes an asset. Assets are keyed by the hash of their content, so writing one again changes nothing.
+ * @param {string} hash - The asset's hash.
+ * @param {string | Blob} data - The image, as a data URL or a `Blob`. It is stored as its bytes.
+ * @returns {Promise<void>}
+ */
+export const putStoredAsset = async (hash, data) => {
+  if (storedHashes.has(hash)) return;
+  dAssets("putStoredAsset called for: %s", hash);
+  const existing = await withStore(ASSET_STORE, "readonly", (store) =>
+    store.getKey(hash),
+  );
+  if (existing === undefined) {
+    const blob = toBlob(data);
+    await withStore(ASSET_STORE, "readwrite", (store) =>
+      store.put({ hash, blob, storedAt: new Date().toISOString() }),
+    );
+  }
+  storedHashes.add(hash);
+};
+
+/**
+ * Reads an asset's bytes.
+ * @param {string} hash - The asset's hash.
+ * @returns {Promise<Blob | null>} The image, or null if the asset is not stored.
+ */
+const getStoredBlob = async (hash) => {
+  const record = await withStore(ASSET_STORE, "readonly", (store) =>
+    store.get(hash),
+  );
+  if (!record) return null;
+  storedHashes.add(hash);
+  return record.blob ?? (record.data ? toBlob(record.data) : null);
+};
+
+/**
+ * Reads an asset.
+ * @param {string} hash - The asset's hash.
+ * @returns {Promise<string | null>} The image as a data URL, or null if the asset is not stored.
+ */
+export const getStoredAsset = async (hash) => {
+  dAssets("getStoredAsset called for: %s", hash);
+  const blob = await getStoredBlob(hash);
+  return blob ? blobToDataUrl(blob) : null;
+};
+
+/**
+ * Stores assets as they are added to the model.
+ * @param {CustomEvent} event - The modelChanged event.
+ */
+const handleModelChanged = (event) => {
+  if (event.detail?.type !== "assetAdded") return;
+  const { hash, data } = event.detail.payload;
+  putStoredAsset(hash, data).catch((error) => {
+    log.error("[assetStore.js] Could not store asset:", error);
+    if (!failureReported) {
+      failureReported = true;
+      VTT_API.showMessage(
+        `Could not store image: ${error?.message || "storage error"}`,
+        "error",
+      );
+    }
+  });
+};
+
+/**
+ * Starts writing the assets added to the model to IndexedDB.
+ * @returns {boolean} True if assets are persisted, false if IndexedDB is not available.
+ */
+export const startAssetPersistence = () => {
+  if (isPersisting) return true;
+  if (!isAssetStoreAvailable()) {
+    log.warn("[assetStore.js] IndexedDB not available; images are not kept.");
+    return false;
+  }
+  document.addEventListener("modelChanged", handleModelChanged);
+  isPersisting = true;
+  dAssets("Asset persistence started.");
+  return true;
+};
+
+/**
+ * Makes an asset available in the model, reading it from IndexedDB if it is not loaded yet.
+ * @param {string} hash - The asset's hash.
+ * @returns {Promise<string | null>} The image as a data URL, or null if the asset is neither loaded nor stored.
+ */
+export const loadAsset = (hash) => {
+  const loaded = VTT_API.getAsset(hash);
+  if (loaded) return Promise.resolve(loaded);
+  if (!isAssetStoreAvailable()) return Promise.resolve(null);
+  if (!pendingLoads.has(hash)) {
+    const load = getStoredAsset(hash)
+      .then((data) => {
+        if (data) VTT_API.addAssets({ [hash]: data });
+        return data;
+      })
+      .catch((error) => {
+        log.error("[assetStore.js] Could not read asset:", error);
+        return null;
+      })
+      .finally(() => pendingLoads.delete(hash));
+    pendingLoads.set(hash, load);
+  }
+  return pendingLoads.get(hash);
+};
+
+/**
+ * Gives an asset a local `blob:` URL, unless it has one already.
+ * @param {string} hash - The asset's hash.
+ * @param {string | Blob} data - The image, as a data URL or a `Blob`.
+ * @returns {string} The asset's `blob:` URL.
+ */
+const createObjectUrl = (hash, data) => {
+  if (!objectUrls.has(hash)) {
+    objectUrls.set(hash, URL.createObjectURL(toBlob(data)));
+  }
+  return objectUrls.get(hash);
+};
+
+/**
+ * Resolves an image URL for display: asset references become a local `blob:` URL of the asset's bytes, other URLs
+ * are kept.
+ * @param {string} url - The URL.
+ * @returns {Promise<string | null>} The URL to load, or null if it references an asset that is not available.
+ */
+export const resolveImageUrl = async (url) => {
+  const hash = getAssetHash(url);
+  if (!hash) return url;
+  if (objectUrls.has(hash)) return objectUrls.get(hash);
+  const data = await loadAsset(hash);
+  return data ? createObjectUrl(hash, data) : null;
+};
+
+/**
+ * Adds images unpacked as bytes (e.g. from a session archive) as assets: each gets a local `blob:` URL to display
+ * it, its bytes are stored in IndexedDB, and it is added to the model as a data URL, to be saved with the table and
+ * shared with the other participants.
+ * @param {Object<string, Blob>} blobs - The images by asset hash.
+ * @returns {Promise<void>}
+ */
+export const addAssetBlobs = async (blobs) => {
+  const entries = Object.entries(blobs);
+  dAssets("addAssetBlobs called with %d images", entries.length);
+  for (const [hash, blob] of entries) {
+    createObjectUrl(hash, blob);
+    if (isAssetStoreAvailable()) {
+      await putStoredAsset(hash, blob).catch((error) =>
+        log.error("[assetStore.js] Could not store asset:", error),
+      );
+    }
+    VTT_API.addAssets({ [hash]: await blobToDataUrl(blob) });
+  }
+};
+
+/**
+ * Makes assets available in the model, e.g. before saving a table that references them.
+ * @param {string[]} hashes - The assets' hashes.
+ * @returns {Promise<string[]>} The hashes of the assets that are neither loaded nor stored.
+ */
+export const loadAssets = async (hashes) => {
+  const results = await Promise.all(hashes.map(loadAsset));
+  return hashes.filter((hash, index) => !results[index]);
+};
+
+dAssets("assetStore.js setup complete.");
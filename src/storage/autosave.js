@@ -0,0 +1,215 @@
+// src/storage/autosave.js
+/**
+ * @file Autosaves the table to IndexedDB and restores it after a reload or crash.
+ * Changes are written on a debounce after `modelChanged` events. Writes within SNAPSHOT_INTERVAL_MS of the
+ * current snapshot's creation update that snapshot; later writes start a new one, so the store keeps a rolling
+ * list of restore points (at most MAX_AUTOSAVE_SNAPSHOTS). Snapshots record the session format version they were
+ * written in, and are restored like session files: migrated to the current version and validated first.
+ */
+import log from "loglevel";
+import debug from "debug";
+import { VTT_API } from "../api.js";
+import {
+  getTableState,
+  applyTableState,
+  showLoadErrors,
+} from "../session_management.js";
+import {
+  SESSION_FORMAT_VERSION,
+  readSessionState,
+} from "../model/saveFormat.js";
+import {
+  isSnapshotStoreAvailable,
+  putSnapshot,
+  getSnapshot,
+  listSnapshots,
+  deleteSnapshot,
+} from "./snapshotStore.js";
+
+const dAutosave = debug("app:storage:autosave");
+dAutosave("autosave.js module loaded");
+
+/** @const {number} Delay after the last change before the table is written. */
+export const AUTOSAVE_DEBOUNCE_MS = 2000;
+/** @const {number} Age after which the next autosave starts a new snapshot instead of updating the current one. */
+export const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+/** @const {number} Number of snapshots to keep; older ones are deleted. */
+export const MAX_AUTOSAVE_SNAPSHOTS = 10;
+
+/** Model change types that do not alter the saved state (image assets are stored by assetStore.js). */
+const IGNORED_CHANGE_TYPES = [
+  "selectionChanged",
+  "historyChanged",
+  "userChanged",
+  "assetAdded",
+];
+
+// --- State Variables ---
+let isRunning = false;
+let debounceTimer = null;
+/** @type {{id: number, createdAt: string} | null} The snapshot this session is currently writing to. */
+let currentSnapshot = null;
+/** @type {boolean} Whether a storage failure has been reported to the user (reported once per session). */
+let failureReported = false;
+
+/**
+ * Handles model changes by (re)starting the debounce timer.
+ * @param {CustomEvent} event - The modelChanged event.
+ */
+const handleModelChanged = (event) => {
+  const changeType = event.detail?.type;
+  if (IGNORED_CHANGE_TYPES.includes(changeType)) return;
+  dAutosave("Change '%s' observed, scheduling autosave.", changeType);
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(() => {
+    debounceTimer = null;
+    saveNow();
+  }, AUTOSAVE_DEBOUNCE_MS);
+};
+
+/**
+ * Writes a pending autosave immediately when the page is hidden (tab switch, close, reload).
+ */
+const handleVisibilityChange = () => {
+  if (document.visibilityState === "hidden" && debounceTimer) {
+    dAutosave("Page hidden with a pending autosave, flushing.");
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+    saveNow();
+  }
+};
+
+/**
+ * Deletes the oldest snapshots beyond MAX_AUTOSAVE_SNAPSHOTS.
+ */
+const pruneSnapshots = async () => {
+  const snapshots = await listSnapshots();
+  const excess = snapshots.slice(MAX_AUTOSAVE_SNAPSHOTS);
+  for (const snapshot of excess) {
+    dAutosave("Pruning snapshot %d (%s)", snapshot.id, snapshot.name);
+    await deleteSnapshot(snapshot.id);
+  }
+};
+
+/**
+ * Writes the current table state to IndexedDB.
+ * Errors are logged and reported to the user once; they never interrupt the session.
+ * @returns {Promise<void>}
+ */
+export const saveNow = async () => {
+  const now = new Date();
+  const state = { formatVersion: SESSION_FORMAT_VERSION, ...getTableState() };
+  const startsNewSnapshot =
+    !currentSnapshot ||
+    now.getTime() - Date.parse(currentSnapshot.createdAt) >=
+      SNAPSHOT_INTERVAL_MS;
+  const createdAt = startsNewSnapshot
+    ? now.toISOString()
+    : currentSnapshot.createdAt;
+  const record = {
+    name: `Autosave ${new Date(createdAt).toLocaleString()}`,
+    createdAt,
+    savedAt: now.toISOString(),
+    state,
+  };
+  if (!startsNewSnapshot) record.id = currentSnapshot.id;
+
+  try {
+    const id = await putSnapshot(record);
+    currentSnapshot = { id, createdAt };
+    dAutosave("Autosaved %d objects to snapshot %d.", state.objects.length, id);
+    if (startsNewSnapshot) await pruneSnapshots();
+  } catch (error) {
+    log.error("[autosave.js] Autosave failed:", error);
+    if (!failureReported) {
+      failureReported = true;
+      VTT_API.showMessage(
+        `Autosave failed: ${error?.message || "storage error"}`,
+        "error",
+      );
+    }
+  }
+};
+
+/**
+ * Starts autosaving. Call this only once the user has decided whether to restore a previous session,
+ * otherwise the fresh (empty) table could become the newest snapshot.
+ * @returns {boolean} True if autosave is running, false if IndexedDB is not available.
+ */
+export const startAutosave = () => {
+  if (isRunning) return true;
+  if (!isSnapshotStoreAvailable()) {
+    log.warn("[autosave.js] IndexedDB not available; autosave disabled.");
+    return false;
+  }
+  document.addEventListener("modelChanged", handleModelChanged);
+  document.addEventListener("visibilitychange", handleVisibilityChange);
+  isRunning = true;
+  dAutosave("Autosave started.");
+  return true;
+};
+
+/**
+ * Stops autosaving. A pending write is discarded.
+ */
+export const stopAutosave = () => {
+  document.removeEventListener("modelChanged", handleModelChanged);
+  document.removeEventListener("visibilitychange", handleVisibilityChange);
+  clearTimeout(debounceTimer);
+  debounceTimer = null;
+  isRunning = false;
+  dAutosave("Autosave stopped.");
+};
+
+/**
+ * Lists the stored snapshots, newest first.
+ * @returns {Promise<Array<{id: number, name: string, createdAt: string, savedAt: string, objectCount: number}>>}
+ *          An empty array if IndexedDB is not available or cannot be read.
+ */
+export const getAutosaveSnapshots = async () => {
+  if (!isSnapshotStoreAvailable()) return [];
+  try {
+    return await listSnapshots();
+  } catch (error) {
+    log.error("[autosave.js] Could not list snapshots:", error);
+    return [];
+  }
+};
+
+/**
+ * Replaces the table with a stored snapshot (as one undoable step). The snapshot is migrated and validated like a
+ * session file (see `readSessionState()` in model/saveFormat.js); snapshots written before they recorded their
+ * format version are read as version 1. Later autosaves go to a new snapshot, so the restored one is kept intact.
+ * @param {number} id - The snapshot id.
+ * @returns {Promise<boolean>} True if the snapshot was applied.
+ */
+export const restoreSnapshot = async (id) => {
+  dAutosave("restoreSnapshot called for id: %s", id);
+  try {
+    const record = await getSnapshot(id);
+    if (!record) {
+      VTT_API.showMessage("Snapshot not found.", "error");
+      return false;
+    }
+    const { state, fromVersion, errors } = readSessionState(record.state);
+    if (errors.length > 0) {
+      log.warn("[autosave.js] Snapshot rejected:", errors);
+      showLoadErrors(errors, "Restore Error: Could not restore snapshot");
+      return false;
+    }
+    dAutosave("Read snapshot of format version %d.", fromVersion);
+    applyTableState(state, "Restore snapshot");
+    currentSnapshot = null;
+    VTT_API.showMessage(`Restored '${record.name}'.`, "success");
+    return true;
+  } catch (error) {
+    log.error("[autosave.js] Could not restore snapshot:", error);
+    VTT_API.showMessage(
+      `Restore Error: Could not restore snapshot: ${error.message}`,
+      "error",
+    );
+    return false;
+  }
+};
+
+dAutosave("autosave.js setup complete.");
@@ -0,0 +1,122 @@
+// src/storage/database.js
+/**
+ * @file The app's IndexedDB database, shared by the stores in this folder: opening (and creating or upgrading) it
+ * once, and running promise-based requests against its object stores. Each store module keeps its own records; the
+ * object stores themselves are created here, so one schema version covers all of them.
+ */
+import log from "loglevel";
+import debug from "debug";
+
+const dDatabase = debug("app:storage:database");
+dDatabase("database.js module loaded");
+
+/** @const {string} Name of the IndexedDB database. */
+const DB_NAME = "TableTopTool";
+/** @const {number} Version of the database schema: 1 had the snapshots, 2 added the assets. */
+const DB_VERSION = 2;
+
+/** @const {string} Object store holding the table snapshots (see snapshotStore.js). */
+export const SNAPSHOT_STORE = "snapshots";
+/** @const {string} Object store holding the image assets (see assetStore.js). */
+export const ASSET_STORE = "assets";
+
+/** @type {Promise<IDBDatabase> | null} Cached connection, opened on first use. */
+let dbPromise = null;
+
+/**
+ * Returns true if IndexedDB is available in this environment (it is not, e.g., in some private browsing modes).
+ * @returns {boolean}
+ */
+export const isDatabaseAvailable = () =>
+  typeof indexedDB !== "undefined" && indexedDB !== null;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<any>} Resolves with the request's result.
+ */
+const promisifyRequest = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Creates the object stores the database does not have yet.
+ * @param {IDBDatabase} db - The database being upgraded.
+ */
+const createStores = (db) => {
+  if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+    const store = db.createObjectStore(SNAPSHOT_STORE, {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+    store.createIndex("savedAt", "savedAt");
+  }
+  if (!db.objectStoreNames.contains(ASSET_STORE)) {
+    db.createObjectStore(ASSET_STORE, { keyPath: "hash" });
+  }
+};
+
+/**
+ * Opens (and creates or upgrades if needed) the database. The connection is reused.
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+  if (!isDatabaseAvailable()) {
+    return Promise.reject(new Error("IndexedDB is not available."));
+  }
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      dDatabase(
+        "Upgrading database %s from version %d to %d",
+        DB_NAME,
+        event.oldVersion,
+        DB_VERSION,
+      );
+      createStores(request.result);
+    };
+    request.onsuccess = () => {
+      dDatabase("Database %s opened.", DB_NAME);
+      const db = request.result;
+      // Another tab upgrading the schema needs this connection closed; the next request reopens it
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      log.error("[database.js] Could not open IndexedDB:", request.error);
+      dbPromise = null; // Allow a later retry
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+/**
+ * Runs a request against an object store inside a transaction and resolves once the transaction completes.
+ * @param {string} storeName - The object store (`SNAPSHOT_STORE` or `ASSET_STORE`).
+ * @param {'readonly' | 'readwrite'} mode - Transaction mode.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Issues the request on the store.
+ * @returns {Promise<any>} The request's result.
+ */
+export const withStore = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    let result;
+    promisifyRequest(request).then((value) => {
+      result = value;
+    }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+dDatabase("database.js setup complete.");
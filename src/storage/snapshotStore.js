@@ -0,0 +1,81 @@
+// src/storage/snapshotStore.js
+/**
+ * @file Promise-based IndexedDB storage for table state snapshots, in the app's database (see database.js).
+ * Each record holds a state object in the shape produced by `getTableState()` in session_management.js,
+ * plus bookkeeping fields (id, name, createdAt, savedAt).
+ */
+import debug from "debug";
+import { isDatabaseAvailable, withStore, SNAPSHOT_STORE } from "./database.js";
+
+const dStore = debug("app:storage:snapshots");
+dStore("snapshotStore.js module loaded");
+
+/**
+ * @typedef {Object} SnapshotRecord
+ * @property {number} [id] - Auto-incremented key, assigned by IndexedDB on first save.
+ * @property {string} name - Display name (e.g., 'Autosave 14:03:22').
+ * @property {string} createdAt - ISO timestamp of when the snapshot was first written.
+ * @property {string} savedAt - ISO timestamp of the latest write.
+ * @property {object} state - The table state (objects, background, viewState, boardProperties, grid).
+ */
+
+/**
+ * Returns true if IndexedDB is available in this environment (it is not, e.g., in some private browsing modes).
+ * @returns {boolean}
+ */
+export const isSnapshotStoreAvailable = isDatabaseAvailable;
+
+/**
+ * Writes a snapshot. Records without an `id` are inserted, records with one are replaced.
+ * @param {SnapshotRecord} record - The snapshot to write.
+ * @returns {Promise<number>} The snapshot's id.
+ */
+export const putSnapshot = (record) => {
+  dStore("putSnapshot called for: %s (id: %s)", record.name, record.id);
+  return withStore(SNAPSHOT_STORE, "readwrite", (store) => store.put(record));
+};
+
+/**
+ * Reads a single snapshot.
+ * @param {number} id - The snapshot id.
+ * @returns {Promise<SnapshotRecord | null>} The snapshot, or null if it does not exist.
+ */
+export const getSnapshot = async (id) => {
+  dStore("getSnapshot called for id: %s", id);
+  const record = await withStore(SNAPSHOT_STORE, "readonly", (store) =>
+    store.get(id),
+  );
+  return record || null;
+};
+
+/**
+ * Lists the metadata of all snapshots, newest first. The (potentially large) table states are left out.
+ * @returns {Promise<Array<{id: number, name: string, createdAt: string, savedAt: string, objectCount: number}>>}
+ */
+export const listSnapshots = async () => {
+  dStore("listSnapshots called.");
+  const records = await withStore(SNAPSHOT_STORE, "readonly", (store) =>
+    store.getAll(),
+  );
+  return records
+    .map(({ id, name, createdAt, savedAt, state }) => ({
+      id,
+      name,
+      createdAt,
+      savedAt,
+      objectCount: Array.isArray(state?.objects) ? state.objects.length : 0,
+    }))
+    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+/**
+ * Deletes a snapshot.
+ * @param {number} id - The snapshot id.
+ * @returns {Promise<void>}
+ */
+export const deleteSnapshot = async (id) => {
+  dStore("deleteSnapshot called for id: %s", id);
+  await withStore(SNAPSHOT_STORE, "readwrite", (store) => store.delete(id));
+};
+
+dStore("snapshotStore.js setup complete.");
@@ -0,0 +1,43 @@
+// src/storage/userProfile.js
+/**
+ * @file Remembers the participant's name and role (see model/permissions.js) in localStorage, so they survive a
+ * reload. The profile belongs to this browser, not to the table, and is not part of saved or shared tables.
+ */
+import log from "loglevel";
+import debug from "debug";
+import { normalizeUser } from "../model/permissions.js";
+
+const dProfile = debug("app:storage:userProfile");
+
+/** @const {string} localStorage key of the profile. */
+const USER_PROFILE_KEY = "tabletoptool.userProfile";
+
+/**
+ * Reads the stored profile.
+ * @returns {import('../model/permissions.js').User | null} The profile, or null if none is stored or storage is unavailable.
+ */
+export const loadUserProfile = () => {
+  try {
+    const stored = localStorage.getItem(USER_PROFILE_KEY);
+    if (!stored) return null;
+    const profile = normalizeUser(JSON.parse(stored));
+    dProfile("Loaded user profile: %o", profile);
+    return profile;
+  } catch (error) {
+    log.warn("[userProfile.js] Could not read the user profile:", error);
+    return null;
+  }
+};
+
+/**
+ * Stores the profile. Failures (e.g., storage disabled) are logged and otherwise ignored.
+ * @param {import('../model/permissions.js').User} user - The profile.
+ */
+export const saveUserProfile = (user) => {
+  try {
+    localStorage.setItem(USER_PROFILE_KEY, JSON.stringify(normalizeUser(user)));
+    dProfile("Saved user profile: %o", user);
+  } catch (error) {
+    log.warn("[userProfile.js] Could not save the user profile:", error);
+  }
+};
@@ -0,0 +1,84 @@
+// src/sync/memoryAdapter.js
+/**
+ * @file Sync adapter that keeps sessions in memory.
+ * Adapters created with the same store share its sessions, like clients of a server that only lives as long as
+ * the page: the store keeps each session's table (applying published operations to it) and passes operations on
+ * to the other adapters connected to the session. Useful for trying sync without a backend and as the reference
+ * implementation of the adapter interface.
+ */
+import debug from "debug";
+import { applyOperationToState } from "./operations.js";
+
+const dMemory = debug("app:sync:memory");
+
+/**
+ * @typedef {Object} MemorySessionStore
+ * @property {Map<string, {state: object | null, subscribers: Set<object>}>} sessions - Sessions by ID.
+ */
+
+/**
+ * Creates an empty store for memory adapters.
+ * @returns {MemorySessionStore}
+ */
+export const createMemorySessionStore = () => ({ sessions: new Map() });
+
+/** Store used by adapters created without one. */
+const defaultStore = createMemorySessionStore();
+
+/**
+ * Creates a memory adapter.
+ * @param {object} [options] - Adapter options.
+ * @param {MemorySessionStore} [options.store] - The store shared with other adapters (defaults to one per page).
+ * @returns {import('./sessionSync.js').SyncAdapter}
+ */
+export const createMemoryAdapter = ({ store = defaultStore } = {}) => {
+  let session = null;
+  let subscriber = null;
+
+  /**
+   * Tells the other subscribers of the session how many participants there are.
+   */
+  const notifyPeers = () => {
+    session.subscribers.forEach((other) =>
+      other.onPeersChanged?.(session.subscribers.size - 1),
+    );
+  };
+
+  return {
+    name: "memory",
+    label: "In-Memory",
+
+    connect: async (sessionId, handlers) => {
+      if (!store.sessions.has(sessionId)) {
+        store.sessions.set(sessionId, { state: null, subscribers: new Set() });
+      }
+      session = store.sessions.get(sessionId);
+      subscriber = handlers;
+      session.subscribers.add(subscriber);
+      dMemory("Connected to session %s", sessionId);
+      notifyPeers();
+      return session.state ? structuredClone(session.state) : null;
+    },
+
+    publish: async (ops) => {
+      if (!session) return;
+      if (!session.state) session.state = { objects: [] };
+      ops.forEach((op) => applyOperationToState(session.state, op));
+      session.subscribers.forEach((other) => {
+        if (other !== subscriber) other.onOperations(structuredClone(ops));
+      });
+    },
+
+    saveState: async (state) => {
+      if (session) session.state = structuredClone(state);
+    },
+
+    disconnect: () => {
+      if (!session) return;
+      session.subscribers.delete(subscriber);
+      notifyPeers();
+      session = null;
+      subscriber = null;
+    },
+  };
+};
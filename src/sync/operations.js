@@ -0,0 +1,133 @@
+// src/sync/operations.js
+/**
+ * @file Translates local 'modelChanged' events into the operations sent to other participants, and queues them.
+ * Operations carry complete states (the whole object, the whole grid...) rather than diffs, so applying one twice,
+ * or applying an older one followed by a newer one, always ends in the newer state.
+ * View-only changes (pan/zoom, selection, undo availability) are not shared.
+ */
+
+/**
+ * Builds the operations describing a local model change.
+ * @param {{type: string, payload: *, remote?: boolean}} detail - The 'modelChanged' event detail.
+ * @returns {Array<import('../model/model.js').RemoteOperation>} The operations (empty for remote and view-only changes).
+ */
+export const operationsFromModelChange = (detail) => {
+  if (!detail || detail.remote) return [];
+  const { type, payload } = detail;
+  switch (type) {
+    case "objectAdded":
+    case "objectUpdated":
+      return [{ kind: "putObject", object: payload }];
+    case "objectDeleted":
+      return [{ kind: "deleteObject", id: payload.id }];
+    case "allObjectsCleared":
+      return [{ kind: "clearObjects" }];
+    case "backgroundChanged":
+      return [{ kind: "setBackground", background: payload }];
+    case "boardPropertiesChanged":
+      return [{ kind: "setBoardProperties", properties: payload }];
+    case "gridChanged":
+      return [{ kind: "setGrid", grid: payload }];
+    case "fogChanged":
+      return [{ kind: "setFog", fog: payload }];
+    case "wallsChanged":
+      return [{ kind: "setWalls", walls: payload }];
+    case "lightingChanged":
+      return [{ kind: "setLighting", lighting: payload }];
+    case "layersChanged":
+      return [{ kind: "setLayers", layers: payload }];
+    case "templatesChanged":
+      return [{ kind: "setTemplates", templates: payload }];
+    case "assetAdded":
+      return [{ kind: "putAsset", hash: payload.hash, data: payload.data }];
+    case "rollAdded":
+      return [{ kind: "addRoll", entry: payload }];
+    default:
+      return [];
+  }
+};
+
+/**
+ * Adds an operation to a queue of operations waiting to be sent.
+ * A `putObject` replaces an earlier queued `putObject` of the same object (e.g. during a drag), unless the object
+ * was deleted or the board cleared in between, so a burst of updates is sent as a single state.
+ * @param {Array<import('../model/model.js').RemoteOperation>} queue - The queue (modified in place).
+ * @param {import('../model/model.js').RemoteOperation} op - The operation to add.
+ */
+export const queueOperation = (queue, op) => {
+  if (op.kind === "putObject") {
+    for (let i = queue.length - 1; i >= 0; i--) {
+      const queued = queue[i];
+      if (
+        queued.kind === "clearObjects" ||
+        (queued.kind === "deleteObject" && queued.id === op.object.id)
+      ) {
+        break;
+      }
+      if (queued.kind === "putObject" && queued.object.id === op.object.id) {
+        queue.splice(i, 1);
+        break;
+      }
+    }
+  }
+  queue.push(op);
+};
+
+/**
+ * Applies an operation to a stored session state (the `.ttt.json` shape), e.g. in a backend that keeps
+ * the session's table itself.
+ * @param {object} state - The session state (modified in place).
+ * @param {import('../model/model.js').RemoteOperation} op - The operation.
+ */
+export const applyOperationToState = (state, op) => {
+  if (!Array.isArray(state.objects)) state.objects = [];
+  switch (op.kind) {
+    case "putObject": {
+      const index = state.objects.findIndex((obj) => obj.id === op.object.id);
+      if (index === -1) state.objects.push(op.object);
+      else state.objects[index] = op.object;
+      break;
+    }
+    case "deleteObject":
+      state.objects = state.objects.filter((obj) => obj.id !== op.id);
+      break;
+    case "clearObjects":
+      state.objects = [];
+      break;
+    case "setBackground":
+      state.background = op.background;
+      break;
+    case "setBoardProperties":
+      state.boardProperties = op.properties;
+      break;
+    case "setGrid":
+      state.grid = op.grid;
+      break;
+    case "setFog":
+      state.fog = op.fog;
+      break;
+    case "setWalls":
+      state.walls = op.walls;
+      break;
+    case "setLighting":
+      state.lighting = op.lighting;
+      break;
+    case "setLayers":
+      state.layers = op.layers;
+      break;
+    case "setTemplates":
+      state.templates = op.templates;
+      break;
+    case "putAsset":
+      state.assets = { ...state.assets, [op.hash]: op.data };
+      break;
+    case "addRoll":
+      state.dice = {
+        ...state.dice,
+        log: [...(state.dice?.log || []), op.entry],
+      };
+      break;
+    default:
+      break;
+  }
+};
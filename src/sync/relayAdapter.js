@@ -0,0 +1,149 @@
+// src/sync/relayAdapter.js
+/**
+ * @file Sync adapter for the WebSocket relay in `server/relay.js`.
+ * The relay keeps no table of its own: a participant joining a room that already has members receives the
+ * session state from the longest-connected member, and answers the same request (with `handlers.getState()`)
+ * when others join later. Operations are forwarded to the other members as they are published.
+ */
+import log from "loglevel";
+import debug from "debug";
+
+const dRelay = debug("app:sync:relay");
+
+/** @const {number} Port of the relay started by `npm run relay`. */
+const DEFAULT_RELAY_PORT = 8787;
+
+/**
+ * Returns the relay URL used when none is given: `VITE_RELAY_URL`, or port 8787 on the host serving the app.
+ * @returns {string}
+ */
+export const getDefaultRelayUrl = () =>
+  import.meta.env.VITE_RELAY_URL ||
+  `ws://${window.location.hostname || "localhost"}:${DEFAULT_RELAY_PORT}`;
+
+/**
+ * Creates a relay adapter.
+ * @param {object} [options] - Adapter options.
+ * @param {string} [options.url] - The relay URL (defaults to `getDefaultRelayUrl()`).
+ * @returns {import('./sessionSync.js').SyncAdapter}
+ */
+export const createRelayAdapter = ({ url = getDefaultRelayUrl() } = {}) => {
+  /** @type {WebSocket | null} */
+  let socket = null;
+  /** @type {Set<string>} IDs of the other participants. */
+  let peers = new Set();
+
+  /**
+   * Sends a message to the relay if connected.
+   * @param {object} message - The message.
+   */
+  const send = (message) => {
+    if (socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  return {
+    name: "relay",
+    label: "Relay",
+
+    connect: (sessionId, handlers) =>
+      new Promise((resolve, reject) => {
+        const relayUrl = new URL(url);
+        relayUrl.searchParams.set("room", sessionId);
+        dRelay("Connecting to %s", relayUrl.href);
+        let joined = false;
+        const connection = new WebSocket(relayUrl.href);
+        socket = connection;
+
+        connection.addEventListener("message", (event) => {
+          if (socket !== connection) return;
+          let message;
+          try {
+            message = JSON.parse(event.data);
+          } catch (error) {
+            log.warn(
+              "[relayAdapter.js] Ignoring malformed relay message.",
+              error,
+            );
+            return;
+          }
+          dRelay("Relay message: %s", message.type);
+          switch (message.type) {
+            case "welcome":
+              peers = new Set(message.peers);
+              handlers.onPeersChanged?.(peers.size);
+              if (peers.size === 0) {
+                joined = true;
+                resolve(null);
+              }
+              break;
+            case "state":
+              if (!joined) {
+                joined = true;
+                resolve(message.state);
+              }
+              break;
+            case "stateRequest":
+              send({
+                type: "state",
+                to: message.requesterId,
+                state: handlers.getState(),
+              });
+              break;
+            case "ops":
+              handlers.onOperations(message.ops);
+              break;
+            case "peerJoined":
+              peers.add(message.clientId);
+              handlers.onPeersChanged?.(peers.size);
+              break;
+            case "peerLeft":
+              peers.delete(message.clientId);
+              handlers.onPeersChanged?.(peers.size);
+              break;
+            case "error":
+              log.warn(
+                "[relayAdapter.js] Relay reported an error:",
+                message.message,
+              );
+              break;
+            default:
+              dRelay("Ignoring unknown relay message type: %s", message.type);
+          }
+        });
+        connection.addEventListener("close", (event) => {
+          if (socket !== connection) return; // Closed by disconnect()
+          socket = null;
+          peers = new Set();
+          if (!joined) {
+            reject(
+              new Error(
+                `Could not reach the multiplayer relay at ${url}. Is it running (npm run relay)?`,
+              ),
+            );
+            return;
+          }
+          log.warn(
+            `[relayAdapter.js] Relay connection closed (code ${event.code}).`,
+          );
+          handlers.onDisconnected?.("The connection to the relay was lost.");
+        });
+      }),
+
+    publish: async (ops) => {
+      send({ type: "ops", ops });
+    },
+
+    // The relay keeps no state: members answer join requests from their own table.
+    saveState: async () => {},
+
+    disconnect: () => {
+      if (!socket) return;
+      const connection = socket;
+      socket = null;
+      peers = new Set();
+      connection.close();
+    },
+  };
+};
@@ -0,0 +1,303 @@
+// src/sync/sessionSync.js
+/**
+ * @file Multiplayer: keeps the table in sync with the other participants of a shared session through a
+ * sync adapter (the WebSocket relay, Firebase, or an in-memory store; see `SYNC_BACKENDS`).
+ * Local 'modelChanged' events are turned into operations (see operations.js) and published in small batches.
+ * Operations from other participants are applied through `VTT_API.applyRemoteOperation`, which marks the resulting
+ * events as remote so they are not published again. When joining, the session's stored table replaces the local
+ * one; if the session is new, the local table is stored as its table. Operations that arrive while joining are
+ * replayed on top of the session's table.
+ */
+import log from "loglevel";
+import debug from "debug";
+import { VTT_API } from "../api.js";
+import {
+  createSessionSnapshot,
+  applyTableState,
+} from "../session_management.js";
+import { operationsFromModelChange, queueOperation } from "./operations.js";
+import { createRelayAdapter } from "./relayAdapter.js";
+import { createMemoryAdapter } from "./memoryAdapter.js";
+
+const dSync = debug("app:sync");
+dSync("sessionSync.js module loaded");
+
+/** @const {number} Delay for collecting local changes into one batch. */
+export const SYNC_FLUSH_INTERVAL_MS = 50;
+
+/**
+ * @typedef {Object} SyncAdapterHandlers
+ * Callbacks the driver passes to `SyncAdapter.connect`.
+ * @property {function(Array<import('../model/model.js').RemoteOperation>): void} onOperations - Receives operations made by other participants.
+ * @property {function(): object} getState - Returns the local session state (the `.ttt.json` shape), e.g. for a participant joining.
+ * @property {function(number): void} [onPeersChanged] - Receives the number of other participants, if the backend knows it.
+ * @property {function(string): void} [onDisconnected] - Called with a reason when the backend connection is lost.
+ */
+
+/**
+ * @typedef {Object} SyncAdapter
+ * A backend for shared sessions. Adapters never touch the model; the driver applies and produces the operations.
+ * @property {string} name - Identifies the backend (e.g. 'relay').
+ * @property {string} label - Shown to the user.
+ * @property {function(string, SyncAdapterHandlers): Promise<object | null>} connect - Joins a session. Resolves with the
+ *           session's table (the `.ttt.json` shape), or null if the session has none yet. Rejects if the backend cannot be reached.
+ * @property {function(Array<import('../model/model.js').RemoteOperation>): Promise<void>} publish - Sends local operations to the session.
+ * @property {function(object): Promise<void>} saveState - Stores the local table as the session's table (after joining a new session).
+ * @property {function(): void} disconnect - Leaves the session. No handlers are called afterwards.
+ */
+
+/**
+ * Available sync backends. `create` returns a new adapter (possibly asynchronously, so large SDKs are only loaded
+ * when used); `isAvailable` tells whether the backend is configured.
+ * @type {Object<string, {label: string, isAvailable: function(): boolean, create: function(): (SyncAdapter | Promise<SyncAdapter>)}>}
+ */
+export const SYNC_BACKENDS = {
+  relay: {
+    label: "Relay",
+    isAvailable: () => true,
+    create: () => createRelayAdapter(),
+  },
+  firebase: {
+    label: "Firebase",
+    isAvailable: () =>
+      Boolean(
+        import.meta.env.VITE_FIREBASE_CONFIG ||
+          import.meta.env.VITE_FIREBASE_EMULATOR_HOST,
+      ),
+    create: async () =>
+      (await import("../firebase.js")).createFirebaseAdapter(),
+  },
+  memory: {
+    label: "In-Memory",
+    // Only shared within this page, so not offered in the UI unless asked for.
+    isAvailable: () => import.meta.env.VITE_SYNC_MEMORY_BACKEND === "true",
+    create: () => createMemoryAdapter(),
+  },
+};
+
+/**
+ * @typedef {Object} SyncStatus
+ * @property {'disconnected' | 'connecting' | 'joining' | 'connected'} state - `joining` while the session's table is loaded.
+ * @property {string | null} backend - Name of the backend in use.
+ * @property {string | null} room - The session joined.
+ * @property {number | null} peerCount - Number of other participants, or null if the backend does not report it.
+ */
+
+// --- State Variables ---
+/** @type {SyncAdapter | null} */
+let adapter = null;
+/** @type {SyncStatus} */
+let status = {
+  state: "disconnected",
+  backend: null,
+  room: null,
+  peerCount: null,
+};
+/** @type {Array<import('../model/model.js').RemoteOperation>} Local operations waiting to be published. */
+let outgoingOps = [];
+let flushTimer = null;
+/** @type {Array<Array<import('../model/model.js').RemoteOperation>> | null} Remote batches received while joining. */
+let bufferedRemoteOps = null;
+/** @type {function(SyncStatus, string=): void | null} */
+let statusListener = null;
+/** @type {number} Incremented on every connect and disconnect, so callbacks of an abandoned connection are ignored. */
+let connectAttempt = 0;
+
+/**
+ * Lists the backends that can be used, for the UI.
+ * @returns {Array<{name: string, label: string}>}
+ */
+export const getAvailableBackends = () =>
+  Object.entries(SYNC_BACKENDS)
+    .filter(([, backend]) => backend.isAvailable())
+    .map(([name, backend]) => ({ name, label: backend.label }));
+
+/**
+ * Retrieves a copy of the connection status.
+ * @returns {SyncStatus}
+ */
+export const getStatus = () => ({ ...status });
+
+/**
+ * Updates the status and notifies the listener.
+ * @param {Partial<SyncStatus>} changes - The changed fields.
+ * @param {string} [reason] - Why the status changed, if it was not requested (e.g. a lost connection).
+ */
+const setStatus = (changes, reason) => {
+  status = { ...status, ...changes };
+  dSync("Status: %o", status);
+  if (statusListener) statusListener(getStatus(), reason);
+};
+
+/**
+ * Publishes the queued local operations.
+ */
+const flush = () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!adapter || outgoingOps.length === 0) return;
+  dSync("Publishing %d operations.", outgoingOps.length);
+  const ops = outgoingOps;
+  outgoingOps = [];
+  adapter.publish(ops).catch((error) => {
+    log.error("[sessionSync.js] Failed to publish changes:", error);
+    VTT_API.showMessage(`Sync Error: ${error.message}`, "error");
+  });
+};
+
+/**
+ * Queues the operations of a local model change. Changes made while joining are not published, since the
+ * session's table replaces them.
+ * @param {CustomEvent} event - The modelChanged event.
+ */
+const handleModelChanged = (event) => {
+  if (status.state !== "connected") return;
+  const ops = operationsFromModelChange(event.detail);
+  if (ops.length === 0) return;
+  ops.forEach((op) => queueOperation(outgoingOps, op));
+  if (!flushTimer) flushTimer = setTimeout(flush, SYNC_FLUSH_INTERVAL_MS);
+};
+
+/**
+ * Applies a batch of operations from another participant.
+ * @param {Array<import('../model/model.js').RemoteOperation>} ops - The operations.
+ */
+const applyRemoteOps = (ops) => {
+  ops.forEach((op) => {
+    try {
+      VTT_API.applyRemoteOperation(op);
+    } catch (error) {
+      log.error(
+        "[sessionSync.js] Failed to apply remote operation:",
+        op,
+        error,
+      );
+    }
+  });
+};
+
+/**
+ * Receives operations from the adapter, holding them back while joining.
+ * @param {Array<import('../model/model.js').RemoteOperation>} ops - The operations.
+ */
+const handleRemoteOperations = (ops) => {
+  if (bufferedRemoteOps) bufferedRemoteOps.push(ops);
+  else applyRemoteOps(ops);
+};
+
+/**
+ * Replaces the table with the session's table. The view (pan/zoom) stays as it is, and the undo history is
+ * cleared since it refers to the replaced table.
+ * @param {object} state - The session state.
+ */
+const applySessionState = (state) => {
+  dSync("Applying session state with %d objects.", state.objects?.length);
+  VTT_API.applyRemoteChanges(() =>
+    applyTableState({ ...state, viewState: undefined }, "Join session"),
+  );
+  VTT_API.clearHistory();
+};
+
+/**
+ * Stops listening to the model and drops the connection state.
+ */
+const teardown = () => {
+  document.removeEventListener("modelChanged", handleModelChanged);
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  outgoingOps = [];
+  bufferedRemoteOps = null;
+  adapter = null;
+};
+
+/**
+ * Joins a shared session. Leaves the current session first, if any.
+ * @param {object} options - Connection options.
+ * @param {string} options.room - The session to join.
+ * @param {string} [options.backend='relay'] - Name of the backend (a key of `SYNC_BACKENDS`).
+ * @param {SyncAdapter} [options.adapter] - An adapter to use instead of creating one for `backend`.
+ * @param {function(SyncStatus, string=): void} [options.onStatusChange] - Called whenever the status or the
+ *        participants change, with a reason if the change was not requested (e.g. the connection was lost).
+ * @returns {Promise<void>} Resolves once joined (or when `disconnect` is called while joining).
+ * @throws {Error} If the backend is unknown or cannot be reached (the status is back to 'disconnected').
+ */
+export const connect = async ({
+  room,
+  backend = "relay",
+  adapter: givenAdapter,
+  onStatusChange,
+}) => {
+  disconnect();
+  statusListener = onStatusChange || null;
+  const definition = SYNC_BACKENDS[backend];
+  if (!givenAdapter && !definition) {
+    throw new Error(`Unknown sync backend '${backend}'.`);
+  }
+  const attempt = ++connectAttempt;
+  const isCurrent = () => attempt === connectAttempt;
+  setStatus({
+    state: "connecting",
+    backend: givenAdapter?.name || backend,
+    room,
+    peerCount: null,
+  });
+  bufferedRemoteOps = [];
+  let newAdapter = null;
+  try {
+    newAdapter = givenAdapter || (await definition.create());
+    if (!isCurrent()) return; // Left while the backend was loading
+    adapter = newAdapter;
+    const state = await newAdapter.connect(room, {
+      onOperations: (ops) => {
+        if (isCurrent()) handleRemoteOperations(ops);
+      },
+      getState: createSessionSnapshot,
+      onPeersChanged: (count) => {
+        if (isCurrent()) setStatus({ peerCount: count });
+      },
+      onDisconnected: (reason) => {
+        if (!isCurrent()) return;
+        log.warn("[sessionSync.js] Disconnected:", reason);
+        connectAttempt++;
+        teardown();
+        setStatus({ state: "disconnected", peerCount: null }, reason);
+      },
+    });
+    if (!isCurrent()) return;
+    setStatus({ state: "joining" });
+    if (state) {
+      applySessionState(state);
+    } else {
+      dSync("Session %s is new; storing the local table.", room);
+      await newAdapter.saveState(createSessionSnapshot());
+      if (!isCurrent()) return;
+    }
+  } catch (error) {
+    if (isCurrent()) {
+      connectAttempt++;
+      newAdapter?.disconnect();
+      teardown();
+      setStatus({ state: "disconnected", peerCount: null });
+    }
+    throw error;
+  }
+  const buffered = bufferedRemoteOps;
+  bufferedRemoteOps = null;
+  buffered.forEach(applyRemoteOps);
+  document.addEventListener("modelChanged", handleModelChanged);
+  setStatus({ state: "connected" });
+};
+
+/**
+ * Leaves the session (or stops joining one). The table stays as it is.
+ */
+export const disconnect = () => {
+  if (status.state === "disconnected") return;
+  dSync("Leaving session %s", status.room);
+  connectAttempt++;
+  flush();
+  const leavingAdapter = adapter;
+  teardown();
+  leavingAdapter?.disconnect();
+  setStatus({ state: "disconnected", peerCount: null });
+};
@@ -1,13 +1,65 @@
 // src/viewmodels/canvasViewModel.js
 import log from "loglevel";
 import debug from "debug";
+import {
+  toPixelGrid,
+  snapObjectPosition,
+  getCellCenter,
+  measurePath,
+  pixelsToBoardUnits,
+} from "../model/grid.js";
+import { getObjectOutline, outlinesOverlap } from "../model/collision.js";
+import { isPathShape, hitTestPath, isPointInPolygon } from "../model/shapes.js";
+import { isAssetUrl, toAssetUrl } from "../model/assets.js";
+import { resolveImageUrl } from "../storage/assetStore.js";
+import {
+  normalizeUser,
+  canSeeObject,
+  canEditObject,
+  isRestrictedObject,
+} from "../model/permissions.js";
+import { DEFAULT_FOG, normalizeFog, isPointFogged } from "../model/fog.js";
+import {
+  DEFAULT_LIGHTING,
+  normalizeLighting,
+  normalizeWalls,
+  getObjectCenter,
+  getLightRadii,
+  computeVisibilityPolygon,
+  getBlockingWalls,
+} from "../model/lighting.js";
+import {
+  DEFAULT_OBJECT_LAYER,
+  normalizeLayers,
+  getObjectLayer,
+  canSeeLayer,
+  compareByLayerAndZIndex,
+} from "../model/layers.js";
+import {
+  isGroup,
+  getChildIds,
+  buildParentIndex,
+  resolveWorldObject,
+} from "../model/group.js";
 
 const dCanvasVM = debug("app:vm:canvas");
 
+/** Distance in screen pixels within which a click still hits a line or stroke. */
+const STROKE_PICK_TOLERANCE_PX = 4;
+
+/** Opacity of the fog of war as the GM sees it (players see it opaque). */
+const FOG_GM_OPACITY = 0.5;
+
+/** Number of visibility polygons kept between draws (they are recomputed when walls or the board change). */
+const VISIBILITY_CACHE_SIZE = 256;
+
+/** Longest wait in milliseconds for images to load before an export is rendered without them. */
+const IMAGE_WAIT_TIMEOUT_MS = 10000;
+
 /**
  * Manages the state and logic specific to the canvas view.
  * This includes object positions, pan/zoom state, background, selection,
- * board properties, loaded images, and coordinate conversions.
+ * board properties, grid, loaded images, and coordinate conversions.
  * It receives data updates from model changes (via main.js) and provides
  * data for rendering to canvasView.js.
  */
@@ -55,8 +107,10 @@ class CanvasViewModel {
       value: "#cccccc",
     }; // Default background
 
-    /** @type {string | null} ID of the currently selected object. */
+    /** @type {string | null} ID of the primary selected object. */
     this.viewModelSelectedObjectId = null;
+    /** @type {string[]} IDs of all selected objects, including the primary one. */
+    this.viewModelSelectedObjectIds = [];
 
     /**
      * @type {{widthUser: number, heightUser: number, unitForDimensions: string, widthPx: number, heightPx: number, scaleRatio: number, unitForRatio: string}}
@@ -72,8 +126,47 @@ class CanvasViewModel {
       unitForRatio: "mm", // Scale interpretation
     };
 
+    /** @type {object} Grid settings (type, cellSize, offsetX, offsetY, color, opacity, snap) in board units. */
+    this.viewModelGrid = {
+      type: "none",
+      cellSize: 1,
+      offsetX: 0,
+      offsetY: 0,
+      color: "#000000",
+      opacity: 0.3,
+      snap: false,
+      measurementRule: "euclidean",
+    };
+
+    /** @type {import('../model/permissions.js').User} The participant using this app; decides what is drawn and picked. */
+    this.viewModelUser = normalizeUser();
+
+    /** @type {import('../model/fog.js').FogState} The fog of war, in board coordinates. */
+    this.viewModelFog = normalizeFog(DEFAULT_FOG);
+
+    /** @type {boolean} If true, the GM sees the fog opaque, as players do. Local to this view. */
+    this.fogPreview = false;
+
+    /** @type {import('../model/lighting.js').Wall[]} Walls blocking sight and light, in board coordinates. */
+    this.viewModelWalls = [];
+
+    /** @type {import('../model/lighting.js').LightingSettings} Dynamic lighting settings. */
+    this.viewModelLighting = normalizeLighting(DEFAULT_LIGHTING);
+
+    /** @type {Map<string, Array<{x: number, y: number}>>} Visibility polygons by origin ("x,y"). */
+    this.visibilityPolygons = new Map();
+
+    /** @type {import('../model/layers.js').Layer[]} The object layers, bottom first. */
+    this.viewModelLayers = normalizeLayers();
+
+    /** @type {string} The layer this participant works on: its objects are picked first. Local to this view. */
+    this.activeLayerId = DEFAULT_OBJECT_LAYER;
+
+    /** @type {Map<string, string> | null} Group IDs by grouped object ID (see group.js); rebuilt when objects change. */
+    this.parentIds = null;
+
     /** @type {Map<string, {img: HTMLImageElement|null, status: 'loading'|'loaded'|'error'}>} Cache for loaded images. */
-    this.loadedImages = new Map(); // url -> { img: Image, status: 'loading' | 'loaded' | 'error' }
+    this.loadedImages = new Map(); // url -> { img: Image, status: 'loading' | 'loaded' | 'error' | 'missing' }
 
     /** @type {number} The physical width of the canvas element in pixels. */
     this.canvasPhysicalWidth = 0;
@@ -111,6 +204,300 @@ class CanvasViewModel {
     return this.viewModelObjects;
   }
 
+  /** @returns {import('../model/permissions.js').User} The participant using this app. */
+  getUser() {
+    return this.viewModelUser;
+  }
+
+  /**
+   * Returns the group an object is in.
+   * @param {string} objectId - The ID of the object.
+   * @returns {string | undefined} The ID of the group, or undefined if the object is not grouped.
+   */
+  getParentId(objectId) {
+    if (!this.parentIds) {
+      this.parentIds = buildParentIndex(this.viewModelObjects.values());
+    }
+    return this.parentIds.get(objectId);
+  }
+
+  /**
+   * Returns the outermost group an object is in (the object itself if it is not grouped).
+   * @param {VTTObject} obj - The object.
+   * @returns {VTTObject}
+   */
+  getRootObject(obj) {
+    const parent = this.viewModelObjects.get(this.getParentId(obj?.id));
+    return parent ? this.getRootObject(parent) : obj;
+  }
+
+  /**
+   * Returns an object with its position and rotation on the table (objects in groups store them relative to their
+   * group; see group.js).
+   * @param {VTTObject} obj - The object.
+   * @returns {VTTObject} The object itself if it is not grouped, otherwise a placed copy.
+   */
+  getWorldObject(obj) {
+    this.getParentId(obj.id); // Builds the parent index if needed
+    return resolveWorldObject(
+      obj,
+      (id) => this.viewModelObjects.get(id),
+      this.parentIds,
+    );
+  }
+
+  /**
+   * Returns the children of a group the current user sees, on the table, bottom first.
+   * @param {VTTObject} group - The group.
+   * @returns {VTTObject[]}
+   */
+  getVisibleChildren(group) {
+    return getChildIds(group)
+      .filter((childId) => this.getParentId(childId) === group.id)
+      .map((childId) => this.getWorldObject(this.viewModelObjects.get(childId)))
+      .filter((child) => canSeeObject(child, this.viewModelUser))
+      .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0));
+  }
+
+  /**
+   * Tells whether the current user can see an object: its access list admits the user and its layer is shown to
+   * them. Objects the user cannot see are neither drawn nor picked.
+   * @param {VTTObject} obj - The object.
+   * @returns {boolean}
+   */
+  canSeeObject(obj) {
+    return (
+      canSeeObject(obj, this.viewModelUser) &&
+      canSeeLayer(this.getObjectLayer(obj), this.viewModelUser)
+    );
+  }
+
+  /**
+   * Tells whether an object can be picked on the canvas (clicked, dragged or marquee-selected): the user sees it,
+   * its layer is not locked and it is not in a group (groups are picked as a whole).
+   * @param {VTTObject} obj - The object.
+   * @returns {boolean}
+   */
+  isObjectPickable(obj) {
+    return (
+      this.canSeeObject(obj) &&
+      !this.getObjectLayer(obj)?.locked &&
+      !this.getParentId(obj.id)
+    );
+  }
+
+  /** @returns {import('../model/layers.js').Layer[]} The object layers, bottom first. */
+  getLayers() {
+    return this.viewModelLayers;
+  }
+
+  /** @returns {string} The ID of the layer this participant works on. */
+  getActiveLayerId() {
+    return this.activeLayerId;
+  }
+
+  /**
+   * Returns the layer an object is on (see layers.js). Objects in a group are on their outermost group's layer.
+   * @param {VTTObject} obj - The object.
+   * @returns {import('../model/layers.js').Layer | null}
+   */
+  getObjectLayer(obj) {
+    return getObjectLayer(this.getRootObject(obj), this.viewModelLayers);
+  }
+
+  /**
+   * Returns the objects the current user sees, on the table, in drawing order: by layer (bottom first), then by
+   * zIndex. A group's children are drawn in its place, by zIndex within the group, followed by the group itself.
+   * @returns {VTTObject[]}
+   */
+  getVisibleObjectsInDrawOrder() {
+    const withChildren = (obj) =>
+      isGroup(obj)
+        ? [...this.getVisibleChildren(obj).flatMap(withChildren), obj]
+        : [obj];
+    return Array.from(this.viewModelObjects.values())
+      .filter(
+        (obj) => obj && !this.getParentId(obj.id) && this.canSeeObject(obj),
+      )
+      .sort(compareByLayerAndZIndex(this.viewModelLayers))
+      .flatMap(withChildren);
+  }
+
+  /**
+   * Tells whether the current user can change an object (e.g., drag it).
+   * @param {string} objectId - The ID of the object.
+   * @returns {boolean} False if the object is unknown.
+   */
+  canEditObject(objectId) {
+    const obj = this.viewModelObjects.get(objectId);
+    return Boolean(obj) && canEditObject(obj, this.viewModelUser);
+  }
+
+  /**
+   * Tells whether an object is drawn ghosted: the GM sees objects hidden from some participants semi-transparent.
+   * @param {VTTObject} obj - The object.
+   * @returns {boolean}
+   */
+  isObjectGhosted(obj) {
+    return (
+      this.viewModelUser.role === "gm" &&
+      (isRestrictedObject(obj) || Boolean(this.getObjectLayer(obj)?.gmOnly))
+    );
+  }
+
+  /** @returns {import('../model/fog.js').FogState} The fog of war. */
+  getFog() {
+    return this.viewModelFog;
+  }
+
+  /**
+   * Opacity the fog of war is drawn with: see-through for the GM (unless previewing the players' view), opaque for
+   * everyone else.
+   * @returns {number} The opacity, 0 to 1.
+   */
+  getFogOpacity() {
+    return this.viewModelUser.role === "gm" && !this.fogPreview
+      ? FOG_GM_OPACITY
+      : 1;
+  }
+
+  /**
+   * Tells whether a point is concealed from the current user by the fog of war or, with dynamic lighting on, because
+   * none of the user's tokens sees it. The GM sees everything.
+   * @param {number} worldX - The point's X in world space.
+   * @param {number} worldY - The point's Y in world space.
+   * @returns {boolean}
+   */
+  isPointConcealed(worldX, worldY) {
+    if (this.viewModelUser.role === "gm") return false;
+    return (
+      isPointFogged(this.viewModelFog, worldX, worldY) ||
+      (this.isVisionLimited() && !this.isPointInVision(worldX, worldY))
+    );
+  }
+
+  /** @returns {import('../model/lighting.js').Wall[]} The walls. */
+  getWalls() {
+    return this.viewModelWalls;
+  }
+
+  /** @returns {import('../model/lighting.js').LightingSettings} The dynamic lighting settings. */
+  getLighting() {
+    return this.viewModelLighting;
+  }
+
+  /**
+   * Tells whether the current user only sees what their tokens see: dynamic lighting is on and the user is not
+   * the GM.
+   * @returns {boolean}
+   */
+  isVisionLimited() {
+    return this.viewModelLighting.enabled && this.viewModelUser.role !== "gm";
+  }
+
+  /**
+   * Returns the area visible from a point, limited by the walls and the board (see lighting.js).
+   * Polygons are cached until the walls or the board change.
+   * @param {{x: number, y: number}} origin - The point, in world space.
+   * @returns {Array<{x: number, y: number}>} The polygon's vertices.
+   */
+  getVisibilityPolygon(origin) {
+    const key = `${origin.x},${origin.y}`;
+    let polygon = this.visibilityPolygons.get(key);
+    if (!polygon) {
+      const { widthPx, heightPx } = this.viewModelBoardProperties;
+      const bounds = {
+        minX: Math.min(0, origin.x - 1),
+        minY: Math.min(0, origin.y - 1),
+        maxX: Math.max(widthPx, origin.x + 1),
+        maxY: Math.max(heightPx, origin.y + 1),
+      };
+      polygon = computeVisibilityPolygon(
+        origin,
+        getBlockingWalls(this.viewModelWalls),
+        bounds,
+      );
+      if (this.visibilityPolygons.size >= VISIBILITY_CACHE_SIZE) {
+        this.visibilityPolygons.clear();
+      }
+      this.visibilityPolygons.set(key, polygon);
+    }
+    return polygon;
+  }
+
+  /**
+   * Returns the tokens the current user sees through: objects with vision that the user can edit (players) or
+   * see (spectators).
+   * @returns {Array<{obj: VTTObject, polygon: Array<{x: number, y: number}>}>} The tokens and what they see.
+   */
+  getVisionSources() {
+    const sources = [];
+    this.viewModelObjects.forEach((storedObj) => {
+      if (!storedObj?.hasVision || !this.canSeeObject(storedObj)) return;
+      const obj = this.getWorldObject(storedObj);
+      if (
+        this.viewModelUser.role === "player" &&
+        !canEditObject(obj, this.viewModelUser)
+      ) {
+        return;
+      }
+      sources.push({
+        obj,
+        polygon: this.getVisibilityPolygon(getObjectCenter(obj)),
+      });
+    });
+    return sources;
+  }
+
+  /**
+   * Returns the lights on the table. Objects hidden from the user still give light.
+   * @returns {Array<{origin: {x: number, y: number}, bright: number, dim: number, polygon: Array<{x: number, y: number}>}>}
+   *   The lights, with their radii in world pixels and the area they reach.
+   */
+  getLightSources() {
+    const lights = [];
+    this.viewModelObjects.forEach((obj) => {
+      const radii = obj && getLightRadii(obj, this.viewModelBoardProperties);
+      if (!radii) return;
+      const origin = getObjectCenter(this.getWorldObject(obj));
+      lights.push({
+        origin,
+        ...radii,
+        polygon: this.getVisibilityPolygon(origin),
+      });
+    });
+    return lights;
+  }
+
+  /**
+   * Tells whether one of the current user's tokens sees a point: the point is on the token, or in the token's line
+   * of sight and lit (any point in line of sight in daylight).
+   * @param {number} worldX - The point's X in world space.
+   * @param {number} worldY - The point's Y in world space.
+   * @returns {boolean}
+   */
+  isPointInVision(worldX, worldY) {
+    const point = { x: worldX, y: worldY };
+    const sources = this.getVisionSources();
+    const onToken = sources.some(
+      ({ obj }) =>
+        worldX >= obj.x &&
+        worldX <= obj.x + obj.width &&
+        worldY >= obj.y &&
+        worldY <= obj.y + obj.height,
+    );
+    if (onToken) return true;
+    if (!sources.some(({ polygon }) => isPointInPolygon(point, polygon))) {
+      return false;
+    }
+    if (this.viewModelLighting.daylight) return true;
+    return this.getLightSources().some(
+      ({ origin, dim, polygon }) =>
+        Math.hypot(worldX - origin.x, worldY - origin.y) <= dim &&
+        isPointInPolygon(point, polygon),
+    );
+  }
+
   /** @returns {{panX: number, panY: number, zoom: number}} The current pan and zoom state. */
   getPanZoom() {
     return this.viewModelPanZoom;
@@ -121,16 +508,111 @@ class CanvasViewModel {
     return this.viewModelTableBackground;
   }
 
-  /** @returns {string | null} The ID of the currently selected object. */
+  /** @returns {string | null} The ID of the primary selected object. */
   getSelectedObjectId() {
     return this.viewModelSelectedObjectId;
   }
 
+  /** @returns {string[]} The IDs of all selected objects. */
+  getSelectedObjectIds() {
+    return this.viewModelSelectedObjectIds;
+  }
+
+  /**
+   * Checks whether an object is part of the current selection.
+   * @param {string} objectId - The ID of the object.
+   * @returns {boolean} True if the object is selected.
+   */
+  isObjectSelected(objectId) {
+    return this.viewModelSelectedObjectIds.includes(objectId);
+  }
+
   /** @returns {{widthUser: number, heightUser: number, unitForDimensions: string, widthPx: number, heightPx: number, scaleRatio: number, unitForRatio: string}} The current board properties. */
   getBoardProperties() {
     return this.viewModelBoardProperties;
   }
 
+  /** @returns {object} The current grid settings, in board units. */
+  getGrid() {
+    return this.viewModelGrid;
+  }
+
+  /**
+   * Returns the grid converted to world pixels using the current board unit.
+   * @returns {{type: string, cellSize: number, offsetX: number, offsetY: number}} The grid in world pixels.
+   */
+  getPixelGrid() {
+    return toPixelGrid(
+      this.viewModelGrid,
+      this.viewModelBoardProperties.unitForDimensions,
+    );
+  }
+
+  /**
+   * Computes where an object would land if snapped to the grid.
+   * @param {string} objectId - The ID of the object.
+   * @returns {{x: number, y: number} | null} The snapped position (unchanged if snapping is disabled), or null if the object is unknown.
+   */
+  getSnappedObjectPosition(objectId) {
+    const obj = this.viewModelObjects.get(objectId);
+    if (!obj) return null;
+    if (!this.viewModelGrid.snap) return { x: obj.x, y: obj.y };
+    return snapObjectPosition(obj, this.getPixelGrid());
+  }
+
+  /**
+   * Returns true if the ruler counts grid cells, i.e. a grid is shown and the measurement rule is not Euclidean.
+   * @returns {boolean}
+   */
+  isGridMeasurementActive() {
+    return (
+      this.viewModelGrid.type !== "none" &&
+      this.viewModelGrid.measurementRule !== "euclidean"
+    );
+  }
+
+  /**
+   * Converts a world point into a ruler waypoint. When measuring in grid cells,
+   * waypoints sit on cell centers so the drawn path matches the counted cells.
+   * @param {number} worldX - World X.
+   * @param {number} worldY - World Y.
+   * @returns {{x: number, y: number}} The waypoint.
+   */
+  getRulerPoint(worldX, worldY) {
+    if (!this.isGridMeasurementActive()) return { x: worldX, y: worldY };
+    return getCellCenter(worldX, worldY, this.getPixelGrid());
+  }
+
+  /**
+   * Measures a ruler path in real-world units using the board's map scale.
+   * One board unit (`unitForDimensions`) corresponds to `scaleRatio` of `unitForRatio`;
+   * a scale ratio of 0 means "no scale" and distances are reported in board units.
+   * @param {Array<{x: number, y: number}>} points - The waypoints, in world pixels.
+   * @returns {{distance: number, unit: string, cells: number | null, label: string}} The measured distance.
+   */
+  measureRulerPath(points) {
+    const { unitForDimensions, scaleRatio, unitForRatio } =
+      this.viewModelBoardProperties;
+    const { pixels, cells } = measurePath(
+      points,
+      this.getPixelGrid(),
+      this.viewModelGrid.measurementRule,
+    );
+    const boardUnits =
+      cells !== null
+        ? cells * this.viewModelGrid.cellSize
+        : pixelsToBoardUnits(pixels, unitForDimensions);
+    const hasScale = scaleRatio > 0;
+    const distance = hasScale ? boardUnits * scaleRatio : boardUnits;
+    const unit = hasScale ? unitForRatio : unitForDimensions;
+    const roundedDistance = Math.round(distance * 100) / 100;
+    const label =
+      cells !== null
+        ? `${roundedDistance} ${unit} (${cells} ${cells === 1 ? "cell" : "cells"})`
+        : `${roundedDistance} ${unit}`;
+    return { distance, unit, cells, label };
+  }
+
   /**
    * Retrieves a loaded image entry from the cache.
    * @param {string} url - The URL of the image.
@@ -148,8 +630,10 @@ class CanvasViewModel {
    * @param {Array<VTTObject>} initialState.objects - Objects to load. (Note: API provides Array)
    * @param {{panX: number, panY: number, zoom: number}} initialState.panZoomState - Initial pan/zoom state.
    * @param {{type: 'color' | 'image', value: string}} initialState.tableBackground - Initial background.
-   * @param {string | null} initialState.selectedObjectId - Initially selected object ID.
+   * @param {string | null} initialState.selectedObjectId - Initially selected (primary) object ID.
+   * @param {string[]} [initialState.selectedObjectIds] - All initially selected object IDs.
    * @param {object} initialState.boardProperties - Initial board properties.
+   * @param {object} [initialState.grid] - Initial grid settings.
    */
   loadStateIntoViewModel(initialState) {
     dCanvasVM(
@@ -162,12 +646,14 @@ class CanvasViewModel {
       );
       dCanvasVM("loadStateIntoViewModel error: initialState is undefined.");
       this.viewModelObjects.clear();
+      this.parentIds = null;
       this.viewModelPanZoom = { panX: 0, panY: 0, zoom: 1.0 };
       this.viewModelTableBackground = {
         type: "color",
         value: "#cccccc",
       };
       this.viewModelSelectedObjectId = null;
+      this.viewModelSelectedObjectIds = [];
       this.viewModelBoardProperties = {
         widthUser: 36,
         heightUser: 24,
@@ -181,6 +667,7 @@ class CanvasViewModel {
     }
 
     this.viewModelObjects.clear();
+    this.parentIds = null;
     if (initialState.objects && Array.isArray(initialState.objects)) {
       initialState.objects.forEach((obj) =>
         this.viewModelObjects.set(obj.id, { ...obj }),
@@ -210,6 +697,30 @@ class CanvasViewModel {
       initialState.selectedObjectId !== undefined
         ? initialState.selectedObjectId
         : null;
+    if (Array.isArray(initialState.selectedObjectIds)) {
+      this.viewModelSelectedObjectIds = [...initialState.selectedObjectIds];
+    } else {
+      this.viewModelSelectedObjectIds = this.viewModelSelectedObjectId
+        ? [this.viewModelSelectedObjectId]
+        : [];
+    }
+
+    if (initialState.grid) {
+      this.viewModelGrid = { ...initialState.grid };
+    }
+
+    if (initialState.currentUser) {
+      this.viewModelUser = normalizeUser(initialState.currentUser);
+    }
+
+    if (initialState.fog) {
+      this.viewModelFog = normalizeFog(initialState.fog);
+    }
+
+    this.viewModelLayers = normalizeLayers(initialState.layers);
+    this.viewModelWalls = normalizeWalls(initialState.walls);
+    this.viewModelLighting = normalizeLighting(initialState.lighting);
+    this.visibilityPolygons.clear();
 
     if (initialState.boardProperties) {
       this.viewModelBoardProperties = {
@@ -248,6 +759,7 @@ class CanvasViewModel {
       return;
     }
     this.viewModelObjects.set(objectData.id, { ...objectData });
+    this.parentIds = null;
     dCanvasVM("Object %s added to viewModelObjects.", objectData.id);
     if (objectData.appearance && objectData.appearance.imageUrl) {
       dCanvasVM(
@@ -309,6 +821,7 @@ class CanvasViewModel {
       scripts: newScripts,
     };
     this.viewModelObjects.set(objectId, finalUpdatedObject);
+    this.parentIds = null;
     dCanvasVM(
       "Object %s updated in viewModelObjects. New state: %o",
       objectId,
@@ -355,7 +868,17 @@ class CanvasViewModel {
       return;
     }
     this.viewModelObjects.delete(objectId);
+    this.parentIds = null;
     dCanvasVM("Object %s removed from viewModelObjects.", objectId);
+    if (this.isObjectSelected(objectId)) {
+      this.viewModelSelectedObjectIds = this.viewModelSelectedObjectIds.filter(
+        (id) => id !== objectId,
+      );
+      if (this.viewModelSelectedObjectId === objectId) {
+        this.viewModelSelectedObjectId = null;
+      }
+      dCanvasVM("Removed object %s was selected; selection pruned.", objectId);
+    }
   }
 
   /**
@@ -451,6 +974,27 @@ class CanvasViewModel {
     }
   }
 
+  /**
+   * Updates the positions of several objects locally (e.g., while dragging a multi-selection)
+   * and triggers a single redraw. Like `locallyUpdateObjectPosition`, the View is expected
+   * to persist the final positions via this.vttApi.updateObject.
+   * @param {Map<string, {x: number, y: number}>} positions - New positions keyed by object ID.
+   */
+  locallyUpdateObjectPositions(positions) {
+    let changed = false;
+    positions.forEach(({ x, y }, objectId) => {
+      const obj = this.viewModelObjects.get(objectId);
+      if (obj && (obj.x !== x || obj.y !== y)) {
+        obj.x = x;
+        obj.y = y;
+        changed = true;
+      }
+    });
+    if (changed) {
+      this.onDrawNeededCallback();
+    }
+  }
+
   /**
    * Sets the background state in the ViewModel.
    * Typically called when a 'backgroundChanged' model event occurs.
@@ -486,8 +1030,7 @@ class CanvasViewModel {
   }
 
   /**
-   * Sets the ID of the currently selected object in the ViewModel.
-   * Typically called when a 'selectionChanged' model event occurs.
+   * Sets a single selected object in the ViewModel, replacing any multi-selection.
    * @param {string | null} selectedId - The ID of the selected object, or null.
    */
   setSelectedObjectInViewModel(selectedId) {
@@ -495,10 +1038,26 @@ class CanvasViewModel {
       "setSelectedObjectInViewModel called with selectedId: %s",
       selectedId,
     );
-    this.viewModelSelectedObjectId = selectedId;
+    this.setSelectionInViewModel({
+      primaryId: selectedId,
+      ids: selectedId ? [selectedId] : [],
+    });
+  }
+
+  /**
+   * Sets the selection in the ViewModel.
+   * Typically called when a 'selectionChanged' model event occurs.
+   * @param {{primaryId: string | null, ids: string[]}} selection - The primary selected object ID and all selected IDs.
+   */
+  setSelectionInViewModel(selection) {
+    dCanvasVM("setSelectionInViewModel called with selection: %o", selection);
+    const { primaryId = null, ids = [] } = selection || {};
+    this.viewModelSelectedObjectId = primaryId;
+    this.viewModelSelectedObjectIds = [...ids];
     dCanvasVM(
-      "viewModelSelectedObjectId updated to: %s",
+      "Selection updated. Primary: %s, all: %o",
       this.viewModelSelectedObjectId,
+      this.viewModelSelectedObjectIds,
     );
   }
 
@@ -522,12 +1081,97 @@ class CanvasViewModel {
       return;
     }
     this.viewModelBoardProperties = { ...boardProps };
+    this.visibilityPolygons.clear(); // The board's size closes the visible areas
     dCanvasVM(
       "viewModelBoardProperties updated: %o",
       this.viewModelBoardProperties,
     );
   }
 
+  /**
+   * Sets the grid settings in the ViewModel.
+   * Typically called when a 'gridChanged' model event occurs.
+   * @param {object} grid - The new grid settings.
+   */
+  setGridInViewModel(grid) {
+    dCanvasVM("setGridInViewModel called with grid: %o", grid);
+    if (!grid) {
+      log.error("[CanvasViewModel] setGridInViewModel: grid is undefined.");
+      return;
+    }
+    this.viewModelGrid = { ...grid };
+  }
+
+  /**
+   * Sets the fog of war in the ViewModel.
+   * Typically called when a 'fogChanged' model event occurs.
+   * @param {import('../model/fog.js').FogState} fog - The new fog state.
+   */
+  setFogInViewModel(fog) {
+    dCanvasVM("setFogInViewModel called (%d regions)", fog?.regions?.length);
+    this.viewModelFog = normalizeFog(fog);
+  }
+
+  /**
+   * Sets the object layers in the ViewModel.
+   * Typically called when a 'layersChanged' model event occurs.
+   * @param {import('../model/layers.js').Layer[]} layers - The new layers, bottom first.
+   */
+  setLayersInViewModel(layers) {
+    dCanvasVM("setLayersInViewModel called with: %o", layers);
+    this.viewModelLayers = normalizeLayers(layers);
+  }
+
+  /**
+   * Sets the layer this participant works on.
+   * @param {string} layerId - The ID of the layer.
+   */
+  setActiveLayerInViewModel(layerId) {
+    dCanvasVM("setActiveLayerInViewModel called with: %s", layerId);
+    this.activeLayerId = layerId || DEFAULT_OBJECT_LAYER;
+  }
+
+  /**
+   * Sets the walls in the ViewModel.
+   * Typically called when a 'wallsChanged' model event occurs.
+   * @param {import('../model/lighting.js').Wall[]} walls - The new walls.
+   */
+  setWallsInViewModel(walls) {
+    dCanvasVM("setWallsInViewModel called (%d walls)", walls?.length);
+    this.viewModelWalls = normalizeWalls(walls);
+    this.visibilityPolygons.clear();
+  }
+
+  /**
+   * Sets the dynamic lighting settings in the ViewModel.
+   * Typically called when a 'lightingChanged' model event occurs.
+   * @param {import('../model/lighting.js').LightingSettings} lighting - The new settings.
+   */
+  setLightingInViewModel(lighting) {
+    dCanvasVM("setLightingInViewModel called with: %o", lighting);
+    this.viewModelLighting = normalizeLighting(lighting);
+  }
+
+  /**
+   * Switches the GM between the see-through fog and the opaque fog players see.
+   * @param {boolean} preview - True to see the fog as players do.
+   */
+  setFogPreview(preview) {
+    dCanvasVM("setFogPreview called with: %s", preview);
+    this.fogPreview = Boolean(preview);
+    this.onDrawNeededCallback();
+  }
+
+  /**
+   * Sets the participant using this app.
+   * Typically called when a 'userChanged' model event occurs.
+   * @param {import('../model/permissions.js').User} user - The user.
+   */
+  setUserInViewModel(user) {
+    dCanvasVM("setUserInViewModel called with user: %o", user);
+    this.viewModelUser = normalizeUser(user);
+  }
+
   /**
    * Clears all objects from the ViewModel's collection.
    * Typically called when an 'allObjectsCleared' model event occurs.
@@ -535,6 +1179,7 @@ class CanvasViewModel {
   clearAllViewModelObjects() {
     dCanvasVM("clearAllViewModelObjects called");
     this.viewModelObjects.clear();
+    this.parentIds = null;
     dCanvasVM("viewModelObjects map cleared.");
   }
 
@@ -544,6 +1189,7 @@ class CanvasViewModel {
    * If the image is already loaded or loading, it avoids redundant operations.
    * Triggers a redraw via `onDrawNeededCallback` on load success, error, or if an image is cleared.
    * Displays an error message via `displayMessageFn` on load failure.
+   * Asset references (`asset:<hash>`) load the asset's image, read from IndexedDB if it is not loaded yet.
    * @param {string | null} url - The URL of the image to load. If null or empty, and a cacheKey is provided,
    *                              it attempts to remove the image associated with cacheKey.
    * @param {string} cacheKey - The key to use for caching this image (often the same as the URL).
@@ -590,6 +1236,11 @@ class CanvasViewModel {
       return;
     }
 
+    if (existingImage && existingImage.status === "missing") {
+      dCanvasVM("Image asset %s is not available. No action.", cacheKey);
+      return;
+    }
+
     dCanvasVM(
       'Loading image: %s. Setting status to "loading" for cacheKey: %s',
       url,
@@ -641,10 +1292,61 @@ class CanvasViewModel {
       const errorMsg = `Failed to load image: ${url.substring(0, 100)}${url.length > 100 ? "..." : ""}`;
       this.displayMessageFn(errorMsg, "error");
     };
+    if (isAssetUrl(url)) {
+      // Asset references load the stored image (see model/assets.js)
+      resolveImageUrl(url).then((src) => {
+        if (src) {
+          image.src = src;
+          dCanvasVM("Image src set to the blob: URL of asset: %s", url);
+        } else {
+          // Not retried until the asset arrives (see handleAssetAdded), e.g. from another participant
+          log.warn(`[CanvasViewModel] Image asset not available: ${url}`);
+          this.loadedImages.set(cacheKey, { img: null, status: "missing" });
+          this.displayMessageFn(
+            "An image is not available on this device yet.",
+            "warning",
+          );
+        }
+      });
+      return;
+    }
     image.src = url;
     dCanvasVM("Image src set to: %s", url);
   }
 
+  /**
+   * Loads images and waits until each of them has loaded or failed, e.g. before rendering an export.
+   * @param {string[]} urls - The images' URLs.
+   * @param {number} [timeoutMs] - The longest wait; images still loading then are left out of the drawing.
+   * @returns {Promise<void>}
+   */
+  async waitForImages(urls, timeoutMs = IMAGE_WAIT_TIMEOUT_MS) {
+    urls.forEach((url) => {
+      if (this.loadedImages.get(url)?.status !== "loaded") {
+        this.loadImage(url, url);
+      }
+    });
+    const deadline = Date.now() + timeoutMs;
+    while (
+      urls.some((url) => this.loadedImages.get(url)?.status === "loading") &&
+      Date.now() < deadline
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+  }
+
+  /**
+   * Lets images waiting for an asset load it, now that it is available. The next redraw loads them.
+   * @param {string} hash - The hash of the added asset.
+   */
+  handleAssetAdded(hash) {
+    const cacheKey = toAssetUrl(hash);
+    if (this.loadedImages.get(cacheKey)?.status === "missing") {
+      dCanvasVM("Asset %s arrived, image will be loaded.", hash);
+      this.loadedImages.delete(cacheKey);
+    }
+  }
+
   // --- Coordinate Conversion & Object Picking ---
   /**
    * Converts screen coordinates (e.g., from a mouse event on the canvas) to canvas world coordinates,
@@ -663,13 +1365,18 @@ class CanvasViewModel {
 
   /**
    * Determines which object, if any, is at the given world coordinates.
-   * Objects are checked in descending order of their zIndex.
-   * Supports picking for 'rectangle' and 'circle' shapes, including rotated rectangles.
+   * Objects on the active layer are checked first, then the others from the top layer down (by descending zIndex
+   * within a layer). Objects the current user cannot see and objects on locked layers are skipped, and nothing is
+   * found where the fog of war conceals the point from the user.
+   * Supports picking for 'rectangle' and 'circle' shapes, including rotated rectangles, and for path shapes
+   * ('polygon', 'polyline', 'freehand'): inside a filled closed path, or near its stroke. A group is found where
+   * one of its children is (the group, not the child, is returned).
    * @param {number} worldX - The x-coordinate in canvas world space.
    * @param {number} worldY - The y-coordinate in canvas world space.
+   * @param {Iterable<string>} [excludeIds] - IDs of objects to ignore (e.g., the objects being dropped).
    * @returns {string | null} The ID of the topmost object at the given coordinates, or null if no object is found.
    */
-  getObjectAtPosition(worldX, worldY) {
+  getObjectAtPosition(worldX, worldY, excludeIds = []) {
     // This can be very noisy, enable if specifically debugging picking
     // dCanvasVM('getObjectAtPosition called with worldX: %f, worldY: %f', worldX, worldY);
     if (
@@ -701,9 +1408,20 @@ class CanvasViewModel {
       return null;
     }
 
-    const sortedObjects = Array.from(this.viewModelObjects.values()).sort(
-      (a, b) => (b.zIndex || 0) - (a.zIndex || 0),
-    );
+    // Players cannot pick objects through the fog of war
+    if (this.isPointConcealed(worldX, worldY)) return null;
+
+    const excluded = new Set(excludeIds);
+    const compare = compareByLayerAndZIndex(this.viewModelLayers);
+    const isOnActiveLayer = (obj) =>
+      this.getObjectLayer(obj)?.id === this.activeLayerId;
+    const sortedObjects = Array.from(this.viewModelObjects.values())
+      .filter((obj) => !excluded.has(obj?.id) && this.isObjectPickable(obj))
+      .sort(
+        (a, b) =>
+          Number(isOnActiveLayer(b)) - Number(isOnActiveLayer(a)) ||
+          compare(b, a),
+      );
     // dCanvasVM('Sorted objects for picking: %o', sortedObjects.map(o => ({id: o.id, zIndex: o.zIndex})));
 
     for (const obj of sortedObjects) {
@@ -718,77 +1436,171 @@ class CanvasViewModel {
         );
         continue;
       }
-      const { id, shape } = obj;
-      // dCanvasVM('Checking object %s (%s) for picking', id, shape);
-      const x = parseFloat(obj.x);
-      const y = parseFloat(obj.y);
-      const width = parseFloat(obj.width);
-      const height = parseFloat(obj.height);
-      let rotation = parseFloat(obj.rotation);
-
-      if (isNaN(x) || isNaN(y) || isNaN(width) || isNaN(height)) {
-        log.warn(
-          "[CanvasViewModel] getObjectAtPosition: Object with id",
-          id,
-          "has invalid coords/dims.",
-          { x, y, width, height },
-        );
-        continue;
-      }
-      if (width <= 0 || height <= 0) {
-        log.warn(
-          "[CanvasViewModel] getObjectAtPosition: Object with id",
-          id,
-          "has non-positive size.",
-          { width, height },
-        );
-        continue;
-      }
-      if (isNaN(rotation)) {
-        rotation = 0;
-      }
+      if (this.hitTestObject(obj, worldX, worldY)) return obj.id;
+    }
+    return null;
+  }
 
-      if (shape === "rectangle") {
-        if (rotation === 0) {
-          if (
-            worldX >= x &&
-            worldX <= x + width &&
-            worldY >= y &&
-            worldY <= y + height
-          ) {
-            return id;
-          }
-        } else {
-          const centerX = x + width / 2;
-          const centerY = y + height / 2;
-          let localX = worldX - centerX;
-          let localY = worldY - centerY;
-          const rad = (-rotation * Math.PI) / 180;
-          const cosTheta = Math.cos(rad);
-          const sinTheta = Math.sin(rad);
-          const rotatedLocalX = localX * cosTheta - localY * sinTheta;
-          const rotatedLocalY = localX * sinTheta + localY * cosTheta;
-          if (
-            rotatedLocalX >= -width / 2 &&
-            rotatedLocalX <= width / 2 &&
-            rotatedLocalY >= -height / 2 &&
-            rotatedLocalY <= height / 2
-          ) {
-            return id;
-          }
+  /**
+   * Tells whether a point is on an object's shape (rotated rectangles, circles, and within a few screen pixels of a
+   * path's stroke).
+   * @param {VTTObject} obj - The object, on the table.
+   * @param {number} worldX - The point's X in world space.
+   * @param {number} worldY - The point's Y in world space.
+   * @returns {boolean}
+   */
+  hitTestObject(obj, worldX, worldY) {
+    const { id, shape } = obj;
+    // dCanvasVM('Checking object %s (%s) for picking', id, shape);
+    // Groups are hit where one of their visible children is
+    if (isGroup(obj)) {
+      return this.getVisibleChildren(obj).some((child) =>
+        this.hitTestObject(child, worldX, worldY),
+      );
+    }
+    const x = parseFloat(obj.x);
+    const y = parseFloat(obj.y);
+    const width = parseFloat(obj.width);
+    const height = parseFloat(obj.height);
+    let rotation = parseFloat(obj.rotation);
+
+    if (isNaN(x) || isNaN(y) || isNaN(width) || isNaN(height)) {
+      log.warn(
+        "[CanvasViewModel] hitTestObject: Object with id",
+        id,
+        "has invalid coords/dims.",
+        { x, y, width, height },
+      );
+      return false;
+    }
+    if (width <= 0 || height <= 0) {
+      log.warn(
+        "[CanvasViewModel] hitTestObject: Object with id",
+        id,
+        "has non-positive size.",
+        { width, height },
+      );
+      return false;
+    }
+    if (isNaN(rotation)) {
+      rotation = 0;
+    }
+
+    if (shape === "rectangle") {
+      if (rotation === 0) {
+        if (
+          worldX >= x &&
+          worldX <= x + width &&
+          worldY >= y &&
+          worldY <= y + height
+        ) {
+          return true;
         }
-      } else if (shape === "circle") {
-        const radius = width / 2;
-        const circleCenterX = x + radius;
-        const circleCenterY = y + radius;
-        const distanceSq =
-          (worldX - circleCenterX) ** 2 + (worldY - circleCenterY) ** 2;
-        if (distanceSq <= radius ** 2) {
-          return id;
+      } else {
+        const centerX = x + width / 2;
+        const centerY = y + height / 2;
+        let localX = worldX - centerX;
+        let localY = worldY - centerY;
+        const rad = (-rotation * Math.PI) / 180;
+        const cosTheta = Math.cos(rad);
+        const sinTheta = Math.sin(rad);
+        const rotatedLocalX = localX * cosTheta - localY * sinTheta;
+        const rotatedLocalY = localX * sinTheta + localY * cosTheta;
+        if (
+          rotatedLocalX >= -width / 2 &&
+          rotatedLocalX <= width / 2 &&
+          rotatedLocalY >= -height / 2 &&
+          rotatedLocalY <= height / 2
+        ) {
+          return true;
         }
       }
+    } else if (isPathShape(shape)) {
+      const tolerance =
+        STROKE_PICK_TOLERANCE_PX / (this.viewModelPanZoom.zoom || 1);
+      if (
+        hitTestPath(
+          { ...obj, x, y, width, height, rotation },
+          worldX,
+          worldY,
+          tolerance,
+        )
+      ) {
+        return true;
+      }
+    } else if (shape === "circle") {
+      const radius = width / 2;
+      const circleCenterX = x + radius;
+      const circleCenterY = y + radius;
+      const distanceSq =
+        (worldX - circleCenterX) ** 2 + (worldY - circleCenterY) ** 2;
+      if (distanceSq <= radius ** 2) {
+        return true;
+      }
     }
-    return null;
+    return false;
+  }
+
+  /**
+   * Finds all objects whose outline overlaps the outline of the given object.
+   * Uses the same shapes as picking (rotated rectangles, circles); objects that only touch do not overlap.
+   * Groups are tested by their outline; objects in groups are not tested on their own.
+   * @param {string} objectId - The ID of the object to test.
+   * @returns {string[]} The IDs of the overlapping objects.
+   */
+  getOverlappingObjectIds(objectId) {
+    const target = this.viewModelObjects.get(objectId);
+    const targetOutline = target ? getObjectOutline(target) : null;
+    if (!targetOutline) return [];
+    return Array.from(this.viewModelObjects.values())
+      .filter(
+        (obj) =>
+          obj.id !== objectId &&
+          !this.getParentId(obj.id) &&
+          outlinesOverlap(targetOutline, getObjectOutline(obj)),
+      )
+      .map((obj) => obj.id);
+  }
+
+  /**
+   * Finds all pickable objects (visible, on unlocked layers, not in a group) whose center lies inside a world-space rectangle (and
+   * is not concealed by the fog of war), e.g. a marquee selection.
+   * The corners may be given in any order.
+   * @param {number} x1 - X of one corner in world space.
+   * @param {number} y1 - Y of one corner in world space.
+   * @param {number} x2 - X of the opposite corner in world space.
+   * @param {number} y2 - Y of the opposite corner in world space.
+   * @returns {string[]} The IDs of the enclosed objects, in drawing order.
+   */
+  getObjectsInRect(x1, y1, x2, y2) {
+    const left = Math.min(x1, x2);
+    const right = Math.max(x1, x2);
+    const top = Math.min(y1, y2);
+    const bottom = Math.max(y1, y2);
+    const enclosed = Array.from(this.viewModelObjects.values())
+      .filter((obj) => {
+        if (!this.isObjectPickable(obj)) return false;
+        const centerX = parseFloat(obj.x) + parseFloat(obj.width) / 2;
+        const centerY = parseFloat(obj.y) + parseFloat(obj.height) / 2;
+        return (
+          !this.isPointConcealed(centerX, centerY) &&
+          centerX >= left &&
+          centerX <= right &&
+          centerY >= top &&
+          centerY <= bottom
+        );
+      })
+      .sort(compareByLayerAndZIndex(this.viewModelLayers))
+      .map((obj) => obj.id);
+    dCanvasVM(
+      "getObjectsInRect (%f, %f)-(%f, %f) found: %o",
+      left,
+      top,
+      right,
+      bottom,
+      enclosed,
+    );
+    return enclosed;
   }
 }
 
@@ -2,20 +2,75 @@
 import log from "loglevel";
 import debug from "debug";
 import * as sessionManagement from "../session_management.js";
+import * as autosave from "../storage/autosave.js";
+import { startAssetPersistence, loadAssets } from "../storage/assetStore.js";
+import * as sessionSync from "../sync/sessionSync.js";
+import { loadUserProfile, saveUserProfile } from "../storage/userProfile.js";
+import { ROLE_LABELS, normalizeAccessList } from "../model/permissions.js";
+import { normalizeCardDefinition } from "../model/deck.js";
+import { normalizeLight } from "../model/lighting.js";
+import { DEFAULT_OBJECT_LAYER, canSeeLayer } from "../model/layers.js";
+import { serializeObjects, parseObjects } from "../model/clipboard.js";
+import {
+  BUILT_IN_TEMPLATES,
+  searchTemplates,
+  serializeTemplatePack,
+  parseTemplatePack,
+} from "../model/templates.js";
+import { collectAssetHashes } from "../model/assets.js";
 
 const dUiVM = debug("app:vm:ui");
 
+/** Canvas tools (see canvasView.setActiveTool). */
+const CANVAS_TOOLS = ["select", "ruler", "polygon", "polyline", "freehand"];
+/** Fog of war tools, available to the GM only. */
+const FOG_TOOLS = [
+  "fog-reveal-brush",
+  "fog-cover-brush",
+  "fog-reveal-rect",
+  "fog-cover-rect",
+];
+/** Wall tools, available to the GM only. */
+const WALL_TOOLS = ["wall", "wall-erase", "door-toggle"];
+
 class UiViewModel {
   constructor() {
     dUiVM("UiViewModel constructor called");
     this.vttApi = null;
     this.inspectorData = null;
     this.boardProperties = {};
+    this.gridSettings = {};
+    this.activeTool = "select";
+    this.fog = { enabled: false, regions: [] };
+    // How this participant draws and sees the fog (not part of the table)
+    this.fogViewOptions = { brushSize: 40, preview: false };
+    this.lighting = { enabled: false, daylight: false };
+    this.layers = [];
+    this.templates = [];
+    // The layer this participant works on (not part of the table)
+    this.activeLayer = DEFAULT_OBJECT_LAYER;
+    this.rollLog = [];
+    this.syncStatus = sessionSync.getStatus();
+    this.currentUser = null;
     this._onInspectorDataChanged = null;
     this._onBoardSettingsChanged = null;
+    this._onGridSettingsChanged = null;
+    this._onActiveToolChanged = null;
+    this._onFogChanged = null;
+    this._onFogViewOptionsChanged = null;
+    this._onLightingChanged = null;
+    this._onLayersChanged = null;
+    this._onTemplatesChanged = null;
+    this._onActiveLayerChanged = null;
     this._onDisplayMessage = null;
     this._onCreateObjectModalRequested = null;
     this._onShowSelectionModalRequested = null;
+    this._onSessionRecoveryRequested = null;
+    this._onRollLogChanged = null;
+    this._onSyncStatusChanged = null;
+    this._onCurrentUserChanged = null;
+    // Supplies where objects created from the template library go (set by the view)
+    this._newObjectPositionProvider = null;
   }
 
   init(vttApi) {
@@ -31,8 +86,21 @@ class UiViewModel {
       this._handleModelChange.bind(this),
     );
     dUiVM("modelChanged event listener added.");
+    startAssetPersistence();
     this.boardProperties = this.vttApi.getBoardProperties() || {};
     dUiVM("Initial boardProperties set: %o", this.boardProperties);
+    this.gridSettings = this.vttApi.getGrid() || {};
+    dUiVM("Initial gridSettings set: %o", this.gridSettings);
+    this.fog = this.vttApi.getFog() || this.fog;
+    this.lighting = this.vttApi.getLighting() || this.lighting;
+    this.layers = this.vttApi.getLayers() || [];
+    this.templates = this.vttApi.getTemplates() || [];
+    this.rollLog = this.vttApi.getRollLog() || [];
+    const storedProfile = loadUserProfile();
+    this.currentUser = storedProfile
+      ? this.vttApi.setCurrentUser(storedProfile)
+      : this.vttApi.getCurrentUser();
+    dUiVM("Initial currentUser set: %o", this.currentUser);
     const selectedId = this.vttApi.getSelectedObjectId();
     if (selectedId) {
       this.inspectorData = this.vttApi.getObject(selectedId);
@@ -86,6 +154,46 @@ class UiViewModel {
     this._onBoardSettingsChanged = callback;
   }
 
+  onGridSettingsChanged(callback) {
+    this._onGridSettingsChanged = callback;
+  }
+
+  onActiveToolChanged(callback) {
+    this._onActiveToolChanged = callback;
+  }
+
+  onFogChanged(callback) {
+    this._onFogChanged = callback;
+  }
+
+  onFogViewOptionsChanged(callback) {
+    this._onFogViewOptionsChanged = callback;
+  }
+
+  onLightingChanged(callback) {
+    this._onLightingChanged = callback;
+  }
+
+  onLayersChanged(callback) {
+    this._onLayersChanged = callback;
+  }
+
+  onTemplatesChanged(callback) {
+    this._onTemplatesChanged = callback;
+  }
+
+  /**
+   * Sets where objects created from the template library are centered, e.g. the middle of the visible table.
+   * @param {function(): ({x: number, y: number} | null)} provider - Returns the position in world space.
+   */
+  setNewObjectPositionProvider(provider) {
+    this._newObjectPositionProvider = provider;
+  }
+
+  onActiveLayerChanged(callback) {
+    this._onActiveLayerChanged = callback;
+  }
+
   onDisplayMessage(callback) {
     this._onDisplayMessage = callback;
   }
@@ -98,14 +206,115 @@ class UiViewModel {
     this._onShowSelectionModalRequested = callback;
   }
 
+  onRollLogChanged(callback) {
+    this._onRollLogChanged = callback;
+  }
+
+  onSyncStatusChanged(callback) {
+    this._onSyncStatusChanged = callback;
+  }
+
+  onCurrentUserChanged(callback) {
+    this._onCurrentUserChanged = callback;
+  }
+
+  onSessionRecoveryRequested(callback) {
+    this._onSessionRecoveryRequested = callback;
+  }
+
   getInspectorData() {
     return this.inspectorData;
   }
 
+  getSelectedObjectIds() {
+    return this.vttApi ? this.vttApi.getSelectedObjectIds() : [];
+  }
+
   getBoardPropertiesForDisplay() {
     return this.boardProperties;
   }
 
+  getGridSettingsForDisplay() {
+    return this.gridSettings;
+  }
+
+  getRollLog() {
+    return this.rollLog;
+  }
+
+  getFog() {
+    return this.fog;
+  }
+
+  getFogViewOptions() {
+    return this.fogViewOptions;
+  }
+
+  getSyncStatus() {
+    return this.syncStatus;
+  }
+
+  getCurrentUser() {
+    return this.currentUser;
+  }
+
+  /**
+   * Tells whether the current user may change or delete an object (e.g., to disable the inspector's controls).
+   * @param {string} objectId - The ID of the object.
+   * @returns {boolean}
+   */
+  canEditObject(objectId) {
+    return Boolean(this.vttApi) && this.vttApi.canEditObject(objectId);
+  }
+
+  /**
+   * Changes the participant's name and/or role, and remembers them for the next visit.
+   * @param {Partial<import('../model/permissions.js').User>} changes - The changed fields.
+   */
+  setCurrentUser(changes) {
+    dUiVM("setCurrentUser called with: %o", changes);
+    if (!this.vttApi) return;
+    const previousRole = this.currentUser?.role;
+    const user = this.vttApi.setCurrentUser(changes);
+    saveUserProfile(user);
+    if (user.role !== previousRole) {
+      this.displayMessage(`You are now ${ROLE_LABELS[user.role]}.`, "info");
+    }
+  }
+
+  getSyncBackends() {
+    return sessionSync.getAvailableBackends();
+  }
+
+  getActiveTool() {
+    return this.activeTool;
+  }
+
+  setActiveTool(tool) {
+    dUiVM("setActiveTool called with tool: %s", tool);
+    if (
+      !CANVAS_TOOLS.includes(tool) &&
+      !FOG_TOOLS.includes(tool) &&
+      !WALL_TOOLS.includes(tool)
+    ) {
+      log.warn(`[UiViewModel] setActiveTool: Unknown tool '${tool}'.`);
+      return;
+    }
+    if (FOG_TOOLS.includes(tool) && this.currentUser?.role !== "gm") {
+      this.displayMessage("Only the GM can change the fog of war.", "warning");
+      return;
+    }
+    if (WALL_TOOLS.includes(tool) && this.currentUser?.role !== "gm") {
+      this.displayMessage("Only the GM can edit walls.", "warning");
+      return;
+    }
+    if (this.activeTool === tool) return;
+    this.activeTool = tool;
+    if (typeof this._onActiveToolChanged === "function") {
+      this._onActiveToolChanged(this.activeTool);
+    }
+  }
+
   _handleModelChange(event) {
     dUiVM("_handleModelChange called with event: %o", event);
     if (!event.detail || !this.vttApi) {
@@ -121,18 +330,22 @@ class UiViewModel {
     dUiVM("Model changed: type=%s, payload=%o", type, payload);
     let refreshInspector = false;
     let refreshBoardSettings = false;
+    let refreshGridSettings = false;
+    let refreshRollLog = false;
 
     switch (type) {
       case "selectionChanged": {
-        const newSelectedObject = payload
-          ? this.vttApi.getObject(payload)
+        // The inspector shows the primary object of a (possibly multi-object) selection
+        const primaryId = payload ? payload.primaryId : null;
+        const newSelectedObject = primaryId
+          ? this.vttApi.getObject(primaryId)
           : null;
-        if (payload && !newSelectedObject) {
+        if (primaryId && !newSelectedObject) {
           log.warn(
-            `[UiViewModel] selectionChanged: Object with ID '${payload}' not found via API, though it was selected. Inspector will be cleared.`,
+            `[UiViewModel] selectionChanged: Object with ID '${primaryId}' not found via API, though it was selected. Inspector will be cleared.`,
           );
           dUiVM(
-            `[UiViewModel] selectionChanged: Object with ID '${payload}' not found via API. Forcing inspectorData to null.`,
+            `[UiViewModel] selectionChanged: Object with ID '${primaryId}' not found via API. Forcing inspectorData to null.`,
           );
         }
         this.inspectorData =
@@ -205,6 +418,74 @@ class UiViewModel {
         refreshBoardSettings = true;
         break;
       }
+      case "gridChanged": {
+        this.gridSettings = { ...payload };
+        dUiVM("Grid changed. New gridSettings: %o", this.gridSettings);
+        refreshGridSettings = true;
+        break;
+      }
+      case "rollAdded": {
+        this.rollLog = [...this.rollLog, payload];
+        refreshRollLog = true;
+        break;
+      }
+      case "fogChanged": {
+        this.fog = payload;
+        dUiVM("Fog changed: %d regions", payload.regions.length);
+        if (typeof this._onFogChanged === "function") {
+          this._onFogChanged(this.fog);
+        }
+        break;
+      }
+      case "lightingChanged": {
+        this.lighting = { ...payload };
+        dUiVM("Lighting changed: %o", this.lighting);
+        if (typeof this._onLightingChanged === "function") {
+          this._onLightingChanged(this.lighting);
+        }
+        break;
+      }
+      case "layersChanged": {
+        this.layers = Array.isArray(payload) ? payload : [];
+        dUiVM("Layers changed: %o", this.layers);
+        if (typeof this._onLayersChanged === "function") {
+          this._onLayersChanged(this.layers);
+        }
+        this._ensureActiveLayerVisible();
+        break;
+      }
+      case "templatesChanged": {
+        this.templates = Array.isArray(payload) ? payload : [];
+        dUiVM("Templates changed: %d templates", this.templates.length);
+        if (typeof this._onTemplatesChanged === "function") {
+          this._onTemplatesChanged(this.templates);
+        }
+        break;
+      }
+      case "userChanged": {
+        this.currentUser = { ...payload };
+        dUiVM("Current user changed: %o", this.currentUser);
+        this._ensureActiveLayerVisible();
+        // Fog and wall tools are for the GM only
+        if (
+          payload.role !== "gm" &&
+          (FOG_TOOLS.includes(this.activeTool) ||
+            WALL_TOOLS.includes(this.activeTool))
+        ) {
+          this.setActiveTool("select");
+        }
+        // What the user may edit in the inspector depends on the role
+        refreshInspector = true;
+        if (typeof this._onCurrentUserChanged === "function") {
+          this._onCurrentUserChanged(this.currentUser);
+        }
+        break;
+      }
+      case "rollLogChanged": {
+        this.rollLog = Array.isArray(payload) ? payload : [];
+        refreshRollLog = true;
+        break;
+      }
       default: {
         dUiVM("Unhandled model change type in UiViewModel: %s", type);
         break;
@@ -225,6 +506,17 @@ class UiViewModel {
       dUiVM("Board settings need refresh, calling _onBoardSettingsChanged.");
       this._onBoardSettingsChanged(this.boardProperties);
     }
+    if (
+      refreshGridSettings &&
+      typeof this._onGridSettingsChanged === "function"
+    ) {
+      dUiVM("Grid settings need refresh, calling _onGridSettingsChanged.");
+      this._onGridSettingsChanged(this.gridSettings);
+    }
+    if (refreshRollLog && typeof this._onRollLogChanged === "function") {
+      dUiVM("Roll log needs refresh, calling _onRollLogChanged.");
+      this._onRollLogChanged(this.rollLog);
+    }
   }
 
   applyInspectorChanges(objectId, inspectorSnapshot) {
@@ -260,7 +552,10 @@ class UiViewModel {
         "rotation",
         "zIndex",
         "isMovable",
+        "hasVision",
+        "layer",
         "shape",
+        "closed",
       ].forEach((key) => {
         if (
           Object.prototype.hasOwnProperty.call(inspectorSnapshot, key) &&
@@ -279,6 +574,31 @@ class UiViewModel {
         }
       });
 
+      // Access lists are compared in their canonical form (see permissions.js)
+      ["visibleTo", "editableBy"].forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(inspectorSnapshot, key)) {
+          return;
+        }
+        const nextAccess = normalizeAccessList(inspectorSnapshot[key]);
+        if (
+          JSON.stringify(nextAccess) !==
+          JSON.stringify(normalizeAccessList(currentObject[key]))
+        ) {
+          updatePayload[key] = nextAccess;
+        }
+      });
+
+      // Lights are compared in their canonical form (see lighting.js)
+      if (inspectorSnapshot.light) {
+        const nextLight = normalizeLight(inspectorSnapshot.light);
+        if (
+          JSON.stringify(nextLight) !==
+          JSON.stringify(normalizeLight(currentObject.light))
+        ) {
+          updatePayload.light = nextLight;
+        }
+      }
+
       if (inspectorSnapshot.appearance) {
         updatePayload.appearance = {};
         const currentAppearance = currentObject.appearance || {};
@@ -290,7 +610,7 @@ class UiViewModel {
             ) &&
             inspectorSnapshot.appearance[key] !== currentAppearance[key]
           ) {
-            if (key === "showLabel") {
+            if (key === "showLabel" || key === "filled") {
               updatePayload.appearance[key] =
                 inspectorSnapshot.appearance[key] === true ||
                 inspectorSnapshot.appearance[key] === "true";
@@ -309,6 +629,17 @@ class UiViewModel {
         }
       }
 
+      if (
+        Array.isArray(inspectorSnapshot.cards) &&
+        JSON.stringify(inspectorSnapshot.cards) !==
+          JSON.stringify(currentObject.cards || [])
+      ) {
+        // Throws (and is reported below) if a card definition is not an object
+        updatePayload.cards = inspectorSnapshot.cards.map(
+          normalizeCardDefinition,
+        );
+      }
+
       if (inspectorSnapshot.scripts) {
         updatePayload.scripts = {};
         const currentScripts = currentObject.scripts || {};
@@ -370,20 +701,577 @@ class UiViewModel {
     }
   }
 
-  createObject(shape, props = {}) {
-    dUiVM("createObject called with shape: %s, props: %o", shape, props);
+  applyGridSettings(newGrid) {
+    dUiVM("applyGridSettings called with newGrid: %o", newGrid);
+    if (!this.vttApi) return;
+    const updatedGrid = this.vttApi.setGrid(newGrid);
+    if (updatedGrid) {
+      this.displayMessage("Grid settings updated.", "success", 1500);
+    } else {
+      this.displayMessage("Failed to update grid settings.", "error");
+    }
+  }
+
+  /**
+   * Shows or hides the fog of war.
+   * @param {boolean} enabled - True to show the fog.
+   */
+  setFogEnabled(enabled) {
+    dUiVM("setFogEnabled called with: %s", enabled);
+    if (!this.vttApi) return;
+    this.vttApi.setFog({ enabled: Boolean(enabled) });
+  }
+
+  /**
+   * Reveals the whole board, replacing all revealed and covered regions.
+   */
+  revealAllFog() {
+    dUiVM("revealAllFog called");
+    if (!this.vttApi) return;
+    const { widthPx, heightPx } = this.vttApi.getBoardProperties();
+    this.vttApi.setFog({
+      regions: [
+        {
+          mode: "reveal",
+          shape: "rect",
+          x: 0,
+          y: 0,
+          width: widthPx,
+          height: heightPx,
+        },
+      ],
+    });
+    this.displayMessage("The board is revealed.", "info", 1500);
+  }
+
+  /**
+   * Covers the whole table with fog again, removing all revealed and covered regions.
+   */
+  coverAllFog() {
+    dUiVM("coverAllFog called");
+    if (!this.vttApi) return;
+    this.vttApi.setFog({ regions: [] });
+    this.displayMessage("The table is covered with fog.", "info", 1500);
+  }
+
+  /**
+   * Changes how this participant draws and sees the fog: the brush diameter (in screen pixels) and whether the
+   * GM sees the fog opaque, as players do.
+   * @param {Partial<{brushSize: number, preview: boolean}>} options - The changed options.
+   */
+  setFogViewOptions(options) {
+    dUiVM("setFogViewOptions called with: %o", options);
+    const brushSize = parseFloat(options.brushSize);
+    this.fogViewOptions = {
+      brushSize:
+        !isNaN(brushSize) && brushSize > 0
+          ? brushSize
+          : this.fogViewOptions.brushSize,
+      preview:
+        typeof options.preview === "boolean"
+          ? options.preview
+          : this.fogViewOptions.preview,
+    };
+    if (typeof this._onFogViewOptionsChanged === "function") {
+      this._onFogViewOptionsChanged(this.fogViewOptions);
+    }
+  }
+
+  getLighting() {
+    return this.lighting;
+  }
+
+  /**
+   * Changes the dynamic lighting settings.
+   * @param {Partial<{enabled: boolean, daylight: boolean}>} settings - The changed settings.
+   */
+  setLighting(settings) {
+    dUiVM("setLighting called with: %o", settings);
+    if (!this.vttApi) return;
+    this.vttApi.setLighting(settings);
+  }
+
+  /**
+   * Removes all walls.
+   */
+  clearWalls() {
+    dUiVM("clearWalls called");
+    if (!this.vttApi) return;
+    const walls = this.vttApi.getWalls();
+    if (walls.length === 0) {
+      this.displayMessage("There are no walls to remove.", "info", 1500);
+      return;
+    }
+    this.vttApi.removeWalls(walls.map((wall) => wall.id));
+    this.displayMessage("All walls removed.", "info", 1500);
+  }
+
+  getLayers() {
+    return this.layers;
+  }
+
+  getActiveLayer() {
+    return this.activeLayer;
+  }
+
+  /**
+   * Switches the layer this participant works on: new objects are created on it and its objects are picked first.
+   * @param {string} layerId - The ID of the layer.
+   */
+  setActiveLayer(layerId) {
+    dUiVM("setActiveLayer called with: %s", layerId);
+    const layer = this.layers.find((entry) => entry.id === layerId);
+    if (!layer) {
+      log.warn(`[UiViewModel] setActiveLayer: Unknown layer '${layerId}'.`);
+      return;
+    }
+    if (this.currentUser && !canSeeLayer(layer, this.currentUser)) {
+      this.displayMessage(`The ${layer.name} layer is not shown.`, "warning");
+      return;
+    }
+    if (this.activeLayer === layerId) return;
+    this.activeLayer = layerId;
+    if (typeof this._onActiveLayerChanged === "function") {
+      this._onActiveLayerChanged(this.activeLayer);
+    }
+  }
+
+  /**
+   * Falls back to the default object layer when the active layer is removed or no longer shown to the user.
+   * @private
+   */
+  _ensureActiveLayerVisible() {
+    const layer = this.layers.find((entry) => entry.id === this.activeLayer);
+    if (layer && (!this.currentUser || canSeeLayer(layer, this.currentUser))) {
+      return;
+    }
+    const fallback =
+      this.layers.find((entry) => entry.id === DEFAULT_OBJECT_LAYER) ||
+      this.layers[0];
+    if (!fallback || fallback.id === this.activeLayer) return;
+    this.activeLayer = fallback.id;
+    if (typeof this._onActiveLayerChanged === "function") {
+      this._onActiveLayerChanged(this.activeLayer);
+    }
+  }
+
+  /**
+   * Changes a layer's toggles (GM only).
+   * @param {string} layerId - The ID of the layer.
+   * @param {Partial<{locked: boolean, hidden: boolean}>} props - The changed toggles.
+   */
+  updateLayer(layerId, props) {
+    dUiVM("updateLayer called for %s with: %o", layerId, props);
+    if (!this.vttApi) return;
+    if (this.currentUser?.role !== "gm") {
+      this.displayMessage("Only the GM can change layers.", "warning");
+      return;
+    }
+    this.vttApi.updateLayer(layerId, props);
+  }
+
+  /**
+   * Lists the template library matching a search text: the table's templates, then the built-in ones.
+   * @param {string} [query] - The search text (empty lists everything).
+   * @returns {Array<import('../model/templates.js').Template & {builtIn: boolean}>} Each group sorted by name.
+   */
+  getTemplateLibrary(query = "") {
+    return [
+      ...searchTemplates(this.templates, query).map((template) => ({
+        ...template,
+        builtIn: false,
+      })),
+      ...searchTemplates(BUILT_IN_TEMPLATES, query).map((template) => ({
+        ...template,
+        builtIn: true,
+      })),
+    ];
+  }
+
+  /**
+   * Creates an object from a template on the active layer, centered where the view says (see
+   * `setNewObjectPositionProvider`), then selects it.
+   * @param {string} templateId - The ID of the template.
+   * @returns {object | null} The new object, or null if it was not created.
+   */
+  createFromTemplate(templateId) {
+    dUiVM("createFromTemplate called for templateId: %s", templateId);
     if (!this.vttApi) return null;
-    const newObj = this.vttApi.createObject(shape, props);
+    if (this.currentUser?.role === "spectator") {
+      this.displayMessage("Spectators cannot create objects.", "warning");
+      return null;
+    }
+    const template = [...this.templates, ...BUILT_IN_TEMPLATES].find(
+      (entry) => entry.id === templateId,
+    );
+    if (!template) return null;
+    // New objects go on the active layer
+    const props = { layer: this.activeLayer };
+    const position = this._newObjectPositionProvider?.();
+    if (position) {
+      const [root] = template.objects;
+      props.x = position.x - (root.width || 0) / 2;
+      props.y = position.y - (root.height || 0) / 2;
+    }
+    const newObj = this.vttApi.createFromTemplate(templateId, props);
     if (newObj) {
+      this.vttApi.setSelection([newObj.id], newObj.id);
+      this.displayMessage(`"${newObj.name}" created.`, "success", 1500);
+    } else {
+      this.displayMessage(`Failed to create ${template.name}.`, "error");
+    }
+    return newObj;
+  }
+
+  /**
+   * Saves an object as a template named after it (replacing a template of the same name).
+   * @param {string} objectId - The ID of the object.
+   */
+  saveObjectAsTemplate(objectId) {
+    dUiVM("saveObjectAsTemplate called for objectId: %s", objectId);
+    if (!this.vttApi || !objectId) return;
+    if (this.currentUser?.role === "spectator") {
+      this.displayMessage("Spectators cannot save templates.", "warning");
+      return;
+    }
+    const template = this.vttApi.saveTemplate(objectId);
+    if (template) {
       this.displayMessage(
-        `${shape} object "${newObj.name}" created.`,
+        `Saved template "${template.name}".`,
         "success",
         1500,
       );
     } else {
-      this.displayMessage(`Failed to create ${shape} object.`, "error");
+      this.displayMessage(
+        "Give the object a name to save it as a template.",
+        "warning",
+      );
+    }
+  }
+
+  /**
+   * Removes a template from the table.
+   * @param {string} templateId - The ID of the template.
+   */
+  removeTemplate(templateId) {
+    dUiVM("removeTemplate called for templateId: %s", templateId);
+    if (!this.vttApi) return;
+    if (this.currentUser?.role === "spectator") {
+      this.displayMessage("Spectators cannot remove templates.", "warning");
+      return;
+    }
+    this.vttApi.removeTemplate(templateId);
+  }
+
+  /**
+   * Downloads the table's templates as a template pack file, with the images they use.
+   * @returns {Promise<void>}
+   */
+  async exportTemplatePack() {
+    dUiVM("exportTemplatePack called with %d templates", this.templates.length);
+    if (this.templates.length === 0) {
+      this.displayMessage("There are no templates to export.", "info");
+      return;
+    }
+    const templates = this.templates;
+    const hashes = collectAssetHashes({ templates });
+    const missing = await loadAssets(hashes);
+    if (missing.length > 0) {
+      this.displayMessage(
+        `${missing.length} image${missing.length === 1 ? " is" : "s are"} not available and will not be exported.`,
+        "warning",
+      );
+    }
+    sessionManagement.triggerDownload(
+      `templates_${new Date().toISOString().slice(0, 10)}.json`,
+      serializeTemplatePack(templates, this.vttApi.getAssets(hashes)),
+    );
+  }
+
+  /**
+   * Adds the templates of a template pack file to the table.
+   * @param {string} text - The file's text.
+   */
+  importTemplatePack(text) {
+    dUiVM("importTemplatePack called with text length: %d", text?.length);
+    if (!this.vttApi) return;
+    if (this.currentUser?.role === "spectator") {
+      this.displayMessage("Spectators cannot import templates.", "warning");
+      return;
+    }
+    let templates;
+    let assets;
+    try {
+      ({ templates, assets } = parseTemplatePack(text));
+    } catch (error) {
+      log.warn("[UiViewModel] Invalid template pack:", error.message);
+      this.displayMessage(`Import Error: ${error.message}`, "error");
+      return;
+    }
+    if (templates.length === 0) {
+      this.displayMessage("The template pack has no templates.", "warning");
+      return;
+    }
+    this.vttApi.addAssets(assets);
+    this.vttApi.importTemplates(templates);
+    this.displayMessage(
+      `Imported ${templates.length} template${templates.length === 1 ? "" : "s"}.`,
+      "success",
+    );
+  }
+
+  drawCard(deckId) {
+    dUiVM("drawCard called for deckId: %s", deckId);
+    if (!this.vttApi) return;
+    const card = this.vttApi.drawCard(deckId);
+    if (card) {
+      this.vttApi.setSelection([card.id], card.id);
+    } else {
+      this.displayMessage("The deck is empty.", "info", 1500);
+    }
+  }
+
+  shuffleDeck(deckId) {
+    dUiVM("shuffleDeck called for deckId: %s", deckId);
+    if (!this.vttApi) return;
+    if (this.vttApi.shuffleDeck(deckId)) {
+      this.displayMessage("Deck shuffled.", "success", 1500);
+    } else {
+      this.displayMessage("Failed to shuffle the deck.", "error");
+    }
+  }
+
+  flipCard(cardObjectId) {
+    dUiVM("flipCard called for cardObjectId: %s", cardObjectId);
+    if (!this.vttApi) return;
+    if (!this.vttApi.flipCard(cardObjectId)) {
+      this.displayMessage("Failed to flip the card.", "error");
+    }
+  }
+
+  returnCardToDeck(cardObjectId) {
+    dUiVM("returnCardToDeck called for cardObjectId: %s", cardObjectId);
+    if (!this.vttApi) return;
+    const deck = this.vttApi.returnCardToDeck(cardObjectId);
+    if (deck) {
+      this.vttApi.setSelection([deck.id], deck.id);
+      this.displayMessage(`Card returned to ${deck.name}.`, "success", 1500);
+    } else {
+      this.displayMessage(
+        "The card's deck is no longer on the table.",
+        "error",
+      );
+    }
+  }
+
+  /**
+   * Groups the selected objects, then selects the new group.
+   */
+  groupSelection() {
+    dUiVM("groupSelection called");
+    if (!this.vttApi) return;
+    const ids = this.vttApi.getSelectedObjectIds();
+    if (ids.length < 2) {
+      this.displayMessage("Select at least two objects to group.", "info");
+      return;
+    }
+    const group = this.vttApi.groupObjects(ids);
+    if (group) {
+      this.vttApi.setSelection([group.id], group.id);
+      this.displayMessage(`Grouped ${ids.length} objects.`, "success", 1500);
+    } else {
+      this.displayMessage("Failed to group the selected objects.", "error");
+    }
+  }
+
+  /**
+   * Dissolves a group, then selects the objects that were in it.
+   * @param {string} groupId - The ID of the group.
+   */
+  ungroupObject(groupId) {
+    dUiVM("ungroupObject called for groupId: %s", groupId);
+    if (!this.vttApi || !groupId) return;
+    const children = this.vttApi.ungroupObject(groupId);
+    if (children) {
+      this.vttApi.setSelection(children.map((child) => child.id));
+      this.displayMessage("Group dissolved.", "success", 1500);
+    } else {
+      this.displayMessage("Failed to ungroup the object.", "error");
+    }
+  }
+
+  /**
+   * Copies the selected objects for the system clipboard.
+   * @returns {string | null} The clipboard text, or null if nothing is selected.
+   */
+  copySelection() {
+    dUiVM("copySelection called");
+    if (!this.vttApi) return null;
+    const ids = this.vttApi.getSelectedObjectIds();
+    if (ids.length === 0) return null;
+    return serializeObjects(this.vttApi.copyObjects(ids));
+  }
+
+  /**
+   * Copies the selected objects for the system clipboard, then deletes them (as one undoable step).
+   * @returns {string | null} The clipboard text, or null if nothing is selected.
+   */
+  cutSelection() {
+    dUiVM("cutSelection called");
+    const text = this.copySelection();
+    if (text === null) return null;
+    const ids = this.vttApi.getSelectedObjectIds();
+    this.vttApi.beginHistoryBatch(
+      ids.length === 1 ? "Cut object" : `Cut ${ids.length} objects`,
+    );
+    try {
+      ids.forEach((id) => this.vttApi.deleteObject(id));
+    } finally {
+      this.vttApi.endHistoryBatch();
+    }
+    return text;
+  }
+
+  /**
+   * Pastes objects copied in this or another session, then selects them.
+   * @param {string} text - The clipboard text.
+   * @param {{x: number, y: number} | null} [position] - Where to center the pasted objects on the table. Defaults
+   *        to slightly right of and below the originals.
+   * @returns {boolean} True if the text held copied objects (other text is left alone).
+   */
+  pasteObjects(text, position = null) {
+    dUiVM("pasteObjects called at %o", position);
+    if (!this.vttApi) return false;
+    const objects = parseObjects(text);
+    if (!objects) return false;
+    if (this.vttApi.getCurrentUser().role === "spectator") {
+      this.displayMessage("Spectators cannot paste objects.", "warning");
+      return true;
+    }
+    const pasted = this.vttApi.pasteObjects(objects, position);
+    this.vttApi.setSelection(pasted.map((obj) => obj.id));
+    return true;
+  }
+
+  /**
+   * Duplicates the selected objects, then selects the copies.
+   */
+  duplicateSelection() {
+    dUiVM("duplicateSelection called");
+    if (!this.vttApi) return;
+    const ids = this.vttApi.getSelectedObjectIds();
+    if (ids.length === 0) {
+      this.displayMessage("Select objects to duplicate.", "info");
+      return;
+    }
+    if (this.vttApi.getCurrentUser().role === "spectator") {
+      this.displayMessage("Spectators cannot duplicate objects.", "warning");
+      return;
+    }
+    const copies = this.vttApi.duplicateObjects(ids);
+    this.vttApi.setSelection(copies.map((obj) => obj.id));
+  }
+
+  rollDice(notation, label) {
+    dUiVM("rollDice called with notation: %s", notation);
+    if (!this.vttApi) return null;
+    try {
+      return this.vttApi.roll(notation, label);
+    } catch (error) {
+      log.warn("[UiViewModel] Invalid dice notation:", error.message);
+      this.displayMessage(`Dice Error: ${error.message}`, "error");
+      return null;
+    }
+  }
+
+  clearRollLog() {
+    dUiVM("clearRollLog called.");
+    if (!this.vttApi) return;
+    this.vttApi.clearRollLog();
+  }
+
+  /**
+   * Joins a multiplayer room. If the room already has a table, it replaces this one.
+   * @param {string} room - The room name.
+   * @param {string} [backend='relay'] - The sync backend (see `sessionSync.SYNC_BACKENDS`).
+   * @returns {Promise<void>}
+   */
+  async joinRoom(room, backend = "relay") {
+    const roomName = String(room || "").trim();
+    dUiVM("joinRoom called with room: %s, backend: %s", roomName, backend);
+    if (!roomName) {
+      this.displayMessage("Enter a room name to join.", "error");
+      return;
+    }
+    try {
+      await sessionSync.connect({
+        room: roomName,
+        backend,
+        onStatusChange: (status, reason) =>
+          this._handleSyncStatusChange(status, reason),
+      });
+    } catch (error) {
+      log.error("[UiViewModel] Could not join the room:", error);
+      this.displayMessage(`Sync Error: ${error.message}`, "error");
+    }
+  }
+
+  leaveRoom() {
+    dUiVM("leaveRoom called.");
+    sessionSync.disconnect();
+  }
+
+  /**
+   * Reports connection changes to the user and forwards the status to the view.
+   * @param {import('../sync/sessionSync.js').SyncStatus} status - The new status.
+   * @param {string} [reason] - Why the status changed, if it was not requested (e.g. a lost connection).
+   * @private
+   */
+  _handleSyncStatusChange(status, reason) {
+    const previous = this.syncStatus;
+    this.syncStatus = status;
+    dUiVM("Sync status changed from %o to %o", previous, status);
+    if (status.state === "disconnected" && reason) {
+      this.displayMessage(`Sync Error: ${reason}`, "error");
+    } else if (
+      previous.state === "connected" &&
+      status.state === "disconnected"
+    ) {
+      this.displayMessage(`Left room "${previous.room}".`, "info");
+    } else if (previous.state !== "connected" && status.state === "connected") {
+      let message = `Joined room "${status.room}".`;
+      if (status.peerCount > 0) {
+        message = `Joined room "${status.room}" with ${status.peerCount} other player(s).`;
+      } else if (status.peerCount === 0) {
+        message = `Joined room "${status.room}". Players joining it will get this table.`;
+      }
+      this.displayMessage(message, "success");
+    } else if (status.state === "connected" && previous.peerCount !== null) {
+      if (status.peerCount > previous.peerCount) {
+        this.displayMessage("A player joined the room.", "info");
+      } else if (status.peerCount < previous.peerCount) {
+        this.displayMessage("A player left the room.", "info");
+      }
+    }
+    if (this._onSyncStatusChanged) this._onSyncStatusChanged(status);
+  }
+
+  /**
+   * Stores an image chosen by the user as an asset (see model/assets.js).
+   * @param {string} dataUrl - The image as a data URL.
+   * @returns {Promise<string | null>} The asset reference to use as the image URL, or null if the image could not be
+   *          stored (the user is told why).
+   */
+  async addImageAsset(dataUrl) {
+    dUiVM("addImageAsset called with data length: %d", dataUrl?.length);
+    if (!this.vttApi) return null;
+    try {
+      return await this.vttApi.addImageAsset(dataUrl);
+    } catch (error) {
+      log.error("[UiViewModel] Could not add image asset:", error);
+      this.displayMessage(`Image Error: ${error.message}`, "error");
+      return null;
     }
-    return newObj;
   }
 
   setTableBackground(backgroundProps) {
@@ -396,6 +1284,28 @@ class UiViewModel {
     this.displayMessage("Table background updated.", "success", 1500);
   }
 
+  undo() {
+    dUiVM("undo called.");
+    if (!this.vttApi) return;
+    const label = this.vttApi.undo();
+    if (label) {
+      this.displayMessage(`Undo: ${label}`, "info", 1500);
+    } else {
+      this.displayMessage("Nothing to undo.", "info", 1500);
+    }
+  }
+
+  redo() {
+    dUiVM("redo called.");
+    if (!this.vttApi) return;
+    const label = this.vttApi.redo();
+    if (label) {
+      this.displayMessage(`Redo: ${label}`, "info", 1500);
+    } else {
+      this.displayMessage("Nothing to redo.", "info", 1500);
+    }
+  }
+
   requestCreateObjectModal() {
     dUiVM("requestCreateObjectModal called.");
     if (typeof this._onCreateObjectModalRequested === "function") {
@@ -468,6 +1378,64 @@ class UiViewModel {
       );
     }
   }
+
+  /**
+   * Offers to restore the most recent autosave snapshot, then starts autosaving.
+   * Autosave is only armed after the user's decision, so the fresh table never replaces the snapshot being offered.
+   * @returns {Promise<void>}
+   */
+  async checkForRecoverableSession() {
+    dUiVM("checkForRecoverableSession called.");
+    const [latestSnapshot] = await autosave.getAutosaveSnapshots();
+    if (
+      !latestSnapshot ||
+      typeof this._onSessionRecoveryRequested !== "function"
+    ) {
+      dUiVM("No snapshot to recover, starting autosave.");
+      autosave.startAutosave();
+      return;
+    }
+    this._onSessionRecoveryRequested(latestSnapshot, async (restore) => {
+      dUiVM("Session recovery decision: %s", restore);
+      if (restore) {
+        const restored = await autosave.restoreSnapshot(latestSnapshot.id);
+        // A recovered session starts with a clean history rather than an undoable "restore" step.
+        if (restored && this.vttApi) this.vttApi.clearHistory();
+      }
+      autosave.startAutosave();
+    });
+  }
+
+  async requestLoadAutosaveSnapshot() {
+    dUiVM("requestLoadAutosaveSnapshot called.");
+    const snapshots = await autosave.getAutosaveSnapshots();
+    if (snapshots.length === 0) {
+      this.displayMessage("No autosave snapshots found.", "info");
+      return;
+    }
+    if (typeof this._onShowSelectionModalRequested !== "function") {
+      this.displayMessage(
+        "Cannot display autosave snapshots: UI component not ready.",
+        "error",
+      );
+      return;
+    }
+    const choices = snapshots.map((snapshot) => ({
+      id: snapshot.id,
+      text: `${snapshot.name} (${snapshot.objectCount} objects, last saved ${new Date(snapshot.savedAt).toLocaleTimeString()})`,
+    }));
+    this._onShowSelectionModalRequested(
+      "Restore Autosave Snapshot",
+      choices,
+      (selectedId) => {
+        if (selectedId === null) {
+          this.displayMessage("Restore cancelled.", "info");
+          return;
+        }
+        autosave.restoreSnapshot(selectedId);
+      },
+    );
+  }
 }
 
 export default UiViewModel;
@@ -7,6 +7,22 @@
 import log from "loglevel";
 import debug from "debug";
 import CanvasViewModel from "../viewmodels/canvasViewModel.js"; // Added import
+import { getHexCentersInRect, getHexCorners } from "../model/grid.js";
+import {
+  isPathShape,
+  isClosedPath,
+  getLocalPathPoints,
+  pathPropsFromPoints,
+  simplifyPath,
+} from "../model/shapes.js";
+import {
+  isDeck,
+  getDisplayImageUrl,
+  getDisplayImageRegion,
+} from "../model/deck.js";
+import { isGroup } from "../model/group.js";
+import { distanceToSegment } from "../model/shapes.js";
+import { runObjectScript } from "../scripting/scriptRunner.js";
 // VTT_API import removed as it's now passed in
 // import * as model from "../model/model.js"; // Removed direct model import
 
@@ -22,14 +38,104 @@ let viewModel; // This will hold the CanvasViewModel instance
 let moduleVttApi = null;
 
 // Variables for canvas interaction states internal to the view
-/** @type {boolean} True if an object is currently being dragged. */
+/** @type {boolean} True if the selected objects are currently being dragged. */
 let isDragging = false;
 /** @type {boolean} True if the canvas is currently being panned. */
 let isPanning = false;
-/** @type {number} Offset between mouse X and object X during drag. */
-let dragOffsetX = 0;
-/** @type {number} Offset between mouse Y and object Y during drag. */
-let dragOffsetY = 0;
+/** @type {boolean} True if a marquee (rubber-band) selection is in progress. */
+let isMarqueeSelecting = false;
+/** @type {number} World X of the mouse when the drag started. */
+let dragStartX = 0;
+/** @type {number} World Y of the mouse when the drag started. */
+let dragStartY = 0;
+/** @type {Map<string, {x: number, y: number}>} Positions of the dragged objects when the drag started, keyed by ID. */
+let dragOrigins = new Map();
+/** @type {Map<string, Set<string>>} Objects each dragged object already overlapped when the drag started, keyed by ID. */
+let dragStartOverlaps = new Map();
+/** @type {{startX: number, startY: number, endX: number, endY: number}} Marquee corners in world space. */
+const marquee = { startX: 0, startY: 0, endX: 0, endY: 0 };
+
+/**
+ * Fog of war tools (GM only): what the region drawn with each tool does, and its shape.
+ * @const {Object<string, {mode: 'reveal' | 'cover', shape: 'brush' | 'rect'}>}
+ */
+const FOG_TOOLS = {
+  "fog-reveal-brush": { mode: "reveal", shape: "brush" },
+  "fog-cover-brush": { mode: "cover", shape: "brush" },
+  "fog-reveal-rect": { mode: "reveal", shape: "rect" },
+  "fog-cover-rect": { mode: "cover", shape: "rect" },
+};
+/**
+ * Wall tools (GM only): 'wall' draws connected wall segments like a line, 'wall-erase' removes the clicked wall and
+ * 'door-toggle' opens or closes the clicked door.
+ */
+const WALL_TOOLS = ["wall", "wall-erase", "door-toggle"];
+/** Canvas tools. The path shape tools create an object of the same shape. */
+const TOOLS = [
+  "select",
+  "ruler",
+  "polygon",
+  "polyline",
+  "freehand",
+  ...Object.keys(FOG_TOOLS),
+  ...WALL_TOOLS,
+];
+/** @type {string} The active canvas tool (one of TOOLS). */
+let activeTool = "select";
+/** @type {Array<{x: number, y: number}>} Pinned ruler waypoints in world space. */
+let rulerWaypoints = [];
+/** @type {{x: number, y: number} | null} Current end of the ruler while it follows the cursor. */
+let rulerCursor = null;
+/** @type {boolean} True while the ruler's end follows the cursor (button held, or waypoints pinned with Shift). */
+let isMeasuring = false;
+/** @type {Array<{x: number, y: number}>} Vertices (or freehand stroke points) of the shape being drawn, in world space. */
+let drawingPoints = [];
+/** @type {{x: number, y: number} | null} Cursor position while a polygon or polyline is being drawn. */
+let drawingCursor = null;
+/** @type {boolean} True while the mouse button is held down drawing a freehand stroke. */
+let isDrawingFreehand = false;
+/** @const {number} Clicks closer than this (in screen pixels) to the first vertex close a polygon. */
+const CLOSE_POLYGON_SCREEN_DISTANCE = 8;
+/** @const {number} Freehand points closer than this (in screen pixels) to the previous one are skipped. */
+const FREEHAND_MIN_SCREEN_STEP = 2;
+/** @const {number} Maximum deviation (in screen pixels) allowed when simplifying a freehand stroke. */
+const FREEHAND_SIMPLIFY_SCREEN_TOLERANCE = 1;
+/**
+ * @type {{mode: 'reveal' | 'cover', shape: 'brush' | 'rect', points: Array<{x: number, y: number}>, radius: number} | null}
+ * The fog region being drawn with a fog tool, in world space (a rectangle's points are two opposite corners).
+ */
+let fogStroke = null;
+/** @type {number} Diameter of the fog brush, in screen pixels (the stroke keeps the world size it started with). */
+let fogBrushSize = 40;
+/** @const {string} Color of the fog of war. */
+const FOG_COLOR = "#1F2329";
+/** @type {HTMLCanvasElement | null} Offscreen canvas the fog is composed on before it is drawn over the table. */
+let fogCanvas = null;
+/** @const {string} Color of the darkness outside what the user's tokens see. */
+const DARKNESS_COLOR = "#0B0D10";
+/** @const {number} Opacity of the light in dim areas (1 is bright). */
+const DIM_LIGHT_ALPHA = 0.5;
+/** @type {HTMLCanvasElement | null} Offscreen canvas the darkness is composed on before it is drawn over the table. */
+let lightingCanvas = null;
+/** @const {string} Color walls are drawn with (the GM only sees them). */
+const WALL_COLOR = "#F97316";
+/** @const {string} Color doors are drawn with (dashed while open). */
+const DOOR_COLOR = "#38BDF8";
+/** Distance in screen pixels within which the wall eraser hits a wall. */
+const WALL_PICK_TOLERANCE_PX = 6;
+
+/** @const {number} Grid cells smaller than this on screen (in CSS pixels) are not drawn. */
+const MIN_GRID_CELL_SCREEN_SIZE = 4;
+/** @const {number} Opacity of objects the GM sees but some players do not. */
+const GHOSTED_OBJECT_ALPHA = 0.45;
+/** @type {{x: number, y: number} | null} Cursor position in world space while the cursor is over the canvas. */
+let pointerWorldPosition = null;
+/**
+ * While an export is rendered (see renderBoardRegion): its view of the board, and whether it shows the fog of war
+ * and the lighting. Null while the table is drawn on screen.
+ * @type {{panX: number, panY: number, zoom: number, includeFog: boolean} | null}
+ */
+let exportView = null;
 /** @type {number} Last known mouse X client coordinate during panning. */
 let lastPanX = 0;
 /** @type {number} Last known mouse Y client coordinate during panning. */
@@ -113,14 +219,15 @@ export const initCanvas = (canvasElement, displayMessageFn, vttApi) => {
         case "allObjectsCleared":
           viewModel.clearAllViewModelObjects();
           viewModel.setSelectedObjectInViewModel(null);
+          dragOrigins.clear();
           dCanvasView(
             "ViewModel: allObjectsCleared and selection reset in canvasView",
           );
           break;
         case "selectionChanged":
-          viewModel.setSelectedObjectInViewModel(payload);
+          viewModel.setSelectionInViewModel(payload);
           dCanvasView(
-            "ViewModel: selectionChanged to %s in canvasView",
+            "ViewModel: selectionChanged to %o in canvasView",
             payload,
           );
           break;
@@ -137,15 +244,10 @@ export const initCanvas = (canvasElement, displayMessageFn, vttApi) => {
           );
           break;
         case "objectDeleted":
+          // removeObjectFromViewModel also drops the object from the ViewModel's selection;
+          // the model follows up with its own 'selectionChanged' event.
           viewModel.removeObjectFromViewModel(payload.id);
-          if (payload.id === moduleVttApi.getSelectedObjectId()) {
-            // Use moduleVttApi
-            viewModel.setSelectedObjectInViewModel(null);
-            dCanvasView(
-              "ViewModel: selected object %s was deleted, selection reset in canvasView",
-              payload.id,
-            );
-          }
+          dragOrigins.delete(payload.id);
           dCanvasView("ViewModel: objectDeleted in canvasView: %s", payload.id);
           break;
         case "panZoomChanged":
@@ -159,6 +261,10 @@ export const initCanvas = (canvasElement, displayMessageFn, vttApi) => {
             payload,
           );
           break;
+        case "gridChanged":
+          viewModel.setGridInViewModel(payload);
+          dCanvasView("ViewModel: gridChanged in canvasView: %o", payload);
+          break;
         case "boardPropertiesChanged":
           viewModel.setBoardPropertiesInViewModel(payload);
           dCanvasView(
@@ -166,6 +272,36 @@ export const initCanvas = (canvasElement, displayMessageFn, vttApi) => {
             payload,
           );
           break;
+        case "fogChanged":
+          viewModel.setFogInViewModel(payload);
+          dCanvasView(
+            "ViewModel: fogChanged in canvasView (%d regions)",
+            payload.regions.length,
+          );
+          break;
+        case "layersChanged":
+          viewModel.setLayersInViewModel(payload);
+          dCanvasView("ViewModel: layersChanged in canvasView: %o", payload);
+          break;
+        case "wallsChanged":
+          viewModel.setWallsInViewModel(payload);
+          dCanvasView(
+            "ViewModel: wallsChanged in canvasView (%d walls)",
+            payload.length,
+          );
+          break;
+        case "lightingChanged":
+          viewModel.setLightingInViewModel(payload);
+          dCanvasView("ViewModel: lightingChanged in canvasView: %o", payload);
+          break;
+        case "userChanged":
+          viewModel.setUserInViewModel(payload);
+          dCanvasView("ViewModel: userChanged in canvasView: %o", payload);
+          break;
+        case "assetAdded":
+          viewModel.handleAssetAdded(payload.hash);
+          dCanvasView("ViewModel: assetAdded in canvasView: %s", payload.hash);
+          break;
         default:
           dCanvasView(
             "Unhandled modelChanged event type in canvasView.js for viewModel: %s",
@@ -230,7 +366,14 @@ export const initCanvas = (canvasElement, displayMessageFn, vttApi) => {
         panZoomState: moduleVttApi.getPanZoomState(),
         tableBackground: moduleVttApi.getTableBackground(),
         selectedObjectId: moduleVttApi.getSelectedObjectId(),
+        selectedObjectIds: moduleVttApi.getSelectedObjectIds(),
         boardProperties: moduleVttApi.getBoardProperties(),
+        grid: moduleVttApi.getGrid(),
+        fog: moduleVttApi.getFog(),
+        walls: moduleVttApi.getWalls(),
+        lighting: moduleVttApi.getLighting(),
+        layers: moduleVttApi.getLayers(),
+        currentUser: moduleVttApi.getCurrentUser(),
       };
       dCanvasView(
         "Initial state for ViewModel (deferred in canvasView): %o",
@@ -260,12 +403,33 @@ export const initCanvas = (canvasElement, displayMessageFn, vttApi) => {
   canvas.addEventListener("mousemove", handleMouseMove);
   canvas.addEventListener("mouseup", handleMouseUp);
   canvas.addEventListener("mouseleave", handleMouseLeave);
+  canvas.addEventListener("dblclick", handleDoubleClick);
   canvas.addEventListener("wheel", handleWheel);
 
   log.info("canvasView.js initialized with CanvasViewModel");
   dCanvasView("Canvas event listeners registered. Initialization complete.");
 };
 
+/**
+ * Returns where the cursor is on the table, e.g. to paste objects there.
+ * @returns {{x: number, y: number} | null} The position in world space, or null if the cursor is not over the canvas.
+ */
+export const getPointerWorldPosition = () =>
+  pointerWorldPosition && { ...pointerWorldPosition };
+
+/**
+ * Returns the table position at the middle of the canvas, e.g. to place new objects where the user is looking.
+ * @returns {{x: number, y: number} | null} The position in world space, or null before the canvas is initialized.
+ */
+export const getViewCenterWorldPosition = () => {
+  if (!canvas || !viewModel) return null;
+  const dpr = window.devicePixelRatio || 1;
+  return viewModel.convertScreenToWorldCoordinates(
+    canvas.width / dpr / 2,
+    canvas.height / dpr / 2,
+  );
+};
+
 /**
  * Sets the canvas dimensions based on its parent container's size and device pixel ratio.
  * Adjusts canvas style for proper display and scales the context for DPR.
@@ -325,7 +489,296 @@ export const setCanvasSize = () => {
   }
 };
 
+// --- Tools ---
+/**
+ * Switches the active canvas tool. Any measurement, shape or fog region being drawn is discarded.
+ * @param {string} tool - The tool to activate: 'select', 'ruler', 'polygon', 'polyline', 'freehand', a fog tool
+ *   ('fog-reveal-brush', 'fog-cover-brush', 'fog-reveal-rect', 'fog-cover-rect') or a wall tool ('wall', 'wall-erase', 'door-toggle').
+ */
+export const setActiveTool = (tool) => {
+  dCanvasView("setActiveTool called with tool: %s", tool);
+  activeTool = TOOLS.includes(tool) ? tool : "select";
+  if (canvas) {
+    canvas.style.cursor = activeTool === "select" ? "" : "crosshair";
+  }
+  cancelMeasurement();
+  cancelDrawing();
+};
+
+/**
+ * Sets the layer this participant works on: its objects are picked first, and shapes drawn on the canvas are
+ * created on it.
+ * @param {string} layerId - The ID of the layer.
+ */
+export const setActiveLayer = (layerId) => {
+  dCanvasView("setActiveLayer called with: %s", layerId);
+  if (viewModel) viewModel.setActiveLayerInViewModel(layerId);
+};
+
+/**
+ * Sets the diameter of the fog brush.
+ * @param {number} size - The diameter, in screen pixels.
+ */
+export const setFogBrushSize = (size) => {
+  const parsed = parseFloat(size);
+  if (!isNaN(parsed) && parsed > 0) fogBrushSize = parsed;
+  dCanvasView("Fog brush size set to %f", fogBrushSize);
+};
+
+/**
+ * Switches the GM between the see-through fog and the opaque fog players see.
+ * @param {boolean} preview - True to see the fog as players do.
+ */
+export const setFogPreview = (preview) => {
+  if (viewModel) viewModel.setFogPreview(preview);
+};
+
+/**
+ * Adds the fog region being drawn to the fog of war. Rectangles without area are discarded.
+ */
+const finishFogStroke = () => {
+  if (!fogStroke) return;
+  const { mode, shape, points, radius } = fogStroke;
+  fogStroke = null;
+  let region;
+  if (shape === "rect") {
+    const [start, end] = points;
+    region = {
+      mode,
+      shape,
+      x: start.x,
+      y: start.y,
+      width: end.x - start.x,
+      height: end.y - start.y,
+    };
+  } else {
+    const zoom = viewModel.getPanZoom().zoom || 1;
+    region = {
+      mode,
+      shape,
+      points: simplifyPath(points, FREEHAND_SIMPLIFY_SCREEN_TOLERANCE / zoom),
+      radius,
+    };
+  }
+  dCanvasView("Fog %s %s finished: %o", mode, shape, region);
+  // An empty rectangle is rejected by the model; redraw to remove its preview
+  if (!moduleVttApi.addFogRegion(region)) drawVTT();
+};
+
+/**
+ * Discards the shape being drawn, if any.
+ */
+export const cancelDrawing = () => {
+  if (fogStroke) {
+    fogStroke = null;
+    drawVTT();
+  }
+  if (drawingPoints.length === 0 && !isDrawingFreehand) return;
+  dCanvasView("Drawing cancelled.");
+  drawingPoints = [];
+  drawingCursor = null;
+  isDrawingFreehand = false;
+  drawVTT();
+};
+
+/**
+ * Adds the walls being drawn with the wall tool: one wall per segment between consecutive points.
+ */
+const finishWalls = () => {
+  const points = drawingPoints;
+  drawingPoints = [];
+  drawingCursor = null;
+  const segments = points.slice(1).map((point, index) => ({
+    x1: points[index].x,
+    y1: points[index].y,
+    x2: point.x,
+    y2: point.y,
+  }));
+  dCanvasView("Adding %d walls.", segments.length);
+  if (segments.length === 0) {
+    drawVTT();
+    return;
+  }
+  moduleVttApi.addWalls(segments);
+};
+
+/**
+ * Finds the wall nearest to a point, if one is close enough.
+ * @param {number} worldX - The point's X in world space.
+ * @param {number} worldY - The point's Y in world space.
+ * @param {function(import('../model/lighting.js').Wall): boolean} [filter] - Limits the walls considered.
+ * @returns {import('../model/lighting.js').Wall | null}
+ */
+const findWallAt = (worldX, worldY, filter = () => true) => {
+  const zoom = viewModel.getPanZoom().zoom || 1;
+  let nearest = null;
+  let nearestDistance = WALL_PICK_TOLERANCE_PX / zoom;
+  viewModel
+    .getWalls()
+    .filter(filter)
+    .forEach((wall) => {
+      const distance = distanceToSegment(
+        { x: worldX, y: worldY },
+        { x: wall.x1, y: wall.y1 },
+        { x: wall.x2, y: wall.y2 },
+      );
+      if (distance <= nearestDistance) {
+        nearest = wall;
+        nearestDistance = distance;
+      }
+    });
+  return nearest;
+};
+
+/**
+ * Removes the wall nearest to a point, if one is close enough.
+ * @param {number} worldX - The point's X in world space.
+ * @param {number} worldY - The point's Y in world space.
+ */
+const eraseWallAt = (worldX, worldY) => {
+  const wall = findWallAt(worldX, worldY);
+  dCanvasView("Wall eraser at x:%f, y:%f hit: %o", worldX, worldY, wall);
+  if (wall) moduleVttApi.removeWalls([wall.id]);
+};
+
+/**
+ * Opens or closes the door nearest to a point, if one is close enough.
+ * @param {number} worldX - The point's X in world space.
+ * @param {number} worldY - The point's Y in world space.
+ */
+const toggleDoorAt = (worldX, worldY) => {
+  const door = findWallAt(worldX, worldY, (wall) => wall.door);
+  dCanvasView("Door toggle at x:%f, y:%f hit: %o", worldX, worldY, door);
+  if (door) moduleVttApi.setDoorOpen(door.id, !door.open);
+};
+
+/**
+ * Creates an object from the shape being drawn with the active path tool and selects it.
+ * Polygons need at least three vertices, lines and freehand strokes two; shorter shapes are discarded.
+ * With the wall tool, adds the walls being drawn instead.
+ */
+export const finishDrawing = () => {
+  if (activeTool === "wall" && drawingPoints.length > 0) {
+    finishWalls();
+    return;
+  }
+  if (!isPathShape(activeTool) || drawingPoints.length === 0) return;
+  const zoom = viewModel.getPanZoom().zoom || 1;
+  const points =
+    activeTool === "freehand"
+      ? simplifyPath(drawingPoints, FREEHAND_SIMPLIFY_SCREEN_TOLERANCE / zoom)
+      : drawingPoints;
+  const minimumPoints = activeTool === "polygon" ? 3 : 2;
+  const shape = activeTool;
+  drawingPoints = [];
+  drawingCursor = null;
+  isDrawingFreehand = false;
+  if (points.length < minimumPoints) {
+    dCanvasView("Drawing discarded: %d points.", points.length);
+    drawVTT();
+    return;
+  }
+  const newObject = moduleVttApi.createObject(shape, {
+    ...pathPropsFromPoints(points),
+    closed: shape === "polygon",
+    layer: viewModel.getActiveLayerId(),
+  });
+  dCanvasView("Created %s from %d points: %o", shape, points.length, newObject);
+  if (newObject) moduleVttApi.setSelection([newObject.id], newObject.id);
+  drawVTT();
+};
+
+/**
+ * Removes the ruler (in progress or finished) from the canvas.
+ */
+export const cancelMeasurement = () => {
+  if (rulerWaypoints.length === 0 && !isMeasuring) return;
+  dCanvasView("Measurement cancelled.");
+  rulerWaypoints = [];
+  rulerCursor = null;
+  isMeasuring = false;
+  drawVTT();
+};
+
 // --- Drawing Logic ---
+/**
+ * Returns the view the board is drawn with: the user's pan and zoom on screen, or the view of the export being
+ * rendered.
+ * @returns {{panX: number, panY: number, zoom: number, dpr: number}}
+ */
+const getDrawView = () =>
+  exportView
+    ? {
+        panX: exportView.panX,
+        panY: exportView.panY,
+        zoom: exportView.zoom,
+        dpr: 1,
+      }
+    : { ...viewModel.getPanZoom(), dpr: window.devicePixelRatio || 1 };
+
+/**
+ * Draws the grid overlay, clipped to the board and limited to the visible area.
+ * Must be called with the pan/zoom transform applied.
+ * @param {number} boardWidthPx - Board width in world pixels.
+ * @param {number} boardHeightPx - Board height in world pixels.
+ */
+const drawGrid = (boardWidthPx, boardHeightPx) => {
+  const gridSettings = viewModel.getGrid();
+  if (!gridSettings || gridSettings.type === "none") return;
+  const grid = viewModel.getPixelGrid();
+  const { panX, panY, zoom, dpr } = getDrawView();
+  if (!(grid.cellSize * zoom >= MIN_GRID_CELL_SCREEN_SIZE)) {
+    return; // Too dense to be useful (or an invalid cell size)
+  }
+
+  // Visible part of the board in world coordinates
+  const left = Math.max(0, -panX / zoom);
+  const top = Math.max(0, -panY / zoom);
+  const right = Math.min(boardWidthPx, (canvas.width / dpr - panX) / zoom);
+  const bottom = Math.min(boardHeightPx, (canvas.height / dpr - panY) / zoom);
+  if (right <= left || bottom <= top) return;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(0, 0, boardWidthPx, boardHeightPx);
+  ctx.clip();
+  ctx.globalAlpha = gridSettings.opacity;
+  ctx.strokeStyle = gridSettings.color;
+  ctx.lineWidth = 1 / zoom; // One screen pixel regardless of zoom
+  ctx.beginPath();
+  if (gridSettings.type === "square") {
+    const firstColumn = Math.floor((left - grid.offsetX) / grid.cellSize);
+    const firstRow = Math.floor((top - grid.offsetY) / grid.cellSize);
+    for (
+      let lineX = grid.offsetX + firstColumn * grid.cellSize;
+      lineX <= right;
+      lineX += grid.cellSize
+    ) {
+      ctx.moveTo(lineX, top);
+      ctx.lineTo(lineX, bottom);
+    }
+    for (
+      let lineY = grid.offsetY + firstRow * grid.cellSize;
+      lineY <= bottom;
+      lineY += grid.cellSize
+    ) {
+      ctx.moveTo(left, lineY);
+      ctx.lineTo(right, lineY);
+    }
+  } else {
+    getHexCentersInRect({ left, top, right, bottom }, grid).forEach(
+      (center) => {
+        const corners = getHexCorners(center.x, center.y, grid);
+        ctx.moveTo(corners[0].x, corners[0].y);
+        corners.slice(1).forEach((corner) => ctx.lineTo(corner.x, corner.y));
+        ctx.closePath();
+      },
+    );
+  }
+  ctx.stroke();
+  ctx.restore();
+};
+
 /**
  * Main rendering function for the VTT canvas.
  * Clears the canvas and redraws everything based on the current state from the ViewModel.
@@ -339,18 +792,15 @@ export const drawVTT = () => {
   }
 
   // Get current Device Pixel Ratio for scaling
-  const dpr = window.devicePixelRatio || 1;
+  const { panX, panY, zoom, dpr } = getDrawView();
   // dCanvasView('DPR: %f', dpr);
-  const { panX, panY, zoom } = viewModel.getPanZoom();
   // dCanvasView('Pan/Zoom state: panX=%f, panY=%f, zoom=%f', panX, panY, zoom);
   const { type: bgType, value: bgValue } = viewModel.getBackground() || {};
   // dCanvasView('Background state: type=%s, value=%s', bgType, bgValue);
   const { widthPx: currentBoardWidthPx, heightPx: currentBoardHeightPx } =
     viewModel.getBoardProperties() || { widthPx: 0, heightPx: 0 };
   // dCanvasView('Board properties: widthPx=%f, heightPx=%f', currentBoardWidthPx, currentBoardHeightPx);
-  const viewModelObjects = viewModel.getObjects(); // Map of objects from ViewModel
   const viewModelSelectedObjectId = viewModel.getSelectedObjectId();
-  // dCanvasView('Number of objects to draw: %d, Selected ObjectId: %s', viewModelObjects.size, viewModelSelectedObjectId);
 
   // 1. Clear canvas (everything outside the transformed area)
   ctx.save();
@@ -390,16 +840,17 @@ export const drawVTT = () => {
     ctx.fillRect(0, 0, currentBoardWidthPx, currentBoardHeightPx);
   }
 
+  // 3b. Draw Grid (above the background, below the objects)
+  drawGrid(currentBoardWidthPx, currentBoardHeightPx);
+
   // 4. Draw Board Boundary
   ctx.strokeStyle = "#111111"; // Dark border for the board
   ctx.lineWidth = Math.max(0.5, 1 / zoom); // Ensure border is visible even when zoomed out
   ctx.strokeRect(0, 0, currentBoardWidthPx, currentBoardHeightPx);
 
   // 5. Draw Objects
-  // Sort objects by zIndex to ensure correct stacking order
-  const sortedObjects = Array.from(viewModelObjects.values()).sort(
-    (a, b) => (a.zIndex || 0) - (b.zIndex || 0),
-  );
+  // Layers are drawn bottom first, objects by zIndex within a layer. Objects the current user may not see are skipped.
+  const sortedObjects = viewModel.getVisibleObjectsInDrawOrder();
 
   sortedObjects.forEach((obj) => {
     const {
@@ -417,7 +868,6 @@ export const drawVTT = () => {
       backgroundColor,
       borderColor,
       borderWidth = 0,
-      imageUrl,
       text,
       textColor = "#000000",
       fontSize = 14,
@@ -426,6 +876,8 @@ export const drawVTT = () => {
     } = appearance || {};
 
     ctx.save();
+    // The GM sees objects hidden from players ghosted
+    if (viewModel.isObjectGhosted(obj)) ctx.globalAlpha = GHOSTED_OBJECT_ALPHA;
     // Apply object-specific transformations (translation for position, rotation)
     const centerX = x + width / 2;
     const centerY = y + height / 2;
@@ -434,9 +886,33 @@ export const drawVTT = () => {
     ctx.translate(-width / 2, -height / 2); // Translate origin to object's top-left for drawing
 
     let baseFill = backgroundColor || "#DDDDDD"; // Default fill if none specified
+    // Cards show their front or back image, decks the back of their top card
+    const imageUrl = isGroup(obj) ? "" : getDisplayImageUrl(obj);
 
-    // Draw shape (rectangle or circle)
-    if (shape === "rectangle") {
+    // Draw shape (rectangle, circle or path). Groups have no look of their own: their children were drawn before them.
+    if (isGroup(obj)) {
+      // Only the selection highlight below
+    } else if (isPathShape(shape)) {
+      const points = getLocalPathPoints(obj);
+      const closed = isClosedPath(obj);
+      ctx.beginPath();
+      ctx.moveTo(points[0].x, points[0].y);
+      points.slice(1).forEach((point) => ctx.lineTo(point.x, point.y));
+      if (closed) ctx.closePath();
+      if (closed && appearance?.filled !== false) {
+        ctx.fillStyle = baseFill;
+        ctx.fill();
+      }
+      if (borderColor && borderWidth > 0) {
+        ctx.strokeStyle = borderColor;
+        ctx.lineWidth = borderWidth;
+        ctx.lineCap = "round";
+        ctx.lineJoin = "round";
+        ctx.stroke();
+      }
+      // Images on closed paths are clipped to the outline
+      if (closed && imageUrl) ctx.clip();
+    } else if (shape === "rectangle") {
       ctx.fillStyle = baseFill;
       ctx.fillRect(0, 0, width, height);
       if (borderColor && borderWidth > 0) {
@@ -465,7 +941,22 @@ export const drawVTT = () => {
     // Draw object image if URL is provided
     if (imageUrl) {
       const imgEntry = viewModel.getLoadedImage(imageUrl);
-      if (imgEntry && imgEntry.status === "loaded" && imgEntry.img) {
+      const region = getDisplayImageRegion(obj);
+      if (imgEntry && imgEntry.status === "loaded" && imgEntry.img && region) {
+        // One cell of a sprite sheet
+        const { naturalWidth, naturalHeight } = imgEntry.img;
+        ctx.drawImage(
+          imgEntry.img,
+          region.x * naturalWidth,
+          region.y * naturalHeight,
+          region.width * naturalWidth,
+          region.height * naturalHeight,
+          0,
+          0,
+          width,
+          height,
+        );
+      } else if (imgEntry && imgEntry.status === "loaded" && imgEntry.img) {
         ctx.drawImage(imgEntry.img, 0, 0, width, height);
       } else if (!imgEntry || imgEntry.status !== "loading") {
         viewModel.loadImage(imageUrl, imageUrl); // ViewModel handles redraw on load
@@ -493,7 +984,12 @@ export const drawVTT = () => {
     }
 
     // Draw object name above the object
-    if (name && typeof name === "string" && name.trim() !== "") {
+    if (
+      !isGroup(obj) &&
+      name &&
+      typeof name === "string" &&
+      name.trim() !== ""
+    ) {
       const nameFontSize = 12 / zoom; // Adjust font size based on zoom for better readability
       ctx.font = `${Math.max(6, nameFontSize)}px Arial`; // Minimum font size 6px
       ctx.fillStyle = "#000000"; // Default name color
@@ -503,8 +999,17 @@ export const drawVTT = () => {
       ctx.fillText(name, width / 2, -nameTopMargin);
     }
 
-    // Draw selection highlight if object is selected
-    if (id === viewModelSelectedObjectId) {
+    if (isDeck(obj)) {
+      drawDeckBadge(
+        Array.isArray(obj.cards) ? obj.cards.length : 0,
+        width,
+        zoom,
+      );
+    }
+
+    // Draw selection highlight if object is selected. The primary selection (shown in the inspector)
+    // is drawn solid; other members of a multi-selection are drawn dashed.
+    if (!exportView && viewModel.isObjectSelected(id)) {
       ctx.strokeStyle = "rgba(0, 150, 255, 0.9)";
       ctx.lineWidth = Math.max(0.5, Math.min(4, 2 / zoom));
       const offset =
@@ -513,13 +1018,487 @@ export const drawVTT = () => {
       // No special handling for 'circle' shape's highlight dimensions needed here anymore,
       // as the highlight should just use the object's actual width and height.
       // The `highlightWidth` and `highlightHeight` variables can be removed if only used for this.
+      if (id !== viewModelSelectedObjectId) {
+        ctx.setLineDash([6 / zoom, 4 / zoom]);
+      }
       ctx.strokeRect(-offset, -offset, width + 2 * offset, height + 2 * offset);
     }
     ctx.restore(); // Restore context state for next object
   });
+
+  // 5a. Darken what the user's tokens do not see (dynamic lighting)
+  // 5b. Draw the fog of war (above the objects, below the tools' overlays)
+  if (!exportView || exportView.includeFog) {
+    drawLighting(panX, panY, zoom, dpr);
+    drawFog(panX, panY, zoom, dpr);
+  }
+
+  // Exports show the board without the tools' overlays
+  if (!exportView) {
+    // 5c. Draw the walls (GM only)
+    drawWalls(zoom);
+
+    // 6. Draw marquee selection rectangle
+    if (isMarqueeSelecting) {
+      const left = Math.min(marquee.startX, marquee.endX);
+      const top = Math.min(marquee.startY, marquee.endY);
+      const marqueeWidth = Math.abs(marquee.endX - marquee.startX);
+      const marqueeHeight = Math.abs(marquee.endY - marquee.startY);
+      ctx.fillStyle = "rgba(0, 150, 255, 0.15)";
+      ctx.fillRect(left, top, marqueeWidth, marqueeHeight);
+      ctx.strokeStyle = "rgba(0, 150, 255, 0.9)";
+      ctx.lineWidth = 1 / zoom;
+      ctx.setLineDash([4 / zoom, 3 / zoom]);
+      ctx.strokeRect(left, top, marqueeWidth, marqueeHeight);
+    }
+
+    // 6b. Draw the shape being drawn with a path tool
+    drawShapePreview(zoom);
+
+    // 7. Draw ruler
+    drawRuler(zoom);
+  }
   ctx.restore(); // Restore context state from initial save (pan/zoom, clearRect)
 };
 
+// --- Export ---
+/**
+ * Lists the images drawn on the board: the background image and the images of the objects the user sees.
+ * @returns {string[]}
+ */
+const getDrawnImageUrls = () => {
+  const { type, value } = viewModel.getBackground() || {};
+  const urls = viewModel
+    .getVisibleObjectsInDrawOrder()
+    .map((obj) => (isGroup(obj) ? "" : getDisplayImageUrl(obj)));
+  return [...new Set([type === "image" ? value : "", ...urls])].filter(Boolean);
+};
+
+/**
+ * Renders part of the board into a new canvas, with the pipeline that draws the table (`drawVTT`) but without the
+ * tools' overlays (selection, walls, marquee, ruler), e.g. to export the board as an image. The board's images are
+ * loaded first.
+ * @param {{x: number, y: number, width: number, height: number}} region - The part of the board, in world
+ *        coordinates (millimeters, see `MM_PER_UNIT` in Board.js).
+ * @param {number} scale - Canvas pixels per millimeter.
+ * @param {{includeFog?: boolean}} [options] - `includeFog`: show the fog of war and the lighting as the user sees
+ *        them (off by default).
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+export const renderBoardRegion = async (
+  region,
+  scale,
+  { includeFog = false } = {},
+) => {
+  dCanvasView("renderBoardRegion called: %o at scale %f", region, scale);
+  await viewModel.waitForImages(getDrawnImageUrls());
+  const target = document.createElement("canvas");
+  target.width = Math.max(1, Math.round(region.width * scale));
+  target.height = Math.max(1, Math.round(region.height * scale));
+  const screen = { canvas, ctx };
+  canvas = target;
+  ctx = target.getContext("2d");
+  exportView = {
+    panX: -region.x * scale,
+    panY: -region.y * scale,
+    zoom: scale,
+    includeFog,
+  };
+  try {
+    drawVTT();
+  } finally {
+    ({ canvas, ctx } = screen);
+    exportView = null;
+  }
+  return target;
+};
+
+/**
+ * Collects what the board shows, for exporters that draw it themselves (e.g. as SVG).
+ * @returns {{boardProperties: object, background: {type: string, value: string}, grid: object,
+ *          pixelGrid: import('../model/grid.js').PixelGrid, objects: VTTObject[], ghostedObjectIds: Set<string>}}
+ *          The objects are the ones the user sees, in drawing order; ghosted ones are drawn semi-transparent.
+ */
+export const getBoardDrawing = () => {
+  const objects = viewModel.getVisibleObjectsInDrawOrder();
+  return {
+    boardProperties: viewModel.getBoardProperties(),
+    background: viewModel.getBackground(),
+    grid: viewModel.getGrid(),
+    pixelGrid: viewModel.getPixelGrid(),
+    objects,
+    ghostedObjectIds: new Set(
+      objects
+        .filter((obj) => viewModel.isObjectGhosted(obj))
+        .map((obj) => obj.id),
+    ),
+  };
+};
+
+/**
+ * Adds a fog region's outline to the current path of a context (a brush stroke is traced as its center line).
+ * @param {CanvasRenderingContext2D} context - The context.
+ * @param {import('../model/fog.js').FogRegion} region - The region, in world space.
+ */
+const traceFogRegion = (context, region) => {
+  context.beginPath();
+  if (region.shape === "rect") {
+    context.rect(region.x, region.y, region.width, region.height);
+    return;
+  }
+  const [first, ...rest] = region.points;
+  context.moveTo(first.x, first.y);
+  // A single brush point is drawn as a dot by the round line cap
+  if (rest.length === 0) context.lineTo(first.x, first.y);
+  rest.forEach((point) => context.lineTo(point.x, point.y));
+  if (region.shape === "polygon") context.closePath();
+};
+
+/**
+ * Returns the fog region being drawn with a fog tool, in the form stored by the model.
+ * @returns {import('../model/fog.js').FogRegion | null}
+ */
+const getFogStrokeRegion = () => {
+  if (!fogStroke) return null;
+  const { mode, shape, points, radius } = fogStroke;
+  if (shape === "brush") return { mode, shape, points, radius };
+  const [start, end] = points;
+  return {
+    mode,
+    shape,
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y),
+  };
+};
+
+/**
+ * Draws the fog of war over the whole canvas, with its revealed regions cut out, and outlines the region being
+ * drawn with a fog tool. The fog is composed on an offscreen canvas, so revealing does not erase the table below.
+ * Must be called with the pan/zoom transform applied.
+ * @param {number} panX - The current horizontal pan.
+ * @param {number} panY - The current vertical pan.
+ * @param {number} zoom - The current zoom level.
+ * @param {number} dpr - The device pixel ratio.
+ */
+const drawFog = (panX, panY, zoom, dpr) => {
+  const fog = viewModel.getFog();
+  const strokeRegion = getFogStrokeRegion();
+  if (fog.enabled) {
+    if (!fogCanvas) fogCanvas = document.createElement("canvas");
+    if (
+      fogCanvas.width !== canvas.width ||
+      fogCanvas.height !== canvas.height
+    ) {
+      fogCanvas.width = canvas.width;
+      fogCanvas.height = canvas.height;
+    }
+    const fogCtx = fogCanvas.getContext("2d");
+    fogCtx.setTransform(1, 0, 0, 1, 0, 0);
+    fogCtx.globalCompositeOperation = "source-over";
+    fogCtx.fillStyle = FOG_COLOR;
+    fogCtx.fillRect(0, 0, fogCanvas.width, fogCanvas.height);
+    fogCtx.setTransform(dpr * zoom, 0, 0, dpr * zoom, dpr * panX, dpr * panY);
+    fogCtx.strokeStyle = FOG_COLOR;
+    fogCtx.lineCap = "round";
+    fogCtx.lineJoin = "round";
+    const regions = strokeRegion ? [...fog.regions, strokeRegion] : fog.regions;
+    regions.forEach((region) => {
+      fogCtx.globalCompositeOperation =
+        region.mode === "reveal" ? "destination-out" : "source-over";
+      traceFogRegion(fogCtx, region);
+      if (region.shape === "brush") {
+        fogCtx.lineWidth = region.radius * 2;
+        fogCtx.stroke();
+      } else {
+        fogCtx.fill();
+      }
+    });
+
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = viewModel.getFogOpacity();
+    ctx.drawImage(fogCanvas, 0, 0);
+    ctx.restore();
+  }
+
+  if (strokeRegion) {
+    ctx.save();
+    ctx.strokeStyle =
+      strokeRegion.mode === "reveal"
+        ? "rgba(255, 255, 255, 0.8)"
+        : "rgba(0, 0, 0, 0.8)";
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.setLineDash([6 / zoom, 4 / zoom]);
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    traceFogRegion(ctx, strokeRegion);
+    if (strokeRegion.shape === "brush") {
+      // Outline the brush's extent with a wide translucent stroke
+      ctx.setLineDash([]);
+      ctx.strokeStyle =
+        strokeRegion.mode === "reveal"
+          ? "rgba(255, 255, 255, 0.25)"
+          : "rgba(0, 0, 0, 0.25)";
+      ctx.lineWidth = strokeRegion.radius * 2;
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+};
+
+/**
+ * Adds a polygon to the current path of a context.
+ * @param {CanvasRenderingContext2D} context - The context.
+ * @param {Array<{x: number, y: number}>} polygon - The polygon's vertices.
+ */
+const tracePolygon = (context, polygon) => {
+  if (polygon.length === 0) return;
+  context.moveTo(polygon[0].x, polygon[0].y);
+  polygon.slice(1).forEach((point) => context.lineTo(point.x, point.y));
+  context.closePath();
+};
+
+/**
+ * With dynamic lighting limiting the user's view, darkens everything their tokens do not see: areas out of the
+ * tokens' line of sight, and unlit areas (dim light is half dark). The tokens themselves stay visible.
+ * The darkness is composed on an offscreen canvas: the light that reaches the user is drawn first, then inverted.
+ * Must be called with the pan/zoom transform applied.
+ * @param {number} panX - The current horizontal pan.
+ * @param {number} panY - The current vertical pan.
+ * @param {number} zoom - The current zoom level.
+ * @param {number} dpr - The device pixel ratio.
+ */
+const drawLighting = (panX, panY, zoom, dpr) => {
+  if (!viewModel.isVisionLimited()) return;
+  if (!lightingCanvas) lightingCanvas = document.createElement("canvas");
+  if (
+    lightingCanvas.width !== canvas.width ||
+    lightingCanvas.height !== canvas.height
+  ) {
+    lightingCanvas.width = canvas.width;
+    lightingCanvas.height = canvas.height;
+  }
+  const lightCtx = lightingCanvas.getContext("2d");
+  lightCtx.setTransform(1, 0, 0, 1, 0, 0);
+  lightCtx.globalCompositeOperation = "source-over";
+  lightCtx.clearRect(0, 0, lightingCanvas.width, lightingCanvas.height);
+  lightCtx.fillStyle = "#FFFFFF";
+
+  // 1. The light: everywhere in daylight, otherwise each light's circles, stopped by the walls
+  if (viewModel.getLighting().daylight) {
+    lightCtx.fillRect(0, 0, lightingCanvas.width, lightingCanvas.height);
+  }
+  lightCtx.setTransform(dpr * zoom, 0, 0, dpr * zoom, dpr * panX, dpr * panY);
+  if (!viewModel.getLighting().daylight) {
+    viewModel.getLightSources().forEach(({ origin, bright, dim, polygon }) => {
+      lightCtx.save();
+      lightCtx.beginPath();
+      tracePolygon(lightCtx, polygon);
+      lightCtx.clip();
+      lightCtx.globalAlpha = DIM_LIGHT_ALPHA;
+      lightCtx.beginPath();
+      lightCtx.arc(origin.x, origin.y, dim, 0, 2 * Math.PI);
+      lightCtx.fill();
+      if (bright > 0) {
+        lightCtx.globalAlpha = 1;
+        lightCtx.beginPath();
+        lightCtx.arc(origin.x, origin.y, bright, 0, 2 * Math.PI);
+        lightCtx.fill();
+      }
+      lightCtx.restore();
+    });
+  }
+
+  // 2. Keep the light the tokens see; the tokens themselves are always visible
+  const sources = viewModel.getVisionSources();
+  lightCtx.globalCompositeOperation = "destination-in";
+  lightCtx.beginPath();
+  sources.forEach(({ polygon }) => tracePolygon(lightCtx, polygon));
+  lightCtx.fill();
+  lightCtx.globalCompositeOperation = "source-over";
+  sources.forEach(({ obj }) =>
+    lightCtx.fillRect(obj.x, obj.y, obj.width, obj.height),
+  );
+
+  // 3. Turn the light into darkness
+  lightCtx.setTransform(1, 0, 0, 1, 0, 0);
+  lightCtx.globalCompositeOperation = "source-out";
+  lightCtx.fillStyle = DARKNESS_COLOR;
+  lightCtx.fillRect(0, 0, lightingCanvas.width, lightingCanvas.height);
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.drawImage(lightingCanvas, 0, 0);
+  ctx.restore();
+};
+
+/**
+ * Draws the walls and doors for the GM (other participants never see them).
+ * Must be called with the pan/zoom transform applied.
+ * @param {number} zoom - The current zoom level.
+ */
+const drawWalls = (zoom) => {
+  if (viewModel.getUser().role !== "gm") return;
+  const walls = viewModel.getWalls();
+  if (walls.length === 0) return;
+  ctx.save();
+  ctx.lineWidth = 3 / zoom;
+  ctx.lineCap = "round";
+  [
+    [WALL_COLOR, walls.filter((wall) => !wall.door), []],
+    [DOOR_COLOR, walls.filter((wall) => wall.door && !wall.open), []],
+    [
+      DOOR_COLOR,
+      walls.filter((wall) => wall.door && wall.open),
+      [8 / zoom, 6 / zoom],
+    ],
+  ].forEach(([color, segments, dash]) => {
+    if (segments.length === 0) return;
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
+    ctx.setLineDash(dash);
+    ctx.beginPath();
+    segments.forEach(({ x1, y1, x2, y2 }) => {
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+    });
+    ctx.stroke();
+    ctx.beginPath();
+    segments.forEach(({ x1, y1, x2, y2 }) => {
+      ctx.moveTo(x1 + 4 / zoom, y1);
+      ctx.arc(x1, y1, 4 / zoom, 0, 2 * Math.PI);
+      ctx.moveTo(x2 + 4 / zoom, y2);
+      ctx.arc(x2, y2, 4 / zoom, 0, 2 * Math.PI);
+    });
+    ctx.fill();
+  });
+  ctx.restore();
+};
+
+/**
+ * Draws the number of cards left in a deck as a badge on its top-right corner.
+ * Must be called with the deck's transform applied (origin at its top-left corner).
+ * @param {number} count - Number of cards in the deck.
+ * @param {number} width - The deck's width.
+ * @param {number} zoom - The current zoom level (the badge keeps a constant size on screen).
+ */
+const drawDeckBadge = (count, width, zoom) => {
+  const radius = 11 / zoom;
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(width, 0, radius, 0, 2 * Math.PI);
+  ctx.fillStyle = count > 0 ? "#B91C1C" : "#6B7280";
+  ctx.fill();
+  ctx.lineWidth = 1.5 / zoom;
+  ctx.strokeStyle = "#FFFFFF";
+  ctx.stroke();
+  ctx.fillStyle = "#FFFFFF";
+  ctx.font = `bold ${(count > 99 ? 9 : 11) / zoom}px Arial`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(String(count), width, 0);
+  ctx.restore();
+};
+
+/**
+ * Draws the polygon, line, freehand stroke or walls being drawn, including the segment to the cursor.
+ * Must be called with the pan/zoom transform applied.
+ * @param {number} zoom - The current zoom level.
+ */
+const drawShapePreview = (zoom) => {
+  const points =
+    drawingCursor && !isDrawingFreehand
+      ? [...drawingPoints, drawingCursor]
+      : drawingPoints;
+  if (points.length === 0) return;
+  ctx.save();
+  ctx.strokeStyle =
+    activeTool === "wall" ? WALL_COLOR : "rgba(0, 150, 255, 0.9)";
+  ctx.fillStyle = "rgba(0, 150, 255, 0.15)";
+  ctx.lineWidth = 2 / zoom;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.beginPath();
+  ctx.moveTo(points[0].x, points[0].y);
+  points.slice(1).forEach((point) => ctx.lineTo(point.x, point.y));
+  if (activeTool === "polygon") {
+    ctx.closePath();
+    ctx.fill();
+  }
+  ctx.stroke();
+  if (!isDrawingFreehand) {
+    drawingPoints.forEach((point, index) => {
+      ctx.beginPath();
+      // The first polygon vertex is drawn larger: clicking it closes the polygon
+      const radius =
+        activeTool === "polygon" && index === 0
+          ? CLOSE_POLYGON_SCREEN_DISTANCE / zoom
+          : 3 / zoom;
+      ctx.arc(point.x, point.y, radius, 0, 2 * Math.PI);
+      ctx.stroke();
+    });
+  }
+  ctx.restore();
+};
+
+/**
+ * Draws the ruler path, its waypoints and the measured distance label.
+ * Must be called with the pan/zoom transform applied; sizes are divided by zoom to stay constant on screen.
+ * @param {number} zoom - The current zoom level.
+ */
+const drawRuler = (zoom) => {
+  const points =
+    isMeasuring && rulerCursor
+      ? [...rulerWaypoints, rulerCursor]
+      : rulerWaypoints;
+  if (points.length < 2) return;
+  const { label } = viewModel.measureRulerPath(points);
+
+  ctx.save();
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  // Dark outline below a bright line keeps the ruler readable on any background
+  [
+    { color: "rgba(0, 0, 0, 0.6)", width: 5 },
+    { color: "#FFD54F", width: 2.5 },
+  ].forEach(({ color, width }) => {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width / zoom;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach((point) => ctx.lineTo(point.x, point.y));
+    ctx.stroke();
+  });
+  ctx.fillStyle = "#FFD54F";
+  points.forEach((point) => {
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, 4 / zoom, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+
+  const end = points[points.length - 1];
+  const fontSize = 14 / zoom;
+  const padding = 4 / zoom;
+  ctx.font = `bold ${fontSize}px Arial`;
+  ctx.textAlign = "left";
+  ctx.textBaseline = "top";
+  const labelX = end.x + 10 / zoom;
+  const labelY = end.y + 10 / zoom;
+  const labelWidth = ctx.measureText(label).width;
+  ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+  ctx.fillRect(
+    labelX - padding,
+    labelY - padding,
+    labelWidth + 2 * padding,
+    fontSize + 2 * padding,
+  );
+  ctx.fillStyle = "#FFFFFF";
+  ctx.fillText(label, labelX, labelY);
+  ctx.restore();
+};
+
 // --- Canvas Event Handlers ---
 // These use the viewModel for coordinate conversion and object picking.
 // State changes are communicated via VTT_API.
@@ -527,7 +1506,13 @@ export const drawVTT = () => {
 
 /**
  * Handles the mousedown event on the canvas.
- * Determines if an object is clicked for dragging/selection, or if panning should start.
+ * - Middle button, or left button with Alt held: starts panning.
+ * - Shift+click on an object: toggles it in the selection.
+ * - Click on an object: selects it (keeping the selection if it is already part of it) and starts
+ *   dragging every selected movable object.
+ * - Click on empty canvas: starts a marquee selection (Shift adds to the current selection).
+ * - With the ruler tool active, a left click starts (or continues) a measurement instead.
+ * - With a path, fog or wall tool active, a left click draws with the tool (the wall eraser removes the clicked wall).
  * Delegates state changes to VTT_API and local interaction state to module variables.
  * @param {MouseEvent} e - The mousedown event.
  */
@@ -537,66 +1522,193 @@ function handleMouseDown(e) {
     dCanvasView("handleMouseDown aborted: viewModel not available.");
     return;
   }
+
+  if (e.button === 1 || (e.button === 0 && e.altKey)) {
+    e.preventDefault(); // Suppress the browser's middle-click autoscroll
+    isPanning = true;
+    lastPanX = e.clientX;
+    lastPanY = e.clientY;
+    dCanvasView(
+      "Panning started. LastPanX: %f, LastPanY: %f",
+      lastPanX,
+      lastPanY,
+    );
+    return;
+  }
+  if (e.button !== 0) {
+    dCanvasView("handleMouseDown ignored for mouse button %d.", e.button);
+    return;
+  }
+
   // Get mouse coordinates in world space from ViewModel
   const { x: mouseX, y: mouseY } = viewModel.convertScreenToWorldCoordinates(
     e.offsetX,
     e.offsetY,
   );
   dCanvasView("Mouse down at world coordinates: x=%f, y=%f", mouseX, mouseY);
-  const clickedObjectId = viewModel.getObjectAtPosition(mouseX, mouseY);
-  dCanvasView("Object at position: %s", clickedObjectId);
-  const currentSelectedId = viewModel.getSelectedObjectId(); // Get from VM
-  dCanvasView("Current selected ID: %s", currentSelectedId);
 
-  if (clickedObjectId) {
-    const objectDetails = viewModel.getObjects().get(clickedObjectId); // Get from VM's objects
-    dCanvasView("Clicked object details: %o", objectDetails);
-    if (objectDetails && objectDetails.isMovable) {
-      isDragging = true;
-      dragOffsetX = mouseX - objectDetails.x;
-      dragOffsetY = mouseY - objectDetails.y;
-      dCanvasView(
-        "Dragging started for object %s. OffsetX: %f, OffsetY: %f",
-        clickedObjectId,
-        dragOffsetX,
-        dragOffsetY,
-      );
+  if (FOG_TOOLS[activeTool]) {
+    if (viewModel.getUser().role !== "gm") {
+      dCanvasView("Fog tools are for the GM only.");
+      return;
     }
-    if (currentSelectedId !== clickedObjectId) {
+    const point = { x: mouseX, y: mouseY };
+    const zoom = viewModel.getPanZoom().zoom || 1;
+    fogStroke = {
+      ...FOG_TOOLS[activeTool],
+      points: FOG_TOOLS[activeTool].shape === "rect" ? [point, point] : [point],
+      radius: fogBrushSize / 2 / zoom,
+    };
+    dCanvasView("Fog stroke started: %o", fogStroke);
+    drawVTT();
+    return;
+  }
+
+  if (WALL_TOOLS.includes(activeTool)) {
+    if (viewModel.getUser().role !== "gm") {
+      dCanvasView("Wall tools are for the GM only.");
+      return;
+    }
+    if (activeTool === "wall-erase") {
+      eraseWallAt(mouseX, mouseY);
+      return;
+    }
+    if (activeTool === "door-toggle") {
+      toggleDoorAt(mouseX, mouseY);
+      return;
+    }
+  }
+
+  if (isPathShape(activeTool) || activeTool === "wall") {
+    const point = { x: mouseX, y: mouseY };
+    const zoom = viewModel.getPanZoom().zoom || 1;
+    if (activeTool === "freehand") {
+      drawingPoints = [point];
+      isDrawingFreehand = true;
+      dCanvasView("Freehand stroke started at x:%f, y:%f", mouseX, mouseY);
+    } else {
+      const first = drawingPoints[0];
+      const last = drawingPoints[drawingPoints.length - 1];
+      if (
+        activeTool === "polygon" &&
+        drawingPoints.length >= 3 &&
+        Math.hypot(point.x - first.x, point.y - first.y) * zoom <=
+          CLOSE_POLYGON_SCREEN_DISTANCE
+      ) {
+        finishDrawing();
+        return;
+      }
+      // Repeated clicks on the same spot (e.g., the two clicks of a double-click) add one vertex
+      if (
+        !last ||
+        Math.hypot(point.x - last.x, point.y - last.y) * zoom >
+          FREEHAND_MIN_SCREEN_STEP
+      ) {
+        drawingPoints.push(point);
+      }
+      drawingCursor = point;
       dCanvasView(
-        "Selection changed from %s to %s. Calling VTT_API.setSelectedObjectId.",
-        currentSelectedId,
-        clickedObjectId,
+        "Vertex %d added at x:%f, y:%f",
+        drawingPoints.length,
+        mouseX,
+        mouseY,
       );
-      // viewModel.setSelectedObjectInViewModel(clickedObjectId); // VM updated by modelChanged event
-      moduleVttApi.setSelectedObjectId(clickedObjectId);
     }
-  } else {
-    isPanning = true;
-    lastPanX = e.clientX;
-    lastPanY = e.clientY;
+    drawVTT();
+    return;
+  }
+
+  if (activeTool === "ruler") {
+    if (!isMeasuring) {
+      // Start a new measurement; a finished one is replaced
+      const start = viewModel.getRulerPoint(mouseX, mouseY);
+      rulerWaypoints = [start];
+      rulerCursor = start;
+      isMeasuring = true;
+      dCanvasView("Measurement started at x:%f, y:%f", start.x, start.y);
+      drawVTT();
+    }
+    return;
+  }
+
+  const clickedObjectId = viewModel.getObjectAtPosition(mouseX, mouseY);
+  dCanvasView("Object at position: %s", clickedObjectId);
+  const currentSelectedIds = viewModel.getSelectedObjectIds(); // Get from VM
+  dCanvasView("Current selected IDs: %o", currentSelectedIds);
+
+  if (clickedObjectId && e.shiftKey) {
+    const nextSelectedIds = viewModel.isObjectSelected(clickedObjectId)
+      ? currentSelectedIds.filter((id) => id !== clickedObjectId)
+      : [...currentSelectedIds, clickedObjectId];
     dCanvasView(
-      "Panning started. LastPanX: %f, LastPanY: %f",
-      lastPanX,
-      lastPanY,
+      "Shift-click toggles %s. New selection: %o",
+      clickedObjectId,
+      nextSelectedIds,
     );
-    if (currentSelectedId !== null) {
+    // VM updated by modelChanged event
+    moduleVttApi.setSelection(nextSelectedIds);
+  } else if (clickedObjectId) {
+    // Clicking inside the current selection keeps it (so it can be dragged as a group),
+    // only the primary object changes. Clicking outside it selects just the clicked object.
+    const nextSelectedIds = viewModel.isObjectSelected(clickedObjectId)
+      ? currentSelectedIds
+      : [clickedObjectId];
+    moduleVttApi.setSelection(nextSelectedIds, clickedObjectId);
+
+    dragOrigins = new Map();
+    nextSelectedIds.forEach((id) => {
+      const objectDetails = viewModel.getObjects().get(id); // Get from VM's objects
+      if (
+        objectDetails &&
+        objectDetails.isMovable &&
+        viewModel.canEditObject(id)
+      ) {
+        dragOrigins.set(id, { x: objectDetails.x, y: objectDetails.y });
+      }
+    });
+    if (dragOrigins.has(clickedObjectId)) {
+      isDragging = true;
+      dragStartX = mouseX;
+      dragStartY = mouseY;
+      dragStartOverlaps = new Map();
+      dragOrigins.forEach((origin, id) => {
+        dragStartOverlaps.set(
+          id,
+          new Set(viewModel.getOverlappingObjectIds(id)),
+        );
+      });
+      // Everything persisted until mouseup/mouseleave becomes one undoable step
+      moduleVttApi.beginHistoryBatch(
+        dragOrigins.size > 1
+          ? `Move ${dragOrigins.size} objects`
+          : "Move object",
+      );
       dCanvasView(
-        "Deselecting object %s due to pan start. Calling VTT_API.setSelectedObjectId(null).",
-        currentSelectedId,
+        "Dragging started for objects %o from world x:%f, y:%f",
+        Array.from(dragOrigins.keys()),
+        dragStartX,
+        dragStartY,
       );
-      // viewModel.setSelectedObjectInViewModel(null); // VM updated by modelChanged event
-      moduleVttApi.setSelectedObjectId(null);
+    } else {
+      dragOrigins.clear();
+    }
+  } else {
+    isMarqueeSelecting = true;
+    marquee.startX = marquee.endX = mouseX;
+    marquee.startY = marquee.endY = mouseY;
+    dCanvasView("Marquee selection started at x:%f, y:%f", mouseX, mouseY);
+    if (!e.shiftKey && currentSelectedIds.length > 0) {
+      dCanvasView("Clearing selection at marquee start.");
+      moduleVttApi.setSelection([]);
     }
   }
-  // Redraw might be triggered by modelChanged event from VTT_API calls
-  // If immediate visual feedback for selection/deselection before model events is needed, call:
-  // viewModel.onDrawNeededCallback(); // Though VTT_API.setSelectedObjectId should trigger a quick redraw.
+  // Model changes via VTT_API trigger 'modelChanged' events, leading to redraws.
 }
 
 /**
  * Handles the mousemove event on the canvas.
- * Updates object position during drag or updates pan state during pan.
+ * Updates object positions during drag, the marquee rectangle during a marquee selection,
+ * or the pan state during pan.
  * Uses CanvasViewModel for local/optimistic updates and triggers redraws.
  * @param {MouseEvent} e - The mousemove event.
  */
@@ -610,20 +1722,60 @@ function handleMouseMove(e) {
     e.offsetX,
     e.offsetY,
   ); // World coordinates
-  const selectedObjectId = viewModel.getSelectedObjectId();
+  pointerWorldPosition = { x: mouseX, y: mouseY };
 
-  if (isDragging && selectedObjectId) {
-    const newX = mouseX - dragOffsetX;
-    const newY = mouseY - dragOffsetY;
-    dCanvasView(
-      "Dragging object %s to worldX: %f, worldY: %f",
-      selectedObjectId,
-      newX,
-      newY,
-    );
-    // Optimistically update object position in ViewModel for smooth dragging
-    viewModel.locallyUpdateObjectPosition(selectedObjectId, newX, newY);
-    // viewModel.onDrawNeededCallback(); // locallyUpdateObjectPosition now calls this
+  if (fogStroke) {
+    const { points } = fogStroke;
+    if (fogStroke.shape === "rect") {
+      points[1] = { x: mouseX, y: mouseY };
+      drawVTT();
+    } else {
+      const last = points[points.length - 1];
+      const zoom = viewModel.getPanZoom().zoom || 1;
+      if (
+        Math.hypot(mouseX - last.x, mouseY - last.y) * zoom >=
+        FREEHAND_MIN_SCREEN_STEP
+      ) {
+        points.push({ x: mouseX, y: mouseY });
+        drawVTT();
+      }
+    }
+  } else if (isDrawingFreehand) {
+    const last = drawingPoints[drawingPoints.length - 1];
+    const zoom = viewModel.getPanZoom().zoom || 1;
+    if (
+      Math.hypot(mouseX - last.x, mouseY - last.y) * zoom >=
+      FREEHAND_MIN_SCREEN_STEP
+    ) {
+      drawingPoints.push({ x: mouseX, y: mouseY });
+      drawVTT();
+    }
+  } else if (drawingPoints.length > 0) {
+    drawingCursor = { x: mouseX, y: mouseY };
+    drawVTT();
+  } else if (isMeasuring) {
+    const point = viewModel.getRulerPoint(mouseX, mouseY);
+    if (
+      !rulerCursor ||
+      rulerCursor.x !== point.x ||
+      rulerCursor.y !== point.y
+    ) {
+      rulerCursor = point;
+      drawVTT();
+    }
+  } else if (isDragging) {
+    const dx = mouseX - dragStartX;
+    const dy = mouseY - dragStartY;
+    const positions = new Map();
+    dragOrigins.forEach((origin, id) => {
+      positions.set(id, { x: origin.x + dx, y: origin.y + dy });
+    });
+    // Optimistically update object positions in ViewModel for smooth dragging
+    viewModel.locallyUpdateObjectPositions(positions);
+  } else if (isMarqueeSelecting) {
+    marquee.endX = mouseX;
+    marquee.endY = mouseY;
+    drawVTT();
   } else if (isPanning) {
     const dx = e.clientX - lastPanX; // Pan based on screen coordinate delta
     const dy = e.clientY - lastPanY;
@@ -641,9 +1793,141 @@ function handleMouseMove(e) {
   }
 }
 
+/**
+ * Persists the final positions of all dragged objects (snapped to the grid if snapping is enabled),
+ * closes the drag's history batch and runs the onDrop and onCollision scripts of the moved objects.
+ * @param {MouseEvent} e - The mouse event that ended the drag.
+ */
+function finishDrag(e) {
+  const movedIds = [];
+  dragOrigins.forEach((origin, id) => {
+    const finalPosition = viewModel.getSnappedObjectPosition(id);
+    if (
+      finalPosition &&
+      (finalPosition.x !== origin.x || finalPosition.y !== origin.y)
+    ) {
+      dCanvasView(
+        "Dragging finished for object %s. Final position x:%f, y:%f. Persisting to API.",
+        id,
+        finalPosition.x,
+        finalPosition.y,
+      );
+      // Persist final dragged position to the model via API
+      moduleVttApi.updateObject(id, finalPosition);
+      movedIds.push(id);
+    } else if (finalPosition) {
+      // Dropped back onto its starting position (e.g., snapped back); restore the local copy
+      viewModel.locallyUpdateObjectPosition(id, origin.x, origin.y);
+    }
+  });
+  moduleVttApi.endHistoryBatch();
+  const { x: pointerX, y: pointerY } =
+    viewModel.convertScreenToWorldCoordinates(e.offsetX, e.offsetY);
+  runDragScripts(movedIds, pointerX, pointerY);
+  dragOrigins = new Map();
+  dragStartOverlaps = new Map();
+}
+
+/**
+ * Runs the onDrop script of each moved object, and the onCollision scripts of both objects
+ * for every overlap that did not exist when the drag started.
+ * Scripts run in the sandboxed script worker and do not block the UI.
+ * @param {string[]} movedIds - IDs of the objects whose position changed.
+ * @param {number} pointerX - World X of the pointer at the drop.
+ * @param {number} pointerY - World Y of the pointer at the drop.
+ */
+function runDragScripts(movedIds, pointerX, pointerY) {
+  if (movedIds.length === 0) return;
+  const targetObjectId = viewModel.getObjectAtPosition(
+    pointerX,
+    pointerY,
+    dragOrigins.keys(),
+  );
+  const newCollisions = [];
+  movedIds.forEach((id) => {
+    const before = dragStartOverlaps.get(id) || new Set();
+    viewModel.getOverlappingObjectIds(id).forEach((otherId) => {
+      if (before.has(otherId)) return;
+      // Two moved objects that started overlapping are reported once, not once per side.
+      const alreadyReported = newCollisions.some(
+        (pair) => pair[0] === otherId && pair[1] === id,
+      );
+      if (!alreadyReported) newCollisions.push([id, otherId]);
+    });
+  });
+  dCanvasView(
+    "Drop of %o onto %s. New collisions: %o",
+    movedIds,
+    targetObjectId,
+    newCollisions,
+  );
+
+  movedIds.forEach((id) => {
+    const object = moduleVttApi.getObject(id);
+    const origin = dragOrigins.get(id);
+    if (!object?.scripts?.onDrop) return;
+    runObjectScript({
+      scriptName: "onDrop",
+      object,
+      event: {
+        type: "drop",
+        objectId: id,
+        x: object.x,
+        y: object.y,
+        fromX: origin.x,
+        fromY: origin.y,
+        pointerX,
+        pointerY,
+        targetObjectId,
+      },
+      vttApi: moduleVttApi,
+    });
+  });
+
+  newCollisions.forEach(([movedId, otherId]) => {
+    [
+      [movedId, otherId],
+      [otherId, movedId],
+    ].forEach(([ownerId, otherObjectId]) => {
+      const object = moduleVttApi.getObject(ownerId);
+      if (!object?.scripts?.onCollision) return;
+      runObjectScript({
+        scriptName: "onCollision",
+        object,
+        event: {
+          type: "collision",
+          objectId: ownerId,
+          otherObjectId,
+          movedObjectId: movedId,
+        },
+        vttApi: moduleVttApi,
+      });
+    });
+  });
+}
+
+/**
+ * Applies a finished marquee selection. Objects whose center lies inside the marquee are selected.
+ * @param {boolean} additive - If true (Shift held), the enclosed objects are added to the current selection.
+ */
+function finishMarquee(additive) {
+  const enclosedIds = viewModel.getObjectsInRect(
+    marquee.startX,
+    marquee.startY,
+    marquee.endX,
+    marquee.endY,
+  );
+  const nextSelectedIds = additive
+    ? [...viewModel.getSelectedObjectIds(), ...enclosedIds]
+    : enclosedIds;
+  dCanvasView("Marquee selection finished. Selecting: %o", nextSelectedIds);
+  moduleVttApi.setSelection(nextSelectedIds, viewModel.getSelectedObjectId());
+  drawVTT(); // Remove the marquee rectangle even if the selection did not change
+}
+
 /**
  * Handles the mouseup event on the canvas.
- * Finalizes dragging or panning operations by sending updated state to VTT_API.
+ * Finalizes dragging, marquee selection or panning by sending updated state to VTT_API.
  * Executes onClick scripts if an object was clicked without dragging.
  * @param {MouseEvent} e - The mouseup event.
  */
@@ -655,31 +1939,74 @@ function handleMouseUp(e) {
   }
   const wasDragging = isDragging;
   const wasPanning = isPanning;
+  const wasMarqueeSelecting = isMarqueeSelecting;
   dCanvasView(
-    "Mouse up. Was dragging: %s, Was panning: %s",
+    "Mouse up. Was dragging: %s, Was panning: %s, Was marquee selecting: %s",
     wasDragging,
     wasPanning,
+    wasMarqueeSelecting,
   );
-  const selectedObjectId = viewModel.getSelectedObjectId();
 
-  if (isDragging && selectedObjectId) {
-    const draggedObject = viewModel.getObjects().get(selectedObjectId);
-    if (draggedObject) {
-      dCanvasView(
-        "Dragging finished for object %s. Final position x:%f, y:%f. Persisting to API.",
-        selectedObjectId,
-        draggedObject.x,
-        draggedObject.y,
-      );
-      // Persist final dragged position to the model via API
-      moduleVttApi.updateObject(selectedObjectId, {
-        x: draggedObject.x,
-        y: draggedObject.y,
-      });
+  isDragging = false;
+  isPanning = false;
+  isMarqueeSelecting = false;
+  dCanvasView("Interaction flags reset.");
+
+  if (isDrawingFreehand && e.button === 0) {
+    finishDrawing();
+    return;
+  }
+  if (fogStroke && e.button === 0) {
+    finishFogStroke();
+    return;
+  }
+  if (
+    (isPathShape(activeTool) ||
+      FOG_TOOLS[activeTool] ||
+      WALL_TOOLS.includes(activeTool)) &&
+    !wasPanning
+  ) {
+    // Polygon, line and wall vertices are added on mousedown; clicks never select or run scripts
+    return;
+  }
+
+  if (isMeasuring && e.button === 0) {
+    const { x: mouseX, y: mouseY } = viewModel.convertScreenToWorldCoordinates(
+      e.offsetX,
+      e.offsetY,
+    );
+    const point = viewModel.getRulerPoint(mouseX, mouseY);
+    const lastWaypoint = rulerWaypoints[rulerWaypoints.length - 1];
+    if (
+      !lastWaypoint ||
+      lastWaypoint.x !== point.x ||
+      lastWaypoint.y !== point.y
+    ) {
+      rulerWaypoints.push(point);
     }
+    // Releasing with Shift pins a waypoint and keeps measuring; otherwise the measurement ends
+    // and stays on screen until the next one starts.
+    isMeasuring = e.shiftKey;
+    rulerCursor = isMeasuring ? point : null;
+    dCanvasView(
+      "Ruler waypoint at x:%f, y:%f. Still measuring: %s",
+      point.x,
+      point.y,
+      isMeasuring,
+    );
+    drawVTT();
+    return;
   }
 
-  if (isPanning) {
+  if (wasDragging) {
+    finishDrag(e);
+  }
+
+  if (wasMarqueeSelecting) {
+    finishMarquee(e.shiftKey);
+  }
+
+  if (wasPanning) {
     dCanvasView(
       "Panning finished. Persisting pan/zoom state to API: %o",
       viewModel.getPanZoom(),
@@ -688,12 +2015,14 @@ function handleMouseUp(e) {
     moduleVttApi.setPanZoomState(viewModel.getPanZoom());
   }
 
-  isDragging = false;
-  isPanning = false;
-  dCanvasView("isDragging and isPanning flags reset.");
-
-  // Handle click for script execution if not dragging or panning
-  if (!wasDragging && !wasPanning) {
+  // Handle click for script execution if not dragging, panning, marquee selecting or shift-toggling
+  if (
+    !wasDragging &&
+    !wasPanning &&
+    !wasMarqueeSelecting &&
+    !e.shiftKey &&
+    e.button === 0
+  ) {
     const { x: mouseX, y: mouseY } = viewModel.convertScreenToWorldCoordinates(
       e.offsetX,
       e.offsetY,
@@ -711,41 +2040,28 @@ function handleMouseUp(e) {
         objectDetailsFromModel.scripts &&
         objectDetailsFromModel.scripts.onClick
       ) {
-        log.info(
-          `Executing onClick for ${objectDetailsFromModel.id}:`,
-          objectDetailsFromModel.scripts.onClick,
-        ); // Keep as log.info
         dCanvasView(
           "Found onClick script for object %s: %s",
           clickedObjectId,
           objectDetailsFromModel.scripts.onClick,
         );
-        try {
-          // const objectRefForScript = model.currentObjects.get(...); // This line should be removed or commented out.
-          dCanvasView(
-            "Executing script with VTT_API and API-provided object snapshot: %o",
-            objectDetailsFromModel, // Log the object being passed
-          );
-          // Note: The 'object' passed to the script is a snapshot from the VTT API.
-          // To persist changes, scripts should use VTT.updateObject(object.id, changedProps).
-          // Direct modifications to the 'object' variable within the script will not be saved.
-          new Function("VTT", "object", objectDetailsFromModel.scripts.onClick)(
-            moduleVttApi,
-            objectDetailsFromModel, // Pass the API-provided object copy
-          );
-          dCanvasView("onClick script executed for %s.", clickedObjectId);
-        } catch (scriptError) {
-          log.error("Script execution error:", scriptError); // Keep as log.error
-          dCanvasView(
-            "onClick script execution error for %s: %o",
-            clickedObjectId,
-            scriptError,
-          );
-          moduleVttApi.showMessage(
-            `Script Error in onClick for object ${objectDetailsFromModel.id}: ${scriptError.message}`,
-            "error",
-          );
-        }
+        // The script runs in a sandboxed worker. It receives a copy of the object and must use
+        // VTT.updateObject(object.id, changedProps) (or similar) to persist changes.
+        // Errors and time-outs are reported to the message area by the runner.
+        runObjectScript({
+          scriptName: "onClick",
+          object: objectDetailsFromModel,
+          event: {
+            type: "click",
+            objectId: clickedObjectId,
+            x: mouseX,
+            y: mouseY,
+            altKey: e.altKey,
+            ctrlKey: e.ctrlKey,
+            metaKey: e.metaKey,
+          },
+          vttApi: moduleVttApi,
+        });
       }
     }
   }
@@ -754,7 +2070,7 @@ function handleMouseUp(e) {
 
 /**
  * Handles the mouseleave event on the canvas.
- * Finalizes any ongoing drag or pan operations by persisting state to VTT_API.
+ * Finalizes any ongoing drag, marquee selection or pan by persisting state to VTT_API.
  * @param {MouseEvent} e - The mouseleave event.
  */
 function handleMouseLeave(e) {
@@ -763,25 +2079,27 @@ function handleMouseLeave(e) {
     dCanvasView("handleMouseLeave aborted: viewModel not available.");
     return;
   }
-  const selectedObjectId = viewModel.getSelectedObjectId();
+  pointerWorldPosition = null;
+  const wasDragging = isDragging;
+  const wasPanning = isPanning;
+  const wasMarqueeSelecting = isMarqueeSelecting;
+  isDragging = false;
+  isPanning = false;
+  isMarqueeSelecting = false;
+  dCanvasView("Interaction flags reset on mouse leave.");
 
-  if (isDragging && selectedObjectId) {
-    const object = viewModel.getObjects().get(selectedObjectId);
-    if (object) {
-      dCanvasView(
-        "Mouse left canvas while dragging object %s. Persisting position x:%f, y:%f to API.",
-        selectedObjectId,
-        object.x,
-        object.y,
-      );
-      // Persist final dragged position if mouse leaves canvas while dragging
-      moduleVttApi.updateObject(selectedObjectId, {
-        x: object.x,
-        y: object.y,
-      });
-    }
+  if (isDrawingFreehand) {
+    finishDrawing();
   }
-  if (isPanning) {
+  finishFogStroke();
+  if (wasDragging) {
+    dCanvasView("Mouse left canvas while dragging. Persisting positions.");
+    finishDrag(e);
+  }
+  if (wasMarqueeSelecting) {
+    finishMarquee(e.shiftKey);
+  }
+  if (wasPanning) {
     dCanvasView(
       "Mouse left canvas while panning. Persisting pan/zoom state to API: %o",
       viewModel.getPanZoom(),
@@ -789,13 +2107,26 @@ function handleMouseLeave(e) {
     // Persist final pan state if mouse leaves canvas while panning
     moduleVttApi.setPanZoomState(viewModel.getPanZoom());
   }
-
-  isDragging = false;
-  isPanning = false;
-  dCanvasView("isDragging and isPanning flags reset on mouse leave.");
   // Model changes will trigger redraws.
 }
 
+/**
+ * Handles double-clicks on the canvas: finishes the polygon, line or walls being drawn.
+ * The double-click's own clicks have already added the final vertex (once, see handleMouseDown).
+ * @param {MouseEvent} e - The dblclick event.
+ */
+function handleDoubleClick(e) {
+  dCanvasView("handleDoubleClick event: %o", e);
+  if (
+    activeTool === "polygon" ||
+    activeTool === "polyline" ||
+    activeTool === "wall"
+  ) {
+    e.preventDefault();
+    finishDrawing();
+  }
+}
+
 /**
  * Handles the wheel event (mouse scroll) on the canvas for zooming.
  * Calculates new zoom level and pan position to zoom towards the mouse cursor.
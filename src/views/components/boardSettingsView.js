@@ -1,7 +1,7 @@
 // src/views/components/boardSettingsView.js
 /**
  * @file Manages the UI and interactions for the board settings panel.
- * This includes displaying current board dimensions and scale,
+ * This includes displaying current board dimensions, scale and grid,
  * and allowing users to modify and apply these settings.
  * It interacts with UiViewModel to get board properties and to apply changes.
  */
@@ -25,6 +25,15 @@ const domElements = {
   boardScaleUnitInput: null,
   effectiveBoardSizeDisplay: null,
   applyBoardPropertiesButton: null,
+  gridTypeInput: null,
+  gridCellSizeInput: null,
+  gridOffsetXInput: null,
+  gridOffsetYInput: null,
+  gridColorInput: null,
+  gridOpacityInput: null,
+  gridSnapInput: null,
+  gridMeasurementRuleInput: null,
+  applyGridButton: null,
 };
 
 /**
@@ -47,6 +56,19 @@ const cacheDOMElements = () => {
   domElements.applyBoardPropertiesButton = document.getElementById(
     "apply-board-properties-button",
   );
+  domElements.gridTypeInput = document.getElementById("grid-type-input");
+  domElements.gridCellSizeInput = document.getElementById(
+    "grid-cell-size-input",
+  );
+  domElements.gridOffsetXInput = document.getElementById("grid-offset-x-input");
+  domElements.gridOffsetYInput = document.getElementById("grid-offset-y-input");
+  domElements.gridColorInput = document.getElementById("grid-color-input");
+  domElements.gridOpacityInput = document.getElementById("grid-opacity-input");
+  domElements.gridSnapInput = document.getElementById("grid-snap-input");
+  domElements.gridMeasurementRuleInput = document.getElementById(
+    "grid-measurement-rule-input",
+  );
+  domElements.applyGridButton = document.getElementById("apply-grid-button");
 };
 
 /**
@@ -179,6 +201,97 @@ const handleApplyBoardProperties = () => {
   }
 };
 
+/**
+ * Populates the grid form fields with the provided grid settings.
+ * @param {object} grid - Grid settings (type, cellSize, offsetX, offsetY, color, opacity, snap, measurementRule),
+ *                        typically obtained from `UiViewModel.getGridSettingsForDisplay()`.
+ */
+const updateGridSettingsDisplay = (grid) => {
+  dBoardSettings("updateGridSettingsDisplay called with grid: %o", grid);
+  if (!grid) {
+    dBoardSettings("No grid provided to updateGridSettingsDisplay.");
+    return;
+  }
+  if (domElements.gridTypeInput)
+    domElements.gridTypeInput.value = grid.type ?? "none";
+  if (domElements.gridCellSizeInput)
+    domElements.gridCellSizeInput.value = grid.cellSize ?? 1;
+  if (domElements.gridOffsetXInput)
+    domElements.gridOffsetXInput.value = grid.offsetX ?? 0;
+  if (domElements.gridOffsetYInput)
+    domElements.gridOffsetYInput.value = grid.offsetY ?? 0;
+  if (domElements.gridColorInput)
+    domElements.gridColorInput.value = grid.color ?? "#000000";
+  if (domElements.gridOpacityInput)
+    domElements.gridOpacityInput.value = grid.opacity ?? 0.3;
+  if (domElements.gridSnapInput)
+    domElements.gridSnapInput.checked = grid.snap === true;
+  if (domElements.gridMeasurementRuleInput)
+    domElements.gridMeasurementRuleInput.value =
+      grid.measurementRule ?? "euclidean";
+};
+
+/**
+ * Handles the click event for the "Apply Grid" button.
+ * Reads and validates the grid form fields, then calls `uiViewModelInstance.applyGridSettings`.
+ */
+const handleApplyGrid = () => {
+  dBoardSettings("handleApplyGrid called.");
+  if (!uiViewModelInstance) {
+    log.error(
+      "[boardSettingsView.js] UiViewModel not initialized. Cannot apply grid settings.",
+    );
+    return;
+  }
+  if (
+    !domElements.gridTypeInput ||
+    !domElements.gridCellSizeInput ||
+    !domElements.gridOffsetXInput ||
+    !domElements.gridOffsetYInput ||
+    !domElements.gridColorInput ||
+    !domElements.gridOpacityInput ||
+    !domElements.gridSnapInput ||
+    !domElements.gridMeasurementRuleInput
+  ) {
+    uiViewModelInstance.displayMessage(
+      "Grid input elements not found in DOM.",
+      "error",
+    );
+    return;
+  }
+
+  const newGrid = {
+    type: domElements.gridTypeInput.value,
+    cellSize: parseFloat(domElements.gridCellSizeInput.value),
+    offsetX: parseFloat(domElements.gridOffsetXInput.value) || 0,
+    offsetY: parseFloat(domElements.gridOffsetYInput.value) || 0,
+    color: domElements.gridColorInput.value,
+    opacity: parseFloat(domElements.gridOpacityInput.value),
+    snap: domElements.gridSnapInput.checked,
+    measurementRule: domElements.gridMeasurementRuleInput.value,
+  };
+  dBoardSettings("Read grid settings from form: %o", newGrid);
+
+  let validationError = null;
+  if (isNaN(newGrid.cellSize) || newGrid.cellSize <= 0) {
+    validationError = "Grid cell size must be a positive number.";
+  } else if (
+    isNaN(newGrid.opacity) ||
+    newGrid.opacity < 0 ||
+    newGrid.opacity > 1
+  ) {
+    validationError = "Grid opacity must be a number between 0 and 1.";
+  }
+  if (validationError) {
+    dBoardSettings("Validation error: %s", validationError);
+    uiViewModelInstance.displayMessage(validationError, "error");
+    return;
+  }
+
+  uiViewModelInstance.applyGridSettings(newGrid);
+  dBoardSettings("Called uiViewModelInstance.applyGridSettings.");
+};
+
 /**
  * Initializes the board settings view.
  * Stores the UiViewModel instance, caches DOM elements, sets up event listeners,
@@ -209,6 +322,10 @@ export const init = (uiViewModel) => {
     );
     dBoardSettings("Event listener added for applyBoardPropertiesButton.");
   }
+  if (domElements.applyGridButton) {
+    domElements.applyGridButton.addEventListener("click", handleApplyGrid);
+    dBoardSettings("Event listener added for applyGridButton.");
+  }
 
   uiViewModelInstance.onBoardSettingsChanged(updateBoardSettingsDisplay);
   dBoardSettings(
@@ -220,6 +337,8 @@ export const init = (uiViewModel) => {
   updateBoardSettingsDisplay(
     uiViewModelInstance.getBoardPropertiesForDisplay(),
   );
+  uiViewModelInstance.onGridSettingsChanged(updateGridSettingsDisplay);
+  updateGridSettingsDisplay(uiViewModelInstance.getGridSettingsForDisplay());
   log.debug("[boardSettingsView.js] Initialized."); // This log.debug is fine as a general module init message
   dBoardSettings("boardSettingsView initialization complete.");
 };
@@ -0,0 +1,352 @@
+// src/views/components/exportView.js
+/**
+ * @file Manages the "Export Board" dialog: exports the board as a PNG image (rendered with the table's drawing
+ * pipeline, see `renderBoardRegion()` in canvasView.js), as an SVG drawing of its shapes, images and labels, or as a
+ * PDF that prints the board at true scale over as many pages as it needs.
+ */
+import log from "loglevel"; // For general logging (errors, warnings)
+import debug from "debug"; // For verbose, development-specific logging
+import * as canvasView from "../canvasView.js";
+import { showModal } from "./modalView.js";
+import { triggerDownload } from "../../session_management.js";
+import { loadAsset } from "../../storage/assetStore.js";
+import { getAssetHash } from "../../model/assets.js";
+import { getDisplayImageUrl } from "../../model/deck.js";
+import { isGroup } from "../../model/group.js";
+import {
+  PAPER_SIZES,
+  PRINT_MARGIN_MM,
+  planPrintTiles,
+  buildBoardSvg,
+} from "../../model/boardExport.js";
+import { createPdf, POINTS_PER_MM } from "../../model/pdf.js";
+import { crc32 } from "../../model/zip.js";
+
+const dExport = debug("app:view:export");
+
+/** @const {number} Millimeters per inch. */
+const MM_PER_INCH = 25.4;
+
+/** @const {number[]} Resolutions offered for PNG exports, in dots per inch. */
+const PNG_RESOLUTIONS = [72, 150, 300];
+
+/** @const {number} Resolution of the images in PDF exports, in dots per inch. */
+const PDF_RESOLUTION = 150;
+
+/** @const {number} JPEG quality of the images in PDF exports. */
+const PDF_IMAGE_QUALITY = 0.92;
+
+/** @const {number} Largest width or height of an exported image in pixels (browsers cannot draw much larger). */
+const MAX_EXPORT_IMAGE_SIZE_PX = 8192;
+
+/** @type {UiViewModel | null} Instance of the UiViewModel. */
+let uiViewModelInstance = null;
+
+/**
+ * @type {Object<string, HTMLElement|null>}
+ * Stores references to DOM elements managed by this component.
+ */
+const domElements = {
+  exportButton: null, // Opens the export dialog
+};
+
+/**
+ * Caches references to DOM elements used by this component.
+ */
+const cacheDOMElements = () => {
+  dExport("Caching DOM elements for the export dialog.");
+  domElements.exportButton = document.getElementById("export-board-button");
+};
+
+/**
+ * Encodes a canvas as an image file.
+ * @param {HTMLCanvasElement} canvas - The canvas.
+ * @param {string} type - The image type, e.g. "image/png".
+ * @param {number} [quality] - The quality of lossy types.
+ * @returns {Promise<Blob>}
+ * @throws {Error} If the canvas cannot be encoded (e.g. it shows an image from a server that does not allow it).
+ */
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob
+          ? resolve(blob)
+          : reject(new Error("The image could not be encoded.")),
+      type,
+      quality,
+    );
+  });
+
+/**
+ * Records the resolution a PNG file was rendered at (a pHYs chunk after the header), so it prints at true scale.
+ * @param {Uint8Array} png - The PNG file, as encoded by a canvas (without a pHYs chunk).
+ * @param {number} dpi - The resolution in dots per inch.
+ * @returns {Uint8Array} The PNG file with the resolution.
+ */
+const setPngResolution = (png, dpi) => {
+  const headerEnd = 8 + 8 + 13 + 4; // Signature, then the IHDR chunk (length, type, data, CRC)
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // Unit: meter
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const result = new Uint8Array(png.length + chunk.length);
+  result.set(png.subarray(0, headerEnd));
+  result.set(chunk, headerEnd);
+  result.set(png.subarray(headerEnd), headerEnd + chunk.length);
+  return result;
+};
+
+/**
+ * Builds the name of an export file.
+ * @param {string} extension - The file extension.
+ * @returns {string}
+ */
+const getExportFilename = (extension) =>
+  `board_${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+/**
+ * Exports the whole board as a PNG image.
+ * @param {{dpi: number, includeFog: boolean}} options - Resolution and whether to show the fog and the lighting.
+ * @returns {Promise<void>}
+ */
+const exportPng = async ({ dpi, includeFog }) => {
+  const { widthPx, heightPx } = canvasView.getBoardDrawing().boardProperties;
+  let resolution = dpi;
+  const largestSide = (Math.max(widthPx, heightPx) * resolution) / MM_PER_INCH;
+  if (largestSide > MAX_EXPORT_IMAGE_SIZE_PX) {
+    resolution = Math.floor(
+      (resolution * MAX_EXPORT_IMAGE_SIZE_PX) / largestSide,
+    );
+    uiViewModelInstance.displayMessage(
+      `The board is too large for ${dpi} DPI; it is exported at ${resolution} DPI.`,
+      "info",
+    );
+  }
+  const canvas = await canvasView.renderBoardRegion(
+    { x: 0, y: 0, width: widthPx, height: heightPx },
+    resolution / MM_PER_INCH,
+    { includeFog },
+  );
+  const blob = await canvasToBlob(canvas, "image/png");
+  const png = setPngResolution(
+    new Uint8Array(await blob.arrayBuffer()),
+    resolution,
+  );
+  triggerDownload(
+    getExportFilename("png"),
+    png,
+    "image/png",
+    `Board exported as a ${canvas.width}x${canvas.height} PNG image.`,
+  );
+};
+
+/**
+ * Exports the board as an SVG drawing. Image assets are embedded; other images stay links.
+ * @returns {Promise<void>}
+ */
+const exportSvg = async () => {
+  const drawing = canvasView.getBoardDrawing();
+  const urls = [
+    drawing.background?.type === "image" ? drawing.background.value : "",
+    ...drawing.objects.map((obj) =>
+      isGroup(obj) ? "" : getDisplayImageUrl(obj),
+    ),
+  ].filter(Boolean);
+  const hrefs = new Map();
+  await Promise.all(
+    [...new Set(urls)].map(async (url) => {
+      const hash = getAssetHash(url);
+      hrefs.set(url, hash ? await loadAsset(hash) : url);
+    }),
+  );
+  const svg = buildBoardSvg(drawing, (url) => hrefs.get(url) ?? null);
+  triggerDownload(
+    getExportFilename("svg"),
+    svg,
+    "image/svg+xml",
+    "Board exported as SVG.",
+  );
+};
+
+/**
+ * Exports the board as a PDF at true scale: one page per part of the board that fits on the paper, each framed and
+ * labeled with its row and column for assembly.
+ * @param {{paperId: string, includeFog: boolean}} options - Paper size and whether to show the fog and the lighting.
+ * @returns {Promise<void>}
+ */
+const exportPdf = async ({ paperId, includeFog }) => {
+  const paper = PAPER_SIZES[paperId] || PAPER_SIZES.letter;
+  const { widthPx, heightPx } = canvasView.getBoardDrawing().boardProperties;
+  const plan = planPrintTiles(widthPx, heightPx, paper);
+  const pageWidth = plan.pageWidth * POINTS_PER_MM;
+  const pageHeight = plan.pageHeight * POINTS_PER_MM;
+  const margin = PRINT_MARGIN_MM * POINTS_PER_MM;
+  const pages = [];
+  for (const tile of plan.tiles) {
+    const canvas = await canvasView.renderBoardRegion(
+      tile,
+      PDF_RESOLUTION / MM_PER_INCH,
+      { includeFog },
+    );
+    const jpeg = await canvasToBlob(canvas, "image/jpeg", PDF_IMAGE_QUALITY);
+    const width = tile.width * POINTS_PER_MM;
+    const height = tile.height * POINTS_PER_MM;
+    const left = margin;
+    const top = pageHeight - margin;
+    const bottom = top - height;
+    pages.push({
+      width: pageWidth,
+      height: pageHeight,
+      images: [
+        {
+          data: new Uint8Array(await jpeg.arrayBuffer()),
+          pixelWidth: canvas.width,
+          pixelHeight: canvas.height,
+          x: left,
+          y: bottom,
+          width,
+          height,
+        },
+      ],
+      // A thin frame to trim along
+      lines: [
+        [left, top, left + width, top],
+        [left + width, top, left + width, bottom],
+        [left + width, bottom, left, bottom],
+        [left, bottom, left, top],
+      ].map(([x1, y1, x2, y2]) => ({ x1, y1, x2, y2, width: 0.25, gray: 0.6 })),
+      texts: [
+        {
+          x: margin,
+          y: margin / 2,
+          size: 8,
+          text: `Page ${pages.length + 1} of ${plan.tiles.length} - row ${tile.row + 1} of ${plan.rows}, column ${tile.column + 1} of ${plan.columns}. Print at actual size (100%).`,
+        },
+      ],
+    });
+  }
+  triggerDownload(
+    getExportFilename("pdf"),
+    createPdf(pages, { title: "TableTopTool board" }),
+    "application/pdf",
+    `Board exported as a ${pages.length}-page ${paper.name} PDF. Print it at actual size (100%).`,
+  );
+};
+
+/**
+ * Runs an export, reporting failures to the user.
+ * @param {{format: 'png' | 'svg' | 'pdf', dpi: number, paperId: string, includeFog: boolean}} options - The choices
+ *        made in the export dialog.
+ * @returns {Promise<void>}
+ */
+const runExport = async (options) => {
+  dExport("Exporting the board: %o", options);
+  uiViewModelInstance.displayMessage("Exporting the board...", "info");
+  try {
+    if (options.format === "svg") await exportSvg();
+    else if (options.format === "pdf") await exportPdf(options);
+    else await exportPng(options);
+  } catch (error) {
+    log.error("[exportView.js] Export failed:", error);
+    uiViewModelInstance.displayMessage(
+      `Export Error: ${error?.message || "The board could not be exported."}`,
+      "error",
+    );
+  }
+};
+
+/**
+ * Displays the export dialog.
+ */
+const displayExportModal = () => {
+  dExport("displayExportModal called.");
+  const { widthUser, heightUser, unitForDimensions } =
+    canvasView.getBoardDrawing().boardProperties;
+  const selectClass =
+    "w-full p-2 rounded bg-gray-600 border border-gray-500 text-sm";
+  const contentHtml = `
+      <p class="text-sm mb-3">Board: ${widthUser} x ${heightUser} ${unitForDimensions}</p>
+      <label class="block text-sm mb-1" for="export-format">Format</label>
+      <select id="export-format" class="${selectClass} mb-3">
+        <option value="png">PNG image</option>
+        <option value="svg">SVG drawing (shapes, images and labels)</option>
+        <option value="pdf">PDF for printing at true scale</option>
+      </select>
+      <div id="export-png-options" class="mb-3">
+        <label class="block text-sm mb-1" for="export-dpi">Resolution</label>
+        <select id="export-dpi" class="${selectClass}">
+          ${PNG_RESOLUTIONS.map((dpi) => `<option value="${dpi}"${dpi === 150 ? " selected" : ""}>${dpi} DPI</option>`).join("")}
+        </select>
+      </div>
+      <div id="export-pdf-options" class="mb-3 hidden">
+        <label class="block text-sm mb-1" for="export-paper">Paper</label>
+        <select id="export-paper" class="${selectClass}">
+          ${Object.entries(PAPER_SIZES)
+            .map(
+              ([id, paper]) => `<option value="${id}">${paper.name}</option>`,
+            )
+            .join("")}
+        </select>
+      </div>
+      <label id="export-fog-option" class="flex items-center gap-2 text-sm">
+        <input type="checkbox" id="export-fog" />
+        Include the fog of war and lighting as you see them
+      </label>
+    `;
+  showModal("Export Board", contentHtml, [
+    { text: "Cancel", type: "secondary" },
+    {
+      text: "Export",
+      type: "primary",
+      onClickCallback: () => {
+        const content = document.getElementById("modal-content");
+        const options = {
+          format: content.querySelector("#export-format").value,
+          dpi: Number(content.querySelector("#export-dpi").value),
+          paperId: content.querySelector("#export-paper").value,
+          includeFog: content.querySelector("#export-fog").checked,
+        };
+        runExport(options);
+      },
+    },
+  ]);
+
+  // Show the options of the chosen format (SVG exports never include the fog)
+  const content = document.getElementById("modal-content");
+  const format = content.querySelector("#export-format");
+  const updateOptions = () => {
+    content
+      .querySelector("#export-png-options")
+      .classList.toggle("hidden", format.value !== "png");
+    content
+      .querySelector("#export-pdf-options")
+      .classList.toggle("hidden", format.value !== "pdf");
+    content
+      .querySelector("#export-fog-option")
+      .classList.toggle("hidden", format.value === "svg");
+  };
+  format.addEventListener("change", updateOptions);
+  updateOptions();
+};
+
+/**
+ * Initializes the export dialog component.
+ * @param {UiViewModel} uiViewModel - The UiViewModel instance.
+ */
+export const init = (uiViewModel) => {
+  dExport("Initializing export view.");
+  uiViewModelInstance = uiViewModel;
+  cacheDOMElements();
+  if (!domElements.exportButton) {
+    log.warn("[exportView.js] Export button not found.");
+    return;
+  }
+  domElements.exportButton.addEventListener("click", displayExportModal);
+  dExport("Export view initialized.");
+};
@@ -0,0 +1,174 @@
+// src/views/components/fogView.js
+/**
+ * @file Manages the fog of war panel in the tools sidebar (GM only): turning the fog on and off, the reveal and
+ * hide tools, the brush size, previewing the fog as players see it, and revealing or covering everything.
+ */
+import log from "loglevel"; // For general logging (errors, warnings)
+import debug from "debug"; // For verbose, development-specific logging
+
+const dFog = debug("app:view:fog");
+
+/** @type {UiViewModel | null} Instance of the UiViewModel. */
+let uiViewModelInstance = null;
+
+/**
+ * @type {Object<string, HTMLElement|HTMLInputElement|null>}
+ * Stores references to DOM elements managed by this component.
+ */
+const domElements = {
+  panel: null, // The whole fog section, hidden from non-GM participants
+  enabledCheckbox: null, // Shows or hides the fog
+  revealBrushButton: null, // Activates the reveal brush tool
+  coverBrushButton: null, // Activates the hide brush tool
+  revealRectButton: null, // Activates the reveal rectangle tool
+  coverRectButton: null, // Activates the hide rectangle tool
+  brushSizeInput: null, // Brush diameter in screen pixels
+  previewCheckbox: null, // Shows the GM the fog as players see it
+  revealAllButton: null, // Reveals the whole board
+  coverAllButton: null, // Covers the whole table again
+};
+
+/**
+ * Caches references to DOM elements used by this component.
+ */
+const cacheDOMElements = () => {
+  dFog("Caching DOM elements for the fog panel.");
+  domElements.panel = document.getElementById("fog-panel");
+  domElements.enabledCheckbox = document.getElementById("fog-enabled-checkbox");
+  domElements.revealBrushButton = document.getElementById(
+    "fog-reveal-brush-button",
+  );
+  domElements.coverBrushButton = document.getElementById(
+    "fog-cover-brush-button",
+  );
+  domElements.revealRectButton = document.getElementById(
+    "fog-reveal-rect-button",
+  );
+  domElements.coverRectButton = document.getElementById(
+    "fog-cover-rect-button",
+  );
+  domElements.brushSizeInput = document.getElementById("fog-brush-size-input");
+  domElements.previewCheckbox = document.getElementById("fog-preview-checkbox");
+  domElements.revealAllButton = document.getElementById(
+    "fog-reveal-all-button",
+  );
+  domElements.coverAllButton = document.getElementById("fog-cover-all-button");
+};
+
+/**
+ * Pairs each fog tool button with its tool.
+ * @returns {Array<[HTMLElement|null, string]>}
+ */
+const getToolButtons = () => [
+  [domElements.revealBrushButton, "fog-reveal-brush"],
+  [domElements.coverBrushButton, "fog-cover-brush"],
+  [domElements.revealRectButton, "fog-reveal-rect"],
+  [domElements.coverRectButton, "fog-cover-rect"],
+];
+
+/**
+ * Reflects the fog state in the panel.
+ * This function is registered as a callback with UiViewModel.
+ * @param {import('../../model/fog.js').FogState} fog - The fog state.
+ */
+const updateFogDisplay = (fog) => {
+  dFog("updateFogDisplay called (enabled: %s)", fog?.enabled);
+  if (domElements.enabledCheckbox) {
+    domElements.enabledCheckbox.checked = Boolean(fog?.enabled);
+  }
+};
+
+/**
+ * Highlights the button of the active fog tool (none if another canvas tool is active).
+ * @param {string} tool - The active canvas tool.
+ */
+export const updateActiveToolDisplay = (tool) => {
+  getToolButtons().forEach(([button, buttonTool]) => {
+    if (!button) return;
+    const isActive = buttonTool === tool;
+    button.classList.toggle("bg-yellow-600", isActive);
+    button.classList.toggle("bg-gray-600", !isActive);
+    button.setAttribute("aria-pressed", String(isActive));
+  });
+};
+
+/**
+ * Shows the panel to the GM only.
+ * @param {import('../../model/permissions.js').User | null} user - The participant using this app.
+ */
+export const updateForUser = (user) => {
+  if (domElements.panel) {
+    domElements.panel.classList.toggle("hidden", user?.role !== "gm");
+  }
+};
+
+/**
+ * Initializes the fog panel.
+ * Caches DOM elements, sets up the panel's controls and registers for fog changes.
+ * @param {UiViewModel} uiViewModel - The UiViewModel instance.
+ */
+export const init = (uiViewModel) => {
+  dFog("Initializing fogView with uiViewModel: %o", uiViewModel);
+  uiViewModelInstance = uiViewModel;
+
+  if (!uiViewModelInstance) {
+    log.error("[fogView.js] UiViewModel not provided during init!");
+    dFog("Error: UiViewModel not provided during init.");
+    return;
+  }
+
+  cacheDOMElements();
+  if (!domElements.panel) {
+    log.error("[fogView.js] Fog panel not found. Fog controls unavailable.");
+    return;
+  }
+
+  if (domElements.enabledCheckbox) {
+    domElements.enabledCheckbox.addEventListener("change", () => {
+      dFog("Fog enabled: %s", domElements.enabledCheckbox.checked);
+      uiViewModelInstance.setFogEnabled(domElements.enabledCheckbox.checked);
+    });
+  }
+  getToolButtons().forEach(([button, tool]) => {
+    if (!button) return;
+    button.addEventListener("click", () => {
+      dFog("%s tool button clicked.", tool);
+      uiViewModelInstance.setActiveTool(tool);
+    });
+  });
+  if (domElements.brushSizeInput) {
+    domElements.brushSizeInput.value = String(
+      uiViewModelInstance.getFogViewOptions().brushSize,
+    );
+    domElements.brushSizeInput.addEventListener("input", () => {
+      uiViewModelInstance.setFogViewOptions({
+        brushSize: domElements.brushSizeInput.value,
+      });
+    });
+  }
+  if (domElements.previewCheckbox) {
+    domElements.previewCheckbox.checked =
+      uiViewModelInstance.getFogViewOptions().preview;
+    domElements.previewCheckbox.addEventListener("change", () => {
+      uiViewModelInstance.setFogViewOptions({
+        preview: domElements.previewCheckbox.checked,
+      });
+    });
+  }
+  if (domElements.revealAllButton) {
+    domElements.revealAllButton.addEventListener("click", () =>
+      uiViewModelInstance.revealAllFog(),
+    );
+  }
+  if (domElements.coverAllButton) {
+    domElements.coverAllButton.addEventListener("click", () =>
+      uiViewModelInstance.coverAllFog(),
+    );
+  }
+
+  uiViewModelInstance.onFogChanged(updateFogDisplay);
+  updateFogDisplay(uiViewModelInstance.getFog());
+  updateForUser(uiViewModelInstance.getCurrentUser());
+  updateActiveToolDisplay(uiViewModelInstance.getActiveTool());
+  dFog("fogView initialization complete.");
+};
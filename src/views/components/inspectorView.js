@@ -7,6 +7,15 @@
  */
 import log from "loglevel";
 import debug from "debug";
+import { isPathShape, isClosedPath } from "../../model/shapes.js";
+import { isDeck, isCard } from "../../model/deck.js";
+import {
+  ACCESS_ALL,
+  ACCESS_GM,
+  normalizeAccessList,
+} from "../../model/permissions.js";
+import { canSeeLayer, getObjectLayer } from "../../model/layers.js";
+import { isGroup } from "../../model/group.js";
 
 const dInspector = debug("app:view:inspector");
 
@@ -31,10 +40,20 @@ const domElements = {
   objBgColor: null,
   objImageUrl: null,
   objZIndex: null,
+  objLayer: null,
   objIsMovable: null,
   objShape: null,
+  objVisibleTo: null,
+  objVisibleToPlayers: null,
+  objEditableBy: null,
+  objEditableByPlayers: null,
+  objHasVision: null,
+  objLightBright: null,
+  objLightDim: null,
   objData: null,
   objScriptOnClick: null,
+  objScriptOnDrop: null,
+  objScriptOnCollision: null,
   objLabelText: null,
   objShowLabel: null,
   updateObjectButton: null,
@@ -62,12 +81,53 @@ const cacheDOMElements = () => {
   domElements.objBgColor = document.getElementById("obj-bg-color");
   domElements.objImageUrl = document.getElementById("obj-image-url");
   domElements.objZIndex = document.getElementById("obj-z-index");
+  domElements.objLayer = document.getElementById("obj-layer");
   domElements.objIsMovable = document.getElementById("obj-is-movable");
   domElements.objShape = document.getElementById("obj-shape");
+  domElements.objVisibleTo = document.getElementById("obj-visible-to");
+  domElements.objVisibleToPlayers = document.getElementById(
+    "obj-visible-to-players",
+  );
+  domElements.objEditableBy = document.getElementById("obj-editable-by");
+  domElements.objEditableByPlayers = document.getElementById(
+    "obj-editable-by-players",
+  );
+  domElements.objHasVision = document.getElementById("obj-has-vision");
+  domElements.objLightBright = document.getElementById("obj-light-bright");
+  domElements.objLightDim = document.getElementById("obj-light-dim");
   domElements.objData = document.getElementById("obj-data");
   domElements.objScriptOnClick = document.getElementById("obj-script-onclick");
+  domElements.objScriptOnDrop = document.getElementById("obj-script-ondrop");
+  domElements.objScriptOnCollision = document.getElementById(
+    "obj-script-oncollision",
+  );
   domElements.objLabelText = document.getElementById("obj-label-text");
   domElements.objShowLabel = document.getElementById("obj-show-label");
+  domElements.objBorderColor = document.getElementById("obj-border-color");
+  domElements.objBorderWidth = document.getElementById("obj-border-width");
+  domElements.objPathOptions = document.getElementById("obj-path-options");
+  domElements.objFilled = document.getElementById("obj-filled");
+  domElements.objClosed = document.getElementById("obj-closed");
+  domElements.objDeckControls = document.getElementById("obj-deck-controls");
+  domElements.objDeckCount = document.getElementById("obj-deck-count");
+  domElements.objDeckBackUrl = document.getElementById("obj-deck-back-url");
+  domElements.objDeckCards = document.getElementById("obj-deck-cards");
+  domElements.deckDrawButton = document.getElementById("deck-draw-button");
+  domElements.deckShuffleButton = document.getElementById(
+    "deck-shuffle-button",
+  );
+  domElements.objCardControls = document.getElementById("obj-card-controls");
+  domElements.cardFlipButton = document.getElementById("card-flip-button");
+  domElements.cardReturnButton = document.getElementById("card-return-button");
+  domElements.objGroupControls = document.getElementById("obj-group-controls");
+  domElements.objGroupCount = document.getElementById("obj-group-count");
+  domElements.ungroupButton = document.getElementById("ungroup-button");
+  domElements.groupSelectionButton = document.getElementById(
+    "group-selection-button",
+  );
+  domElements.saveTemplateButton = document.getElementById(
+    "save-template-button",
+  );
   domElements.updateObjectButton = document.getElementById(
     "update-object-button",
   );
@@ -82,6 +142,104 @@ const cacheDOMElements = () => {
   );
 };
 
+/**
+ * Pairs of access list controls: the select ('all', 'gm' or 'players') and the input for the player names.
+ * @returns {Array<[HTMLSelectElement | null, HTMLInputElement | null]>}
+ */
+const getAccessFieldPairs = () => [
+  [domElements.objVisibleTo, domElements.objVisibleToPlayers],
+  [domElements.objEditableBy, domElements.objEditableByPlayers],
+];
+
+/**
+ * Shows each player names input only while its select asks for named players.
+ */
+const updateAccessPlayerInputs = () => {
+  getAccessFieldPairs().forEach(([select, input]) => {
+    if (select && input) {
+      input.style.display = select.value === "players" ? "" : "none";
+    }
+  });
+};
+
+/**
+ * Shows an access list in a select and its player names input.
+ * @param {HTMLSelectElement | null} select - The select.
+ * @param {HTMLInputElement | null} input - The player names input.
+ * @param {import('../../model/permissions.js').AccessList} accessList - The access list.
+ */
+const setAccessFields = (select, input, accessList) => {
+  const normalized = normalizeAccessList(accessList);
+  if (select) {
+    select.value = Array.isArray(normalized) ? "players" : normalized;
+  }
+  if (input) {
+    input.value = Array.isArray(normalized) ? normalized.join(", ") : "";
+  }
+};
+
+/**
+ * Reads an access list from a select and its player names input.
+ * @param {HTMLSelectElement | null} select - The select.
+ * @param {HTMLInputElement | null} input - The player names input.
+ * @returns {import('../../model/permissions.js').AccessList}
+ */
+const readAccessFields = (select, input) => {
+  if (!select || select.value === ACCESS_ALL) return ACCESS_ALL;
+  if (select.value === ACCESS_GM) return ACCESS_GM;
+  return normalizeAccessList(input ? input.value : "");
+};
+
+/**
+ * Fills the layer select with the layers the current user sees (the GM sees them all), top layer first.
+ */
+const populateLayerOptions = () => {
+  if (!domElements.objLayer || !uiViewModelInstance) return;
+  const user = uiViewModelInstance.getCurrentUser();
+  const layers = uiViewModelInstance
+    .getLayers()
+    .filter((layer) => !user || user.role === "gm" || canSeeLayer(layer, user));
+  domElements.objLayer.replaceChildren(
+    ...[...layers].reverse().map((layer) => {
+      const option = document.createElement("option");
+      option.value = layer.id;
+      option.textContent = layer.name;
+      return option;
+    }),
+  );
+};
+
+/**
+ * Enables the inspector's controls only if the current user may edit the object.
+ * Who may see and edit the object, its vision and its light are only changed by the GM.
+ * @param {string} objectId - The ID of the inspected object.
+ * @returns {boolean} Whether the object is editable.
+ */
+const updateInspectorEditability = (objectId) => {
+  const editable = uiViewModelInstance
+    ? uiViewModelInstance.canEditObject(objectId)
+    : true;
+  const isGm = uiViewModelInstance?.getCurrentUser()?.role === "gm";
+  domElements.inspectorContent
+    .querySelectorAll("input, select, textarea, button")
+    .forEach((control) => {
+      control.disabled = !editable;
+    });
+  [
+    ...getAccessFieldPairs().flat(),
+    domElements.objHasVision,
+    domElements.objLightBright,
+    domElements.objLightDim,
+  ].forEach((control) => {
+    if (control) control.disabled = !editable || !isGm;
+  });
+  if (domElements.updateObjectButton)
+    domElements.updateObjectButton.disabled = !editable;
+  if (domElements.deleteObjectButton)
+    domElements.deleteObjectButton.disabled = !editable;
+  return editable;
+};
+
 /**
  * Populates the inspector form fields with the properties of the given object.
  * If no objectData is provided (e.g., no object selected), it clears the inspector
@@ -115,12 +273,18 @@ const populateObjectInspector = (objectData) => {
       height = 0,
       rotation = 0,
       zIndex = 0,
+      layer,
       isMovable = true,
       shape = "rectangle",
+      visibleTo,
+      editableBy,
+      hasVision = false,
+      light,
       appearance,
       data,
       scripts,
     } = objectData;
+    const editable = updateInspectorEditability(id);
 
     if (inspectorContentDiv && inspectorContentDiv.querySelector("p")) {
       inspectorContentDiv.querySelector("p").style.display = "none";
@@ -135,8 +299,29 @@ const populateObjectInspector = (objectData) => {
     domElements.objHeight.value = height;
     domElements.objRotation.value = rotation;
     domElements.objZIndex.value = zIndex;
+    if (domElements.objLayer) {
+      populateLayerOptions();
+      domElements.objLayer.value =
+        getObjectLayer({ layer }, uiViewModelInstance?.getLayers() || [])?.id ||
+        "";
+    }
     domElements.objIsMovable.checked = isMovable;
     domElements.objShape.value = shape;
+    setAccessFields(
+      domElements.objVisibleTo,
+      domElements.objVisibleToPlayers,
+      visibleTo,
+    );
+    setAccessFields(
+      domElements.objEditableBy,
+      domElements.objEditableByPlayers,
+      editableBy,
+    );
+    if (domElements.objHasVision) domElements.objHasVision.checked = hasVision;
+    if (domElements.objLightBright)
+      domElements.objLightBright.value = light?.bright || 0;
+    if (domElements.objLightDim)
+      domElements.objLightDim.value = light?.dim || 0;
 
     if (appearance) {
       const {
@@ -144,22 +329,53 @@ const populateObjectInspector = (objectData) => {
         imageUrl = "",
         text = "",
         showLabel = false,
+        borderColor = "#333333",
+        borderWidth = 0,
+        filled = true,
       } = appearance;
       domElements.objBgColor.value = backgroundColor;
       domElements.objImageUrl.value = imageUrl;
       if (domElements.objLabelText) domElements.objLabelText.value = text || "";
       if (domElements.objShowLabel)
         domElements.objShowLabel.checked = showLabel || false;
+      if (domElements.objBorderColor)
+        domElements.objBorderColor.value = borderColor;
+      if (domElements.objBorderWidth)
+        domElements.objBorderWidth.value = borderWidth;
+      if (domElements.objFilled) domElements.objFilled.checked = filled;
     } else {
       domElements.objBgColor.value = "#CCCCCC";
       domElements.objImageUrl.value = "";
       if (domElements.objLabelText) domElements.objLabelText.value = "";
       if (domElements.objShowLabel) domElements.objShowLabel.checked = false;
+      if (domElements.objBorderColor)
+        domElements.objBorderColor.value = "#333333";
+      if (domElements.objBorderWidth) domElements.objBorderWidth.value = 0;
+      if (domElements.objFilled) domElements.objFilled.checked = true;
     }
+    if (domElements.objClosed)
+      domElements.objClosed.checked = isClosedPath(objectData);
+    if (isDeck(objectData)) {
+      const cards = Array.isArray(objectData.cards) ? objectData.cards : [];
+      if (domElements.objDeckCount)
+        domElements.objDeckCount.textContent = String(cards.length);
+      if (domElements.objDeckBackUrl)
+        domElements.objDeckBackUrl.value = appearance?.backImageUrl || "";
+      if (domElements.objDeckCards)
+        domElements.objDeckCards.value = JSON.stringify(cards, null, 2);
+    }
+    if (domElements.cardReturnButton)
+      domElements.cardReturnButton.disabled = !editable || !objectData.deckId;
 
     domElements.objData.value = data ? JSON.stringify(data, null, 2) : "{}";
     domElements.objScriptOnClick.value =
       scripts && scripts.onClick ? scripts.onClick : "";
+    if (domElements.objScriptOnDrop)
+      domElements.objScriptOnDrop.value =
+        scripts && scripts.onDrop ? scripts.onDrop : "";
+    if (domElements.objScriptOnCollision)
+      domElements.objScriptOnCollision.value =
+        scripts && scripts.onCollision ? scripts.onCollision : "";
 
     if (domElements.inspectorActions)
       domElements.inspectorActions.classList.remove("hidden");
@@ -171,6 +387,31 @@ const populateObjectInspector = (objectData) => {
         child.style.display = "";
       }
     });
+    // Fill and closed/open only apply to path shapes
+    if (domElements.objPathOptions)
+      domElements.objPathOptions.style.display = isPathShape(shape)
+        ? ""
+        : "none";
+    if (domElements.objDeckControls)
+      domElements.objDeckControls.style.display = isDeck(objectData)
+        ? ""
+        : "none";
+    if (domElements.objCardControls)
+      domElements.objCardControls.style.display = isCard(objectData)
+        ? ""
+        : "none";
+    if (domElements.objGroupControls)
+      domElements.objGroupControls.style.display = isGroup(objectData)
+        ? ""
+        : "none";
+    if (domElements.objGroupCount)
+      domElements.objGroupCount.textContent = String(
+        objectData.children?.length || 0,
+      );
+    if (domElements.groupSelectionButton)
+      domElements.groupSelectionButton.style.display =
+        uiViewModelInstance?.getSelectedObjectIds().length > 1 ? "" : "none";
+    updateAccessPlayerInputs();
   } else {
     // objectData is null
     if (domElements.objId) domElements.objId.textContent = "";
@@ -237,6 +478,7 @@ const readObjectInspector = () => {
     }
   }
 
+  const shape = domElements.objShape ? domElements.objShape.value : "rectangle";
   const snapshot = {
     id: objectIdValue,
     name: domElements.objName ? domElements.objName.value.trim() : "",
@@ -261,10 +503,28 @@ const readObjectInspector = () => {
     zIndex:
       parseInt(domElements.objZIndex ? domElements.objZIndex.value : "0", 10) ||
       0,
+    ...(domElements.objLayer?.value
+      ? { layer: domElements.objLayer.value }
+      : {}),
     isMovable: domElements.objIsMovable
       ? domElements.objIsMovable.checked
       : true,
-    shape: domElements.objShape ? domElements.objShape.value : "rectangle",
+    shape,
+    visibleTo: readAccessFields(
+      domElements.objVisibleTo,
+      domElements.objVisibleToPlayers,
+    ),
+    editableBy: readAccessFields(
+      domElements.objEditableBy,
+      domElements.objEditableByPlayers,
+    ),
+    hasVision: domElements.objHasVision
+      ? domElements.objHasVision.checked
+      : false,
+    light: {
+      bright: parseFloat(domElements.objLightBright?.value) || 0,
+      dim: parseFloat(domElements.objLightDim?.value) || 0,
+    },
     appearance: {
       backgroundColor: domElements.objBgColor
         ? domElements.objBgColor.value
@@ -276,14 +536,51 @@ const readObjectInspector = () => {
       showLabel: domElements.objShowLabel
         ? domElements.objShowLabel.checked
         : false,
+      borderColor: domElements.objBorderColor
+        ? domElements.objBorderColor.value
+        : "#333333",
+      borderWidth: Math.max(
+        0,
+        parseFloat(
+          domElements.objBorderWidth ? domElements.objBorderWidth.value : "0",
+        ) || 0,
+      ),
     },
     data: data,
     scripts: {
       onClick: domElements.objScriptOnClick
         ? domElements.objScriptOnClick.value.trim()
         : "",
+      onDrop: domElements.objScriptOnDrop
+        ? domElements.objScriptOnDrop.value.trim()
+        : "",
+      onCollision: domElements.objScriptOnCollision
+        ? domElements.objScriptOnCollision.value.trim()
+        : "",
     },
   };
+  if (
+    domElements.objDeckControls &&
+    domElements.objDeckControls.style.display !== "none"
+  ) {
+    try {
+      snapshot.cards = JSON.parse(domElements.objDeckCards?.value || "[]");
+    } catch (e) {
+      log.error("Invalid JSON in deck cards field:", e);
+      uiViewModelInstance?.displayMessage(
+        "Error: Deck cards are not valid JSON.",
+        "error",
+      );
+    }
+    if (domElements.objDeckBackUrl)
+      snapshot.appearance.backImageUrl =
+        domElements.objDeckBackUrl.value.trim();
+  }
+  if (isPathShape(shape)) {
+    if (domElements.objClosed) snapshot.closed = domElements.objClosed.checked;
+    if (domElements.objFilled)
+      snapshot.appearance.filled = domElements.objFilled.checked;
+  }
   dInspector("readObjectInspector: Returning snapshot for ID: %s", snapshot.id);
   return snapshot;
 };
@@ -389,8 +686,8 @@ const setObjectImageUrlText = (text) => {
 
 /**
  * Handles the 'change' event for the hidden object image file input.
- * When a file is selected, it reads the image as a data URL,
- * updates the image URL input field in the inspector using `setObjectImageUrlText`,
+ * When a file is selected, it reads the image as a data URL, stores it as an image asset,
+ * puts the asset reference in the image URL input field in the inspector using `setObjectImageUrlText`,
  * and informs the user via `uiViewModelInstance.displayMessage` that they need to click "Update Object" to apply.
  * @param {Event} event - The file input change event, containing the selected file(s).
  */
@@ -417,15 +714,16 @@ const handleObjectImageFileChange = (event) => {
   }
 
   const reader = new FileReader();
-  reader.onload = (e) => {
+  reader.onload = async (e) => {
     dInspector("File loaded as data URL. Length: %d", e.target.result.length);
-    setObjectImageUrlText(e.target.result);
-    if (uiViewModelInstance && uiViewModelInstance.displayMessage) {
-      uiViewModelInstance.displayMessage(
-        'Object image updated in inspector. Click "Update Object" to apply.',
-        "info",
-      );
-    }
+    // Stored once as an asset; the object references it instead of holding the image data.
+    const assetUrl = await uiViewModelInstance.addImageAsset(e.target.result);
+    if (!assetUrl) return;
+    setObjectImageUrlText(assetUrl);
+    uiViewModelInstance.displayMessage(
+      'Object image updated in inspector. Click "Update Object" to apply.',
+      "info",
+    );
   };
   reader.onerror = () => {
     log.error(
@@ -500,6 +798,41 @@ export const init = (uiViewModel, vttApi) => {
     dInspector("Event listener added for objectImageFileInput change.");
   }
 
+  getAccessFieldPairs().forEach(([select]) => {
+    if (select) select.addEventListener("change", updateAccessPlayerInputs);
+  });
+
+  [
+    [domElements.deckDrawButton, (id) => uiViewModelInstance.drawCard(id)],
+    [
+      domElements.deckShuffleButton,
+      (id) => uiViewModelInstance.shuffleDeck(id),
+    ],
+    [domElements.cardFlipButton, (id) => uiViewModelInstance.flipCard(id)],
+    [
+      domElements.cardReturnButton,
+      (id) => uiViewModelInstance.returnCardToDeck(id),
+    ],
+    [domElements.ungroupButton, (id) => uiViewModelInstance.ungroupObject(id)],
+    [
+      domElements.saveTemplateButton,
+      (id) => uiViewModelInstance.saveObjectAsTemplate(id),
+    ],
+  ].forEach(([button, action]) => {
+    if (!button) return;
+    button.addEventListener("click", () => {
+      const objectId = domElements.objId?.textContent.trim();
+      dInspector("%s clicked for object %s", button.id, objectId);
+      if (objectId) action(objectId);
+    });
+  });
+
+  if (domElements.groupSelectionButton) {
+    domElements.groupSelectionButton.addEventListener("click", () =>
+      uiViewModelInstance.groupSelection(),
+    );
+  }
+
   uiViewModelInstance.onInspectorDataChanged(populateObjectInspector);
   dInspector(
     "Registered populateObjectInspector with uiViewModelInstance.onInspectorDataChanged.",
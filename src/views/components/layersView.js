@@ -0,0 +1,143 @@
+// src/views/components/layersView.js
+/**
+ * @file Manages the layers panel in the tools sidebar: choosing the active layer (where new objects go and whose
+ * objects are picked first) and, for the GM, locking and hiding layers. Layers are listed top layer first.
+ */
+import log from "loglevel"; // For general logging (errors, warnings)
+import debug from "debug"; // For verbose, development-specific logging
+import { canSeeLayer } from "../../model/layers.js";
+
+const dLayers = debug("app:view:layers");
+
+/** @type {UiViewModel | null} Instance of the UiViewModel. */
+let uiViewModelInstance = null;
+
+/**
+ * @type {Object<string, HTMLElement|null>}
+ * Stores references to DOM elements managed by this component.
+ */
+const domElements = {
+  panel: null, // The whole layers section
+  list: null, // One row per layer
+};
+
+/**
+ * Caches references to DOM elements used by this component.
+ */
+const cacheDOMElements = () => {
+  dLayers("Caching DOM elements for the layers panel.");
+  domElements.panel = document.getElementById("layers-panel");
+  domElements.list = document.getElementById("layers-list");
+};
+
+/**
+ * Creates a toggle button for one of a layer's flags.
+ * @param {import('../../model/layers.js').Layer} layer - The layer.
+ * @param {'locked' | 'hidden'} flag - The flag the button toggles.
+ * @param {string} onLabel - Button text while the flag is set.
+ * @param {string} offLabel - Button text while the flag is not set.
+ * @param {boolean} isGm - Whether the user may change the flag.
+ * @returns {HTMLButtonElement}
+ */
+const createToggleButton = (layer, flag, onLabel, offLabel, isGm) => {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = `px-1 text-xs rounded ${layer[flag] ? "bg-yellow-600" : "bg-gray-600 hover:bg-gray-500"}`;
+  button.textContent = layer[flag] ? onLabel : offLabel;
+  button.setAttribute("aria-pressed", String(layer[flag]));
+  button.title = `${layer[flag] ? offLabel : onLabel} the ${layer.name} layer`;
+  button.disabled = !isGm;
+  button.addEventListener("click", () =>
+    uiViewModelInstance.updateLayer(layer.id, { [flag]: !layer[flag] }),
+  );
+  return button;
+};
+
+/**
+ * Creates the row of a layer.
+ * @param {import('../../model/layers.js').Layer} layer - The layer.
+ * @param {boolean} isActive - Whether it is the active layer.
+ * @param {boolean} isGm - Whether the user may lock and hide layers.
+ * @returns {HTMLLIElement}
+ */
+const createLayerElement = (layer, isActive, isGm) => {
+  const item = document.createElement("li");
+  item.className = "flex items-center space-x-2";
+
+  const label = document.createElement("label");
+  label.className = "flex items-center space-x-2 flex-grow cursor-pointer";
+  const radio = document.createElement("input");
+  radio.type = "radio";
+  radio.name = "active-layer";
+  radio.value = layer.id;
+  radio.checked = isActive;
+  radio.addEventListener("change", () =>
+    uiViewModelInstance.setActiveLayer(layer.id),
+  );
+  const name = document.createElement("span");
+  name.textContent = layer.gmOnly ? `${layer.name} (GM)` : layer.name;
+  if (layer.hidden) name.className = "text-gray-400 line-through";
+  label.append(radio, name);
+
+  item.append(
+    label,
+    createToggleButton(layer, "locked", "Locked", "Lock", isGm),
+    createToggleButton(layer, "hidden", "Hidden", "Hide", isGm),
+  );
+  return item;
+};
+
+/**
+ * Renders the layers the user sees (the GM sees them all), top layer first.
+ * This function is registered as a callback with UiViewModel.
+ */
+const renderLayers = () => {
+  if (!domElements.list || !uiViewModelInstance) return;
+  const layers = uiViewModelInstance.getLayers();
+  const activeLayer = uiViewModelInstance.getActiveLayer();
+  const user = uiViewModelInstance.getCurrentUser();
+  const isGm = user?.role === "gm";
+  dLayers("renderLayers called with %d layers.", layers.length);
+  domElements.list.replaceChildren(
+    ...layers
+      .filter((layer) => isGm || !user || canSeeLayer(layer, user))
+      .reverse()
+      .map((layer) =>
+        createLayerElement(layer, layer.id === activeLayer, isGm),
+      ),
+  );
+};
+
+/**
+ * Updates the panel for the participant using this app: players and spectators cannot lock or hide layers, and
+ * do not see the layers hidden from them.
+ */
+export const updateForUser = () => {
+  renderLayers();
+};
+
+/**
+ * Initializes the layers panel.
+ * Caches DOM elements and registers for layer and active layer changes.
+ * @param {UiViewModel} uiViewModel - The UiViewModel instance.
+ */
+export const init = (uiViewModel) => {
+  dLayers("Initializing layersView with uiViewModel: %o", uiViewModel);
+  uiViewModelInstance = uiViewModel;
+
+  if (!uiViewModelInstance) {
+    log.error("[layersView.js] UiViewModel not provided during init!");
+    dLayers("Error: UiViewModel not provided during init.");
+    return;
+  }
+
+  cacheDOMElements();
+  if (!domElements.list) {
+    log.error("[layersView.js] Layer list not found. Layer panel unavailable.");
+    return;
+  }
+
+  uiViewModelInstance.onLayersChanged(renderLayers);
+  renderLayers();
+  dLayers("layersView initialization complete.");
+};
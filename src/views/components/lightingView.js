@@ -0,0 +1,154 @@
+// src/views/components/lightingView.js
+/**
+ * @file Manages the walls and lighting panel in the tools sidebar (GM only): turning dynamic lighting and daylight
+ * on and off, the wall drawing and erasing tools, the door tool, and removing all walls.
+ */
+import log from "loglevel"; // For general logging (errors, warnings)
+import debug from "debug"; // For verbose, development-specific logging
+
+const dLighting = debug("app:view:lighting");
+
+/** @type {UiViewModel | null} Instance of the UiViewModel. */
+let uiViewModelInstance = null;
+
+/**
+ * @type {Object<string, HTMLElement|HTMLInputElement|null>}
+ * Stores references to DOM elements managed by this component.
+ */
+const domElements = {
+  panel: null, // The whole walls and lighting section, hidden from non-GM participants
+  enabledCheckbox: null, // Limits players' views to what their tokens see
+  daylightCheckbox: null, // Lights everything in line of sight
+  wallButton: null, // Activates the wall drawing tool
+  wallEraseButton: null, // Activates the wall eraser
+  doorToggleButton: null, // Activates the door tool (opens and closes doors)
+  clearWallsButton: null, // Removes all walls
+};
+
+/**
+ * Caches references to DOM elements used by this component.
+ */
+const cacheDOMElements = () => {
+  dLighting("Caching DOM elements for the lighting panel.");
+  domElements.panel = document.getElementById("lighting-panel");
+  domElements.enabledCheckbox = document.getElementById(
+    "lighting-enabled-checkbox",
+  );
+  domElements.daylightCheckbox = document.getElementById(
+    "lighting-daylight-checkbox",
+  );
+  domElements.wallButton = document.getElementById("wall-tool-button");
+  domElements.wallEraseButton = document.getElementById(
+    "wall-erase-tool-button",
+  );
+  domElements.doorToggleButton = document.getElementById(
+    "door-toggle-tool-button",
+  );
+  domElements.clearWallsButton = document.getElementById("clear-walls-button");
+};
+
+/**
+ * Pairs each wall tool button with its tool.
+ * @returns {Array<[HTMLElement|null, string]>}
+ */
+const getToolButtons = () => [
+  [domElements.wallButton, "wall"],
+  [domElements.wallEraseButton, "wall-erase"],
+  [domElements.doorToggleButton, "door-toggle"],
+];
+
+/**
+ * Reflects the lighting settings in the panel.
+ * This function is registered as a callback with UiViewModel.
+ * @param {import('../../model/lighting.js').LightingSettings} lighting - The lighting settings.
+ */
+const updateLightingDisplay = (lighting) => {
+  dLighting("updateLightingDisplay called with %o", lighting);
+  if (domElements.enabledCheckbox) {
+    domElements.enabledCheckbox.checked = Boolean(lighting?.enabled);
+  }
+  if (domElements.daylightCheckbox) {
+    domElements.daylightCheckbox.checked = Boolean(lighting?.daylight);
+  }
+};
+
+/**
+ * Highlights the button of the active wall tool (none if another canvas tool is active).
+ * @param {string} tool - The active canvas tool.
+ */
+export const updateActiveToolDisplay = (tool) => {
+  getToolButtons().forEach(([button, buttonTool]) => {
+    if (!button) return;
+    const isActive = buttonTool === tool;
+    button.classList.toggle("bg-yellow-600", isActive);
+    button.classList.toggle("bg-gray-600", !isActive);
+    button.setAttribute("aria-pressed", String(isActive));
+  });
+};
+
+/**
+ * Shows the panel to the GM only.
+ * @param {import('../../model/permissions.js').User | null} user - The participant using this app.
+ */
+export const updateForUser = (user) => {
+  if (domElements.panel) {
+    domElements.panel.classList.toggle("hidden", user?.role !== "gm");
+  }
+};
+
+/**
+ * Initializes the walls and lighting panel.
+ * Caches DOM elements, sets up the panel's controls and registers for lighting changes.
+ * @param {UiViewModel} uiViewModel - The UiViewModel instance.
+ */
+export const init = (uiViewModel) => {
+  dLighting("Initializing lightingView with uiViewModel: %o", uiViewModel);
+  uiViewModelInstance = uiViewModel;
+
+  if (!uiViewModelInstance) {
+    log.error("[lightingView.js] UiViewModel not provided during init!");
+    dLighting("Error: UiViewModel not provided during init.");
+    return;
+  }
+
+  cacheDOMElements();
+  if (!domElements.panel) {
+    log.error(
+      "[lightingView.js] Lighting panel not found. Wall and lighting controls unavailable.",
+    );
+    return;
+  }
+
+  if (domElements.enabledCheckbox) {
+    domElements.enabledCheckbox.addEventListener("change", () => {
+      uiViewModelInstance.setLighting({
+        enabled: domElements.enabledCheckbox.checked,
+      });
+    });
+  }
+  if (domElements.daylightCheckbox) {
+    domElements.daylightCheckbox.addEventListener("change", () => {
+      uiViewModelInstance.setLighting({
+        daylight: domElements.daylightCheckbox.checked,
+      });
+    });
+  }
+  getToolButtons().forEach(([button, tool]) => {
+    if (!button) return;
+    button.addEventListener("click", () => {
+      dLighting("%s tool button clicked.", tool);
+      uiViewModelInstance.setActiveTool(tool);
+    });
+  });
+  if (domElements.clearWallsButton) {
+    domElements.clearWallsButton.addEventListener("click", () =>
+      uiViewModelInstance.clearWalls(),
+    );
+  }
+
+  uiViewModelInstance.onLightingChanged(updateLightingDisplay);
+  updateLightingDisplay(uiViewModelInstance.getLighting());
+  updateForUser(uiViewModelInstance.getCurrentUser());
+  updateActiveToolDisplay(uiViewModelInstance.getActiveTool());
+  dLighting("lightingView initialization complete.");
+};
@@ -62,7 +62,7 @@ const displayMessage = (text, type = "info", duration = 3000) => {
   dMsgArea("Created message element.");
   messageEl.textContent = text;
   messageEl.className =
-    "p-3 rounded-md shadow-lg text-sm mb-2 transition-opacity duration-500 ease-out"; // Added transition classes
+    "p-3 rounded-md shadow-lg text-sm mb-2 whitespace-pre-line transition-opacity duration-500 ease-out"; // Line breaks in the text are kept
 
   switch (type) {
     case "error":
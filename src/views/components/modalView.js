@@ -1,7 +1,7 @@
 // src/views/components/modalView.js
 /**
  * @file Manages the display and interaction logic for all modal dialogs in the application.
- * This includes generic modals for messages/confirmations, a specific modal for creating objects,
+ * This includes generic modals for messages/confirmations, the template library new objects are created from,
  * and a generic selection modal for lists of choices.
  * It interacts with UiViewModel to be shown and to report user actions.
  */
@@ -108,10 +108,94 @@ const hideModal = () => {
   dModal("Modal content cleared.");
 };
 
+/** @type {HTMLInputElement | null} Hidden file input for importing template packs. */
+let templatePackFileInput = null;
+
+/**
+ * Creates the row of a template in the template library.
+ * @param {import('../../model/templates.js').Template & {builtIn: boolean}} template - The template.
+ * @returns {HTMLLIElement}
+ */
+const createTemplateElement = (template) => {
+  const item = document.createElement("li");
+  item.className = "flex items-center space-x-2";
+  const createButton = document.createElement("button");
+  createButton.type = "button";
+  createButton.className =
+    "flex-grow text-left px-2 py-1 bg-gray-600 hover:bg-gray-500 rounded";
+  createButton.textContent = template.name;
+  createButton.title = `Create ${template.name}`;
+  createButton.addEventListener("click", () => {
+    dModal("Template '%s' chosen in the template library.", template.name);
+    if (uiViewModelInstance.createFromTemplate(template.id)) hideModal();
+  });
+  item.appendChild(createButton);
+  if (template.builtIn) {
+    const tag = document.createElement("span");
+    tag.className = "text-xs text-gray-400";
+    tag.textContent = "Built-in";
+    item.appendChild(tag);
+  } else {
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className =
+      "px-2 py-1 text-xs bg-red-500 hover:bg-red-600 rounded";
+    removeButton.textContent = "Remove";
+    removeButton.title = `Remove the ${template.name} template`;
+    removeButton.addEventListener("click", () =>
+      uiViewModelInstance.removeTemplate(template.id),
+    );
+    item.appendChild(removeButton);
+  }
+  return item;
+};
+
+/**
+ * Renders the templates matching the library's search field, if the template library is open.
+ * This function is registered as a callback with UiViewModel.
+ */
+const renderTemplateLibrary = () => {
+  const list = domElements.modalContent?.querySelector("#template-list");
+  const search = domElements.modalContent?.querySelector("#template-search");
+  if (!list || !search) return;
+  const templates = uiViewModelInstance.getTemplateLibrary(search.value);
+  dModal("renderTemplateLibrary: %d templates match.", templates.length);
+  if (templates.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "text-gray-400";
+    empty.textContent = "No templates match.";
+    list.replaceChildren(empty);
+    return;
+  }
+  list.replaceChildren(...templates.map(createTemplateElement));
+};
+
 /**
- * Displays a specialized modal for creating new VTT objects.
- * This modal contains a form for object properties (shape, dimensions, color).
- * On submission, it calls `uiViewModelInstance.createObject`.
+ * Reads a template pack chosen in the file dialog and imports it.
+ */
+const handleTemplatePackFileChange = () => {
+  const file = templatePackFileInput.files[0];
+  templatePackFileInput.value = ""; // Allows choosing the same file again
+  if (!file) return;
+  dModal("Template pack file selected: %s", file.name);
+  const reader = new FileReader();
+  reader.onload = (e) =>
+    uiViewModelInstance.importTemplatePack(e.target.result);
+  reader.onerror = (e) => {
+    log.error("[modalView.js] File Read Error:", e);
+    uiViewModelInstance.displayMessage(
+      "File Read Error: Could not read file.",
+      "error",
+    );
+  };
+  reader.readAsText(file);
+};
+
+/**
+ * Displays the template library, from which new objects are created: the table's templates (objects saved with
+ * "Save as Template" or imported from a template pack) and the built-in shapes, filtered by a search field.
+ * Choosing a template calls `uiViewModelInstance.createFromTemplate`. The library's buttons export and import
+ * template packs.
  * This function is typically invoked as a callback when UiViewModel requests it.
  */
 const displayCreateObjectModal = () => {
@@ -123,77 +207,39 @@ const displayCreateObjectModal = () => {
     dModal("displayCreateObjectModal error: UiViewModel not available.");
     return;
   }
-  // Form HTML for creating an object. Includes basic fields and inline styles for simplicity.
-  // Note: Using inline <style> here is generally not recommended for larger applications,
-  // but acceptable for a self-contained modal example. Consider moving to a CSS file.
   const modalContentHtml = `
-      <style>
-        .modal-label { display: block; margin-bottom: 0.25rem; font-size: 0.875rem; color: #E2E8F0; }
-        .modal-input { background-color: #4A5568; border: 1px solid #718096; border-radius: 0.25rem; padding: 0.25rem 0.5rem; font-size: 0.875rem; margin-bottom: 0.75rem; width: 100%; color: #E2E8F0; box-sizing: border-box; }
-        .modal-input[type="color"] { padding: 0.1rem; height: 2.5rem; }
-      </style>
-      <div>
-        <label class="modal-label" for="create-obj-shape">Shape:</label>
-        <select id="create-obj-shape" class="modal-input">
-          <option value="rectangle" selected>Rectangle</option>
-          <option value="circle">Circle</option>
-        </select>
-      </div>
-      <div><label class="modal-label" for="create-obj-x">X:</label><input type="number" id="create-obj-x" value="50" class="modal-input"></div>
-      <div><label class="modal-label" for="create-obj-y">Y:</label><input type="number" id="create-obj-y" value="50" class="modal-input"></div>
-      <div><label class="modal-label" for="create-obj-width">Width:</label><input type="number" id="create-obj-width" value="100" class="modal-input"></div>
-      <div><label class="modal-label" for="create-obj-height">Height:</label><input type="number" id="create-obj-height" value="100" class="modal-input"></div>
-      <div><label class="modal-label" for="create-obj-bgcolor">Color:</label><input type="color" id="create-obj-bgcolor" value="#CCCCCC" class="modal-input"></div>
+      <input type="search" id="template-search" placeholder="Search templates..."
+        class="w-full p-2 mb-3 rounded bg-gray-600 border border-gray-500 text-sm" />
+      <ul id="template-list" class="space-y-1 text-sm max-h-80 overflow-y-auto"></ul>
     `;
-
   const buttonsArray = [
     {
-      text: "Create",
-      type: "primary",
-      onClickCallback: () => {
-        const shape = document.getElementById("create-obj-shape").value;
-        const props = {
-          x: parseInt(document.getElementById("create-obj-x").value, 10) || 0,
-          y: parseInt(document.getElementById("create-obj-y").value, 10) || 0,
-          width:
-            parseInt(document.getElementById("create-obj-width").value, 10) ||
-            50,
-          height:
-            parseInt(document.getElementById("create-obj-height").value, 10) ||
-            50,
-          appearance: {
-            backgroundColor:
-              document.getElementById("create-obj-bgcolor").value,
-          },
-        };
-        // Instead of dispatching event, call UiViewModel directly
-        dModal(
-          'Create Object modal: "Create" button clicked. Shape: %s, Props: %o',
-          shape,
-          props,
-        );
-        if (uiViewModelInstance.createObject) {
-          uiViewModelInstance.createObject(shape, props);
-          dModal("Called uiViewModelInstance.createObject.");
-        } else {
-          log.error(
-            "[modalView.js] createObject method not found on UiViewModel.",
-          );
-          dModal(
-            "displayCreateObjectModal error: createObject method not found on UiViewModel.",
-          );
-        }
-      },
+      text: "Import Pack",
+      type: "secondary",
+      preventHide: true,
+      onClickCallback: () => templatePackFileInput?.click(),
     },
     {
-      text: "Cancel",
+      text: "Export Pack",
       type: "secondary",
-      onClickCallback: () =>
-        dModal('Create Object modal: "Cancel" button clicked.'),
+      preventHide: true,
+      onClickCallback: () => uiViewModelInstance.exportTemplatePack(),
     },
+    { text: "Close", type: "primary" },
   ];
-  showModal("Create New Object", modalContentHtml, buttonsArray);
-  dModal("Create New Object modal displayed.");
+  showModal("Create Object", modalContentHtml, buttonsArray);
+
+  const search = domElements.modalContent.querySelector("#template-search");
+  search.addEventListener("input", renderTemplateLibrary);
+  search.addEventListener("keydown", (event) => {
+    // Enter creates the first match
+    if (event.key !== "Enter") return;
+    const [first] = uiViewModelInstance.getTemplateLibrary(search.value);
+    if (first && uiViewModelInstance.createFromTemplate(first.id)) hideModal();
+  });
+  renderTemplateLibrary();
+  search.focus();
+  dModal("Template library displayed.");
 };
 
 /**
@@ -226,6 +272,17 @@ export const init = (uiViewModel) => {
   cacheDOMElements();
   dModal("DOM elements cached.");
 
+  templatePackFileInput = document.createElement("input");
+  templatePackFileInput.type = "file";
+  templatePackFileInput.accept = ".json";
+  templatePackFileInput.style.display = "none";
+  templatePackFileInput.addEventListener(
+    "change",
+    handleTemplatePackFileChange,
+  );
+  document.body.appendChild(templatePackFileInput);
+  uiViewModelInstance.onTemplatesChanged(renderTemplateLibrary);
+
   // Register a handler for when UiViewModel requests the "Create Object" modal
   if (uiViewModelInstance.onCreateObjectModalRequested) {
     uiViewModelInstance.onCreateObjectModalRequested(displayCreateObjectModal);
@@ -255,6 +312,12 @@ export const init = (uiViewModel) => {
       "Warning: onShowSelectionModalRequested callback registration not found on UiViewModel.",
     );
   }
+  if (uiViewModelInstance.onSessionRecoveryRequested) {
+    uiViewModelInstance.onSessionRecoveryRequested(showSessionRecoveryModal);
+    dModal(
+      "Registered showSessionRecoveryModal with uiViewModelInstance.onSessionRecoveryRequested.",
+    );
+  }
   log.debug("[modalView.js] Initialized."); // This log.debug is fine as a general module init message
   dModal("modalView initialization complete.");
 };
@@ -353,5 +416,31 @@ const showSelectionModal = (title, choices, onSelectionCallback) => {
   }
 };
 
+/**
+ * Asks the user whether to restore the previous session from its latest autosave snapshot.
+ * @param {{name: string, savedAt: string, objectCount: number}} snapshot - Metadata of the snapshot on offer.
+ * @param {function(restore: boolean): void} onDecision - Called with true to restore, false to start fresh.
+ */
+const showSessionRecoveryModal = (snapshot, onDecision) => {
+  dModal("showSessionRecoveryModal called for snapshot: %o", snapshot);
+  const savedAt = new Date(snapshot.savedAt).toLocaleString();
+  showModal(
+    "Restore Previous Session?",
+    `<p>An autosaved session from ${savedAt} (${snapshot.objectCount} objects) was found. Restore it?</p>`,
+    [
+      {
+        text: "Start Fresh",
+        type: "secondary",
+        onClickCallback: () => onDecision(false),
+      },
+      {
+        text: "Restore",
+        type: "primary",
+        onClickCallback: () => onDecision(true),
+      },
+    ],
+  );
+};
+
 // Export showModal and hideModal if they need to be called by other UI parts (e.g. uiView for errors)
 export { showModal, hideModal, getModalContentElement };
@@ -0,0 +1,132 @@
+// src/views/components/rollLogView.js
+/**
+ * @file Manages the roll log panel shown over the bottom-left corner of the canvas.
+ * It renders the roll history kept by the model (newest roll first) whenever the UiViewModel reports a change,
+ * and lets the user collapse the panel or clear the history.
+ */
+import log from "loglevel"; // For general logging (errors, warnings)
+import debug from "debug"; // For verbose, development-specific logging
+
+const dRollLog = debug("app:view:rollLog");
+
+/** @type {UiViewModel | null} Instance of the UiViewModel. */
+let uiViewModelInstance = null;
+
+/**
+ * @type {Object<string, HTMLElement|null>}
+ * Stores references to DOM elements managed by this component.
+ */
+const domElements = {
+  rollLog: null, // The panel
+  entries: null, // The list the rolls are rendered into
+  toggleButton: null, // Collapses or expands the list
+  clearButton: null, // Empties the roll history
+};
+
+/**
+ * Caches references to DOM elements used by this component.
+ */
+const cacheDOMElements = () => {
+  dRollLog("Caching DOM elements for roll log.");
+  domElements.rollLog = document.getElementById("roll-log");
+  domElements.entries = document.getElementById("roll-log-entries");
+  domElements.toggleButton = document.getElementById("roll-log-toggle-button");
+  domElements.clearButton = document.getElementById("roll-log-clear-button");
+};
+
+/**
+ * Creates the list item for a single roll.
+ * @param {import('../../model/DiceRoller.js').RollLogEntry} entry - The roll.
+ * @returns {HTMLLIElement}
+ */
+const createEntryElement = (entry) => {
+  const item = document.createElement("li");
+  item.className = "border-b border-gray-700 pb-1";
+  const time = new Date(entry.rolledAt).toLocaleTimeString();
+  item.title = `Rolled at ${time}`;
+
+  const header = document.createElement("div");
+  header.className = "flex justify-between";
+  const name = document.createElement("span");
+  name.className = "text-gray-300";
+  name.textContent = entry.label
+    ? `${entry.label} (${entry.notation})`
+    : entry.notation;
+  const total = document.createElement("span");
+  total.className = "font-bold text-yellow-300";
+  total.textContent = String(entry.total);
+  header.append(name, total);
+
+  const breakdown = document.createElement("div");
+  breakdown.className = "text-xs text-gray-400 break-words";
+  breakdown.textContent = entry.text;
+
+  item.append(header, breakdown);
+  return item;
+};
+
+/**
+ * Renders the roll history, newest roll first.
+ * This function is registered as a callback with UiViewModel.
+ * @param {Array<import('../../model/DiceRoller.js').RollLogEntry>} rollLog - The rolls, oldest first.
+ */
+const renderRollLog = (rollLog) => {
+  dRollLog("renderRollLog called with %d rolls.", rollLog.length);
+  if (!domElements.entries) return;
+  domElements.entries.replaceChildren(
+    ...rollLog.slice().reverse().map(createEntryElement),
+  );
+  if (rollLog.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "text-xs text-gray-400";
+    empty.textContent = "No rolls yet.";
+    domElements.entries.append(empty);
+  }
+};
+
+/**
+ * Collapses or expands the list of rolls.
+ */
+const handleToggle = () => {
+  const expanded = domElements.entries.classList.toggle("hidden") === false;
+  domElements.toggleButton.setAttribute("aria-expanded", String(expanded));
+  dRollLog("Roll log %s.", expanded ? "expanded" : "collapsed");
+};
+
+/**
+ * Initializes the roll log view.
+ * Caches DOM elements, sets up the panel's buttons and registers for roll log changes.
+ * @param {UiViewModel} uiViewModel - The UiViewModel instance.
+ */
+export const init = (uiViewModel) => {
+  dRollLog("Initializing rollLogView with uiViewModel: %o", uiViewModel);
+  uiViewModelInstance = uiViewModel;
+
+  if (!uiViewModelInstance) {
+    log.error("[rollLogView.js] UiViewModel not provided during init!");
+    dRollLog("Error: UiViewModel not provided during init.");
+    return;
+  }
+
+  cacheDOMElements();
+  if (!domElements.rollLog || !domElements.entries) {
+    log.error(
+      "[rollLogView.js] Roll log DOM elements not found. Rolls will not be displayed.",
+    );
+    return;
+  }
+
+  if (domElements.toggleButton) {
+    domElements.toggleButton.addEventListener("click", handleToggle);
+  }
+  if (domElements.clearButton) {
+    domElements.clearButton.addEventListener("click", () => {
+      dRollLog("Clear roll log button clicked.");
+      uiViewModelInstance.clearRollLog();
+    });
+  }
+
+  uiViewModelInstance.onRollLogChanged(renderRollLog);
+  renderRollLog(uiViewModelInstance.getRollLog());
+  dRollLog("rollLogView initialization complete.");
+};
@@ -1,8 +1,8 @@
 // src/views/components/toolbarView.js
 /**
  * @file Manages the UI and interactions for the main toolbar.
- * This includes buttons for creating objects, setting the table background (URL, color, or file),
- * and other global actions. It interacts with UiViewModel to perform these actions.
+ * This includes buttons for creating objects, the canvas tools, the dice panel,
+ * setting the table background (URL, color, or file), and other global actions. It interacts with UiViewModel to perform these actions.
  */
 import log from "loglevel"; // For general logging (errors, warnings)
 import debug from "debug"; // For verbose, development-specific logging
@@ -18,6 +18,14 @@ let uiViewModelInstance = null;
  */
 const domElements = {
   createObjectButton: null, // Button to open the "Create Object" modal
+  selectToolButton: null, // Activates the select/move tool
+  rulerToolButton: null, // Activates the ruler (measurement) tool
+  polygonToolButton: null, // Activates the polygon drawing tool
+  polylineToolButton: null, // Activates the line drawing tool
+  freehandToolButton: null, // Activates the freehand drawing tool
+  diceNotationInput: null, // Dice notation to roll (e.g., '4d6kh3+2')
+  diceRollButton: null, // Rolls the notation in diceNotationInput
+  diceQuickButtons: null, // Container of one-click roll buttons (each has a data-notation attribute)
   backgroundUrlInput: null, // Input field for background image URL
   backgroundColorInput: null, // Input field for background color
   setBackgroundButton: null,
@@ -34,6 +42,22 @@ const cacheDOMElements = () => {
   domElements.createObjectButton = document.getElementById(
     "create-object-button",
   );
+  domElements.selectToolButton = document.getElementById("select-tool-button");
+  domElements.rulerToolButton = document.getElementById("ruler-tool-button");
+  domElements.polygonToolButton = document.getElementById(
+    "polygon-tool-button",
+  );
+  domElements.polylineToolButton = document.getElementById(
+    "polyline-tool-button",
+  );
+  domElements.freehandToolButton = document.getElementById(
+    "freehand-tool-button",
+  );
+  domElements.diceNotationInput = document.getElementById(
+    "dice-notation-input",
+  );
+  domElements.diceRollButton = document.getElementById("dice-roll-button");
+  domElements.diceQuickButtons = document.getElementById("dice-quick-buttons");
   domElements.backgroundUrlInput = document.getElementById(
     "background-url-input",
   );
@@ -130,7 +154,7 @@ const handleSetBackgroundFromToolbar = () => {
 
 /**
  * Handles the 'change' event for the hidden background image file input.
- * When a file is selected, it reads the image as a data URL,
+ * When a file is selected, it reads the image as a data URL, stores it as an image asset,
  * calls `uiViewModelInstance.setTableBackground` to apply it,
  * and updates the background URL input field to show a placeholder for the local file.
  * @param {Event} event - The file input change event.
@@ -151,15 +175,17 @@ const handleBackgroundImageFileChange = (event) => {
   if (file) {
     dToolbar("File selected: %s, type: %s", file.name, file.type);
     const reader = new FileReader();
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       const dataURL = e.target.result;
       dToolbar(
         "Background image file loaded as data URL (length: %d). Setting table background.",
         dataURL.length,
       );
+      const assetUrl = await uiViewModelInstance.addImageAsset(dataURL);
+      if (!assetUrl) return;
       uiViewModelInstance.setTableBackground({
         type: "image",
-        value: dataURL,
+        value: assetUrl,
       });
       setBackgroundUrlInputText(`Local file: ${file.name}`); // Update input to show local file name
     };
@@ -180,6 +206,45 @@ const handleBackgroundImageFileChange = (event) => {
   }
 };
 
+/**
+ * Rolls the notation typed in the dice panel. The input keeps its text so the roll can be repeated.
+ */
+const handleRollFromToolbar = () => {
+  const notation = domElements.diceNotationInput
+    ? domElements.diceNotationInput.value.trim()
+    : "";
+  dToolbar("Roll requested from toolbar: %s", notation);
+  if (!notation) {
+    uiViewModelInstance.displayMessage(
+      "Enter dice to roll, e.g. 2d6+1.",
+      "info",
+    );
+    return;
+  }
+  uiViewModelInstance.rollDice(notation);
+};
+
+/**
+ * Highlights the button of the active canvas tool.
+ * @param {'select' | 'ruler' | 'polygon' | 'polyline' | 'freehand'} tool - The active tool.
+ */
+export const updateActiveToolDisplay = (tool) => {
+  dToolbar("updateActiveToolDisplay called with tool: %s", tool);
+  [
+    [domElements.selectToolButton, "select"],
+    [domElements.rulerToolButton, "ruler"],
+    [domElements.polygonToolButton, "polygon"],
+    [domElements.polylineToolButton, "polyline"],
+    [domElements.freehandToolButton, "freehand"],
+  ].forEach(([button, buttonTool]) => {
+    if (!button) return;
+    const isActive = buttonTool === tool;
+    button.classList.toggle("bg-yellow-600", isActive);
+    button.classList.toggle("bg-gray-600", !isActive);
+    button.setAttribute("aria-pressed", String(isActive));
+  });
+};
+
 export const init = (uiViewModel) => {
   dToolbar("Initializing toolbarView with uiViewModel: %o", uiViewModel);
   uiViewModelInstance = uiViewModel;
@@ -212,6 +277,51 @@ export const init = (uiViewModel) => {
     dToolbar("Event listener added for createObjectButton.");
   }
 
+  if (domElements.selectToolButton) {
+    domElements.selectToolButton.addEventListener("click", () => {
+      dToolbar("Select tool button clicked.");
+      uiViewModelInstance.setActiveTool("select");
+    });
+  }
+  if (domElements.rulerToolButton) {
+    domElements.rulerToolButton.addEventListener("click", () => {
+      dToolbar("Ruler tool button clicked.");
+      uiViewModelInstance.setActiveTool("ruler");
+    });
+  }
+  [
+    [domElements.polygonToolButton, "polygon"],
+    [domElements.polylineToolButton, "polyline"],
+    [domElements.freehandToolButton, "freehand"],
+  ].forEach(([button, tool]) => {
+    if (!button) return;
+    button.addEventListener("click", () => {
+      dToolbar("%s tool button clicked.", tool);
+      uiViewModelInstance.setActiveTool(tool);
+    });
+  });
+  updateActiveToolDisplay(uiViewModelInstance.getActiveTool());
+
+  if (domElements.diceRollButton) {
+    domElements.diceRollButton.addEventListener("click", handleRollFromToolbar);
+  }
+  if (domElements.diceNotationInput) {
+    domElements.diceNotationInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        handleRollFromToolbar();
+      }
+    });
+  }
+  if (domElements.diceQuickButtons) {
+    domElements.diceQuickButtons.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-notation]");
+      if (!button) return;
+      dToolbar("Quick roll button clicked: %s", button.dataset.notation);
+      uiViewModelInstance.rollDice(button.dataset.notation);
+    });
+  }
+
   if (domElements.setBackgroundButton) {
     domElements.setBackgroundButton.addEventListener(
       "click",
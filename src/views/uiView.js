@@ -12,10 +12,22 @@ import * as boardSettingsView from "./components/boardSettingsView.js";
 import * as toolbarView from "./components/toolbarView.js";
 import * as modalView from "./components/modalView.js";
 import * as messageAreaView from "./components/messageAreaView.js";
+import * as rollLogView from "./components/rollLogView.js";
+import * as fogView from "./components/fogView.js";
+import * as lightingView from "./components/lightingView.js";
+import * as layersView from "./components/layersView.js";
+import * as exportView from "./components/exportView.js";
 
 import UiViewModel from "../viewmodels/uiViewModel.js";
 import { VTT_API_INIT } from "../api.js";
 import * as sessionManagement from "../session_management.js";
+import { isGroup } from "../model/group.js";
+import { isZipArchive } from "../model/zip.js";
+import {
+  UNIVERSAL_VTT_EXTENSIONS,
+  isUniversalVttFilename,
+} from "../model/universalVtt.js";
+import { isTabletopSimulatorSave } from "../model/tabletopSimulator.js";
 
 // CanvasViewModel import removed
 import * as canvasView from "./canvasView.js";
@@ -36,13 +48,20 @@ const domElements = {
   // Header elements
   headerTitle: null,
   userIdDisplay: null,
+  userRoleSelect: null,
   sessionIdDisplay: null,
   sessionLoadInput: null,
   sessionLoadButton: null,
   sessionSaveButton: null,
+  sessionSaveArchiveButton: null,
   clearBoardButton: null,
   saveMemoryStateButton: null,
   loadMemoryStateButton: null,
+  loadAutosaveButton: null,
+  syncRoomInput: null,
+  syncRoomButton: null,
+  syncStatusDisplay: null,
+  syncBackendSelect: null,
 
   // Tools Sidebar - Most elements moved to toolbarView
   toolsSidebar: null,
@@ -66,6 +85,7 @@ const cacheDOMElements = () => {
 
   domElements.headerTitle = document.getElementById("header-title");
   domElements.userIdDisplay = document.getElementById("user-id-display");
+  domElements.userRoleSelect = document.getElementById("user-role-select");
   domElements.sessionIdDisplay = document.getElementById("session-id-display");
   domElements.sessionLoadInput = document.getElementById("session-load-input");
   domElements.sessionLoadButton = document.getElementById(
@@ -74,13 +94,27 @@ const cacheDOMElements = () => {
   domElements.sessionSaveButton = document.getElementById(
     "session-save-button",
   );
+  domElements.sessionSaveArchiveButton = document.getElementById(
+    "session-save-archive-button",
+  );
   domElements.clearBoardButton = document.getElementById("clear-board-button");
   domElements.saveMemoryStateButton = document.getElementById(
     "save-memory-state-button",
   );
+  domElements.loadAutosaveButton = document.getElementById(
+    "load-autosave-button",
+  );
   domElements.loadMemoryStateButton = document.getElementById(
     "load-memory-state-button",
   );
+  domElements.syncRoomInput = document.getElementById("sync-room-input");
+  domElements.syncBackendSelect = document.getElementById(
+    "sync-backend-select",
+  );
+  domElements.syncRoomButton = document.getElementById("sync-room-button");
+  domElements.syncStatusDisplay = document.getElementById(
+    "sync-status-display",
+  );
 
   domElements.toolsSidebar = document.getElementById("tools-sidebar");
   // Toolbar elements (createObjectButton, backgroundUrlInput, etc.) are cached in toolbarView.js
@@ -94,7 +128,10 @@ const cacheDOMElements = () => {
 
   domElements.fileInput = document.createElement("input");
   domElements.fileInput.type = "file";
-  domElements.fileInput.accept = ".json,.ttt.json";
+  domElements.fileInput.accept = [
+    ".json,.ttt.json,.ttt,.zip",
+    ...UNIVERSAL_VTT_EXTENSIONS,
+  ].join(",");
   domElements.fileInput.style.display = "none";
   document.body.appendChild(domElements.fileInput);
 
@@ -107,9 +144,6 @@ const cacheDOMElements = () => {
     domElements.sessionIdDisplay.style.display = "none";
   if (domElements.sessionLoadInput)
     domElements.sessionLoadInput.style.display = "none";
-  if (domElements.userIdDisplay && domElements.userIdDisplay.parentElement) {
-    domElements.userIdDisplay.parentElement.style.display = "none";
-  }
   log.debug("[uiView.js] Main DOM elements cached."); // log.debug is fine here, not overly verbose
   dUiView("Main DOM elements cached: %o", domElements);
 };
@@ -149,6 +183,7 @@ export const init = (vttApi) => {
   // Define uiCallbacks (previously in main.js)
   const uiCallbacks = {
     onSaveToFile: sessionManagement.handleSaveTableState,
+    onSaveArchive: sessionManagement.handleSaveArchive,
     onSaveMemoryState: sessionManagement.handleSaveMemoryState,
     onLoadFromFileInputChange: (event) => {
       const file = event.target.files[0];
@@ -156,16 +191,50 @@ export const init = (vttApi) => {
         dUiView("File selected for loading in uiView: %s", file.name);
         const reader = new FileReader();
         reader.onload = (e) => {
+          // Session archives are zips; Universal VTT maps and Tabletop Simulator saves are imported into the
+          // table; anything else is read as a session file
+          if (isZipArchive(e.target.result)) {
+            dUiView(
+              "Archive loaded in uiView, calling sessionManagement.handleLoadArchive",
+            );
+            sessionManagement.handleLoadArchive(e.target.result);
+            return;
+          }
+          if (isUniversalVttFilename(file.name)) {
+            dUiView(
+              "Map loaded in uiView, calling sessionManagement.handleImportUniversalVtt",
+            );
+            sessionManagement.handleImportUniversalVtt(
+              new TextDecoder().decode(e.target.result),
+            );
+            return;
+          }
+          const text = new TextDecoder().decode(e.target.result);
+          let parsed;
+          try {
+            parsed = JSON.parse(text);
+          } catch {
+            parsed = null; // Reading the session file reports the problem
+          }
+          if (isTabletopSimulatorSave(parsed)) {
+            dUiView(
+              "Tabletop Simulator save loaded in uiView, calling sessionManagement.handleImportTabletopSimulator",
+            );
+            const summary =
+              sessionManagement.handleImportTabletopSimulator(parsed);
+            if (summary) displayImportSummaryModal(summary);
+            return;
+          }
           dUiView(
             "File content loaded in uiView, calling sessionManagement.handleLoadTableState",
           );
-          sessionManagement.handleLoadTableState(e.target.result);
+          sessionManagement.handleLoadTableState(text);
         };
         reader.onerror = (e) => {
           log.error("[uiView.js] File Read Error:", e);
           vttApi.showMessage("File Read Error: Could not read file.", "error");
         };
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
       }
     },
   };
@@ -187,6 +256,40 @@ export const init = (vttApi) => {
   dUiView("modalView initialized.");
   messageAreaView.init(uiViewModelInstance);
   dUiView("messageAreaView initialized.");
+  rollLogView.init(uiViewModelInstance);
+  dUiView("rollLogView initialized.");
+  fogView.init(uiViewModelInstance);
+  dUiView("fogView initialized.");
+  lightingView.init(uiViewModelInstance);
+  dUiView("lightingView initialized.");
+  layersView.init(uiViewModelInstance);
+  dUiView("layersView initialized.");
+  exportView.init(uiViewModelInstance);
+  dUiView("exportView initialized.");
+  uiViewModelInstance.onActiveLayerChanged((layerId) => {
+    dUiView("Active layer changed to %s.", layerId);
+    layersView.updateForUser();
+    canvasView.setActiveLayer(layerId);
+  });
+  uiViewModelInstance.setNewObjectPositionProvider(
+    canvasView.getViewCenterWorldPosition,
+  );
+  uiViewModelInstance.onFogViewOptionsChanged(({ brushSize, preview }) => {
+    canvasView.setFogBrushSize(brushSize);
+    canvasView.setFogPreview(preview);
+  });
+  uiViewModelInstance.onCurrentUserChanged(updateUserDisplay);
+  updateUserDisplay(uiViewModelInstance.getCurrentUser());
+  populateSyncBackendSelect(uiViewModelInstance.getSyncBackends());
+  uiViewModelInstance.onSyncStatusChanged(updateSyncStatusDisplay);
+  updateSyncStatusDisplay(uiViewModelInstance.getSyncStatus());
+  uiViewModelInstance.onActiveToolChanged((tool) => {
+    dUiView("Active tool changed to %s.", tool);
+    toolbarView.updateActiveToolDisplay(tool);
+    fogView.updateActiveToolDisplay(tool);
+    lightingView.updateActiveToolDisplay(tool);
+    canvasView.setActiveTool(tool);
+  });
   dUiView("UI sub-components initialized in uiView");
 
   // Initialize Canvas System directly via canvasView.initCanvas
@@ -211,6 +314,9 @@ export const init = (vttApi) => {
   uiViewModelInstance.displayMessage("Application initialized.", "info");
   dUiView("'Application initialized.' message displayed from uiView.");
 
+  // Offer to restore the last autosaved session; autosave starts once the user has decided.
+  uiViewModelInstance.checkForRecoverableSession();
+
   log.debug(
     "[uiView.js] Initialized with VTT_API, created UiViewModel, set up callbacks, sub-components, and canvas.",
   );
@@ -226,13 +332,18 @@ export const init = (vttApi) => {
  * for session management tasks.
  * @param {object} callbacks - An object containing callback functions for certain UI actions.
  * @param {function(): void} callbacks.onSaveToFile - Callback to handle saving the current table state to a file.
+ * @param {function(): void} callbacks.onSaveArchive - Callback to handle saving the table as a session archive.
  * @param {function(event: Event): void} callbacks.onLoadFromFileInputChange - Callback to handle file selection for loading table state.
  * @param {function(): void} callbacks.onSaveMemoryState - Callback to handle saving the current state to in-memory storage.
  * @param {object} vttApi - The VTT API instance.
  */
 export const initUIEventListeners = (callbacks, vttApi) => {
-  const { onSaveToFile, onLoadFromFileInputChange, onSaveMemoryState } =
-    callbacks;
+  const {
+    onSaveToFile,
+    onSaveArchive,
+    onLoadFromFileInputChange,
+    onSaveMemoryState,
+  } = callbacks;
   dUiView(
     "initUIEventListeners called with callbacks: %o and vttApi: %o",
     callbacks,
@@ -254,6 +365,13 @@ export const initUIEventListeners = (callbacks, vttApi) => {
     });
   }
 
+  if (onSaveArchive && domElements.sessionSaveArchiveButton) {
+    domElements.sessionSaveArchiveButton.addEventListener("click", () => {
+      dUiView("Save Archive button clicked.");
+      onSaveArchive();
+    });
+  }
+
   if (domElements.sessionLoadButton) {
     domElements.sessionLoadButton.addEventListener("click", () => {
       dUiView("Load from File button clicked.");
@@ -364,9 +482,299 @@ export const initUIEventListeners = (callbacks, vttApi) => {
       }
     });
   }
+  if (domElements.loadAutosaveButton) {
+    domElements.loadAutosaveButton.addEventListener("click", () => {
+      dUiView("Restore Autosave button clicked.");
+      if (uiViewModelInstance)
+        uiViewModelInstance.requestLoadAutosaveSnapshot();
+    });
+  }
+  if (domElements.userRoleSelect) {
+    domElements.userRoleSelect.addEventListener("change", () => {
+      dUiView("Role changed to %s.", domElements.userRoleSelect.value);
+      if (uiViewModelInstance) {
+        uiViewModelInstance.setCurrentUser({
+          role: domElements.userRoleSelect.value,
+        });
+      }
+    });
+  }
+  if (domElements.userIdDisplay) {
+    domElements.userIdDisplay.addEventListener("click", showUserNameModal);
+  }
+  if (domElements.syncRoomButton) {
+    domElements.syncRoomButton.addEventListener("click", () => {
+      dUiView("Join/Leave Room button clicked.");
+      if (!uiViewModelInstance) return;
+      if (uiViewModelInstance.getSyncStatus().state === "disconnected") {
+        uiViewModelInstance.joinRoom(
+          domElements.syncRoomInput?.value,
+          domElements.syncBackendSelect?.value,
+        );
+      } else {
+        uiViewModelInstance.leaveRoom();
+      }
+    });
+  }
+  if (domElements.syncRoomInput) {
+    domElements.syncRoomInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" && uiViewModelInstance) {
+        uiViewModelInstance.joinRoom(
+          domElements.syncRoomInput.value,
+          domElements.syncBackendSelect?.value,
+        );
+      }
+    });
+  }
+  document.addEventListener("keydown", handleGlobalKeyDown);
+  document.addEventListener("copy", handleCopyOrCut);
+  document.addEventListener("cut", handleCopyOrCut);
+  document.addEventListener("paste", handlePaste);
   dUiView("Main UI event listeners initialized.");
 };
 
+/**
+ * Shows the participant's name and role in the header.
+ * This function is registered as a callback with UiViewModel.
+ * @param {import('../model/permissions.js').User | null} user - The participant.
+ */
+const updateUserDisplay = (user) => {
+  dUiView("updateUserDisplay called with %o", user);
+  if (!user) return;
+  if (domElements.userIdDisplay)
+    domElements.userIdDisplay.textContent = user.name;
+  if (domElements.userRoleSelect) domElements.userRoleSelect.value = user.role;
+  fogView.updateForUser(user);
+  lightingView.updateForUser(user);
+  layersView.updateForUser(user);
+};
+
+/**
+ * Asks for a new participant name.
+ */
+const showUserNameModal = () => {
+  if (!uiViewModelInstance) return;
+  const inputId = "user-name-modal-input";
+  const readName = () =>
+    modalView.getModalContentElement()?.querySelector(`#${inputId}`)?.value;
+  modalView.showModal(
+    "Change Name",
+    `<label for="${inputId}" class="block text-sm mb-1">Your name (as the GM names you in access lists):</label>
+     <input type="text" id="${inputId}" class="w-full p-2 rounded bg-gray-600 border border-gray-500" />`,
+    [
+      { text: "Cancel", type: "secondary" },
+      {
+        text: "Save",
+        type: "primary",
+        onClickCallback: () =>
+          uiViewModelInstance.setCurrentUser({ name: readName() }),
+      },
+    ],
+  );
+  const input = modalView
+    .getModalContentElement()
+    ?.querySelector(`#${inputId}`);
+  if (input) {
+    input.value = uiViewModelInstance.getCurrentUser()?.name || "";
+    input.focus();
+    input.select();
+  }
+};
+
+/**
+ * Shows what a Tabletop Simulator import brought onto the table and which object types it left out.
+ * @param {{imported: number, unsupported: Array<{type: string, count: number}>}} summary - The import's summary.
+ */
+const displayImportSummaryModal = ({ imported, unsupported }) => {
+  const skipped = unsupported.reduce((total, { count }) => total + count, 0);
+  modalView.showModal(
+    "Tabletop Simulator Import",
+    `<p class="text-sm mb-2">${imported} object${imported === 1 ? " was" : "s were"} imported.</p>
+     ${
+       skipped > 0
+         ? `<p class="text-sm mb-1">${skipped} object${skipped === 1 ? " was" : "s were"} left out, of types that cannot be imported:</p>
+     <ul id="tts-import-unsupported" class="text-sm list-disc pl-5 max-h-48 overflow-y-auto"></ul>`
+         : ""
+     }`,
+    [{ text: "OK", type: "primary" }],
+  );
+  const list = modalView
+    .getModalContentElement()
+    ?.querySelector("#tts-import-unsupported");
+  unsupported.forEach(({ type, count }) => {
+    const item = document.createElement("li");
+    item.textContent = `${type} (${count})`; // Types come from the file
+    list?.appendChild(item);
+  });
+};
+
+/**
+ * Fills the sync backend selector. It is hidden when only one backend is available.
+ * @param {Array<{name: string, label: string}>} backends - The available backends.
+ */
+const populateSyncBackendSelect = (backends) => {
+  const select = domElements.syncBackendSelect;
+  if (!select) return;
+  select.replaceChildren(
+    ...backends.map(({ name, label }) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = label;
+      return option;
+    }),
+  );
+  select.classList.toggle("hidden", backends.length < 2);
+};
+
+/**
+ * Shows the multiplayer connection status in the header.
+ * This function is registered as a callback with UiViewModel.
+ * @param {import('../sync/sessionSync.js').SyncStatus} status - The connection status.
+ */
+const updateSyncStatusDisplay = (status) => {
+  dUiView("updateSyncStatusDisplay called with %o", status);
+  const connected = status.state !== "disconnected";
+  if (domElements.syncRoomButton) {
+    domElements.syncRoomButton.textContent = connected
+      ? "Leave Room"
+      : "Join Room";
+  }
+  if (domElements.syncRoomInput) domElements.syncRoomInput.disabled = connected;
+  if (domElements.syncBackendSelect) {
+    domElements.syncBackendSelect.disabled = connected;
+  }
+  if (domElements.syncStatusDisplay) {
+    const labels = {
+      disconnected: "Offline",
+      connecting: "Connecting...",
+      joining: "Loading table...",
+      connected:
+        status.peerCount === null
+          ? "Connected"
+          : `${status.peerCount + 1} in room`,
+    };
+    domElements.syncStatusDisplay.textContent = labels[status.state];
+  }
+};
+
+/**
+ * Returns true if the keyboard event originates from a text-editing element,
+ * in which case global shortcuts should leave the key to the element (e.g., native text undo).
+ * @param {KeyboardEvent} event - The keyboard event.
+ * @returns {boolean}
+ */
+const isEditableTarget = (event) => {
+  const target = event.target;
+  if (!target || !target.tagName) return false;
+  return (
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) ||
+    target.isContentEditable
+  );
+};
+
+/**
+ * Handles application-wide keyboard shortcuts:
+ * Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo,
+ * Ctrl/Cmd+G to group the selected objects, Ctrl/Cmd+Shift+G to ungroup the selected group,
+ * Ctrl/Cmd+D to duplicate the selected objects,
+ * R to toggle the ruler tool, Escape to clear the current measurement or cancel the shape being drawn,
+ * Enter to finish the polygon, line or walls being drawn.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+const handleGlobalKeyDown = (event) => {
+  if (!uiViewModelInstance || isEditableTarget(event)) return;
+  if (event.key === "Escape") {
+    canvasView.cancelMeasurement();
+    canvasView.cancelDrawing();
+    return;
+  }
+  if (event.key === "Enter") {
+    canvasView.finishDrawing();
+    return;
+  }
+  if (
+    event.key.toLowerCase() === "r" &&
+    !event.ctrlKey &&
+    !event.metaKey &&
+    !event.altKey
+  ) {
+    uiViewModelInstance.setActiveTool(
+      uiViewModelInstance.getActiveTool() === "ruler" ? "select" : "ruler",
+    );
+    return;
+  }
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+
+  const key = event.key.toLowerCase();
+  if (key === "z" && !event.shiftKey) {
+    event.preventDefault();
+    dUiView("Undo shortcut pressed.");
+    uiViewModelInstance.undo();
+  } else if ((key === "z" && event.shiftKey) || key === "y") {
+    event.preventDefault();
+    dUiView("Redo shortcut pressed.");
+    uiViewModelInstance.redo();
+  } else if (key === "g" && !event.shiftKey) {
+    event.preventDefault();
+    dUiView("Group shortcut pressed.");
+    uiViewModelInstance.groupSelection();
+  } else if (key === "g" && event.shiftKey) {
+    event.preventDefault();
+    const inspected = uiViewModelInstance.getInspectorData();
+    dUiView("Ungroup shortcut pressed for %s.", inspected?.id);
+    if (isGroup(inspected)) uiViewModelInstance.ungroupObject(inspected.id);
+  } else if (key === "d" && !event.shiftKey) {
+    event.preventDefault();
+    dUiView("Duplicate shortcut pressed.");
+    uiViewModelInstance.duplicateSelection();
+  }
+};
+
+/**
+ * Returns true if the clipboard event should be left to the browser: it comes from a text-editing element, or
+ * text is selected on the page.
+ * @param {ClipboardEvent} event - The clipboard event.
+ * @returns {boolean}
+ */
+const isTextClipboardEvent = (event) =>
+  isEditableTarget(event) || window.getSelection()?.isCollapsed === false;
+
+/**
+ * Handles Ctrl/Cmd+C and Ctrl/Cmd+X: puts the selected objects on the system clipboard as JSON text (cutting
+ * deletes them), so they can be pasted in any tab.
+ * @param {ClipboardEvent} event - The copy or cut event.
+ */
+const handleCopyOrCut = (event) => {
+  if (!uiViewModelInstance || isTextClipboardEvent(event)) return;
+  const text =
+    event.type === "cut"
+      ? uiViewModelInstance.cutSelection()
+      : uiViewModelInstance.copySelection();
+  if (text === null) return;
+  event.clipboardData.setData("text/plain", text);
+  event.preventDefault();
+  dUiView(
+    "Selection %s to the clipboard.",
+    event.type === "cut" ? "cut" : "copied",
+  );
+};
+
+/**
+ * Handles Ctrl/Cmd+V: pastes objects copied in this or another tab, centered on the cursor if it is over the
+ * canvas. Other clipboard content is ignored.
+ * @param {ClipboardEvent} event - The paste event.
+ */
+const handlePaste = (event) => {
+  if (!uiViewModelInstance || isEditableTarget(event)) return;
+  const text = event.clipboardData?.getData("text/plain");
+  if (
+    uiViewModelInstance.pasteObjects(text, canvasView.getPointerWorldPosition())
+  ) {
+    event.preventDefault();
+    dUiView("Objects pasted from the clipboard.");
+  }
+};
+
 // displayMessage is now in messageAreaView.js
 // export const displayMessage = (text, type = 'info', duration = 3000) => { ... }
 